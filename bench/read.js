@@ -0,0 +1,211 @@
+/*
+  Measures opening a compound file and reading all of its streams, with and
+  without the sector cache, against a baseline reading tables and the
+  directory a sector at a time without any cache (as before reads were
+  coalesced). The file is generated to look like a large
+  Outlook message: many small streams (which live in the mini stream) spread
+  over many storages, each with its own property set, plus a few large
+  streams.
+
+  Usage: node bench/read.js [number of storages (default: 2000)]
+
+  Reports the time taken and the number of reads issued to the source, which
+  is what matters most for slow sources (network drives, HTTP range
+  readers). The setups take turns, RUNS times after a warm-up round, and
+  the fastest run of each is reported.
+*/
+var fs = require('fs'), os = require('os'), pathLib = require('path');
+
+var Parser = require('../lib/compound'),
+    sources = require('../lib/compound/source');
+
+var STORAGES = parseInt(process.argv[2], 10) || 2000,
+    LARGE_STREAMS = 8,
+    LARGE_SIZE = 2 * 1024 * 1024,
+    RUNS = 5;
+
+function generate(path) {
+  var root = { name: 'Root Entry', children: new Array() }, storage;
+  for (var i=0; i<STORAGES; ++i) {
+    storage = { name: '__substg_' + i, children: new Array() };
+    storage.children.push({ name: '\x05SummaryInformation',
+                            data: propertySet(i) });
+    for (var j=0; j<8; ++j) {
+      storage.children.push({ name: 'S' + j,
+                              data: filled(64 + (i * 37 + j * 401) % 3000) });
+    }
+    root.children.push(storage);
+  }
+  for (i=0; i<LARGE_STREAMS; ++i)
+    root.children.push({ name: 'Large' + i, data: filled(LARGE_SIZE) });
+  fs.writeFileSync(path, new Parser.Writer(root).toBuffer());
+}
+
+// A SummaryInformation property set with only a codepage property
+function propertySet(n) {
+  var buf = Buffer.alloc(72);
+  buf.writeUInt16LE(0xFFFE, 0);
+  buf.writeUInt32LE(0x00020000 | (n & 0xFFFF), 4);
+  buf.writeUInt32LE(1, 24);
+  Buffer.from([0xE0, 0x85, 0x9F, 0xF2, 0xF9, 0x4F, 0x68, 0x10,
+               0xAB, 0x91, 0x08, 0x00, 0x2B, 0x27, 0xB3, 0xD9]).copy(buf, 28);
+  buf.writeUInt32LE(48, 44);
+  buf.writeUInt32LE(24, 48);
+  buf.writeUInt32LE(1, 52);
+  buf.writeUInt32LE(1, 56);
+  buf.writeUInt32LE(16, 60);
+  buf.writeUInt16LE(2, 64);
+  buf.writeUInt16LE(1252, 68);
+  return buf;
+}
+
+function filled(size) {
+  var buf = Buffer.alloc(size);
+  for (var i=0; i<size; ++i)
+    buf[i] = i & 0xFF;
+  return buf;
+}
+
+// Wraps a source to count the reads going through it
+function CountingSource(source) {
+  this.source = source;
+  this.size = source.size;
+  this.reads = 0;
+  this.bytes = 0;
+}
+CountingSource.prototype.read = function(position, length, cb) {
+  ++this.reads;
+  this.bytes += length;
+  this.source.read(position, length, cb);
+};
+CountingSource.prototype.close = function(cb) {
+  this.source.close(cb);
+};
+
+// Reads every sector on its own, like the parser did before adjacent
+// sectors were read at once
+function readSectsOneByOne(sects, cb) {
+  var self = this, bytes = this.header.sectorSize,
+      bufs = new Array(sects.length), i = 0;
+  (function next(err) {
+    if (err)
+      return cb(err);
+    while (i < sects.length && sects[i] === -1)
+      ++i;
+    if (i === sects.length)
+      return cb(undefined, bufs);
+    self.source.read((sects[i] + 1) * bytes, bytes, function(err, buf) {
+      bufs[i++] = buf;
+      next(err);
+    });
+  })();
+}
+
+// Opens the file and reads all of its streams, passing the timings and read
+// counts to `cb`
+function measure(path, options, cb) {
+  sources.FileSource.open(path, function(err, file) {
+    var source, start, opened, streams = new Array();
+    if (err)
+      return cb(err);
+    source = new CountingSource(file);
+    start = process.hrtime.bigint();
+    Parser.open(source, options, function(err, parser) {
+      var openReads = source.reads, i = 0;
+      if (err)
+        return cb(err);
+      opened = process.hrtime.bigint();
+      parser.walk(function(entry) {
+        if (!Array.isArray(entry.children))
+          streams.push(entry);
+      });
+      (function next(err) {
+        var result;
+        if (err)
+          return cb(err);
+        if (i < streams.length)
+          return parser.readStream(streams[i++], next);
+        result = { open: opened - start, read: process.hrtime.bigint() - opened,
+                   openReads: openReads, reads: source.reads,
+                   bytes: source.bytes, cache: parser._cache };
+        parser.close(function(err) {
+          cb(err, result);
+        });
+      })();
+    });
+  });
+}
+
+// Measures every setup RUNS times after a warm-up round and reports the
+// fastest run of each. The setups take turns, so that none of them is
+// favoured by running once the process has warmed up.
+function runAll(path, setups, cb) {
+  var readSects = Parser.prototype._readSects, best = new Array(),
+      round = 0, i = 0;
+  (function next(err, result) {
+    var setup;
+    if (result && round && (!best[i] || result.open + result.read
+                                        < best[i].open + best[i].read))
+      best[i] = result;
+    if (result && ++i === setups.length) {
+      i = 0;
+      ++round;
+    }
+    Parser.prototype._readSects = readSects;
+    if (err || round > RUNS) {
+      if (!err) {
+        setups.forEach(function(setup, i) {
+          report(setup.name, best[i]);
+        });
+      }
+      return cb(err);
+    }
+    setup = setups[i];
+    if (setup.perSector)
+      Parser.prototype._readSects = readSectsOneByOne;
+    measure(path, setup.options, next);
+  })();
+}
+
+function report(name, result) {
+  var cache = result.cache;
+  console.log(pad(name, 24)
+              + pad(ms(result.open), 10)
+              + pad(ms(result.read), 10)
+              + pad(String(result.openReads), 8)
+              + pad(String(result.reads), 10)
+              + pad((result.bytes / 1048576).toFixed(1) + 'MB', 10)
+              + (cache ? (100 * cache.hits / (cache.hits + cache.misses || 1))
+                          .toFixed(0) + '%'
+                       : '-'));
+}
+
+function ms(ns) {
+  return (Number(ns) / 1e6).toFixed(0) + 'ms';
+}
+
+function pad(str, len) {
+  while (str.length < len)
+    str += ' ';
+  return str;
+}
+
+var path = pathLib.join(os.tmpdir(), 'documation-bench-' + process.pid
+                                     + '.cfb');
+generate(path);
+console.log(STORAGES + ' storages, ' + (fs.statSync(path).size / 1048576)
+                                       .toFixed(1) + 'MB');
+console.log(pad('', 24) + pad('open', 10) + pad('read', 10)
+            + pad('reads', 8) + pad('total', 10) + pad('bytes', 10)
+            + 'hits');
+runAll(path, [
+  { name: 'per sector, no cache', options: { cacheSize: 0 },
+    perSector: true },
+  { name: 'no cache', options: { cacheSize: 0 } },
+  { name: 'cache (default)' },
+  { name: 'cache, concurrency 4', options: { concurrency: 4 } }
+], function(err) {
+  fs.unlinkSync(path);
+  if (err)
+    throw err;
+});
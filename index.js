@@ -0,0 +1,33 @@
+var detect = require('./lib/detect'), embedded = require('./lib/embedded');
+
+/*
+  documation reads Microsoft Office documents: compound files (the 97-2003
+  formats and Outlook messages) through the compound file Parser and the
+  format modules built on it, and Office Open XML packages through the ooxml
+  module. detect() and open() identify a document from its contents, so
+  callers do not need to trust its name.
+*/
+exports.detect = detect.detect;
+exports.open = detect.open;
+exports.extractEmbedded = embedded.extract;
+
+// detect() confidence levels
+exports.HIGH = detect.HIGH;
+exports.MEDIUM = detect.MEDIUM;
+exports.LOW = detect.LOW;
+exports.NONE = detect.NONE;
+
+exports.Parser = require('./lib/compound');
+exports.diff = exports.Parser.diff;
+exports.CompoundError = require('./lib/compound/errors');
+exports.FormatError = require('./lib/errors');
+
+exports.word = require('./lib/word');
+exports.excel = require('./lib/excel');
+exports.powerpoint = require('./lib/powerpoint');
+exports.outlook = require('./lib/outlook');
+exports.vba = require('./lib/vba');
+exports.encryption = require('./lib/encryption');
+exports.ooxml = require('./lib/ooxml');
+exports.rtf = require('./lib/rtf');
+exports.embedded = embedded;
@@ -0,0 +1,262 @@
+var consts = require('./compound/constants'),
+    FormatError = require('./errors');
+
+/*
+  Decoding of 8-bit (ANSI) text stored with a Windows codepage identifier, as
+  used by property sets (PID_CODEPAGE) and by the various document formats,
+  and encoding of text back into such codepages.
+
+  Most codepages are decoded with TextDecoder. The Mac codepages TextDecoder
+  does not know about are decoded using the tables below. Unknown codepages
+  (and ones the runtime can not decode) are decoded as windows-1252.
+*/
+
+// Codepage -> TextDecoder encoding label
+var LABELS = new Object();
+LABELS[consts.CP_UTF16] = 'utf-16le';
+LABELS[consts.CP_UTF16_BE] = 'utf-16be';
+LABELS[consts.CP_UTF8] = 'utf-8';
+LABELS[consts.CP_US_ASCII] = 'windows-1252';
+LABELS[874] = 'windows-874';
+LABELS[consts.CP_WINDOWS_1250] = 'windows-1250';
+LABELS[consts.CP_WINDOWS_1251] = 'windows-1251';
+LABELS[consts.CP_WINDOWS_1252] = 'windows-1252';
+LABELS[consts.CP_WINDOWS_1253] = 'windows-1253';
+LABELS[consts.CP_WINDOWS_1254] = 'windows-1254';
+LABELS[consts.CP_WINDOWS_1255] = 'windows-1255';
+LABELS[consts.CP_WINDOWS_1256] = 'windows-1256';
+LABELS[consts.CP_WINDOWS_1257] = 'windows-1257';
+LABELS[consts.CP_WINDOWS_1258] = 'windows-1258';
+LABELS[866] = 'ibm866';
+LABELS[consts.CP_SJIS] = 'shift_jis';
+LABELS[consts.CP_GBK] = 'gbk';
+LABELS[20936] = 'gbk'; // GB2312
+LABELS[consts.CP_GB18030] = 'gb18030';
+LABELS[consts.CP_MS949] = 'euc-kr';
+LABELS[950] = 'big5';
+LABELS[consts.CP_EUC_JP] = 'euc-jp';
+LABELS[consts.CP_EUC_KR] = 'euc-kr';
+LABELS[consts.CP_ISO_2022_JP1] = 'iso-2022-jp';
+LABELS[consts.CP_ISO_2022_JP2] = 'iso-2022-jp';
+LABELS[consts.CP_ISO_2022_JP3] = 'iso-2022-jp';
+LABELS[consts.CP_KOI8_R] = 'koi8-r';
+LABELS[21866] = 'koi8-u';
+LABELS[consts.CP_ISO_8859_1] = 'iso-8859-1';
+LABELS[consts.CP_ISO_8859_2] = 'iso-8859-2';
+LABELS[consts.CP_ISO_8859_3] = 'iso-8859-3';
+LABELS[consts.CP_ISO_8859_4] = 'iso-8859-4';
+LABELS[consts.CP_ISO_8859_5] = 'iso-8859-5';
+LABELS[consts.CP_ISO_8859_6] = 'iso-8859-6';
+LABELS[consts.CP_ISO_8859_7] = 'iso-8859-7';
+LABELS[consts.CP_ISO_8859_8] = 'iso-8859-8';
+LABELS[consts.CP_ISO_8859_9] = 'iso-8859-9';
+LABELS[28603] = 'iso-8859-13';
+LABELS[28605] = 'iso-8859-15';
+LABELS[consts.CP_MAC_ROMAN] = 'macintosh';
+LABELS[consts.CP_MAC_CYRILLIC] = 'x-mac-cyrillic';
+LABELS[consts.CP_MAC_UKRAINE] = 'x-mac-cyrillic';
+// The Mac CJK codepages are close enough to their Windows counterparts
+LABELS[consts.CP_MAC_JAPAN] = 'shift_jis';
+LABELS[consts.CP_MAC_CHINESE_TRADITIONAL] = 'big5';
+LABELS[consts.CP_MAC_KOREAN] = 'euc-kr';
+LABELS[consts.CP_MAC_CHINESE_SIMPLE] = 'gbk';
+
+// Characters for bytes 0x80-0xFF of single-byte codepages (0x00-0x7F are
+// ASCII)
+var TABLES = {
+  10029: // mac_latin2
+    '\u00C4\u0100\u0101\u00C9\u0104\u00D6\u00DC\u00E1\u0105\u010C\u00E4\u010D' +
+    '\u0106\u0107\u00E9\u0179\u017A\u010E\u00ED\u010F\u0112\u0113\u0116\u00F3' +
+    '\u0117\u00F4\u00F6\u00F5\u00FA\u011A\u011B\u00FC\u2020\u00B0\u0118\u00A3' +
+    '\u00A7\u2022\u00B6\u00DF\u00AE\u00A9\u2122\u0119\u00A8\u2260\u0123\u012E' +
+    '\u012F\u012A\u2264\u2265\u012B\u0136\u2202\u2211\u0142\u013B\u013C\u013D' +
+    '\u013E\u0139\u013A\u0145\u0146\u0143\u00AC\u221A\u0144\u0147\u2206\u00AB' +
+    '\u00BB\u2026\u00A0\u0148\u0150\u00D5\u0151\u014C\u2013\u2014\u201C\u201D' +
+    '\u2018\u2019\u00F7\u25CA\u014D\u0154\u0155\u0158\u2039\u203A\u0159\u0156' +
+    '\u0157\u0160\u201A\u201E\u0161\u015A\u015B\u00C1\u0164\u0165\u00CD\u017D' +
+    '\u017E\u016A\u00D3\u00D4\u016B\u016E\u00DA\u016F\u0170\u0171\u0172\u0173' +
+    '\u00DD\u00FD\u0137\u017B\u0141\u017C\u0122\u02C7',
+  10006: // mac_greek
+    '\u00C4\u00B9\u00B2\u00C9\u00B3\u00D6\u00DC\u0385\u00E0\u00E2\u00E4\u0384' +
+    '\u00A8\u00E7\u00E9\u00E8\u00EA\u00EB\u00A3\u2122\u00EE\u00EF\u2022\u00BD' +
+    '\u2030\u00F4\u00F6\u00A6\u20AC\u00F9\u00FB\u00FC\u2020\u0393\u0394\u0398' +
+    '\u039B\u039E\u03A0\u00DF\u00AE\u00A9\u03A3\u03AA\u00A7\u2260\u00B0\u00B7' +
+    '\u0391\u00B1\u2264\u2265\u00A5\u0392\u0395\u0396\u0397\u0399\u039A\u039C' +
+    '\u03A6\u03AB\u03A8\u03A9\u03AC\u039D\u00AC\u039F\u03A1\u2248\u03A4\u00AB' +
+    '\u00BB\u2026\u00A0\u03A5\u03A7\u0386\u0388\u0153\u2013\u2015\u201C\u201D' +
+    '\u2018\u2019\u00F7\u0389\u038A\u038C\u038E\u03AD\u03AE\u03AF\u03CC\u038F' +
+    '\u03CD\u03B1\u03B2\u03C8\u03B4\u03B5\u03C6\u03B3\u03B7\u03B9\u03BE\u03BA' +
+    '\u03BB\u03BC\u03BD\u03BF\u03C0\u03CE\u03C1\u03C3\u03C4\u03B8\u03C9\u03C2' +
+    '\u03C7\u03C5\u03B6\u03CA\u03CB\u0390\u03B0\u00AD',
+  10081: // mac_turkish
+    '\u00C4\u00C5\u00C7\u00C9\u00D1\u00D6\u00DC\u00E1\u00E0\u00E2\u00E4\u00E3' +
+    '\u00E5\u00E7\u00E9\u00E8\u00EA\u00EB\u00ED\u00EC\u00EE\u00EF\u00F1\u00F3' +
+    '\u00F2\u00F4\u00F6\u00F5\u00FA\u00F9\u00FB\u00FC\u2020\u00B0\u00A2\u00A3' +
+    '\u00A7\u2022\u00B6\u00DF\u00AE\u00A9\u2122\u00B4\u00A8\u2260\u00C6\u00D8' +
+    '\u221E\u00B1\u2264\u2265\u00A5\u00B5\u2202\u2211\u220F\u03C0\u222B\u00AA' +
+    '\u00BA\u03A9\u00E6\u00F8\u00BF\u00A1\u00AC\u221A\u0192\u2248\u2206\u00AB' +
+    '\u00BB\u2026\u00A0\u00C0\u00C3\u00D5\u0152\u0153\u2013\u2014\u201C\u201D' +
+    '\u2018\u2019\u00F7\u25CA\u00FF\u0178\u011E\u011F\u0130\u0131\u015E\u015F' +
+    '\u2021\u00B7\u201A\u201E\u2030\u00C2\u00CA\u00C1\u00CB\u00C8\u00CD\u00CE' +
+    '\u00CF\u00CC\u00D3\u00D4\uF8FF\u00D2\u00DA\u00DB\u00D9\uF8A0\u02C6\u02DC' +
+    '\u00AF\u02D8\u02D9\u02DA\u00B8\u02DD\u02DB\u02C7',
+  10079: // mac_iceland
+    '\u00C4\u00C5\u00C7\u00C9\u00D1\u00D6\u00DC\u00E1\u00E0\u00E2\u00E4\u00E3' +
+    '\u00E5\u00E7\u00E9\u00E8\u00EA\u00EB\u00ED\u00EC\u00EE\u00EF\u00F1\u00F3' +
+    '\u00F2\u00F4\u00F6\u00F5\u00FA\u00F9\u00FB\u00FC\u00DD\u00B0\u00A2\u00A3' +
+    '\u00A7\u2022\u00B6\u00DF\u00AE\u00A9\u2122\u00B4\u00A8\u2260\u00C6\u00D8' +
+    '\u221E\u00B1\u2264\u2265\u00A5\u00B5\u2202\u2211\u220F\u03C0\u222B\u00AA' +
+    '\u00BA\u03A9\u00E6\u00F8\u00BF\u00A1\u00AC\u221A\u0192\u2248\u2206\u00AB' +
+    '\u00BB\u2026\u00A0\u00C0\u00C3\u00D5\u0152\u0153\u2013\u2014\u201C\u201D' +
+    '\u2018\u2019\u00F7\u25CA\u00FF\u0178\u2044\u20AC\u00D0\u00F0\u00DE\u00FE' +
+    '\u00FD\u00B7\u201A\u201E\u2030\u00C2\u00CA\u00C1\u00CB\u00C8\u00CD\u00CE' +
+    '\u00CF\u00CC\u00D3\u00D4\uF8FF\u00D2\u00DA\u00DB\u00D9\u0131\u02C6\u02DC' +
+    '\u00AF\u02D8\u02D9\u02DA\u00B8\u02DD\u02DB\u02C7',
+  10010: // mac_romanian
+    '\u00C4\u00C5\u00C7\u00C9\u00D1\u00D6\u00DC\u00E1\u00E0\u00E2\u00E4\u00E3' +
+    '\u00E5\u00E7\u00E9\u00E8\u00EA\u00EB\u00ED\u00EC\u00EE\u00EF\u00F1\u00F3' +
+    '\u00F2\u00F4\u00F6\u00F5\u00FA\u00F9\u00FB\u00FC\u2020\u00B0\u00A2\u00A3' +
+    '\u00A7\u2022\u00B6\u00DF\u00AE\u00A9\u2122\u00B4\u00A8\u2260\u0102\u0218' +
+    '\u221E\u00B1\u2264\u2265\u00A5\u00B5\u2202\u2211\u220F\u03C0\u222B\u00AA' +
+    '\u00BA\u03A9\u0103\u0219\u00BF\u00A1\u00AC\u221A\u0192\u2248\u2206\u00AB' +
+    '\u00BB\u2026\u00A0\u00C0\u00C3\u00D5\u0152\u0153\u2013\u2014\u201C\u201D' +
+    '\u2018\u2019\u00F7\u25CA\u00FF\u0178\u2044\u20AC\u2039\u203A\u021A\u021B' +
+    '\u2021\u00B7\u201A\u201E\u2030\u00C2\u00CA\u00C1\u00CB\u00C8\u00CD\u00CE' +
+    '\u00CF\u00CC\u00D3\u00D4\uF8FF\u00D2\u00DA\u00DB\u00D9\u0131\u02C6\u02DC' +
+    '\u00AF\u02D8\u02D9\u02DA\u00B8\u02DD\u02DB\u02C7',
+  10082: // mac_croatian
+    '\u00C4\u00C5\u00C7\u00C9\u00D1\u00D6\u00DC\u00E1\u00E0\u00E2\u00E4\u00E3' +
+    '\u00E5\u00E7\u00E9\u00E8\u00EA\u00EB\u00ED\u00EC\u00EE\u00EF\u00F1\u00F3' +
+    '\u00F2\u00F4\u00F6\u00F5\u00FA\u00F9\u00FB\u00FC\u2020\u00B0\u00A2\u00A3' +
+    '\u00A7\u2022\u00B6\u00DF\u00AE\u0160\u2122\u00B4\u00A8\u2260\u017D\u00D8' +
+    '\u221E\u00B1\u2264\u2265\u2206\u00B5\u2202\u2211\u220F\u0161\u222B\u00AA' +
+    '\u00BA\u03A9\u017E\u00F8\u00BF\u00A1\u00AC\u221A\u0192\u2248\u0106\u00AB' +
+    '\u010C\u2026\u00A0\u00C0\u00C3\u00D5\u0152\u0153\u0110\u2014\u201C\u201D' +
+    '\u2018\u2019\u00F7\u25CA\uF8FF\u00A9\u2044\u20AC\u2039\u203A\u00C6\u00BB' +
+    '\u2013\u00B7\u201A\u201E\u2030\u00C2\u0107\u00C1\u010D\u00C8\u00CD\u00CE' +
+    '\u00CF\u00CC\u00D3\u00D4\u0111\u00D2\u00DA\u00DB\u00D9\u0131\u02C6\u02DC' +
+    '\u00AF\u03C0\u00CB\u02DA\u00B8\u00CA\u00E6\u02C7',
+  10004: // mac_arabic
+    '\u00C4\u00A0\u00C7\u00C9\u00D1\u00D6\u00DC\u00E1\u00E0\u00E2\u00E4\u06BA' +
+    '\u00AB\u00E7\u00E9\u00E8\u00EA\u00EB\u00ED\u2026\u00EE\u00EF\u00F1\u00F3' +
+    '\u00BB\u00F4\u00F6\u00F7\u00FA\u00F9\u00FB\u00FC\u0020\u0021\u0022\u0023' +
+    '\u0024\u066A\u0026\u0027\u0028\u0029\u002A\u002B\u060C\u002D\u002E\u002F' +
+    '\u0660\u0661\u0662\u0663\u0664\u0665\u0666\u0667\u0668\u0669\u003A\u061B' +
+    '\u003C\u003D\u003E\u061F\u274A\u0621\u0622\u0623\u0624\u0625\u0626\u0627' +
+    '\u0628\u0629\u062A\u062B\u062C\u062D\u062E\u062F\u0630\u0631\u0632\u0633' +
+    '\u0634\u0635\u0636\u0637\u0638\u0639\u063A\u005B\u005C\u005D\u005E\u005F' +
+    '\u0640\u0641\u0642\u0643\u0644\u0645\u0646\u0647\u0648\u0649\u064A\u064B' +
+    '\u064C\u064D\u064E\u064F\u0650\u0651\u0652\u067E\u0679\u0686\u06D5\u06A4' +
+    '\u06AF\u0688\u0691\u007B\u007C\u007D\u0698\u06D2'
+};
+
+var DEFAULT_LABEL = 'windows-1252';
+
+var decoders = new Object(),
+    encoders = new Object();
+
+function getDecoder(label) {
+  if (decoders[label] === undefined) {
+    try {
+      decoders[label] = new TextDecoder(label);
+    } catch (ex) {
+      // the runtime was built without support for this encoding
+      decoders[label] = null;
+    }
+  }
+  return decoders[label];
+}
+
+function decodeTable(table, buf) {
+  var str = '';
+  for (var i=0,len=buf.length,c; i<len; ++i) {
+    c = buf[i];
+    str += (c < 0x80 ? String.fromCharCode(c) : table[c - 0x80]);
+  }
+  return str;
+}
+
+/*
+  Decodes `buf` (optionally only the bytes from `start` up to `end`) using
+  the given codepage
+*/
+exports.decode = function(buf, codepage, start, end) {
+  var decoder;
+  if (start !== undefined || end !== undefined)
+    buf = buf.slice(start || 0, (end === undefined ? buf.length : end));
+  if (TABLES[codepage])
+    return decodeTable(TABLES[codepage], buf);
+  decoder = getDecoder(LABELS[codepage] || DEFAULT_LABEL)
+            || getDecoder(DEFAULT_LABEL);
+  return (decoder ? decoder.decode(buf) : buf.toString('latin1'));
+};
+
+// Returns true if text in the given codepage can be decoded properly
+exports.isSupported = function(codepage) {
+  if (TABLES[codepage] !== undefined)
+    return true;
+  return (LABELS[codepage] !== undefined && !!getDecoder(LABELS[codepage]));
+};
+
+/*
+  Encodes `str` using the given codepage. Throws a FormatError with the code
+  EUNSUPPORTED if a character can not be represented in the codepage.
+
+  Except for the Unicode codepages, encoding works by reversing the decoder:
+  every single byte and every two byte sequence starting with a byte that
+  does not decode on its own is decoded once to build the table. This covers
+  single- and double-byte codepages, but not the four byte sequences of
+  gb18030 or the escape sequences of iso-2022-jp.
+*/
+exports.encode = function(str, codepage) {
+  var label = (TABLES[codepage] ? undefined
+                                : LABELS[codepage] || DEFAULT_LABEL),
+      encoder, bytes, out;
+  if (label === 'utf-16le')
+    return Buffer.from(str, 'utf16le');
+  if (label === 'utf-16be')
+    return Buffer.from(str, 'utf16le').swap16();
+  if (label === 'utf-8')
+    return Buffer.from(str, 'utf8');
+  encoder = getEncoder(codepage, label);
+  out = new Array();
+  for (var i=0,len=str.length,c; i<len; ++i) {
+    c = str.charAt(i);
+    if ((bytes = encoder.get(c)) === undefined) {
+      throw new FormatError('EUNSUPPORTED', 'Character U+'
+                            + ('000' + str.charCodeAt(i).toString(16)
+                                          .toUpperCase()).slice(-4)
+                            + ' can not be encoded in '
+                            + (label || 'codepage ' + codepage));
+    }
+    for (var j=0; j<bytes.length; ++j)
+      out.push(bytes[j]);
+  }
+  return Buffer.from(out);
+};
+
+// Builds (once) the character -> bytes map of a codepage
+function getEncoder(codepage, label) {
+  var key = (label || codepage), map = encoders[key], leads, c, pair;
+  if (map)
+    return map;
+  map = encoders[key] = new Map();
+  leads = new Array();
+  for (var b=0; b<256; ++b) {
+    c = exports.decode(Buffer.from([b]), codepage);
+    if (c.length === 1 && c !== '\uFFFD') {
+      if (!map.has(c))
+        map.set(c, [b]);
+    } else if (b >= 0x80)
+      leads.push(b);
+  }
+  for (var i=0,len=leads.length; i<len; ++i) {
+    for (var t=0x40; t<256; ++t) {
+      pair = [leads[i], t];
+      c = exports.decode(Buffer.from(pair), codepage);
+      if (c.length === 1 && c !== '\uFFFD' && !map.has(c))
+        map.set(c, pair);
+    }
+  }
+  return map;
+}
@@ -0,0 +1,48 @@
+/*
+  A least recently used cache of file sectors, holding at most `maxBytes`
+  bytes. Sectors are keyed by their position in the file. `hits` and
+  `misses` count the lookups since the cache was created.
+*/
+var SectorCache = module.exports = function(maxBytes) {
+  this.maxBytes = maxBytes;
+  this.bytes = 0;
+  this.hits = 0;
+  this.misses = 0;
+  // Maps iterate in insertion order, so the first key is the least recently
+  // used one
+  this._map = new Map();
+};
+
+SectorCache.prototype.get = function(pos) {
+  var buf = this._map.get(pos);
+  if (buf === undefined) {
+    ++this.misses;
+    return;
+  }
+  ++this.hits;
+  this._map.delete(pos);
+  this._map.set(pos, buf);
+  return buf;
+};
+
+SectorCache.prototype.set = function(pos, buf) {
+  var old = this._map.get(pos), oldest;
+  if (buf.length > this.maxBytes)
+    return;
+  if (old !== undefined) {
+    this._map.delete(pos);
+    this.bytes -= old.length;
+  }
+  this._map.set(pos, buf);
+  this.bytes += buf.length;
+  while (this.bytes > this.maxBytes) {
+    oldest = this._map.keys().next().value;
+    this.bytes -= this._map.get(oldest).length;
+    this._map.delete(oldest);
+  }
+};
+
+SectorCache.prototype.clear = function() {
+  this._map.clear();
+  this.bytes = 0;
+};
@@ -0,0 +1,228 @@
+// CLSID for root directory entry
+exports.CLSID= {
+  EXCEL: [
+    // 97+
+    [0x00,0x02,0x08,0x12,0x00,0x00,0x00,0x00,
+     0xC0,0x00,0x00,0x00,0x00,0x00,0x00,0x46],
+    // 95
+    [0x00,0x02,0x08,0x10,0x00,0x00,0x00,0x00,
+     0xC0,0x00,0x00,0x00,0x00,0x00,0x00,0x46]
+  ],
+  WORD: [
+    // 97+
+    [0x00,0x02,0x09,0x06,0x00,0x00,0x00,0x00,
+     0xC0,0x00,0x00,0x00,0x00,0x00,0x00,0x46],
+    // 95
+    [0x00,0x02,0x09,0x00,0x00,0x00,0x00,0x00,
+     0xC0,0x00,0x00,0x00,0x00,0x00,0x00,0x46]
+  ],
+  POWERPOINT: [
+    // 97+
+    [0x64,0x81,0x8D,0x10,0x4F,0x9B,0x11,0xCF,
+     0x86,0xEA,0x00,0xAA,0x00,0xB9,0x29,0xE8]
+  ],
+  ACCESS: [
+    // 97
+    [0x8C,0xC4,0x99,0x40,0x31,0x46,0x11,0xCF,
+     0x97,0xA1,0x00,0xAA,0x00,0x42,0x4A,0x9F],
+    // 2000/2002
+    [0x73,0xA4,0xC9,0xC1,0xD6,0x8D,0x11,0xD0,
+     0x98,0xBF,0x00,0xA0,0xC9,0x0D,0xC8,0xD9]
+  ]
+};
+
+exports.FORMATID= {
+  SUMMARY: [0xF2, 0x9F, 0x85, 0xE0, 0x4F, 0xF9, 0x10, 0x68,
+            0xAB, 0x91, 0x08, 0x00, 0x2B, 0x27, 0xB3, 0xD9],
+  DOCSUMMARY: [0xD5, 0xCD, 0xD5, 0x02, 0x2E, 0x9C, 0x10, 0x1B,
+               0x93, 0x97, 0x08, 0x00, 0x2B, 0x2C, 0xF9, 0xAE],
+  USERDEFPROPS: [0xD5, 0xCD, 0xD5, 0x05, 0x2E, 0x9C, 0x10, 0x1B,
+               0x93, 0x97, 0x08, 0x00, 0x2B, 0x2C, 0xF9, 0xAE],
+  GLOBALINFO: [0x56, 0x61, 0x6F, 0x00, 0xC1, 0x54, 0x11, 0xCE,
+               0x85, 0x53, 0x00, 0xAA, 0x00, 0xA1, 0xF9, 0x5B],
+  IMAGECONTENTS: [0x56, 0x61, 0x64, 0x00, 0xC1, 0x54, 0x11, 0xCE,
+                  0x85, 0x53, 0x00, 0xAA, 0x00, 0xA1, 0xF9, 0x5B],
+  IMAGEINFO: [0x56, 0x61, 0x65, 0x00, 0xC1, 0x54, 0x11, 0xCE,
+               0x85, 0x53, 0x00, 0xAA, 0x00, 0xA1, 0xF9, 0x5B]
+};
+
+// Special FAT entry values
+exports.DIFSECT    = 0xFFFFFFFC;
+exports.FATSECT    = 0xFFFFFFFD;
+exports.ENDOFCHAIN = 0xFFFFFFFE;
+exports.FREESECT   = 0xFFFFFFFF;
+
+// Special directory entry values
+exports.NOSTREAM   = 0xFFFFFFFF;
+
+// Directory sector object types
+exports.STGTY_INVALID   = 0;
+exports.STGTY_STORAGE   = 1;
+exports.STGTY_STREAM    = 2;
+exports.STGTY_LOCKBYTES = 3;
+exports.STGTY_PROPERTY  = 4;
+exports.STGTY_ROOT      = 5;
+
+// Stream property types
+exports.VT_EMPTY           = 0;
+exports.VT_NULL            = 1;
+exports.VT_I2              = 2;
+exports.VT_I4              = 3;
+exports.VT_R4              = 4;
+exports.VT_R8              = 5;
+exports.VT_CY              = 6;
+exports.VT_DATE            = 7;
+exports.VT_BSTR            = 8;
+exports.VT_DISPATCH        = 9;
+exports.VT_ERROR           = 10;
+exports.VT_BOOL            = 11;
+exports.VT_VARIANT         = 12;
+exports.VT_UNKNOWN         = 13;
+exports.VT_DECIMAL         = 14;
+exports.VT_I1              = 16;
+exports.VT_UI1             = 17;
+exports.VT_UI2             = 18;
+exports.VT_UI4             = 19;
+exports.VT_I8              = 20;
+exports.VT_UI8             = 21;
+exports.VT_INT             = 22;
+exports.VT_UINT            = 23;
+exports.VT_VOID            = 24;
+exports.VT_HRESULT         = 25;
+exports.VT_PTR             = 26;
+exports.VT_SAFEARRAY       = 27;
+exports.VT_CARRAY          = 28;
+exports.VT_USERDEFINED     = 29;
+exports.VT_LPSTR           = 30;
+exports.VT_LPWSTR          = 31;
+exports.VT_FILETIME        = 64;
+exports.VT_BLOB            = 65;
+exports.VT_STREAM          = 66;
+exports.VT_STORAGE         = 67;
+exports.VT_STREAMED_OBJECT = 68;
+exports.VT_STORED_OBJECT   = 69;
+exports.VT_BLOB_OBJECT     = 70;
+exports.VT_CF              = 71;
+exports.VT_CLSID           = 72;
+exports.VT_VECTOR          = 4096;
+
+// Clipboard formats (VT_CF)
+exports.CF_BITMAP       = 2;
+exports.CF_METAFILEPICT = 3;
+exports.CF_DIB          = 8;
+exports.CF_ENHMETAFILE  = 14;
+
+// Well-known property ids
+exports.PID_APPNAME           = 18; // SummaryInformation
+exports.PID_AUTHOR            = 4;  // SummaryInformation
+exports.PID_BEHAVIOR          = 0x80000003; // format version 1 only. Value
+                                            // is 0 (default) for
+                                            // case-insensitive property
+                                            // names, 1 for case-sensitive
+exports.PID_BYTECOUNT         = 4;  // DocumentSummaryInformation
+exports.PID_CATEGORY          = 2;  // DocumentSummaryInformation
+exports.PID_CCHWITHSPACES     = 17; // DocumentSummaryInformation
+exports.PID_CHARCOUNT         = 16; // SummaryInformation
+exports.PID_CODEPAGE          = 1;
+exports.PID_COMMENTS          = 6;  // SummaryInformation
+exports.PID_COMPANY           = 15; // DocumentSummaryInformation
+exports.PID_CONTENTSTATUS     = 27; // DocumentSummaryInformation
+exports.PID_CONTENTTYPE       = 26; // DocumentSummaryInformation
+exports.PID_CREATE_DTM        = 12; // SummaryInformation
+exports.PID_DICTIONARY        = 0;
+exports.PID_DIGSIG            = 24; // DocumentSummaryInformation
+exports.PID_DOCPARTS          = 13; // DocumentSummaryInformation
+exports.PID_DOCVERSION        = 29; // DocumentSummaryInformation
+exports.PID_EDITTIME          = 10; // SummaryInformation
+exports.PID_HEADINGPAIR       = 12; // DocumentSummaryInformation
+exports.PID_HIDDENCOUNT       = 9;  // DocumentSummaryInformation
+exports.PID_HLINKS            = 21; // DocumentSummaryInformation
+exports.PID_HYPERLINKSCHANGED = 22; // DocumentSummaryInformation
+exports.PID_KEYWORDS          = 5;  // SummaryInformation
+exports.PID_LANGUAGE          = 28; // DocumentSummaryInformation
+exports.PID_LASTAUTHOR        = 8;  // SummaryInformation
+exports.PID_LASTPRINTED       = 11; // SummaryInformation
+exports.PID_LASTSAVE_DTM      = 13; // SummaryInformation
+exports.PID_LINECOUNT         = 5;  // DocumentSummaryInformation
+exports.PID_LINKBASE          = 20; // DocumentSummaryInformation
+exports.PID_LINKSDIRTY        = 16; // DocumentSummaryInformation
+exports.PID_LOCALE            = 0x80000000;
+exports.PID_MANAGER           = 14; // DocumentSummaryInformation
+exports.PID_MAX               = 16;
+exports.PID_MMCLIPCOUNT       = 10; // DocumentSummaryInformation
+exports.PID_NOTECOUNT         = 8;  // DocumentSummaryInformation
+exports.PID_PAGECOUNT         = 14; // SummaryInformation
+exports.PID_PARCOUNT          = 6;  // DocumentSummaryInformation
+exports.PID_PRESFORMAT        = 3;  // DocumentSummaryInformation
+exports.PID_REVNUMBER         = 9;  // SummaryInformation
+exports.PID_SCALE             = 11; // DocumentSummaryInformation
+exports.PID_SECURITY          = 19; // SummaryInformation. Bit field values:
+                                    //  0 - no security
+                                    //  1 - Password protected
+                                    //  2 - read-only recommended
+                                    //  4 - read-only enforced
+                                    //  8 - locked for annotations
+exports.PID_SHAREDDOC         = 19; // DocumentSummaryInformation
+exports.PID_SLIDECOUNT        = 7;  // DocumentSummaryInformation
+exports.PID_SUBJECT           = 3;  // SummaryInformation
+exports.PID_TEMPLATE          = 7;  // SummaryInformation
+exports.PID_THUMBNAIL         = 17; // SummaryInformation
+exports.PID_TITLE             = 2;  // SummaryInformation
+exports.PID_VERSION           = 23; // DocumentSummaryInformation
+exports.PID_WORDCOUNT         = 15; // SummaryInformation
+
+// Codepages for stream property id 1
+exports.CP_037                     = 37;
+exports.CP_EUC_JP                  = 51932;
+exports.CP_EUC_KR                  = 51949;
+exports.CP_GB18030                 = 54936;
+exports.CP_GB2312                  = 52936;
+exports.CP_GBK                     = 936;
+exports.CP_ISO_2022_JP1            = 50220;
+exports.CP_ISO_2022_JP2            = 50221;
+exports.CP_ISO_2022_JP3            = 50222;
+exports.CP_ISO_2022_KR             = 50225;
+exports.CP_ISO_8859_1              = 28591;
+exports.CP_ISO_8859_2              = 28592;
+exports.CP_ISO_8859_3              = 28593;
+exports.CP_ISO_8859_4              = 28594;
+exports.CP_ISO_8859_5              = 28595;
+exports.CP_ISO_8859_6              = 28596;
+exports.CP_ISO_8859_7              = 28597;
+exports.CP_ISO_8859_8              = 28598;
+exports.CP_ISO_8859_9              = 28599;
+exports.CP_JOHAB                   = 1361;
+exports.CP_KOI8_R                  = 20866;
+exports.CP_MAC_ARABIC              = 10004;
+exports.CP_MAC_CENTRAL_EUROPE      = 10029;
+exports.CP_MAC_CHINESE_SIMPLE      = 10008;
+exports.CP_MAC_CHINESE_TRADITIONAL = 10002;
+exports.CP_MAC_CROATIAN            = 10082;
+exports.CP_MAC_CYRILLIC            = 10007;
+exports.CP_MAC_GREEK               = 10006;
+exports.CP_MAC_HEBREW              = 10005;
+exports.CP_MAC_ICELAND             = 10079;
+exports.CP_MAC_JAPAN               = 10001;
+exports.CP_MAC_KOREAN              = 10003;
+exports.CP_MAC_ROMAN               = 10000;
+exports.CP_MAC_ROMANIA             = 10010;
+exports.CP_MAC_THAI                = 10021;
+exports.CP_MAC_TURKISH             = 10081;
+exports.CP_MAC_UKRAINE             = 10017;
+exports.CP_MS949                   = 949;
+exports.CP_SJIS                    = 932;
+exports.CP_UNICODE                 = 1200;
+exports.CP_US_ASCII                = 20127;
+exports.CP_US_ASCII2               = 65000;
+exports.CP_UTF16                   = 1200;
+exports.CP_UTF16_BE                = 1201;
+exports.CP_UTF8                    = 65001;
+exports.CP_WINDOWS_1250            = 1250;
+exports.CP_WINDOWS_1251            = 1251;
+exports.CP_WINDOWS_1252            = 1252;
+exports.CP_WINDOWS_1253            = 1253;
+exports.CP_WINDOWS_1254            = 1254;
+exports.CP_WINDOWS_1255            = 1255;
+exports.CP_WINDOWS_1256            = 1256;
+exports.CP_WINDOWS_1257            = 1257;
+exports.CP_WINDOWS_1258            = 1258;
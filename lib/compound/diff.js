@@ -0,0 +1,466 @@
+var crypto = require('crypto'),
+    Parser = require('./index'), Scheduler = require('../scheduler'),
+    metadata = require('./metadata'), utils = require('./utils');
+
+// Changed streams are compared this many bytes at a time
+var CHUNK_SIZE = 64 * 1024;
+
+var DEFAULT_MAX_RANGES = 1000;
+
+/*
+  Compares two parsed compound files, matching entries by path, and passes
+  the differences to `cb` (or returns a Promise for them if `cb` is not
+  given). `options` is optional and can contain:
+
+    maxRanges - maximum number of differing byte ranges to report per stream
+                (default: 1000)
+
+  The result only holds plain values, so it can be stored as JSON:
+
+    added     - entries only found in `b`, each with a `path`, a `type`
+                ('storage' or 'stream') and the `size` of streams. Storages
+                are followed by everything below them
+    removed   - entries only found in `a`, in the same format
+    renamed   - entries renamed within the same storage, each with the
+                `from` and `to` paths and a `type`. Streams count as renamed
+                if their contents are identical, storages if their CLSIDs
+                and the names of their children are. Renamed storages are
+                compared like any other storage found in both files
+    changed   - entries found in both files that differ, each with a `path`
+                (in `b`), a `type` and any of:
+                  classId         - { from, to } CLSIDs in registry format
+                  created,
+                  modified        - { from, to } ISO 8601 timestamps or null
+                  size            - { from, to } stream sizes
+                  hash            - { from, to } SHA-256 hashes of the
+                                    stream contents (hex)
+                  ranges          - the byte ranges that differ, each
+                                    { start, end } with `end` exclusive.
+                                    Bytes only one of the streams has count
+                                    as different
+                  rangesTruncated - true if there were more than
+                                    `maxRanges` ranges
+                  properties      - for property set streams, the
+                                    properties that differ, each with the
+                                    `fmtId` of the section, the property
+                                    `id`, its `name` (see
+                                    metadata.propertyName()) and the `from`
+                                    and `to` values. `from` or `to` is left
+                                    out for added and removed properties
+    unchanged - number of streams found in both files with identical
+                contents
+
+  Streams are hashed as they are read, so identical streams are never held
+  in memory. Only streams that differ are compared, a chunk at a time.
+*/
+Parser.diff = function(a, b, options, cb) {
+  if (typeof options === 'function') {
+    cb = options;
+    options = undefined;
+  }
+  options = options || {};
+  return utils.callbackOrPromise(cb, function(cb) {
+    var ctx = {
+      a: a,
+      b: b,
+      maxRanges: (options.maxRanges === undefined ? DEFAULT_MAX_RANGES
+                                                  : options.maxRanges),
+      records: new Array(),
+      groups: new Array(),
+      hashes: { a: new Map(), b: new Map() },
+      result: {
+        added: new Array(),
+        removed: new Array(),
+        renamed: new Array(),
+        changed: new Array(),
+        unchanged: 0
+      }
+    }, work;
+
+    work = new Scheduler(Math.min(a.options.concurrency,
+                                  b.options.concurrency), function(err) {
+      if (err)
+        return cb(err);
+      ctx.groups.forEach(function(group) {
+        matchStreams(ctx, group);
+      });
+      ctx.records.forEach(function(record) {
+        if (Object.keys(record).length > 2)
+          ctx.result.changed.push(record);
+      });
+      cb(undefined, ctx.result);
+    });
+    ctx.work = work;
+    compare(ctx, a.dir, b.dir, '/');
+    work.go();
+  });
+};
+
+/*
+  Compares two entries of the same type found at the same path (or renamed),
+  queueing the comparison of stream contents
+*/
+function compare(ctx, ea, eb, path) {
+  var record = { path: path, type: typeOf(eb) };
+  ctx.records.push(record);
+  change(record, 'classId', guid(ea.classId), guid(eb.classId));
+  change(record, 'created', timestamp(ea.createTS), timestamp(eb.createTS));
+  change(record, 'modified', timestamp(ea.modifyTS),
+         timestamp(eb.modifyTS));
+  if (record.type === 'storage')
+    return compareChildren(ctx, ea, eb, (path === '/' ? '' : path));
+  change(record, 'size', ea.size, eb.size);
+  ctx.work.push(function(done) {
+    compareStreams(ctx, ea, eb, record, done);
+  });
+}
+
+// Matches up the children of two storages by name, which is not case
+// sensitive
+function compareChildren(ctx, sa, sb, path) {
+  var byName = new Object(), matched = new Object(),
+      group = { path: path, a: new Array(), b: new Array() };
+  ctx.groups.push(group);
+  sb.children.forEach(function(child) {
+    byName['/' + utils.upperName(child.name)] = child;
+  });
+  sorted(sa.children).forEach(function(child) {
+    var key = '/' + utils.upperName(child.name), other = byName[key];
+    if (other && typeOf(other) === typeOf(child)) {
+      matched[key] = other;
+      compare(ctx, child, other, path + '/' + other.name);
+    } else
+      group.a.push(child);
+  });
+  sorted(sb.children).forEach(function(child) {
+    if (matched['/' + utils.upperName(child.name)] !== child)
+      group.b.push(child);
+  });
+
+  // storages can be matched right away, streams once they are hashed
+  group.a = group.a.filter(function(child) {
+    var other;
+    if (typeOf(child) !== 'storage')
+      return true;
+    other = findRenamedStorage(child, group.b);
+    if (!other)
+      return true;
+    group.b.splice(group.b.indexOf(other), 1);
+    ctx.result.renamed.push({ from: path + '/' + child.name,
+                              to: path + '/' + other.name,
+                              type: 'storage' });
+    compare(ctx, child, other, path + '/' + other.name);
+    return false;
+  });
+
+  hashCandidates(ctx, 'a', group.a, group.b);
+  hashCandidates(ctx, 'b', group.b, group.a);
+}
+
+// Queues hashing the streams of `side` that may have been renamed to one of
+// the `others`
+function hashCandidates(ctx, side, children, others) {
+  children.forEach(function(child) {
+    if (typeOf(child) === 'stream' && hasSameSize(child, others)) {
+      ctx.work.push(function(done) {
+        hash(ctx, side, child, function(err) {
+          done(err);
+        });
+      });
+    }
+  });
+}
+
+function findRenamedStorage(storage, candidates) {
+  var names = childNames(storage);
+  for (var i=0,len=candidates.length; i<len; ++i) {
+    if (typeOf(candidates[i]) === 'storage'
+        && guid(candidates[i].classId) === guid(storage.classId)
+        && childNames(candidates[i]) === names)
+      return candidates[i];
+  }
+}
+
+function hasSameSize(stream, candidates) {
+  return candidates.some(function(other) {
+    return typeOf(other) === 'stream' && other.size === stream.size;
+  });
+}
+
+/*
+  Pairs up the unmatched streams of a storage with identical contents as
+  renames. Whatever is left was added or removed.
+*/
+function matchStreams(ctx, group) {
+  var hashes = ctx.hashes, rest = group.b.slice();
+  group.a.forEach(function(child) {
+    var other;
+    if (typeOf(child) === 'stream' && hashes.a.has(child)) {
+      for (var i=0,len=rest.length; i<len; ++i) {
+        if (typeOf(rest[i]) === 'stream' && rest[i].size === child.size
+            && hashes.b.get(rest[i]) === hashes.a.get(child)) {
+          other = rest.splice(i, 1)[0];
+          break;
+        }
+      }
+    }
+    if (other) {
+      ctx.result.renamed.push({ from: group.path + '/' + child.name,
+                                to: group.path + '/' + other.name,
+                                type: 'stream' });
+    } else
+      list(ctx.result.removed, child, group.path + '/' + child.name);
+  });
+  rest.forEach(function(child) {
+    list(ctx.result.added, child, group.path + '/' + child.name);
+  });
+}
+
+// Adds an entry and, for storages, everything below it to `entries`
+function list(entries, entry, path) {
+  var item = { path: path, type: typeOf(entry) };
+  if (item.type === 'stream')
+    item.size = entry.size;
+  entries.push(item);
+  if (item.type === 'storage') {
+    sorted(entry.children).forEach(function(child) {
+      list(entries, child, path + '/' + child.name);
+    });
+  }
+}
+
+function compareStreams(ctx, ea, eb, record, cb) {
+  hash(ctx, 'a', ea, function(err, hashA) {
+    if (err)
+      return cb(err);
+    hash(ctx, 'b', eb, function(err, hashB) {
+      if (err)
+        return cb(err);
+      if (hashA === hashB) {
+        ++ctx.result.unchanged;
+        return cb();
+      }
+      record.hash = { from: hashA, to: hashB };
+      diffRanges(ctx, ea, eb, function(err, ranges, truncated) {
+        if (err)
+          return cb(err);
+        record.ranges = ranges;
+        if (truncated)
+          record.rangesTruncated = true;
+        if (eb.name.charAt(0) !== '\x05')
+          return cb();
+        diffPropertySets(ctx, ea, eb, function(err, properties) {
+          if (properties)
+            record.properties = properties;
+          cb(err);
+        });
+      });
+    });
+  });
+}
+
+// Passes the SHA-256 hash of a stream of parser `side` to `cb`
+function hash(ctx, side, entry, cb) {
+  var hashes = ctx.hashes[side], sha, input;
+  if (hashes.has(entry))
+    return cb(undefined, hashes.get(entry));
+  sha = crypto.createHash('sha256');
+  input = ctx[side].createReadStream(entry);
+  input.on('data', function(data) {
+    sha.update(data);
+  });
+  input.on('error', cb);
+  input.on('end', function() {
+    var digest = sha.digest('hex');
+    hashes.set(entry, digest);
+    cb(undefined, digest);
+  });
+}
+
+/*
+  Reads two streams side by side and passes the byte ranges that differ to
+  `cb`, along with whether there were more than `ctx.maxRanges` of them
+*/
+function diffRanges(ctx, ea, eb, cb) {
+  var ranges = new Array(), truncated = false, pos = 0, start = -1,
+      common = Math.min(ea.size, eb.size);
+
+  function add(start, end) {
+    var last = ranges[ranges.length - 1];
+    if (last && last.end === start)
+      last.end = end;
+    else if (ranges.length < ctx.maxRanges)
+      ranges.push({ start: start, end: end });
+    else
+      truncated = true;
+  }
+
+  (function next() {
+    var len = Math.min(CHUNK_SIZE, common - pos);
+    if (len <= 0) {
+      if (start !== -1)
+        add(start, common);
+      if (ea.size !== eb.size)
+        add(common, Math.max(ea.size, eb.size));
+      return cb(undefined, ranges, truncated);
+    }
+    ctx.a.readRange(ea, pos, len, function(err, bufA) {
+      if (err)
+        return cb(err);
+      ctx.b.readRange(eb, pos, len, function(err, bufB) {
+        if (err)
+          return cb(err);
+        if (start === -1 && bufA.equals(bufB)) {
+          pos += len;
+          return process.nextTick(next);
+        }
+        for (var i=0; i<len; ++i) {
+          if (bufA[i] !== bufB[i]) {
+            if (start === -1)
+              start = pos + i;
+          } else if (start !== -1) {
+            add(start, pos + i);
+            start = -1;
+          }
+        }
+        pos += len;
+        // reads served from the cache may complete synchronously
+        process.nextTick(next);
+      });
+    });
+  })();
+}
+
+/*
+  Passes the properties that differ between two property set streams to
+  `cb`, or undefined if either stream is not a valid property set
+*/
+function diffPropertySets(ctx, ea, eb, cb) {
+  ctx.a.getProperties(ea, function(err, pa) {
+    if (err || !pa)
+      return cb();
+    ctx.b.getProperties(eb, function(err, pb) {
+      var ret = new Array(), seen = new Object();
+      if (err || !pb)
+        return cb();
+      pa.sections.concat(pb.sections).forEach(function(section) {
+        var fmtId = guid(section.fmtId);
+        if (seen[fmtId])
+          return;
+        seen[fmtId] = true;
+        diffSections(fmtId, findSection(pa, fmtId), findSection(pb, fmtId),
+                     ret);
+      });
+      cb(undefined, ret);
+    });
+  });
+}
+
+function diffSections(fmtId, sa, sb, ret) {
+  var empty = { fmtId: (sa || sb).fmtId, items: new Object() },
+      ids = new Array();
+  sa = sa || empty;
+  sb = sb || empty;
+  [sa, sb].forEach(function(section) {
+    for (var key in section.items) {
+      if (ids.indexOf(+key) === -1)
+        ids.push(+key);
+    }
+  });
+  ids.sort(function(a, b) {
+    return a - b;
+  });
+  if (JSON.stringify(plain(sa.dictionary)) !==
+      JSON.stringify(plain(sb.dictionary)))
+    ids.unshift(0);
+
+  ids.forEach(function(id) {
+    var item = { fmtId: fmtId, id: id,
+                 name: (metadata.propertyName(sb, id)
+                        || metadata.propertyName(sa, id)) },
+        from, to;
+    if (id === 0) {
+      from = (sa.dictionary ? plain(sa.dictionary) : undefined);
+      to = (sb.dictionary ? plain(sb.dictionary) : undefined);
+    } else {
+      from = (sa.items[id] ? plain(sa.items[id].value) : undefined);
+      to = (sb.items[id] ? plain(sb.items[id].value) : undefined);
+      if (sa.items[id] && sb.items[id]
+          && sa.items[id].type === sb.items[id].type
+          && JSON.stringify(from) === JSON.stringify(to))
+        return;
+    }
+    if (from !== undefined)
+      item.from = from;
+    if (to !== undefined)
+      item.to = to;
+    ret.push(item);
+  });
+}
+
+function findSection(props, fmtId) {
+  for (var i=0,len=props.sections.length; i<len; ++i) {
+    if (guid(props.sections[i].fmtId) === fmtId)
+      return props.sections[i];
+  }
+}
+
+// Turns property values into values JSON can represent
+function plain(value) {
+  var ret;
+  if (typeof value === 'bigint' || value instanceof utils.FixedPoint)
+    return value.toString();
+  if (Buffer.isBuffer(value))
+    return value.toString('base64');
+  if (value instanceof Date)
+    return timestamp(value);
+  if (Array.isArray(value))
+    return value.map(plain);
+  if (value && typeof value === 'object') {
+    ret = new Object();
+    for (var k in value)
+      ret[k] = plain(value[k]);
+    return ret;
+  }
+  return value;
+}
+
+// Sets record[key] to { from, to } if the two values differ
+function change(record, key, from, to) {
+  if (from !== to)
+    record[key] = { from: from, to: to };
+}
+
+function typeOf(entry) {
+  return (Array.isArray(entry.children) ? 'storage' : 'stream');
+}
+
+function sorted(entries) {
+  return entries.slice().sort(function(a, b) {
+    return utils.compareNames(a.name, b.name);
+  });
+}
+
+function childNames(storage) {
+  return sorted(storage.children).map(function(child) {
+    return utils.upperName(child.name);
+  }).join('/');
+}
+
+// Formats a CLSID in registry format
+function guid(classId) {
+  var hex = '';
+  for (var i=0,b; i<16; ++i) {
+    b = (classId ? classId[i] : 0);
+    if (i === 4 || i === 6 || i === 8 || i === 10)
+      hex += '-';
+    hex += (b < 16 ? '0' : '') + b.toString(16);
+  }
+  return '{' + hex.toUpperCase() + '}';
+}
+
+function timestamp(date) {
+  return (date instanceof Date && !isNaN(date.getTime())
+          ? date.toISOString()
+          : null);
+}
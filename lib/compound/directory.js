@@ -0,0 +1,141 @@
+var consts = require('./constants'), utils = require('./utils');
+
+var NOSTREAM = consts.NOSTREAM,
+    ENDOFCHAIN = consts.ENDOFCHAIN,
+    STGTY_STORAGE = consts.STGTY_STORAGE,
+    STGTY_STREAM = consts.STGTY_STREAM,
+    STGTY_ROOT = consts.STGTY_ROOT;
+
+var ENTRY_SIZE = 128,
+    MAX_NAME_LENGTH = 31;
+
+/*
+  Flattens a storage tree (the same shape as the `dir` tree produced by the
+  parser: storages have a `children` array, streams do not) into an array of
+  directory nodes indexed by SID. Siblings within each storage are linked
+  together as a balanced red-black tree.
+
+  Each node has the format:
+
+    entry   - the tree entry the node was created from
+    type    - one of STGTY_* values
+    left    - SID of left sibling
+    right   - SID of right sibling
+    child   - SID of root of children (storages only)
+    black   - true for black nodes, false for red nodes
+    sect    - SECT of stream start (filled in by the caller)
+    size    - size of stream (filled in by the caller)
+*/
+exports.build = function(root) {
+  var nodes = [], queue = [];
+
+  function add(entry, type) {
+    nodes.push({
+      entry: entry,
+      type: type,
+      left: NOSTREAM,
+      right: NOSTREAM,
+      child: NOSTREAM,
+      black: true,
+      sect: ENDOFCHAIN,
+      size: 0
+    });
+    if (type !== STGTY_STREAM)
+      queue.push(nodes.length - 1);
+    return nodes.length - 1;
+  }
+
+  add(root, STGTY_ROOT);
+  while (queue.length) {
+    var parent = nodes[queue.shift()],
+        children = parent.entry.children.slice(),
+        sids = new Array(children.length);
+    for (var i=0,len=children.length; i<len; ++i)
+      checkName(children[i].name);
+    children.sort(function(a, b) {
+      return utils.compareNames(a.name, b.name);
+    });
+    for (var i=0,len=children.length; i<len; ++i) {
+      if (i > 0 && utils.compareNames(children[i-1].name,
+                                      children[i].name) === 0) {
+        throw new Error('Duplicate entry name in storage: '
+                        + children[i].name);
+      }
+      sids[i] = add(children[i], (Array.isArray(children[i].children)
+                                  ? STGTY_STORAGE : STGTY_STREAM));
+    }
+    parent.child = balance(nodes, sids, 0, sids.length - 1, 0,
+                           Math.floor(Math.log(sids.length) / Math.LN2));
+  }
+
+  return nodes;
+};
+
+/*
+  Serializes a single directory node into `buf` at `offset`. Passing no node
+  writes an unused entry.
+*/
+exports.write = function(buf, offset, node) {
+  buf.fill(0, offset, offset + ENTRY_SIZE);
+  if (!node) {
+    buf.writeUInt32LE(NOSTREAM, offset + 68, true);
+    buf.writeUInt32LE(NOSTREAM, offset + 72, true);
+    buf.writeUInt32LE(NOSTREAM, offset + 76, true);
+    return;
+  }
+  var entry = node.entry,
+      name = (node.type === STGTY_ROOT ? 'Root Entry' : entry.name);
+  buf.write(name, offset, name.length * 2, 'ucs2');
+  buf.writeUInt16LE((name.length + 1) * 2, offset + 64, true);
+  buf[offset + 66] = node.type;
+  buf[offset + 67] = (node.black ? 1 : 0);
+  buf.writeUInt32LE(node.left, offset + 68, true);
+  buf.writeUInt32LE(node.right, offset + 72, true);
+  buf.writeUInt32LE(node.child, offset + 76, true);
+  if (node.type !== STGTY_STREAM) {
+    if (entry.classId) {
+      var clsid = utils.makeClsId(entry.classId);
+      for (var i=0; i<16; ++i)
+        buf[offset + 80 + i] = clsid[i];
+    }
+    buf.writeUInt32LE(entry.userFlags || 0, offset + 96, true);
+    // the root entry must not have a creation time
+    if (node.type === STGTY_STORAGE)
+      utils.writeFileTime(buf, offset + 100, entry.createTS);
+    utils.writeFileTime(buf, offset + 108, entry.modifyTS);
+  }
+  if (node.type !== STGTY_STORAGE) {
+    buf.writeUInt32LE(node.sect, offset + 116, true);
+    buf.writeUInt32LE(node.size % 0x100000000, offset + 120, true);
+    buf.writeUInt32LE(Math.floor(node.size / 0x100000000), offset + 124,
+                      true);
+  }
+};
+
+exports.ENTRY_SIZE = ENTRY_SIZE;
+
+function checkName(name) {
+  if (typeof name !== 'string' || !name.length)
+    throw new Error('Entry names must be non-empty strings');
+  if (name.length > MAX_NAME_LENGTH)
+    throw new Error('Entry name is longer than 31 characters: ' + name);
+  if (/[\/\\:!]/.test(name))
+    throw new Error('Entry name contains an illegal character: ' + name);
+}
+exports.checkName = checkName;
+
+/*
+  Builds a balanced binary search tree out of the (sorted) SIDs between `lo`
+  and `hi`. Because every level but the deepest is full, coloring only the
+  nodes on the deepest level red keeps the black height the same on every
+  path, which makes it a valid red-black tree.
+*/
+function balance(nodes, sids, lo, hi, depth, maxDepth) {
+  if (lo > hi)
+    return NOSTREAM;
+  var mid = (lo + hi) >>> 1, node = nodes[sids[mid]];
+  node.black = (depth === 0 || depth < maxDepth);
+  node.left = balance(nodes, sids, lo, mid - 1, depth + 1, maxDepth);
+  node.right = balance(nodes, sids, mid + 1, hi, depth + 1, maxDepth);
+  return sids[mid];
+}
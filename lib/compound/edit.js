@@ -0,0 +1,624 @@
+var fs = require('fs'),
+    Scheduler = require('../scheduler'),
+    Parser = require('./index'), Writer = require('./writer'),
+    consts = require('./constants'), directory = require('./directory'),
+    utils = require('./utils'), sources = require('./source'),
+    propset = require('./propset');
+
+var DIFSECT = consts.DIFSECT,
+    FATSECT = consts.FATSECT,
+    ENDOFCHAIN = consts.ENDOFCHAIN,
+    FREESECT = consts.FREESECT,
+    STGTY_STREAM = consts.STGTY_STREAM,
+    STGTY_ROOT = consts.STGTY_ROOT;
+
+var HEADER_DIFAT_COUNT = 109,
+    COPY_CHUNK_SIZE = 1024 * 1024;
+
+/*
+  Editing works on the parsed FAT, mini FAT and `dir` tree in memory. New
+  stream contents are kept in memory until the file is saved, at which point
+  they are written to sectors freed by earlier edits (or appended to the end
+  of the file) and the directory, mini FAT, FAT, DIF and header are rewritten.
+
+  Entries can be given as entry objects, stream IDs or paths.
+
+  Saving is transactional: all writes happen on a copy of the original file
+  which is only renamed over the destination once everything has been written
+  and flushed to disk, so a crash leaves either the old or the new file.
+*/
+
+Parser.prototype.addStorage = function(parent, name) {
+  parent = this._lookup(parent);
+  var now = new Date(), entry = {
+    name: name,
+    children: [],
+    classId: [0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0],
+    userFlags: 0,
+    createTS: now,
+    modifyTS: now
+  };
+  this._addEntry(parent, entry);
+  return entry;
+};
+
+Parser.prototype.addStream = function(parent, name, data) {
+  var entry = {
+    name: name,
+    sect: ENDOFCHAIN,
+    size: 0
+  };
+  checkData(data);
+  this._addEntry(this._lookup(parent), entry);
+  this.replaceStream(entry, data);
+  return entry;
+};
+
+Parser.prototype.replaceStream = function(entry, data) {
+  entry = this._lookup(entry);
+  if (!entry || isStorage(entry))
+    throw new Error('Entry is not a stream');
+  checkData(data);
+  this._freeEntry(entry);
+  entry.sect = ENDOFCHAIN;
+  entry.size = data.length;
+  this._pending.push({ entry: entry, data: data });
+};
+
+/*
+  Replaces the contents of a stream entry with the property set `props` (see
+  propset.serialize()). The entry's `properties` are read back from the new
+  contents.
+*/
+Parser.prototype.setProperties = function(entry, props) {
+  var data = propset.serialize(props);
+  entry = this._lookup(entry);
+  this.replaceStream(entry, data);
+  entry.properties = propset.parse(data);
+};
+
+/*
+  Changes the size of a stream. Streams that shrink without moving out of the
+  regular FAT or the mini stream are cut in place, anything else is read back
+  in and rewritten (zero-padded if it grew).
+*/
+Parser.prototype.truncateStream = function(entry, size, cb) {
+  var self = this, cutoff = this.header.maxMiniStreamSize, data, sects, mini,
+      bytes, keep;
+  entry = this._lookup(entry);
+  if (!entry || isStorage(entry))
+    return cb(new Error('Entry is not a stream'));
+  if (typeof size !== 'number' || size < 0 || size % 1 !== 0)
+    return cb(new Error('Invalid stream size: ' + size));
+
+  if ((data = this._getPending(entry))) {
+    this.replaceStream(entry, resize(data, size));
+    return cb();
+  }
+
+  if (size <= entry.size
+      && (size === 0 || (size < cutoff) === (entry.size < cutoff))) {
+    mini = (entry.size < cutoff);
+    bytes = (mini ? this.header.miniSectorSize : this.header.sectorSize);
+    keep = Math.ceil(size / bytes);
+    try {
+      sects = (entry.size > 0 ? this._chain(entry.sect, mini) : []);
+    } catch (err) {
+      return cb(err);
+    }
+    if (keep > 0)
+      (mini ? this.miniFAT : this.FAT)[sects[keep - 1]] = ENDOFCHAIN;
+    else
+      entry.sect = ENDOFCHAIN;
+    this._freeSects(sects.slice(keep), mini);
+    entry.size = size;
+    entry.properties = undefined;
+    return cb();
+  }
+
+  this.readRange(entry, 0, entry.size, function(err, data) {
+    if (err)
+      return cb(err);
+    self.replaceStream(entry, resize(data, size));
+    cb();
+  });
+};
+
+Parser.prototype.rename = function(entry, name) {
+  entry = this._lookup(entry);
+  var parent = findParent(this.dir, entry);
+  if (!parent)
+    throw new Error('Entry is not part of this file');
+  directory.checkName(name);
+  checkUnique(parent, name, entry);
+  entry.name = name;
+};
+
+Parser.prototype.remove = function(entry) {
+  entry = this._lookup(entry);
+  var parent = findParent(this.dir, entry);
+  if (!parent)
+    throw new Error('Entry is not part of this file');
+  this._freeEntry(entry);
+  this._forgetEntry(entry);
+  parent.children.splice(parent.children.indexOf(entry), 1);
+  this._setParent(entry, undefined);
+};
+
+Parser.prototype.save = function(cb) {
+  this._commit(this.path, cb);
+};
+
+Parser.prototype.saveAs = function(path, cb) {
+  this._commit(path, cb);
+};
+
+Parser.prototype._addEntry = function(parent, entry) {
+  if (!parent || !isStorage(parent))
+    throw new Error('Parent entry is not a storage');
+  if (parent !== this.dir && !findParent(this.dir, parent))
+    throw new Error('Parent entry is not part of this file');
+  directory.checkName(entry.name);
+  checkUnique(parent, entry.name);
+  parent.children.push(entry);
+  this._setParent(entry, parent);
+  // new entries get IDs right away, they are renumbered when saving
+  this.entries.push(entry);
+};
+
+Parser.prototype._getPending = function(entry) {
+  for (var i=0,len=this._pending.length; i<len; ++i) {
+    if (this._pending[i].entry === entry)
+      return this._pending[i].data;
+  }
+};
+
+// Releases all sectors (and pending data) belonging to an entry and, for
+// storages, all of its descendants
+// Frees the sectors of an entry and its descendants, and forgets what was
+// read from them
+Parser.prototype._freeEntry = function(entry) {
+  if (isStorage(entry)) {
+    for (var i=0,len=entry.children.length; i<len; ++i)
+      this._freeEntry(entry.children[i]);
+    return;
+  }
+  entry.properties = undefined;
+  for (var i=this._pending.length-1; i>=0; --i) {
+    if (this._pending[i].entry === entry)
+      this._pending.splice(i, 1);
+  }
+  if (entry.size > 0 && entry.sect !== ENDOFCHAIN) {
+    var mini = (entry.size < this.header.maxMiniStreamSize);
+    this._freeSects(this._chain(entry.sect, mini), mini);
+  }
+};
+
+// Invalidates the stream IDs of a removed entry and its descendants
+Parser.prototype._forgetEntry = function(entry) {
+  var id = this.entries.indexOf(entry);
+  if (id !== -1)
+    this.entries[id] = undefined;
+  if (isStorage(entry)) {
+    for (var i=0,len=entry.children.length; i<len; ++i)
+      this._forgetEntry(entry.children[i]);
+  }
+};
+
+Parser.prototype._freeSects = function(sects, mini) {
+  var table = (mini ? this.miniFAT : this.FAT),
+      freed = (mini ? this._freedMini : this._freed);
+  for (var i=0,len=sects.length; i<len; ++i) {
+    table[sects[i]] = FREESECT;
+    freed.push(sects[i]);
+  }
+};
+
+Parser.prototype._commit = function(path, cb) {
+  var self = this, fd,
+      tmp = path + '.' + process.pid + '-' + Date.now() + '.tmp',
+      layout;
+
+  if (typeof path !== 'string')
+    return cb(new Error('No destination path to save to'));
+
+  var work = new Scheduler(function(err) {
+    if (err) {
+      if (fd !== undefined)
+        fs.close(fd, function() {});
+      return fs.unlink(tmp, function() {
+        cb(err);
+      });
+    }
+    self._applyLayout(layout);
+    self.path = path;
+    self.close(function() {
+      sources.FileSource.open(path, function(err, source) {
+        self.source = source;
+        if (source) {
+          // the file may have grown or shrunk
+          self._nSects = Math.ceil(source.size / self.header.sectorSize) - 1;
+          self._miniFATsects = (self.miniFAT
+                                ? self._chain(self.header.sectMiniFAT)
+                                : undefined);
+        }
+        cb(err);
+      });
+    });
+  });
+  work.push(function(done) {
+    copySource(self.source, tmp, done);
+  });
+  work.push(function(done) {
+    fs.open(tmp, 'r+', function(err, fd_) {
+      fd = fd_;
+      done(err);
+    });
+  });
+  work.push(function(done) {
+    var writes = new Scheduler(self.options.concurrency, done);
+    layout = self._layout();
+    layout.writes.forEach(function(w) {
+      writes.push(function(done) {
+        fs.write(fd, w.data, 0, w.data.length, w.pos, function(err) {
+          done(err);
+        });
+      });
+    });
+    writes.go();
+  });
+  work.push(function(done) {
+    fs.fsync(fd, done);
+  });
+  work.push(function(done) {
+    fs.close(fd, function(err) {
+      fd = undefined;
+      done(err);
+    });
+  });
+  work.push(function(done) {
+    fs.rename(tmp, path, done);
+  });
+  work.go();
+};
+
+/*
+  Works out where all pending data goes and which sectors need to be written,
+  without touching any of the parser's state. Returns an object with the
+  format:
+
+    writes   - array of { pos, data } describing every write to make
+    FAT      - the new FAT
+    miniFAT  - the new mini FAT
+    header   - the new values of the header fields that may change
+    sects    - array of { entry, sect, size } for every stream that moved
+    entries  - all entries, indexed by their new stream IDs
+*/
+Parser.prototype._layout = function() {
+  var header = this.header, sectorSize = header.sectorSize,
+      miniSize = header.miniSectorSize, cutoff = header.maxMiniStreamSize,
+      perSect = sectorSize / 4, root = this.dir,
+      FAT = this.FAT.slice(), miniFAT = (this.miniFAT || []).slice(),
+      FATsects = header.FATsects.slice(), DIFsects = header.DIFsects.slice(),
+      rootSects = (root.sect !== ENDOFCHAIN ? this._chain(root.sect) : []),
+      miniFATsects = (header.sectMiniFAT !== ENDOFCHAIN
+                      ? this._chain(header.sectMiniFAT)
+                      : []),
+      dirSects = this._chain(header.sectDir),
+      writes = [], miniWrites = [], moved = [], freeHint = 0, miniHint = 0,
+      i, len, j, n, sects, buf, data;
+
+  function offset(sect) {
+    return (sect + 1) * sectorSize;
+  }
+
+  function allocSect() {
+    for (var i=freeHint,len=FAT.length; i<len; ++i) {
+      if (FAT[i] === FREESECT) {
+        freeHint = i + 1;
+        FAT[i] = ENDOFCHAIN;
+        return i;
+      }
+    }
+    // grow the FAT by one sector, placing the new FAT sector right at the
+    // start of the range of sectors it describes
+    var sect = FAT.length;
+    for (i=0; i<perSect; ++i)
+      FAT.push(FREESECT);
+    FAT[sect] = FATSECT;
+    FATsects.push(sect);
+    return allocSect();
+  }
+
+  function allocMiniSect() {
+    for (var i=miniHint,len=miniFAT.length; i<len; ++i) {
+      if (miniFAT[i] === FREESECT) {
+        miniHint = i + 1;
+        miniFAT[i] = ENDOFCHAIN;
+        return i;
+      }
+    }
+    for (i=0; i<perSect; ++i)
+      miniFAT.push(FREESECT);
+    return allocMiniSect();
+  }
+
+  function link(table, sects) {
+    for (var i=0,len=sects.length; i<len; ++i)
+      table[sects[i]] = (i === len - 1 ? ENDOFCHAIN : sects[i + 1]);
+  }
+
+  function tableSector(table, i) {
+    var buf = Buffer.alloc(sectorSize, 0xFF);
+    for (var j=0,k=i*perSect; j<perSect && k<table.length; ++j,++k)
+      buf.writeUInt32LE(table[k], j * 4, true);
+    return buf;
+  }
+
+  // stream data
+  for (i=0,len=this._pending.length; i<len; ++i) {
+    data = this._pending[i].data;
+    n = data.length;
+    if (n === 0) {
+      moved.push({ entry: this._pending[i].entry, sect: ENDOFCHAIN, size: 0 });
+      continue;
+    }
+    sects = [];
+    if (n >= cutoff) {
+      for (j=Math.ceil(n / sectorSize); j>0; --j)
+        sects.push(allocSect());
+      link(FAT, sects);
+      for (j=0; j<sects.length; ++j) {
+        buf = Buffer.alloc(sectorSize);
+        data.copy(buf, 0, j * sectorSize, (j + 1) * sectorSize);
+        writes.push({ pos: offset(sects[j]), data: buf });
+      }
+    } else {
+      for (j=Math.ceil(n / miniSize); j>0; --j)
+        sects.push(allocMiniSect());
+      link(miniFAT, sects);
+      for (j=0; j<sects.length; ++j) {
+        buf = Buffer.alloc(miniSize);
+        data.copy(buf, 0, j * miniSize, (j + 1) * miniSize);
+        miniWrites.push({ sect: sects[j], data: buf });
+      }
+    }
+    moved.push({ entry: this._pending[i].entry, sect: sects[0], size: n });
+  }
+
+  // the mini stream has to be large enough to hold every mini sector in use
+  var rootSize = root.size;
+  for (i=miniFAT.length-1; i>=0; --i) {
+    if (miniFAT[i] !== FREESECT) {
+      rootSize = Math.max(rootSize, (i + 1) * miniSize);
+      break;
+    }
+  }
+  while (rootSects.length * sectorSize < rootSize) {
+    rootSects.push(n = allocSect());
+    writes.unshift({ pos: offset(n), data: Buffer.alloc(sectorSize) });
+  }
+  link(FAT, rootSects);
+  for (i=0,len=miniWrites.length; i<len; ++i) {
+    n = miniWrites[i].sect * miniSize;
+    writes.push({
+      pos: offset(rootSects[Math.floor(n / sectorSize)]) + n % sectorSize,
+      data: miniWrites[i].data
+    });
+  }
+
+  // mini FAT
+  while (miniFATsects.length * perSect < miniFAT.length)
+    miniFATsects.push(allocSect());
+  link(FAT, miniFATsects);
+  for (i=0,len=miniFATsects.length; i<len; ++i) {
+    writes.push({
+      pos: offset(miniFATsects[i]),
+      data: tableSector(miniFAT, i)
+    });
+  }
+
+  // directory
+  var nodes = directory.build(root), node, entriesPerSect = sectorSize / 128;
+  for (i=0,len=nodes.length; i<len; ++i) {
+    node = nodes[i];
+    if (node.type === STGTY_ROOT) {
+      node.sect = (rootSects.length ? rootSects[0] : ENDOFCHAIN);
+      node.size = rootSize;
+    } else if (node.type === STGTY_STREAM) {
+      node.sect = node.entry.sect;
+      node.size = node.entry.size;
+      for (j=0; j<moved.length; ++j) {
+        if (moved[j].entry === node.entry) {
+          node.sect = moved[j].sect;
+          break;
+        }
+      }
+    }
+  }
+  n = Math.ceil(nodes.length / entriesPerSect);
+  while (dirSects.length < n)
+    dirSects.push(allocSect());
+  while (dirSects.length > n) {
+    j = dirSects.pop();
+    FAT[j] = FREESECT;
+    writes.push({ pos: offset(j), data: Buffer.alloc(sectorSize) });
+  }
+  link(FAT, dirSects);
+  for (i=0; i<n; ++i) {
+    buf = Buffer.alloc(sectorSize);
+    for (j=0; j<entriesPerSect; ++j)
+      directory.write(buf, j * 128, nodes[i * entriesPerSect + j]);
+    writes.push({ pos: offset(dirSects[i]), data: buf });
+  }
+
+  // scrub sectors that were freed and not reused
+  for (i=0,len=this._freed.length; i<len; ++i) {
+    if (FAT[this._freed[i]] === FREESECT) {
+      writes.push({
+        pos: offset(this._freed[i]),
+        data: Buffer.alloc(sectorSize)
+      });
+    }
+  }
+  for (i=0,len=this._freedMini.length; i<len; ++i) {
+    n = this._freedMini[i] * miniSize;
+    if (miniFAT[this._freedMini[i]] === FREESECT
+        && n < rootSects.length * sectorSize) {
+      writes.push({
+        pos: offset(rootSects[Math.floor(n / sectorSize)]) + n % sectorSize,
+        data: Buffer.alloc(miniSize)
+      });
+    }
+  }
+
+  // DIF (allocating DIF sectors can grow the FAT, which can in turn require
+  // more DIF sectors)
+  while (true) {
+    n = (FATsects.length > HEADER_DIFAT_COUNT
+         ? Math.ceil((FATsects.length - HEADER_DIFAT_COUNT) / (perSect - 1))
+         : 0);
+    if (DIFsects.length >= n)
+      break;
+    j = allocSect();
+    FAT[j] = DIFSECT;
+    DIFsects.push(j);
+  }
+  for (i=0,len=DIFsects.length; i<len; ++i) {
+    buf = Buffer.alloc(sectorSize, 0xFF);
+    for (j=0; j<perSect-1; ++j) {
+      n = HEADER_DIFAT_COUNT + i * (perSect - 1) + j;
+      if (n >= FATsects.length)
+        break;
+      buf.writeUInt32LE(FATsects[n], j * 4, true);
+    }
+    buf.writeUInt32LE((i === len - 1 ? ENDOFCHAIN : DIFsects[i + 1]),
+                      sectorSize - 4, true);
+    writes.push({ pos: offset(DIFsects[i]), data: buf });
+  }
+
+  // FAT
+  for (i=0,len=FATsects.length; i<len; ++i)
+    writes.push({ pos: offset(FATsects[i]), data: tableSector(FAT, i) });
+
+  var newHeader = {
+    nSectFAT: FATsects.length,
+    sectDir: dirSects[0],
+    sectMiniFAT: (miniFATsects.length ? miniFATsects[0] : ENDOFCHAIN),
+    nSectMiniFAT: miniFATsects.length,
+    sectDIF: (DIFsects.length ? DIFsects[0] : ENDOFCHAIN),
+    nSectDIF: DIFsects.length,
+    FATsects: FATsects,
+    DIFsects: DIFsects
+  };
+  buf = Buffer.alloc(sectorSize);
+  Writer.writeHeader(buf, {
+    version: header.version.major,
+    minor: header.version.minor,
+    classId: header.classId,
+    sectorSize: sectorSize,
+    nDir: dirSects.length,
+    nFAT: newHeader.nSectFAT,
+    sectDir: newHeader.sectDir,
+    sectMiniFAT: newHeader.sectMiniFAT,
+    nMiniFAT: newHeader.nSectMiniFAT,
+    sectDIF: newHeader.sectDIF,
+    nDIF: newHeader.nSectDIF,
+    FATsects: FATsects.slice(0, HEADER_DIFAT_COUNT)
+  });
+  writes.push({ pos: 0, data: buf });
+
+  moved.push({
+    entry: root,
+    sect: (rootSects.length ? rootSects[0] : ENDOFCHAIN),
+    size: rootSize
+  });
+
+  return {
+    writes: writes,
+    FAT: FAT,
+    miniFAT: miniFAT,
+    header: newHeader,
+    sects: moved,
+    entries: nodes.map(function(node) { return node.entry; })
+  };
+};
+
+Parser.prototype._applyLayout = function(layout) {
+  var keys = Object.keys(layout.header);
+  for (var i=0,len=keys.length; i<len; ++i)
+    this.header[keys[i]] = layout.header[keys[i]];
+  this.FAT = layout.FAT;
+  this.entries = layout.entries;
+  this.miniFAT = (layout.miniFAT.length ? layout.miniFAT : undefined);
+  for (i=0,len=layout.sects.length; i<len; ++i) {
+    layout.sects[i].entry.sect = layout.sects[i].sect;
+    layout.sects[i].entry.size = layout.sects[i].size;
+  }
+  this._pending = [];
+  this._freed = [];
+  this._freedMini = [];
+  // sectors have moved and been rewritten
+  this._rootSects = undefined;
+  if (this._cache)
+    this._cache.clear();
+};
+
+function isStorage(entry) {
+  return Array.isArray(entry.children);
+}
+
+function checkData(data) {
+  if (!Buffer.isBuffer(data))
+    throw new Error('Stream data must be a Buffer');
+}
+
+function checkUnique(parent, name, except) {
+  for (var i=0,len=parent.children.length; i<len; ++i) {
+    if (parent.children[i] !== except
+        && utils.compareNames(parent.children[i].name, name) === 0)
+      throw new Error('An entry with that name already exists: ' + name);
+  }
+}
+
+// Returns the parent of `entry` if `entry` is somewhere below `root`
+function findParent(root, entry) {
+  for (var parent = entry && entry.parent; parent; parent = parent.parent) {
+    if (parent === root)
+      return entry.parent;
+  }
+}
+
+// Copies the entire contents of a source to a new file at `path`
+function copySource(source, path, cb) {
+  if (typeof source.path === 'string')
+    return fs.copyFile(source.path, path, cb);
+  fs.open(path, 'w', function(err, fd) {
+    if (err)
+      return cb(err);
+    var pos = 0;
+    function done(err) {
+      fs.close(fd, function(err2) {
+        cb(err || err2);
+      });
+    }
+    (function next() {
+      source.read(pos, COPY_CHUNK_SIZE, function(err, buf) {
+        if (err || buf.length === 0)
+          return done(err);
+        fs.write(fd, buf, 0, buf.length, pos, function(err) {
+          if (err)
+            return done(err);
+          pos += buf.length;
+          next();
+        });
+      });
+    })();
+  });
+}
+
+function resize(data, size) {
+  var ret = Buffer.alloc(size);
+  data.copy(ret, 0, 0, Math.min(size, data.length));
+  return ret;
+}
@@ -0,0 +1,26 @@
+var util = require('util');
+
+/*
+  Error for structural problems found in a compound file. `code` is one of
+  the codes below and `offset` is the file position of the offending value,
+  if known.
+
+    EHEADER    - invalid or inconsistent header field
+    ECOUNT     - a sector count that does not match what is in the file
+    ESECT      - a SECT pointing outside of the file or allocation table
+    ECYCLE     - a sector chain or directory tree that loops back on itself
+    EENTRY     - an invalid directory entry or directory tree link
+    ESIZE      - a stream size that does not match its sector chain
+    ETRUNCATED - the file ends before the data it describes
+    EPROPS     - a property set that could not be parsed
+    ELIMIT     - one of the configured resource limits was exceeded
+*/
+var CompoundError = module.exports = function(code, message, offset) {
+  Error.call(this);
+  Error.captureStackTrace(this, CompoundError);
+  this.message = message;
+  this.code = code;
+  this.offset = offset;
+};
+util.inherits(CompoundError, Error);
+CompoundError.prototype.name = 'CompoundError';
@@ -1,10 +1,82 @@
-var util = require('util'), fs = require('fs'),
-    EventEmitter = require('events').EventEmitter,
-    Work = require('../../deps/work');
+var util = require('util'), buffer = require('buffer'),
+    Scheduler = require('../scheduler'), SectorCache = require('./cache'),
+    consts = require('./constants'), utils = require('./utils'),
+    sources = require('./source'), EntryStream = require('./stream'),
+    propset = require('./propset'), metadata = require('./metadata'),
+    CompoundError = require('./errors');
 
-var Parser = module.exports = function(path, callback) {
+var ENDOFCHAIN = consts.ENDOFCHAIN,
+    FREESECT = consts.FREESECT,
+    NOSTREAM = consts.NOSTREAM,
+    STGTY_INVALID = consts.STGTY_INVALID,
+    STGTY_STORAGE = consts.STGTY_STORAGE,
+    STGTY_STREAM = consts.STGTY_STREAM,
+    STGTY_ROOT = consts.STGTY_ROOT;
+
+var MAX_LENGTH = buffer.constants.MAX_LENGTH;
+
+// Runs of adjacent sectors are read at once, up to this many bytes
+var MAX_RUN_SIZE = 1024 * 1024;
+
+// Sectors missing from the cache are read in blocks of this many bytes
+var CACHE_BLOCK_SIZE = 16 * 1024;
+
+var DEFAULT_CONCURRENCY = 1,
+    DEFAULT_CACHE_SIZE = 4 * 1024 * 1024;
+
+var makeClsId = utils.makeClsId,
+    lshift = utils.lshift,
+    callbackOrPromise = utils.callbackOrPromise;
+
+/*
+  `source` can be a file path, a Buffer or Uint8Array containing the whole
+  file, or a custom random-access source (see source.js).
+
+  `options` is optional and can contain:
+
+    strict         - treat every structural problem as an error instead of
+                     only the ones that keep the file from being read
+                     (default: false)
+    salvage        - work around as many structural problems as possible
+                     instead of failing, to recover what is left of damaged
+                     files (default: false). Ignored if `strict` is set
+    maxStreams     - maximum number of directory entries (default: no limit)
+    maxTotalBytes  - maximum combined size of all streams (default: no limit)
+    maxChainLength - maximum number of sectors in a single sector chain
+                     (default: no limit besides the size of the file)
+    concurrency    - maximum number of reads from the source at a time when
+                     reading tables, the directory or streams made up of
+                     several runs of sectors (default: 1). Only sources
+                     with a high latency, like HTTP range readers, gain
+                     from more
+    cacheSize      - maximum number of bytes of recently read sectors to keep
+                     in memory, 0 to disable the cache (default: 4MB). Reads
+                     larger than a sixteenth of this always bypass the cache
+
+  Every problem found (fatal or not) is added to `problems` as a
+  CompoundError (see errors.js). Exceeding a limit is always an error.
+*/
+var Parser = module.exports = function(source, options, callback) {
   var self = this;
-  this.fd = undefined;
+  if (typeof options === 'function') {
+    callback = options;
+    options = undefined;
+  }
+  options = options || {};
+  this.path = (typeof source === 'string' ? source : undefined);
+  this.source = undefined;
+  this.options = {
+    strict: !!options.strict,
+    salvage: !options.strict && !!options.salvage,
+    maxStreams: options.maxStreams || Infinity,
+    maxTotalBytes: options.maxTotalBytes || Infinity,
+    maxChainLength: options.maxChainLength || Infinity,
+    concurrency: options.concurrency || DEFAULT_CONCURRENCY,
+    cacheSize: (options.cacheSize === undefined
+                ? DEFAULT_CACHE_SIZE
+                : options.cacheSize)
+  };
+  this.problems = [];
   /*
     Header is always 512 bytes long, is always located at the beginning of the
     file, and occurs only once. It has the format (# of bytes in parens):
@@ -35,6 +107,10 @@ var Parser = module.exports = function(path, callback) {
     SECT is simply a 4 byte unsigned long used to describe the location of a
     sector within a virtual stream (in most cases this virtual stream is the
     file itself).
+
+    Note: the header still occupies the whole first sector, so for version 4
+    compound files with 4096b sectors, the 512 byte header is followed by
+    3584 bytes of zeroes and SECT 0 starts at byte 4096.
   */
   this.header = undefined;
   this.FAT = undefined;
@@ -65,105 +141,516 @@ var Parser = module.exports = function(path, callback) {
     Note: The root directory entry acts as both STGTY_STORAGE AND STGTY_STREAM.
   */
   this.dir = undefined;
+  // all directory entries, indexed by stream ID
+  this.entries = undefined;
 
-  var work = new Work([
-    function() { self._parseHeader(work.next.bind(work)); },
-    function() { self._parseFAT(work.next.bind(work)); },
-    function() {
-      if (self.header.sectDIF !== ENDOFCHAIN)
-        self._parseDIF(work.next.bind(work));
-      else
-        work.next();
-    },
-    function() {
-      if (self.header.sectDir !== ENDOFCHAIN)
-        self._parseDir(work.next.bind(work));
-      else
-        work.next();
-    },
-    function() {
-      if (self.header.sectMiniFAT !== ENDOFCHAIN)
-        self._parseMiniFAT(work.next.bind(work));
-      else
-        work.next();
-    }
-  ], callback);
+  this._cache = (this.options.cacheSize > 0
+                 ? new SectorCache(this.options.cacheSize)
+                 : undefined);
+  // SECTs of the mini stream, which every mini stream read needs
+  this._rootSects = undefined;
+
+  // edits made since the file was opened or last saved
+  this._pending = [];
+  this._freed = [];
+  this._freedMini = [];
+
+  var work = new Scheduler(callback);
+  work.push(function(done) { self._parseHeader(done); });
+  work.push(function(done) {
+    // the DIF lists the locations of any FAT sectors beyond the first 109,
+    // so it must be read before the FAT itself
+    if (!isEmptyChain(self.header.sectDIF))
+      self._parseDIF(done);
+    else
+      done();
+  });
+  work.push(function(done) { self._parseFAT(done); });
+  work.push(function(done) {
+    // the mini FAT locates the small streams (property sets included)
+    // stored in the mini stream
+    if (!isEmptyChain(self.header.sectMiniFAT))
+      self._parseMiniFAT(done);
+    else
+      done();
+  });
+  work.push(function(done) { self._parseDir(done); });
 
-  fs.open(path, 'r', function(err, fd) {
+  sources.create(source, function(err, source) {
     if (err)
       return callback(err);
-    self.fd = fd;
+    self.source = source;
     work.go();
   });
 };
 
+/*
+  Records a structural problem and returns the error to fail with, or
+  undefined if parsing should continue. Fatal problems are errors unless
+  salvaging, other problems are only errors in strict mode.
+*/
+Parser.prototype._problem = function(fatal, code, message, offset) {
+  var err = new CompoundError(code, message, offset);
+  this.problems.push(err);
+  if (this.options.strict || (fatal && !this.options.salvage))
+    return err;
+};
+
+// Records and returns an error for an exceeded resource limit
+Parser.prototype._limit = function(message) {
+  var err = new CompoundError('ELIMIT', message);
+  this.problems.push(err);
+  return err;
+};
+
+// Closes the source, returning a Promise if `cb` is not given
 Parser.prototype.close = function(cb) {
-  fs.close(this.fd, cb);
+  var source = this.source;
+  return callbackOrPromise(cb, function(cb) {
+    if (typeof source.close === 'function')
+      source.close(cb);
+    else
+      process.nextTick(cb);
+  });
 };
 
+/*
+  Returns the ID of the entry at the given path or, if `name` is not a path,
+  of the first entry anywhere in the tree with that name. Returns -1 if
+  nothing is found.
+*/
 Parser.prototype.findStream = function(name) {
-  var ret = -1;
-  name = name.toUpperCase();
-  for (var i=0,len=this.dir.length; i<len; ++i) {
-    if (this.dir[i].name.toUpperCase() === name) {
-      ret = i;
-      break;
-    }
+  var entry = (name.indexOf('/') !== -1 ? this.resolve(name) : undefined);
+  if (!entry) {
+    this.walk(function(e) {
+      if (!entry && utils.compareNames(e.name, name) === 0)
+        entry = e;
+      return !entry;
+    });
   }
-  return ret;
+  return (entry ? this.entries.indexOf(entry) : -1);
 };
 
+// Accepts a stream ID, a path or an entry and returns the entry
+Parser.prototype._lookup = function(entry) {
+  if (typeof entry === 'number')
+    return this.entries[entry];
+  if (typeof entry === 'string')
+    return this.resolve(entry);
+  return entry;
+};
+
+/*
+  Passes a Readable for the entire stream to `cb`. `id` can be a stream ID,
+  a path or a stream entry.
+*/
 Parser.prototype.getStream = function(id, cb) {
-  var self = this, bytes, buf, sect, start, isFAT,
-      streamSize, curSize = 0, stream;
-  if (!this.dir[id] || this.dir[id].type !== STGTY_STREAM)
+  var entry = this._lookup(id);
+  if (!isStream(entry))
     return cb(new Error('There is no stream with that ID'));
-  stream = new EventEmitter();
-  isFAT = (this.dir[id].size >= this.header.maxMiniStreamSize);
-  bytes = (isFAT ? this.header.sectorSize : this.header.miniSectorSize);
-  buf = new Buffer(bytes);
-  streamSize = this.dir[id].size;
-  sect = this.dir[id].sect;
-  var work = new Work(function() { stream.emit('end'); });
-  while (sect !== ENDOFCHAIN) {
-    curSize += bytes;
-    if (isFAT)
-      start = 512 + (sect * bytes);
+  cb(undefined, new EntryStream(this, entry));
+};
+
+/*
+  Passes the property set stored in a stream entry (or stream ID or path) to
+  `cb`, or null if the stream does not contain a valid property set (see
+  propset.js for the format). The property set is read when first asked for
+  and is kept in the entry's `properties` until the stream is changed (null
+  for invalid ones, so their problem is only reported once). Returns a Promise if `cb` is not
+  given.
+*/
+Parser.prototype.getProperties = function(entry, cb) {
+  var self = this;
+  entry = this._lookup(entry);
+  return callbackOrPromise(cb, function(cb) {
+    if (!isStream(entry))
+      return cb(new Error('There is no stream with that ID'));
+    if (entry.properties !== undefined) {
+      return process.nextTick(function() {
+        cb(undefined, entry.properties);
+      });
+    }
+    self.readStream(entry, function(err, buf) {
+      if (err)
+        return cb(err);
+      try {
+        entry.properties = propset.parse(buf);
+      } catch (ex) {
+        entry.properties = null;
+        // not a valid property set, treat it as a plain stream
+        err = self._problem(false, 'EPROPS', 'Invalid property set in "'
+                                             + entry.name + '": '
+                                             + ex.message);
+      }
+      cb(err, entry.properties);
+    });
+  });
+};
+
+/*
+  Passes the document metadata found in the root's SummaryInformation and
+  DocumentSummaryInformation property sets (see metadata.js for the format)
+  to `cb`, or returns a Promise for it if `cb` is not given
+*/
+Parser.prototype.getMetadata = function(cb) {
+  var self = this;
+  return callbackOrPromise(cb, function(cb) {
+    self._rootProperties(function(err, summary, docSummary) {
+      if (err)
+        return cb(err);
+      cb(undefined, metadata.build(summary, docSummary));
+    });
+  });
+};
+
+/*
+  Passes the document preview (PID_THUMBNAIL) to `cb`, or undefined if there
+  is none (see metadata.js for the format). Returns a Promise if `cb` is not
+  given.
+*/
+Parser.prototype.getThumbnail = function(cb) {
+  var self = this;
+  return callbackOrPromise(cb, function(cb) {
+    self._rootProperties(function(err, summary) {
+      if (err)
+        return cb(err);
+      cb(undefined, metadata.thumbnail(summary));
+    });
+  });
+};
+
+// Passes the root's SummaryInformation and DocumentSummaryInformation
+// property sets (either may be missing) to `cb`
+Parser.prototype._rootProperties = function(cb) {
+  var self = this, props = new Array(2), work;
+  work = new Scheduler(this.options.concurrency, function(err) {
+    if (err)
+      return cb(err);
+    cb(undefined, props[0], props[1]);
+  });
+  ['\x05SummaryInformation',
+   '\x05DocumentSummaryInformation'].forEach(function(name, i) {
+    var entry = self.resolve(name);
+    if (!isStream(entry))
+      return;
+    work.push(function(done) {
+      self.getProperties(entry, function(err, result) {
+        props[i] = result;
+        done(err);
+      });
+    });
+  });
+  work.go();
+};
+
+/*
+  Returns a Readable for a stream entry (or stream ID or path). `options` can
+  contain `start` and `end` (inclusive) byte offsets to only read part of the
+  stream.
+*/
+Parser.prototype.createReadStream = function(entry, options) {
+  entry = this._lookup(entry);
+  if (!isStream(entry))
+    throw new Error('There is no stream with that ID');
+  return new EntryStream(this, entry, options);
+};
+
+/*
+  Reads `length` bytes starting at `offset` within a stream entry (or stream
+  ID or path) and passes them to `cb` as a single Buffer. Only the sectors
+  containing the requested bytes are read. Ranges extending past the end of
+  the stream are cut short. Returns a Promise if `cb` is not given.
+*/
+Parser.prototype.readRange = function(entry, offset, length, cb) {
+  var self = this;
+  entry = this._lookup(entry);
+  return callbackOrPromise(cb, function(cb) {
+    if (!isStream(entry))
+      return cb(new Error('There is no stream with that ID'));
+    if (offset < 0 || length < 0 || offset % 1 !== 0 || length % 1 !== 0)
+      return cb(new Error('Invalid range'));
+    if (Math.min(length, entry.size - offset) > MAX_LENGTH)
+      return cb(tooLarge());
+    self._readRange(entry, offset, length, undefined, cb);
+  });
+};
+
+/*
+  Reads an entire stream entry (or stream ID or path) into a single Buffer.
+  Returns a Promise if `cb` is not given.
+*/
+Parser.prototype.readStream = function(entry, cb) {
+  var self = this;
+  entry = this._lookup(entry);
+  return callbackOrPromise(cb, function(cb) {
+    if (!isStream(entry))
+      return cb(new Error('There is no stream with that ID'));
+    if (entry.size > MAX_LENGTH)
+      return cb(tooLarge());
+    self._readRange(entry, 0, entry.size, undefined, cb);
+  });
+};
+
+/*
+  Returns the SECTs of the chain starting at `sect`, following either the FAT
+  or the mini FAT. If `count` is given, at most that many SECTs are returned.
+*/
+Parser.prototype._chain = function(sect, mini, count) {
+  var table = (mini ? this.miniFAT : this.FAT), ret = [], seen = {}, err,
+      max = (table ? table.length : 0);
+  if (!mini)
+    max = Math.min(max, this._nSects);
+  if (count === undefined)
+    count = Infinity;
+  while (sect !== ENDOFCHAIN && ret.length < count) {
+    if (sect >= max) {
+      err = this._problem(true, 'ESECT', 'Invalid SECT in chain: ' + sect,
+                          this._tableOffset(mini, ret[ret.length - 1]));
+    } else if (seen[sect]) {
+      err = this._problem(true, 'ECYCLE',
+                          'Circular sector chain starting at SECT ' + ret[0],
+                          this._tableOffset(mini, ret[ret.length - 1]));
+    } else if (ret.length >= this.options.maxChainLength) {
+      throw this._limit('Sector chain starting at SECT ' + ret[0]
+                        + ' is longer than ' + this.options.maxChainLength
+                        + ' sectors');
+    } else {
+      seen[sect] = true;
+      ret.push(sect);
+      sect = table[sect];
+      continue;
+    }
+    if (err)
+      throw err;
+    // salvaging, keep the part of the chain that is still usable
+    break;
+  }
+  return ret;
+};
+
+// Returns the file position of the FAT (or mini FAT) entry for a SECT
+Parser.prototype._tableOffset = function(mini, sect) {
+  var perSect = this.header.sectorSize / 4,
+      sects = (mini ? this._miniFATsects : this.header.FATsects);
+  if (sect === undefined || !sects
+      || sects[Math.floor(sect / perSect)] === undefined)
+    return;
+  return (sects[Math.floor(sect / perSect)] + 1) * this.header.sectorSize
+         + (sect % perSect) * 4;
+};
+
+/*
+  Returns the information needed to locate a stream's data:
+
+    mini   - true if the stream is stored in the mini stream
+    bytes  - size of the stream's sectors
+    sects  - (up to `count` of) the stream's SECTs
+    root   - SECTs of the mini stream itself (only for mini streams)
+*/
+Parser.prototype._streamSects = function(entry, count) {
+  var mini = (entry.size < this.header.maxMiniStreamSize);
+  if (mini && !this._rootSects)
+    this._rootSects = this._chain(this.entries[0].sect, false);
+  return {
+    mini: mini,
+    bytes: (mini ? this.header.miniSectorSize : this.header.sectorSize),
+    sects: (entry.size > 0 ? this._chain(entry.sect, mini, count) : []),
+    root: (mini ? this._rootSects : undefined)
+  };
+};
+
+Parser.prototype._readRange = function(entry, offset, length, info, cb) {
+  var self = this, sectorSize = this.header.sectorSize, data, extents = [],
+      ret, bytes, first, last, pos, len, prev, err, work, i;
+
+  if ((data = this._getPending(entry))) {
+    data = Buffer.from(data.slice(offset, offset + length));
+    return process.nextTick(function() { cb(undefined, data); });
+  }
+
+  length = Math.max(0, Math.min(length, entry.size - offset));
+  if (length === 0) {
+    return process.nextTick(function() {
+      cb(undefined, Buffer.alloc(0));
+    });
+  }
+
+  if (!info) {
+    // only walk the chain as far as needed
+    bytes = (entry.size < this.header.maxMiniStreamSize
+             ? this.header.miniSectorSize
+             : sectorSize);
+    try {
+      info = this._streamSects(entry, Math.ceil((offset + length) / bytes));
+    } catch (err) {
+      return process.nextTick(function() { cb(err); });
+    }
+  }
+
+  // map the range to file positions, merging sectors that are adjacent in
+  // the file into a single read
+  first = Math.floor(offset / info.bytes);
+  last = Math.floor((offset + length - 1) / info.bytes);
+  if (last >= info.sects.length) {
+    if ((err = this._problem(true, 'ESIZE',
+                             'Stream is shorter than its recorded size'))) {
+      return process.nextTick(function() { cb(err); });
+    }
+    // salvaging, only return what is left of the stream
+    length = Math.max(0, Math.min(length,
+                                  info.sects.length * info.bytes - offset));
+    if (length === 0) {
+      return process.nextTick(function() {
+        cb(undefined, Buffer.alloc(0));
+      });
+    }
+    last = Math.floor((offset + length - 1) / info.bytes);
+  }
+  for (i=first; i<=last; ++i) {
+    if (isNaN(sectPosition(info, info.sects[i], sectorSize))) {
+      err = this._problem(true, 'ESECT',
+                          'Mini SECT outside of the mini stream: '
+                          + info.sects[i]);
+      if (err)
+        return process.nextTick(function() { cb(err); });
+      // salvaging, only return the part before the bad sector
+      length = i * info.bytes - offset;
+      break;
+    }
+    pos = Math.max(offset, i * info.bytes);
+    len = Math.min(offset + length, (i + 1) * info.bytes) - pos;
+    pos = sectPosition(info, info.sects[i], sectorSize) + pos % info.bytes;
+    prev = extents[extents.length - 1];
+    if (prev && prev.pos + prev.len === pos)
+      prev.len += len;
     else
-      start = 512 + (this.dir[0].sect * this.header.sectorSize + sect * bytes);
-    work.push((function(pos) {
-      return function() {
-        fs.read(self.fd, buf, 0, bytes, pos, function(err, bytesRead) {
-          if (err)
-            return stream.emit('error', err);
-          if (curSize > streamSize)
-            stream.emit('data', buf.slice(0, (curSize-streamSize)));
-          else
-            stream.emit('data', buf);
-          work.next();
-        });
+      extents.push({ pos: pos, len: len });
+  }
+
+  if (length <= 0) {
+    return process.nextTick(function() {
+      cb(undefined, Buffer.alloc(0));
+    });
+  }
+  if (extents.length === 1)
+    return this._readExtent(extents[0], cb);
+
+  // runs of sectors that are not adjacent are read in parallel
+  ret = Buffer.alloc(length);
+  pos = 0;
+  work = new Scheduler(this.options.concurrency, function(err) {
+    if (err)
+      return cb(err);
+    cb(undefined, ret);
+  });
+  extents.forEach(function(extent) {
+    var dest = pos;
+    pos += extent.len;
+    work.push(function(done) {
+      self._readExtent(extent, function(err, buf) {
+        if (err)
+          return done(err);
+        buf.copy(ret, dest);
+        done();
+      });
+    });
+  });
+  work.go();
+};
+
+// Reads the `len` bytes of the file at `pos` of an extent
+Parser.prototype._readExtent = function(extent, cb) {
+  var self = this;
+  function read(err, buf) {
+    if (!err && buf.length !== extent.len) {
+      err = self._problem(true, 'ETRUNCATED', 'Unexpected end of file',
+                          extent.pos + buf.length);
+      if (!err) {
+        // salvaging, missing data reads as zeroes
+        buf = Buffer.concat([buf, Buffer.alloc(extent.len - buf.length)]);
       }
-    })(start));
-    sect = (isFAT ? this.FAT[sect] : this.miniFAT[sect]);
+    }
+    if (err)
+      return cb(err);
+    cb(undefined, buf);
   }
-  cb(undefined, stream);
+  if (!this._cache || extent.len > this._cache.maxBytes / 16)
+    this.source.read(extent.pos, extent.len, read);
+  else
+    this._readCached(extent.pos, extent.len, read);
+};
+
+/*
+  Reads through the sector cache. Sectors that are not cached are read in
+  aligned blocks of CACHE_BLOCK_SIZE bytes, so that reading neighbouring
+  data (like the next stream in the mini stream) does not need another
+  read. Like a source read, the result is only short at the end of the file.
+*/
+Parser.prototype._readCached = function(pos, len, cb) {
+  var self = this, sectorSize = this.header.sectorSize,
+      perBlock = Math.max(1, CACHE_BLOCK_SIZE / sectorSize),
+      first = Math.floor(pos / sectorSize),
+      last = Math.floor((pos + len - 1) / sectorSize),
+      bufs = new Array(), blocks = new Array(), block, work, i;
+
+  for (i=first; i<=last; ++i) {
+    if ((bufs[i - first] = this._cache.get(i * sectorSize)))
+      continue;
+    block = Math.floor(i / perBlock);
+    if (blocks[blocks.length - 1] !== block)
+      blocks.push(block);
+  }
+
+  work = new Scheduler(this.options.concurrency, function(err) {
+    var ret;
+    if (err)
+      return cb(err);
+    // a missing sector means the end of the file was reached before it
+    for (i=0; i<bufs.length && bufs[i]; ++i);
+    ret = (i === 1 ? bufs[0] : Buffer.concat(bufs.slice(0, i)));
+    cb(undefined, ret.slice(pos - first * sectorSize,
+                            pos - first * sectorSize + len));
+  });
+  blocks.forEach(function(block) {
+    work.push(function(done) {
+      var start = block * perBlock * sectorSize;
+      self.source.read(start, perBlock * sectorSize, function(err, buf) {
+        var sect, n;
+        if (err)
+          return done(err);
+        for (var off=0; off<buf.length; off+=sectorSize) {
+          sect = buf.slice(off, off + sectorSize);
+          n = block * perBlock + off / sectorSize;
+          self._cache.set(n * sectorSize, sect);
+          if (n >= first && n <= last)
+            bufs[n - first] = sect;
+        }
+        done();
+      });
+    });
+  });
   work.go();
 };
 
 Parser.prototype._parseHeader = function(cb) {
-  var buf = new Buffer(512), self = this;
-  fs.read(this.fd, buf, 0, 512, 0, function(err, bytesRead) {
+  var self = this;
+  this.source.read(0, 512, function(err, buf) {
     if (err)
       return cb(err);
-    else if (bytesRead !== 512)
-      return cb(new Error('Invalid file format'));
+    else if (buf.length !== 512) {
+      err = new CompoundError('ETRUNCATED', 'Invalid file format', buf.length);
+      self.problems.push(err);
+      return cb(err);
+    }
     if (buf[0] !== 0xD0 || buf[1] !== 0xCF ||
         buf[2] !== 0x11 || buf[3] !== 0xE0 ||
         buf[4] !== 0xA1 || buf[5] !== 0xB1 ||
         buf[6] !== 0x1A || buf[7] !== 0xE1) {
-      return cb(new Error('Invalid file format'));
+      err = new CompoundError('EHEADER', 'Invalid file format', 0);
+      self.problems.push(err);
+      return cb(err);
     }
-    self.header = {
+    var header = self.header = {
       // skip magic bytes
       classId: buf.slice(8, 24).toArray(),
       version: {
@@ -182,592 +669,452 @@ Parser.prototype._parseHeader = function(cb) {
       nSectMiniFAT: buf.readUInt32LE(64, true),
       sectDIF: buf.readUInt32LE(68, true),
       nSectDIF: buf.readUInt32LE(72, true),
-      FATsects: new Array()
+      FATsects: new Array(),
+      DIFsects: new Array()
     };
-    for (var i=76,j=-1,sect; i<436; i+=4) {
+
+    if (buf.readUInt16LE(28, true) !== 0xFFFE
+        && (err = self._problem(false, 'EHEADER', 'Invalid byte order', 28)))
+      return cb(err);
+    if (header.version.major !== 3 && header.version.major !== 4) {
+      if ((err = self._problem(true, 'EHEADER', 'Unsupported version: '
+                                                + header.version.major, 26)))
+        return cb(err);
+      // salvaging, go by the sector size instead
+      header.version.major = (header.sectorSize === 4096 ? 4 : 3);
+    }
+    // version 3 files always use 512 byte sectors, version 4 files always use
+    // 4096 byte sectors
+    var sectorSize = (header.version.major === 3 ? 512 : 4096);
+    if (header.sectorSize !== sectorSize) {
+      if ((err = self._problem(true, 'EHEADER', 'Sector size '
+                                                + header.sectorSize
+                                                + ' does not match version '
+                                                + header.version.major, 30)))
+        return cb(err);
+      header.sectorSize = sectorSize;
+    }
+    if (header.miniSectorSize !== 64) {
+      if ((err = self._problem(true, 'EHEADER', 'Invalid mini sector size: '
+                                                + header.miniSectorSize, 32)))
+        return cb(err);
+      header.miniSectorSize = 64;
+    }
+    if (header.maxMiniStreamSize !== 4096) {
+      if ((err = self._problem(true, 'EHEADER', 'Invalid mini stream cutoff: '
+                                                + header.maxMiniStreamSize,
+                               56)))
+        return cb(err);
+      header.maxMiniStreamSize = 4096;
+    }
+
+    // number of sectors following the header
+    self._nSects = (typeof self.source.size === 'number'
+                    ? Math.ceil(self.source.size / header.sectorSize) - 1
+                    : Infinity);
+    if (self.source.size % header.sectorSize) {
+      err = self._problem(false, 'ETRUNCATED', 'File size is not a multiple of '
+                                               + 'the sector size',
+                          self.source.size);
+      if (err)
+        return cb(err);
+    }
+
+    for (var i=76,j=-1,sect; i<512; i+=4) {
       sect = buf.readUInt32LE(i, true);
       if (sect === ENDOFCHAIN || sect === FREESECT)
         break;
-      self.header.FATsects[++j] = sect;
+      header.FATsects[++j] = sect;
     }
     cb();
   });
 };
 
 Parser.prototype._parseFAT = function(cb) {
-  var self = this, bytes = this.header.sectorSize, buf = new Buffer(bytes);
-  var work = new Work(cb);
-  for (var i=0,len=this.header.FATsects.length; i<len; ++i) {
-    work.push((function(pos) {
-      return function() {
-        fs.read(self.fd, buf, 0, bytes, pos, function(err, bytesRead) {
-          if (err)
-            return cb(err);
-          if (!self.FAT)
-            self.FAT = new Array();
-          for (var j=0,len=bytesRead; j<len; j+=4)
-            self.FAT.push(buf.readUInt32LE(j, true));
-          work.next();
-        });
-      }
-    })(512 + this.header.FATsects[i] * bytes));
+  var self = this, header = this.header, sects = new Array(), err;
+  if (header.FATsects.length !== header.nSectFAT) {
+    err = this._problem(false, 'ECOUNT', 'Header says there are '
+                                         + header.nSectFAT
+                                         + ' FAT sectors, found '
+                                         + header.FATsects.length, 44);
+    if (err)
+      return process.nextTick(function() { cb(err); });
+  }
+  for (var i=0,len=header.FATsects.length; i<len; ++i) {
+    if (header.FATsects[i] >= this._nSects) {
+      err = this._problem(true, 'ESECT', 'Invalid FAT SECT: '
+                                         + header.FATsects[i],
+                          FATsectOffset(header, i));
+      if (err)
+        return process.nextTick(function() { cb(err); });
+      // salvaging, the part of the FAT in this sector is lost
+      sects.push(-1);
+    } else
+      sects.push(header.FATsects[i]);
+  }
+  this._readTable(sects, function(err, table) {
+    if (err)
+      return cb(err);
+    self.FAT = table;
+    cb();
+  });
+};
+
+/*
+  Reads whole sectors, passing an array with a Buffer per SECT in `sects` to
+  `cb`. Runs of adjacent sectors are read at once. Buffers are only short at
+  the end of the file and SECTs of -1 are skipped.
+*/
+Parser.prototype._readSects = function(sects, cb) {
+  var self = this, bytes = this.header.sectorSize,
+      bufs = new Array(sects.length), runs = new Array(), run, work;
+  for (var i=0,len=sects.length; i<len; ++i) {
+    if (sects[i] === -1)
+      continue;
+    if (run && sects[i] === sects[run.last] + 1 && i === run.last + 1
+        && (i - run.first + 1) * bytes <= MAX_RUN_SIZE)
+      run.last = i;
+    else
+      runs.push(run = { first: i, last: i });
   }
+  work = new Scheduler(this.options.concurrency, function(err) {
+    if (err)
+      return cb(err);
+    cb(undefined, bufs);
+  });
+  runs.forEach(function(run) {
+    work.push(function(done) {
+      self.source.read((sects[run.first] + 1) * bytes,
+                       (run.last - run.first + 1) * bytes,
+                       function(err, buf) {
+        if (err)
+          return done(err);
+        for (var i=run.first; i<=run.last; ++i)
+          bufs[i] = buf.slice((i - run.first) * bytes,
+                              (i - run.first + 1) * bytes);
+        done();
+      });
+    });
+  });
   work.go();
 };
 
+/*
+  Reads an allocation table stored in the given sectors. A SECT of -1 stands
+  for a sector that could not be located, its entries are all FREESECT.
+*/
+Parser.prototype._readTable = function(sects, cb) {
+  var self = this, bytes = this.header.sectorSize;
+  this._readSects(sects, function(err, bufs) {
+    var table = new Array(), buf;
+    if (err)
+      return cb(err);
+    for (var i=0,len=sects.length; i<len; ++i) {
+      buf = bufs[i];
+      if (sects[i] === -1) {
+        for (var j=0; j<bytes; j+=4)
+          table.push(FREESECT);
+        continue;
+      }
+      if (buf.length !== bytes) {
+        err = self._problem(true, 'ETRUNCATED', 'Unexpected end of file',
+                            (sects[i] + 1) * bytes + buf.length);
+        if (err)
+          return cb(err);
+        // salvaging, missing entries are free
+        buf = Buffer.concat([buf, Buffer.alloc(bytes - buf.length, 0xFF)]);
+      }
+      for (var j=0; j<bytes; j+=4)
+        table.push(buf.readUInt32LE(j, true));
+    }
+    cb(undefined, table);
+  });
+};
+
 Parser.prototype._parseDir = function(cb) {
-  var self = this, bytes = this.header.sectorSize, buf = new Buffer(bytes),
-      sect = this.header.sectDir, entry, nEntries = bytes / 128;
-  var work = new Work(cb);
-  while (sect !== ENDOFCHAIN) {
-    work.push((function(pos) {
-      return function() {
-        fs.read(self.fd, buf, 0, bytes, pos, function(err, bytesRead) {
+  var self = this, bytes = this.header.sectorSize, nEntries = bytes / 128,
+      nUsed = 0, totalBytes = 0, sects;
+
+  try {
+    sects = this._chain(this.header.sectDir, false);
+  } catch (err) {
+    return process.nextTick(function() { cb(err); });
+  }
+  this.entries = new Array();
+
+  function parseEntries(buf, pos) {
+    for (var i=0,o,type,nameLen,entry,err; i<nEntries; ++i) {
+      o = i * 128;
+      type = buf[o+66];
+      if (type !== STGTY_STORAGE && type !== STGTY_STREAM
+          && type !== STGTY_ROOT) {
+        // unused entries keep their place so that stream IDs stay the same
+        self.entries.push(undefined);
+        if (type !== STGTY_INVALID) {
+          err = self._problem(false, 'EENTRY', 'Invalid directory entry type: '
+                                               + type, pos + o + 66);
           if (err)
-            return cb(err);
-          if (!self.dir)
-            self.dir = new Array();
-          for (var i=0,o; i<nEntries; ++i) {
-            o = i*128;
-            if (buf[o+66] === 0)
-              break;
-            entry = {
-              name: buf.toString('utf8', o, o+63)
-                       .substring(0, buf.readUInt16LE(o+64, true) - 2)
-                       .replace(/[\x00-\x1F]/g, ''),
-              type: buf[o+66],
-              left: buf.readUInt32LE(o+68, true),
-              right: buf.readUInt32LE(o+72, true)
-            };
-            self.dir.push(entry);
-            if (entry.type === STGTY_STORAGE || entry.type === STGTY_ROOT) {
-              entry.children = undefined;
-              entry.child = buf.readUInt32LE(o+76, true);
-              entry.classId = makeClsId(buf.slice(o+80, o+96));
-              entry.userFlags = buf.readUInt32LE(o+96, true);
-              entry.createTS = buf.readUInt32LE(o+100, true);
-              entry.modifyTS = buf.readUInt32LE(o+108, true);
-            }
-            if (entry.type === STGTY_STREAM || entry.type === STGTY_ROOT) {
-              entry.sect = buf.readUInt32LE(o+116, true);
-              if (self.header.version.major === 3 && bytes === 512)
-                entry.size = buf.readUInt32LE(o+120, true);
-              else if (self.header.version.major === 4 && bytes === 4096)
-                entry.size = buf.readDoubleLE(o+120, true);
-              else
-                throw new Error('Unsure of mini stream size. Version === '
-                                 + self.header.version.major + ', Sector size: '
-                                 + bytes);
-              if (buf[o] === 5) {
-                // this stream has a property set
-                (function(ixEntry, size) {
-                  // HACK: accessing private member directly
-                  // Note: splice is used here to ensure any properties are
-                  //       parsed and added to the stream information BEFORE the
-                  //       structure of the streams is modified to resemble a
-                  //       tree
-                  work._tasks.splice(work._tasks.length-1, 0, function() {
-                    self.getStream(ixEntry, function(err, stream) {
-                      if (err)
-                        return work.next();
-                      var bufProps = new Buffer(size), offset = 0;
-                      stream.on('data', function(data) {
-                        data.copy(bufProps, offset);
-                        offset += data.length;
-                      });
-                      stream.on('error', function(err) {
-                        work.next();
-                      });
-                      stream.on('end', function() {
-                        /*
-                          First 28 bytes of bufProps is a "Property Set Header"
-                          with the structure of PROPERTYSETHEADER:
-
-                            byte order      (2) - Always 0xFFFE (little endian)
-                            format version  (2) - 0 or 1. Version 1 is equiv.
-                                                  to version 0 except:
-                                                    * property id 0 property
-                                                      names can be case-
-                                                      sensitive, depending on
-                                                      the value of the reserved
-                                                      Behavior property in
-                                                      property id 0x80000003
-                                                    * property id 0 property
-                                                      names can have a count
-                                                      greater than 256 (bytes
-                                                      or chars depending on if
-                                                      the property set's
-                                                      codepage is set to Unicode
-                                                      or not)
-                                                    * more property types have
-                                                      been added
-                            OS version      (4) - System version
-                            class ID       (16) - Application CLSID
-                            prop. set count (4) - Should be 1 or 2 (sections
-                                                  start with
-                                                  PROPERTYSECTIONHEADER)
-
-                          Next 20 bytes has the structure of FORMATIDOFFSET:
-
-                            format ID      (16) - Unique ID representing the
-                                                  first property set
-                            offset start    (4) - offset for start of the first
-                                                  property set
-                            format Id      (16) - Unique ID representing the
-                                                  second property set (if avail)
-                            offset start    (4) - offset for start of the second
-                                                  property set (if avail)
-
-                          Next 8 bytes has the structure of
-                          PROPERTYSECTIONHEADER:
-
-                            total byte size (4) - total size of the entire set
-                                                  including this byte count.
-                                                  must be at least 262,144b and
-                                                  should be 2,097,152b.
-                            property count  (4) - total number of properties in
-                                                  this set
-
-                          Next is an array of PROPERTYIDOFFSET structures:
-
-                            property id     (4) - id unique to this particular
-                                                  set
-                            property offset (4) - offset of property info
-                                                  relative to start of set
-
-                          Next is an array of SERIALIZEDPROPERTYVALUE
-                          structures:
-
-                            property type   (4) - VT_* constant
-                            property data   (?) - size and contents of this
-                                                  field depends on the property
-                                                  type
-                        */
-                        var props = self.dir[ixEntry].properties = new Object(),
-                            start = bufProps.readUInt32LE(44, true),
-                            numProps = bufProps.readUInt32LE(start+4, true),
-                            loc, prop, c, type, id;
-                        props.fmtVer = bufProps.readUInt16LE(2, true);
-                        props.fmtId = makeClsId(bufProps.slice(28, 44));
-                        props.items = new Object();
-                        for (var i=0; i<numProps; ++i) {
-                          id = bufProps.readUInt32LE(start+i*8+8, true);
-                          loc = bufProps.readUInt32LE(start+i*8+12, true);
-                          loc += start;
-                          type = bufProps.readUInt32LE(loc, true);
-                          prop = props.items[id] = {
-                            type: type,
-                            value: undefined
-                          };
-                          if (type === VT_I1) {
-                            // 8-bit signed int
-                            prop.value = bufProps.readInt8(loc+4, true);
-                          } else if (type === VT_UI1) {
-                            // 8-bit unsigned int
-                            prop.value = bufProps.readUInt8(loc+4, true);
-                          } else if (type === VT_I2) {
-                            // 16-bit signed int
-                            prop.value = bufProps.readInt16LE(loc+4, true);
-                            if (prop.value >= 32768)
-                              prop.value -= 65536;
-                          } else if (type === VT_UI2) {
-                            // 16-bit unsigned int
-                            prop.value = bufProps.readUInt16LE(loc+4, true);
-                          } else if (type === VT_I4 || type === VT_ERROR ||
-                                     type === VT_INT) {
-                            // 32-bit signed int
-                            prop.value = bufProps.readInt32LE(loc+4, true);
-                          } else if (type === VT_UI4 || type === VT_UINT) {
-                            // 32-bit unsigned int
-                            prop.value = bufProps.readUInt32LE(loc+4, true);
-                          } else if (type === VT_R4) {
-                            // 32-bit float
-                            prop.value = bufProps.readFloatLE(loc+4, true);
-                          } else if (type === VT_R8) {
-                            // 64-bit double
-                            prop.value = bufProps.readDoubleLE(loc+4, true);
-                          } else if (type === VT_BSTR) {
-                            // binary string terminated with double null bytes.
-                            // encoding depends on property set's codepage
-                            // property
-                            c = bufProps.readUInt32LE(loc+4, true);
-                            prop.value = new Buffer(c);
-                            bufProps.copy(prop.value, 0, loc+8, loc+8+c-1);
-                          } else if (type === VT_LPSTR) {
-                            // 8-bit ANSI string
-                            c = bufProps.readUInt32LE(loc+4, true);
-                            var s = loc+8;
-                            prop.value = bufProps.toString('utf8', s, s+c-1);
-                          } else if (type === VT_BLOB) {
-                            // binary blob
-                            c = bufProps.readUInt32LE(loc+4, true);
-                            prop.value = new Buffer(c);
-                            bufProps.copy(prop.value, 0, loc+8, loc+8+c);
-                          } else if (type === VT_LPWSTR) {
-                            // utf-16 string
-                            c = bufProps.readUInt32LE(loc+4, true);
-                            var s = loc+8;
-                            prop.value = bufProps.toString('ucs2', s, s+c*2);
-                          } else if (type === VT_DATE) {
-                            // 64-bit double (same as VT_R8) of the number of
-                            // days since 12/31/1899
-                            var val = bufProps.readDoubleLE(loc+4, true),
-                                unixDays = Date.now() / 86400;
-                            // convert to UNIX timestamp
-                            prop.value = (val - (val - unixDays)) * 86400;
-                          } else if (type === VT_BOOL) {
-                            prop.value = (bufProps[loc+4] === 0 ? false : true);
-                          } else if (type === VT_FILETIME) {
-                            // 64-bit FILETIME structure
-                            // Represents the number of 100-nanosecond intervals
-                            // since January 1, 1601 (UTC)
-                            var high = bufProps.readUInt32LE(loc+8, true),
-                                low = bufProps.readUInt32LE(loc+4, true);
-                            high = lshift(high, 32);
-                            if (id === PID_EDITTIME)
-                              prop.value = (high + low) / 10000000; // seconds
-                            else
-                              prop.value = (high + low - 116444736000000000)
-                                           / 10000000;
-                          } else if (type === VT_CLSID) {
-                            prop.value = makeClsId(bufProps.slice(loc+4, loc+20));
-                          } else if (type === VT_NULL)
-                            prop.value = null;
-                        }
-                        work.next();
-                      });
-                    });
-                  });
-                })(self.dir.length-1, entry.size);
-              }
-            }
-          }
-          work.next();
-        });
+            return err;
+        }
+        continue;
       }
-    })(512 + sect * bytes));
-    sect = this.FAT[sect];
-  }
-  work.push(function() {
-    for (var i=0,cur,ids,len=self.dir.length; i<len; ++i) {
-      if (typeof self.dir[i].child !== 'undefined'
-          && self.dir[i].child !== -1) {
-        self.dir[i].children = new Array();
-        ids = [self.dir[i].child];
-        while (ids.length) {
-          cur = ids.pop();
-          if (cur !== FREESECT) {
-            if (self.dir[cur].left !== FREESECT)
-              ids.push(self.dir[cur].left);
-            if (self.dir[cur].right !== FREESECT)
-              ids.push(self.dir[cur].right);
-            self.dir[i].children.push(self.dir[cur]);
-          }
+      if (++nUsed > self.options.maxStreams) {
+        return self._limit('File has more than ' + self.options.maxStreams
+                           + ' directory entries');
+      }
+      nameLen = buf.readUInt16LE(o+64, true);
+      if (nameLen > 64 || nameLen % 2) {
+        err = self._problem(false, 'EENTRY', 'Invalid name length: ' + nameLen,
+                            pos + o + 64);
+        if (err)
+          return err;
+      }
+      entry = {
+        // name length is in bytes and includes the terminating null
+        name: buf.toString('ucs2', o,
+                           o + Math.max(0, Math.min(64, nameLen) - 2)),
+        type: type,
+        left: buf.readUInt32LE(o+68, true),
+        right: buf.readUInt32LE(o+72, true)
+      };
+      self.entries.push(entry);
+      if (type === STGTY_STORAGE || type === STGTY_ROOT) {
+        entry.children = undefined;
+        entry.child = buf.readUInt32LE(o+76, true);
+        entry.classId = makeClsId(buf.slice(o+80, o+96));
+        entry.userFlags = buf.readUInt32LE(o+96, true);
+        entry.createTS = utils.readFileTime(buf, o+100);
+        entry.modifyTS = utils.readFileTime(buf, o+108);
+      }
+      if (type === STGTY_STREAM || type === STGTY_ROOT) {
+        entry.sect = buf.readUInt32LE(o+116, true);
+        // only version 4 files use the high 32 bits of the size
+        entry.size = buf.readUInt32LE(o+120, true);
+        if (self.header.version.major === 4)
+          entry.size += lshift(buf.readUInt32LE(o+124, true), 32);
+        if (entry.size > self.source.size) {
+          err = self._problem(false, 'ESIZE', 'Stream is larger than the file',
+                              pos + o + 120);
+          if (err)
+            return err;
         }
+        if (type === STGTY_STREAM
+            && (totalBytes += entry.size) > self.options.maxTotalBytes) {
+          return self._limit('Streams are larger than '
+                             + self.options.maxTotalBytes + ' bytes in total');
+        }
+      }
+    }
+  }
+
+  // the directory sectors are read in parallel, but parsed in order so that
+  // stream IDs follow the position of the entries in the directory
+  this._readSects(sects, function(err, bufs) {
+    var pos, buf;
+    if (err)
+      return cb(err);
+    for (var i=0,len=bufs.length; i<len; ++i) {
+      pos = (sects[i] + 1) * bytes;
+      buf = bufs[i];
+      if (buf.length !== bytes) {
+        err = self._problem(true, 'ETRUNCATED', 'Unexpected end of file',
+                            pos + buf.length);
+        if (err)
+          return cb(err);
+        // salvaging, missing entries are unused
+        buf = Buffer.concat([buf, Buffer.alloc(bytes - buf.length)]);
       }
-      delete self.dir[i].child;
-      delete self.dir[i].left;
-      delete self.dir[i].right;
-      delete self.dir[i].type;
+      if ((err = parseEntries(buf, pos)))
+        return cb(err);
     }
-    self.dir = self.dir[0];
-    work.next();
+    if ((err = self._buildTree(sects.length ? (sects[0] + 1) * bytes : 48)))
+      return cb(err);
+    cb();
   });
-  work.go();
 };
 
-Parser.prototype._parseMiniFAT = function(cb) {
-  var self = this, bytes = this.header.sectorSize, buf = new Buffer(bytes),
-      sect = this.header.sectMiniFAT;
-  var work = new Work(cb);
-  while (sect !== ENDOFCHAIN) {
-    work.push((function(pos) {
-      return function() {
-        fs.read(self.fd, buf, 0, bytes, pos, function(err, bytesRead) {
-          if (err)
-            return cb(err);
-          if (!self.miniFAT)
-            self.miniFAT = new Array();
-          for (var j=0,len=bytesRead; j<len; j+=4)
-            self.miniFAT.push(buf.readUInt32LE(j, true));
-          work.next();
-        });
+/*
+  Turns the red-black trees of siblings into `children` arrays. `offset` is
+  the file position of the root entry.
+*/
+Parser.prototype._buildTree = function(offset) {
+  var entries = this.entries, root = entries[0],
+      seen = new Array(entries.length), err, entry, cur, ids, i, len;
+
+  if (!root || root.type !== STGTY_ROOT) {
+    err = new CompoundError('EENTRY', 'Missing root entry', offset);
+    this.problems.push(err);
+    return err;
+  }
+
+  seen[0] = true;
+  for (i=0,len=entries.length; i<len; ++i) {
+    entry = entries[i];
+    if (!entry || entry.child === undefined)
+      continue;
+    entry.children = new Array();
+    ids = [entry.child];
+    while (ids.length) {
+      cur = ids.pop();
+      if (cur === NOSTREAM)
+        continue;
+      if (!entries[cur] || cur === 0) {
+        err = this._problem(true, 'EENTRY', 'Invalid directory tree link: '
+                                            + cur);
+      } else if (seen[cur]) {
+        err = this._problem(true, 'ECYCLE', 'Directory entry ' + cur
+                                            + ' is linked more than once');
+      } else {
+        seen[cur] = true;
+        ids.push(entries[cur].left, entries[cur].right);
+        entry.children.push(entries[cur]);
+        continue;
       }
-    })(512 + sect * bytes));
-    sect = this.FAT[sect];
+      // salvaging, drop the link
+      if (err)
+        return err;
+    }
   }
-  work.go();
+
+  for (i=0,len=entries.length; i<len; ++i) {
+    entry = entries[i];
+    if (!entry)
+      continue;
+    if (!seen[i]) {
+      err = this._problem(false, 'EENTRY', 'Directory entry ' + i
+                                           + ' is not part of the tree');
+      if (err)
+        return err;
+      // salvaging, make lost entries reachable again
+      if (this.options.salvage)
+        root.children.push(entry);
+    }
+    delete entry.child;
+    delete entry.left;
+    delete entry.right;
+    delete entry.type;
+  }
+
+  this.dir = root;
+  this._linkParents(this.dir);
+};
+
+Parser.prototype._parseMiniFAT = function(cb) {
+  var self = this, header = this.header, err;
+  try {
+    this._miniFATsects = this._chain(header.sectMiniFAT, false);
+  } catch (ex) {
+    return process.nextTick(function() { cb(ex); });
+  }
+  if (this._miniFATsects.length !== header.nSectMiniFAT) {
+    err = this._problem(false, 'ECOUNT', 'Header says there are '
+                                         + header.nSectMiniFAT
+                                         + ' mini FAT sectors, found '
+                                         + this._miniFATsects.length, 64);
+    if (err)
+      return process.nextTick(function() { cb(err); });
+  }
+  this._readTable(this._miniFATsects, function(err, table) {
+    if (err)
+      return cb(err);
+    self.miniFAT = table;
+    cb();
+  });
 };
 
 Parser.prototype._parseDIF = function(cb) {
-  var self = this, bytes = this.header.sectorSize, buf = new Buffer(bytes),
-      sect = this.header.sectDIF, pos = 512 + sect * bytes;
-  var work = new Work(cb);
-  work.push(function() {
-    var thisFn = this;
-    fs.read(self.fd, buf, 0, bytes, pos, function(err, bytesRead) {
-      if (err)
-        return cb(err);
-      var lastByte = bytesRead - 4;
-      for (var j=0,len=bytesRead; j<len; j+=4) {
-        sect = buf.readUInt32LE(j, true);
-        if (j === lastByte) {
-          if (sect !== ENDOFCHAIN) {
-            pos = 512 + sect * bytes;
-            work._tasks.push(thisFn);
-          }
+  var self = this, header = this.header, bytes = header.sectorSize,
+      sect = header.sectDIF, offset = 68;
+  // each DIF sector says where the next one is, so they are read in order
+  var work = new Scheduler(cb);
+  work.push(function readDIF(done) {
+    var err;
+    if (sect >= self._nSects) {
+      err = self._problem(true, 'ESECT', 'Invalid DIF SECT: ' + sect, offset);
+    } else if (header.DIFsects.indexOf(sect) !== -1) {
+      err = self._problem(true, 'ECYCLE', 'Circular DIF chain starting at SECT '
+                                          + header.DIFsects[0], offset);
+    } else {
+      header.DIFsects.push(sect);
+      return self.source.read((sect + 1) * bytes, bytes, function(err, buf) {
+        if (err)
+          return done(err);
+        if (buf.length !== bytes) {
+          err = self._problem(true, 'ETRUNCATED', 'Unexpected end of file',
+                              (sect + 1) * bytes + buf.length);
+          if (err)
+            return done(err);
+          // salvaging, ignore the rest of the DIF
+          return done(checkCount());
+        }
+        var lastByte = buf.length - 4;
+        for (var j=0,fatSect; j<lastByte; j+=4) {
+          fatSect = buf.readUInt32LE(j, true);
+          if (fatSect !== FREESECT)
+            header.FATsects.push(fatSect);
+        }
+        // the last SECT in each DIF sector points to the next DIF sector
+        offset = (sect + 1) * bytes + lastByte;
+        sect = buf.readUInt32LE(lastByte, true);
+        if (sect !== ENDOFCHAIN && sect !== FREESECT) {
+          work.push(readDIF);
+          done();
         } else
-          self.FAT.push(sect);
-      }
-      work.next();
-    });
+          done(checkCount());
+      });
+    }
+    // salvaging, ignore the rest of the DIF
+    done(err || checkCount());
   });
-  work.go();
-};
 
-/* Constants */
-
-// CLSID for root directory entry
-var CLSID = {
-  EXCEL: [
-    // 97+
-    [0x00,0x02,0x08,0x12,0x00,0x00,0x00,0x00,
-     0xC0,0x00,0x00,0x00,0x00,0x00,0x00,0x46],
-    // 95
-    [0x00,0x02,0x08,0x10,0x00,0x00,0x00,0x00,
-     0xC0,0x00,0x00,0x00,0x00,0x00,0x00,0x46]
-  ],
-  WORD: [
-    // 97+
-    [0x00,0x02,0x09,0x06,0x00,0x00,0x00,0x00,
-     0xC0,0x00,0x00,0x00,0x00,0x00,0x00,0x46],
-    // 95
-    [0x00,0x02,0x09,0x00,0x00,0x00,0x00,0x00,
-     0xC0,0x00,0x00,0x00,0x00,0x00,0x00,0x46]
-  ],
-  POWERPOINT: [
-    // 97+
-    [0x64,0x81,0x8D,0x10,0x4F,0x9B,0x11,0xCF,
-     0x86,0xEA,0x00,0xAA,0x00,0xB9,0x29,0xE8]
-  ],
-  ACCESS: [
-    // 97
-    [0x8C,0xC4,0x99,0x40,0x31,0x46,0x11,0xCF,
-     0x97,0xA1,0x00,0xAA,0x00,0x42,0x4A,0x9F],
-    // 2000/2002
-    [0x73,0xA4,0xC9,0xC1,0xD6,0x8D,0x11,0xD0,
-     0x98,0xBF,0x00,0xA0,0xC9,0x0D,0xC8,0xD9]
-  ]
-}
+  function checkCount() {
+    if (header.DIFsects.length !== header.nSectDIF) {
+      return self._problem(false, 'ECOUNT', 'Header says there are '
+                                            + header.nSectDIF
+                                            + ' DIF sectors, found '
+                                            + header.DIFsects.length, 72);
+    }
+  }
 
-var FORMATID = {
-  SUMMARY: [0xF2, 0x9F, 0x85, 0xE0, 0x4F, 0xF9, 0x10, 0x68,
-            0xAB, 0x91, 0x08, 0x00, 0x2B, 0x27, 0xB3, 0xD9],
-  DOCSUMMARY: [0xD5, 0xCD, 0xD5, 0x02, 0x2E, 0x9C, 0x10, 0x1B,
-               0x93, 0x97, 0x08, 0x00, 0x2B, 0x2C, 0xF9, 0xAE],
-  USERDEFPROPS: [0xD5, 0xCD, 0xD5, 0x05, 0x2E, 0x9C, 0x10, 0x1B,
-               0x93, 0x97, 0x08, 0x00, 0x2B, 0x2C, 0xF9, 0xAE],
-  GLOBALINFO: [0x56, 0x61, 0x6F, 0x00, 0xC1, 0x54, 0x11, 0xCE,
-               0x85, 0x53, 0x00, 0xAA, 0x00, 0xA1, 0xF9, 0x5B],
-  IMAGECONTENTS: [0x56, 0x61, 0x64, 0x00, 0xC1, 0x54, 0x11, 0xCE,
-                  0x85, 0x53, 0x00, 0xAA, 0x00, 0xA1, 0xF9, 0x5B],
-  IMAGEINFO: [0x56, 0x61, 0x65, 0x00, 0xC1, 0x54, 0x11, 0xCE,
-               0x85, 0x53, 0x00, 0xAA, 0x00, 0xA1, 0xF9, 0x5B]
-};
-
-// Special FAT entry values
-var DIFSECT    = 0xFFFFFFFC,
-    FATSECT    = 0xFFFFFFFD,
-    ENDOFCHAIN = 0xFFFFFFFE,
-    FREESECT   = 0xFFFFFFFF;
-
-// Directory sector object types
-var STGTY_INVALID   = 0,
-    STGTY_STORAGE   = 1,
-    STGTY_STREAM    = 2,
-    STGTY_LOCKBYTES = 3,
-    STGTY_PROPERTY  = 4,
-    STGTY_ROOT      = 5;
-
-// Stream property types
-var VT_EMPTY           = 0,
-    VT_NULL            = 1,
-    VT_I2              = 2,
-    VT_I4              = 3,
-    VT_R4              = 4,
-    VT_R8              = 5,
-    VT_CY              = 6,
-    VT_DATE            = 7,
-    VT_BSTR            = 8,
-    VT_DISPATCH        = 9,
-    VT_ERROR           = 10,
-    VT_BOOL            = 11,
-    VT_VARIANT         = 12,
-    VT_UNKNOWN         = 13,
-    VT_DECIMAL         = 14,
-    VT_I1              = 16,
-    VT_UI1             = 17,
-    VT_UI2             = 18,
-    VT_UI4             = 19,
-    VT_I8              = 20,
-    VT_UI8             = 21,
-    VT_INT             = 22,
-    VT_UINT            = 23,
-    VT_VOID            = 24,
-    VT_HRESULT         = 25,
-    VT_PTR             = 26,
-    VT_SAFEARRAY       = 27,
-    VT_CARRAY          = 28,
-    VT_USERDEFINED     = 29,
-    VT_LPSTR           = 30,
-    VT_LPWSTR          = 31,
-    VT_FILETIME        = 64,
-    VT_BLOB            = 65,
-    VT_STREAM          = 66,
-    VT_STORAGE         = 67,
-    VT_STREAMED_OBJECT = 68,
-    VT_STORED_OBJECT   = 69,
-    VT_BLOB_OBJECT     = 70,
-    VT_CF              = 71,
-    VT_CLSID           = 72,
-    VT_VECTOR          = 4096;
-
-// Well-known property ids
-var PID_APPNAME           = 18, // SummaryInformation
-    PID_AUTHOR            = 4,  // SummaryInformation
-    PID_BEHAVIOR          = 0x80000003, // format version 1 only. Value is 0
-                                        // (default) for case-insensitive
-                                        // property names, 1 for case-sensitive
-    PID_BYTECOUNT         = 4,  // DocumentSummaryInformation
-    PID_CATEGORY          = 2,  // DocumentSummaryInformation
-    PID_CCHWITHSPACES     = 17, // DocumentSummaryInformation
-    PID_CHARCOUNT         = 16, // SummaryInformation
-    PID_CODEPAGE          = 1,
-    PID_COMMENTS          = 6,  // SummaryInformation
-    PID_COMPANY           = 15, // DocumentSummaryInformation
-    PID_CONTENTSTATUS     = 27, // DocumentSummaryInformation
-    PID_CONTENTTYPE       = 26, // DocumentSummaryInformation
-    PID_CREATE_DTM        = 12, // SummaryInformation
-    PID_DICTIONARY        = 0,
-    PID_DIGSIG            = 24, // DocumentSummaryInformation
-    PID_DOCPARTS          = 13, // DocumentSummaryInformation
-    PID_DOCVERSION        = 29, // DocumentSummaryInformation
-    PID_EDITTIME          = 10, // SummaryInformation
-    PID_HEADINGPAIR       = 12, // DocumentSummaryInformation
-    PID_HIDDENCOUNT       = 9,  // DocumentSummaryInformation
-    PID_HLINKS            = 21, // DocumentSummaryInformation
-    PID_HYPERLINKSCHANGED = 22, // DocumentSummaryInformation
-    PID_KEYWORDS          = 5,  // SummaryInformation
-    PID_LANGUAGE          = 28, // DocumentSummaryInformation
-    PID_LASTAUTHOR        = 8,  // SummaryInformation
-    PID_LASTPRINTED       = 11, // SummaryInformation
-    PID_LASTSAVE_DTM      = 13, // SummaryInformation
-    PID_LINECOUNT         = 5,  // DocumentSummaryInformation
-    PID_LINKBASE          = 20, // DocumentSummaryInformation
-    PID_LINKSDIRTY        = 16, // DocumentSummaryInformation
-    PID_LOCALE            = 0x80000000,
-    PID_MANAGER           = 14, // DocumentSummaryInformation
-    PID_MAX               = 16,
-    PID_MMCLIPCOUNT       = 10, // DocumentSummaryInformation
-    PID_NOTECOUNT         = 8,  // DocumentSummaryInformation
-    PID_PAGECOUNT         = 14, // SummaryInformation
-    PID_PARCOUNT          = 6,  // DocumentSummaryInformation
-    PID_PRESFORMAT        = 3,  // DocumentSummaryInformation
-    PID_REVNUMBER         = 9,  // SummaryInformation
-    PID_SCALE             = 11, // DocumentSummaryInformation
-    PID_SECURITY          = 19, // SummaryInformation. Bit field values:
-                                //  0 - no security
-                                //  1 - Password protected
-                                //  2 - read-only recommended
-                                //  4 - read-only enforced
-                                //  8 - locked for annotations
-    PID_SHAREDDOC         = 19, // DocumentSummaryInformation
-    PID_SLIDECOUNT        = 7,  // DocumentSummaryInformation
-    PID_SUBJECT           = 3,  // SummaryInformation
-    PID_TEMPLATE          = 7,  // SummaryInformation
-    PID_THUMBNAIL         = 17, // SummaryInformation
-    PID_TITLE             = 2,  // SummaryInformation
-    PID_VERSION           = 23, // DocumentSummaryInformation
-    PID_WORDCOUNT         = 15; // SummaryInformation
-
-// Codepages for stream property id 1
-var CP_037                     = 37,
-    CP_EUC_JP                  = 51932,
-    CP_EUC_KR                  = 51949,
-    CP_GB18030                 = 54936,
-    CP_GB2312                  = 52936,
-    CP_GBK                     = 936,
-    CP_ISO_2022_JP1            = 50220,
-    CP_ISO_2022_JP2            = 50221,
-    CP_ISO_2022_JP3            = 50222,
-    CP_ISO_2022_KR             = 50225,
-    CP_ISO_8859_1              = 28591,
-    CP_ISO_8859_2              = 28592,
-    CP_ISO_8859_3              = 28593,
-    CP_ISO_8859_4              = 28594,
-    CP_ISO_8859_5              = 28595,
-    CP_ISO_8859_6              = 28596,
-    CP_ISO_8859_7              = 28597,
-    CP_ISO_8859_8              = 28598,
-    CP_ISO_8859_9              = 28599,
-    CP_JOHAB                   = 1361,
-    CP_KOI8_R                  = 20866,
-    CP_MAC_ARABIC              = 10004,
-    CP_MAC_CENTRAL_EUROPE      = 10029,
-    CP_MAC_CHINESE_SIMPLE      = 10008,
-    CP_MAC_CHINESE_TRADITIONAL = 10002,
-    CP_MAC_CROATIAN            = 10082,
-    CP_MAC_CYRILLIC            = 10007,
-    CP_MAC_GREEK               = 10006,
-    CP_MAC_HEBREW              = 10005,
-    CP_MAC_ICELAND             = 10079,
-    CP_MAC_JAPAN               = 10001,
-    CP_MAC_KOREAN              = 10003,
-    CP_MAC_ROMAN               = 10000,
-    CP_MAC_ROMANIA             = 10010,
-    CP_MAC_THAI                = 10021,
-    CP_MAC_TURKISH             = 10081,
-    CP_MAC_UKRAINE             = 10017,
-    CP_MS949                   = 949,
-    CP_SJIS                    = 932,
-    CP_UNICODE                 = 1200,
-    CP_US_ASCII                = 20127,
-    CP_US_ASCII2               = 65000,
-    CP_UTF16                   = 1200,
-    CP_UTF16_BE                = 1201,
-    CP_UTF8                    = 65001,
-    CP_WINDOWS_1250            = 1250,
-    CP_WINDOWS_1251            = 1251,
-    CP_WINDOWS_1252            = 1252,
-    CP_WINDOWS_1253            = 1253,
-    CP_WINDOWS_1254            = 1254,
-    CP_WINDOWS_1255            = 1255,
-    CP_WINDOWS_1256            = 1256,
-    CP_WINDOWS_1257            = 1257,
-    CP_WINDOWS_1258            = 1258;
+  work.go();
+};
 
 /* Utility functions */
 
-function lshift(num, bits) {
-  return num * Math.pow(2, bits);
+// Some writers use FREESECT instead of ENDOFCHAIN for missing chains
+function isEmptyChain(sect) {
+  return (sect === ENDOFCHAIN || sect === FREESECT);
 }
 
-function makeClsId(buf) {
-  var clsid = new Array(16);
-  clsid[0] = buf[3];
-  clsid[1] = buf[2];
-  clsid[2] = buf[1];
-  clsid[3] = buf[0];
+function isStream(entry) {
+  return (entry !== undefined && entry !== null && entry.size !== undefined
+          && !Array.isArray(entry.children));
+}
 
-  clsid[4] = buf[5];
-  clsid[5] = buf[4];
+// Returns the file position where the location of a FAT sector is stored
+function FATsectOffset(header, i) {
+  if (i < 109)
+    return 76 + i * 4;
+  var perSect = header.sectorSize / 4 - 1;
+  i -= 109;
+  if (header.DIFsects[Math.floor(i / perSect)] === undefined)
+    return;
+  return (header.DIFsects[Math.floor(i / perSect)] + 1) * header.sectorSize
+         + (i % perSect) * 4;
+}
 
-  clsid[6] = buf[7];
-  clsid[7] = buf[6];
+function tooLarge() {
+  return new RangeError('Stream is too large to be read into a single '
+                        + 'Buffer, use createReadStream() instead');
+}
 
-  for (var i=8; i<16; ++i)
-    clsid[i] = buf[i];
-  return clsid;
+// Returns the file position of a stream sector
+function sectPosition(info, sect, sectorSize) {
+  if (!info.mini)
+    return (sect + 1) * sectorSize;
+  var pos = sect * info.bytes;
+  return (info.root[Math.floor(pos / sectorSize)] + 1) * sectorSize
+         + pos % sectorSize;
 }
 
 Buffer.prototype.toArray = function() {
@@ -790,3 +1137,62 @@ Array.prototype.equals = function(arr) {
     ret = false;
   return ret;
 };
+
+/*
+  Opens `source` (anything accepted by the Parser constructor) and calls
+  `fn(parser, done)`. `done(err, result)` closes the parser again and passes
+  `err` and `result` on to `cb`. Open parsers can also be passed as `source`,
+  in which case they are used as-is and left open.
+*/
+Parser.using = function(source, options, fn, cb) {
+  if (typeof fn !== 'function' || typeof cb !== 'function') {
+    cb = fn;
+    fn = options;
+    options = undefined;
+  }
+  if (source instanceof Parser)
+    return fn(source, cb);
+  var parser = new Parser(source, options, function(err) {
+    if (err) {
+      if (parser.source)
+        parser.close();
+      return cb(err);
+    }
+    fn(parser, function(err, result) {
+      parser.close(function() {
+        cb(err, result);
+      });
+    });
+  });
+};
+
+/*
+  Opens `source` (anything accepted by the Parser constructor) and passes the
+  parser to `cb` once the file has been parsed, or returns a Promise for it
+  if `cb` is not given. The source is closed again if parsing fails.
+*/
+Parser.open = function(source, options, cb) {
+  if (typeof options === 'function') {
+    cb = options;
+    options = undefined;
+  }
+  return callbackOrPromise(cb, function(cb) {
+    var parser = new Parser(source, options, function(err) {
+      if (!err)
+        return cb(undefined, parser);
+      if (!parser.source)
+        return cb(err);
+      parser.close(function() {
+        cb(err);
+      });
+    });
+  });
+};
+
+Parser.Writer = require('./writer');
+
+require('./path');
+require('./iterate');
+require('./edit');
+require('./scrub');
+require('./diff');
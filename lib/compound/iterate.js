@@ -0,0 +1,80 @@
+var Parser = require('./index');
+
+/*
+  Async iteration over the directory, for use with `for await`:
+
+    for await (var item of parser)
+      console.log(item.path, item.entry.size);
+
+    for await (var item of parser.streams('Macros/VBA/*'))
+      console.log(item.path, item.data.length);
+
+  The entries are collected when iteration starts, in the same order as
+  walk() visits them, so edits made while iterating are not seen.
+*/
+
+// Yields `{ entry, path }` for every entry below the root
+Parser.prototype[Symbol.asyncIterator] = function() {
+  var items = new Array();
+  this.walk(function(entry, path) {
+    items.push({ entry: entry, path: path });
+  });
+  return new EntryIterator(items, function(item, cb) {
+    cb(undefined, item);
+  });
+};
+
+/*
+  Yields `{ entry, path, data }` for every stream, or only for the streams
+  matching `pattern` (see glob()), with `data` holding the whole stream.
+  Streams are only read when their turn comes and a failed read rejects the
+  pending next() without ending the iteration.
+*/
+Parser.prototype.streams = function(pattern) {
+  var self = this, items = new Array();
+  if (pattern !== undefined) {
+    this.glob(pattern).forEach(function(entry) {
+      if (!Array.isArray(entry.children))
+        items.push({ entry: entry, path: self.pathOf(entry) });
+    });
+  } else {
+    this.walk(function(entry, path) {
+      if (!Array.isArray(entry.children))
+        items.push({ entry: entry, path: path });
+    });
+  }
+  return new EntryIterator(items, function(item, cb) {
+    self.readStream(item.entry, function(err, data) {
+      if (err)
+        return cb(err);
+      cb(undefined, { entry: item.entry, path: item.path, data: data });
+    });
+  });
+};
+
+// Hands out the results of `load(item, cb)` for each of `items` in turn
+function EntryIterator(items, load) {
+  this._items = items;
+  this._load = load;
+  this._pos = 0;
+}
+EntryIterator.prototype[Symbol.asyncIterator] = function() {
+  return this;
+};
+EntryIterator.prototype.next = function() {
+  var self = this;
+  return new Promise(function(resolve, reject) {
+    if (self._pos >= self._items.length)
+      return resolve({ value: undefined, done: true });
+    self._load(self._items[self._pos++], function(err, value) {
+      if (err)
+        reject(err);
+      else
+        resolve({ value: value, done: false });
+    });
+  });
+};
+EntryIterator.prototype.return = function(value) {
+  this._pos = this._items.length;
+  return Promise.resolve({ value: value, done: true });
+};
@@ -0,0 +1,290 @@
+var consts = require('./constants'), utils = require('./utils');
+
+var FORMATID = consts.FORMATID,
+    PID_DICTIONARY = consts.PID_DICTIONARY,
+    PID_CODEPAGE = consts.PID_CODEPAGE,
+    CF_METAFILEPICT = consts.CF_METAFILEPICT,
+    CF_DIB = consts.CF_DIB,
+    CF_ENHMETAFILE = consts.CF_ENHMETAFILE;
+
+// SummaryInformation properties
+var SUMMARY_FIELDS = [
+  ['title', consts.PID_TITLE],
+  ['subject', consts.PID_SUBJECT],
+  ['author', consts.PID_AUTHOR],
+  ['keywords', consts.PID_KEYWORDS],
+  ['comments', consts.PID_COMMENTS],
+  ['template', consts.PID_TEMPLATE],
+  ['lastAuthor', consts.PID_LASTAUTHOR],
+  ['revision', consts.PID_REVNUMBER],
+  ['appName', consts.PID_APPNAME],
+  ['editTime', consts.PID_EDITTIME],
+  ['pageCount', consts.PID_PAGECOUNT],
+  ['wordCount', consts.PID_WORDCOUNT],
+  ['charCount', consts.PID_CHARCOUNT]
+];
+var SUMMARY_DATES = [
+  ['created', consts.PID_CREATE_DTM],
+  ['modified', consts.PID_LASTSAVE_DTM],
+  ['printed', consts.PID_LASTPRINTED]
+];
+
+// DocumentSummaryInformation properties
+var DOCSUMMARY_FIELDS = [
+  ['category', consts.PID_CATEGORY],
+  ['presentationFormat', consts.PID_PRESFORMAT],
+  ['manager', consts.PID_MANAGER],
+  ['company', consts.PID_COMPANY],
+  ['byteCount', consts.PID_BYTECOUNT],
+  ['lineCount', consts.PID_LINECOUNT],
+  ['paragraphCount', consts.PID_PARCOUNT],
+  ['slideCount', consts.PID_SLIDECOUNT],
+  ['noteCount', consts.PID_NOTECOUNT],
+  ['hiddenCount', consts.PID_HIDDENCOUNT],
+  ['multimediaClipCount', consts.PID_MMCLIPCOUNT],
+  ['charCountWithSpaces', consts.PID_CCHWITHSPACES],
+  ['linkBase', consts.PID_LINKBASE],
+  ['contentType', consts.PID_CONTENTTYPE],
+  ['contentStatus', consts.PID_CONTENTSTATUS],
+  ['language', consts.PID_LANGUAGE],
+  ['docVersion', consts.PID_DOCVERSION]
+];
+
+// Names of the properties of each section, for propertyName()
+var SUMMARY_NAMES = names(SUMMARY_FIELDS.concat(SUMMARY_DATES, [
+      ['security', consts.PID_SECURITY],
+      ['thumbnail', consts.PID_THUMBNAIL]
+    ])),
+    DOCSUMMARY_NAMES = names(DOCSUMMARY_FIELDS.concat([
+      ['headingPairs', consts.PID_HEADINGPAIR],
+      ['titles', consts.PID_DOCPARTS]
+    ]));
+
+/*
+  Builds a metadata object from the parsed SummaryInformation and
+  DocumentSummaryInformation property sets (either may be undefined). Only
+  properties present in the property sets are set on the returned object:
+
+    title, subject, author, keywords, comments, template, lastAuthor,
+    revision, appName                  - strings
+    created, modified, printed         - Dates
+    editTime                           - total editing time in milliseconds
+    pageCount, wordCount, charCount    - numbers
+    security                           - object with the boolean flags
+                                         `passwordProtected`,
+                                         `readOnlyRecommended`,
+                                         `readOnlyEnforced` and
+                                         `lockedForAnnotations`
+    category, presentationFormat, manager, company, linkBase, contentType,
+    contentStatus, language, docVersion
+                                       - strings
+    byteCount, lineCount, paragraphCount, slideCount, noteCount,
+    hiddenCount, multimediaClipCount, charCountWithSpaces
+                                       - numbers
+    headingPairs                       - array of objects with a `heading`
+                                         (e.g. 'Worksheets') and the `count`
+                                         of the titles under that heading
+    titles                             - array of document part titles
+                                         (e.g. worksheet names), grouped by
+                                         the headings in `headingPairs`
+    custom                             - user-defined properties keyed on
+                                         name (always set)
+*/
+exports.build = function(summary, docSummary) {
+  var meta = new Object(), section, value;
+
+  if (section = findSection(summary, FORMATID.SUMMARY)) {
+    copyFields(meta, section, SUMMARY_FIELDS);
+    for (var i=0,len=SUMMARY_DATES.length; i<len; ++i) {
+      value = toDate(getValue(section, SUMMARY_DATES[i][1]));
+      if (value)
+        meta[SUMMARY_DATES[i][0]] = value;
+    }
+    value = getValue(section, consts.PID_SECURITY);
+    if (typeof value === 'number') {
+      meta.security = {
+        passwordProtected: (value & 1) !== 0,
+        readOnlyRecommended: (value & 2) !== 0,
+        readOnlyEnforced: (value & 4) !== 0,
+        lockedForAnnotations: (value & 8) !== 0
+      };
+    }
+  }
+
+  if (section = findSection(docSummary, FORMATID.DOCSUMMARY)) {
+    copyFields(meta, section, DOCSUMMARY_FIELDS);
+    value = getValue(section, consts.PID_HEADINGPAIR);
+    if (Array.isArray(value)) {
+      meta.headingPairs = new Array();
+      for (var j=0; j+1<value.length; j+=2)
+        meta.headingPairs.push({ heading: value[j], count: value[j+1] });
+    }
+    value = getValue(section, consts.PID_DOCPARTS);
+    if (Array.isArray(value))
+      meta.titles = value;
+  }
+
+  meta.custom = customProperties(findSection(docSummary,
+                                             FORMATID.USERDEFPROPS));
+
+  return meta;
+};
+
+/*
+  Returns the document preview stored in the SummaryInformation property set
+  (PID_THUMBNAIL), or undefined if there is none. The returned object has the
+  format:
+
+    format - 'CF_DIB', 'CF_METAFILEPICT', 'CF_ENHMETAFILE' or, for other
+             clipboard formats, the clipboard format as stored
+    type   - MIME type of `data`, if known
+    data   - Buffer containing the image. DIBs are wrapped into a .bmp file
+             and metafile pictures are stripped of their METAFILEPICT header
+             so that `data` is a plain .wmf
+*/
+exports.thumbnail = function(summary) {
+  var section = findSection(summary, FORMATID.SUMMARY),
+      cf = (section && getValue(section, consts.PID_THUMBNAIL));
+  if (!cf || !Buffer.isBuffer(cf.data))
+    return;
+  if (cf.tag !== -1)
+    return { format: cf.format, type: undefined, data: cf.data };
+  if (cf.format === CF_DIB)
+    return { format: 'CF_DIB', type: 'image/bmp', data: dibToBmp(cf.data) };
+  if (cf.format === CF_METAFILEPICT) {
+    // mapping mode, x extent, y extent and a reserved field, 2 bytes each
+    return { format: 'CF_METAFILEPICT', type: 'image/wmf',
+             data: cf.data.slice(8) };
+  }
+  if (cf.format === CF_ENHMETAFILE)
+    return { format: 'CF_ENHMETAFILE', type: 'image/emf', data: cf.data };
+  return { format: cf.format, type: undefined, data: cf.data };
+};
+
+/*
+  Returns the name of property `id` of a property set section: the name of
+  the metadata field it holds (see build()) in SummaryInformation and
+  DocumentSummaryInformation sections, its name in the dictionary in other
+  sections (user-defined properties) or undefined for unknown properties.
+  The reserved properties are named 'dictionary', 'codepage', 'locale' and
+  'behavior'.
+*/
+exports.propertyName = function(section, id) {
+  var known = (sameId(section.fmtId, FORMATID.SUMMARY) ? SUMMARY_NAMES
+               : sameId(section.fmtId, FORMATID.DOCSUMMARY) ? DOCSUMMARY_NAMES
+               : undefined);
+  if (id === PID_DICTIONARY)
+    return 'dictionary';
+  if (id === PID_CODEPAGE)
+    return 'codepage';
+  if (id === consts.PID_LOCALE)
+    return 'locale';
+  if (id === consts.PID_BEHAVIOR)
+    return 'behavior';
+  if (known)
+    return known[id];
+  if (section.dictionary && typeof section.dictionary[id] === 'string')
+    return section.dictionary[id];
+};
+
+/*
+  Prepends a BITMAPFILEHEADER to a device-independent bitmap (a bitmap header,
+  optional color masks and color table, and the pixels)
+*/
+function dibToBmp(dib) {
+  var hdrSize = dib.readUInt32LE(0, true), tableSize = 0, bpp, compression,
+      used, bmp;
+  if (hdrSize === 12) {
+    // BITMAPCOREHEADER, color table entries are RGBTRIPLEs
+    bpp = dib.readUInt16LE(10, true);
+    if (bpp <= 8)
+      tableSize = (1 << bpp) * 3;
+  } else {
+    bpp = dib.readUInt16LE(14, true);
+    compression = dib.readUInt32LE(16, true);
+    used = dib.readUInt32LE(32, true);
+    tableSize = (used || (bpp <= 8 ? 1 << bpp : 0)) * 4;
+    // BI_BITFIELDS and BI_ALPHABITFIELDS masks follow a BITMAPINFOHEADER
+    if (hdrSize === 40 && compression === 3)
+      tableSize += 12;
+    else if (hdrSize === 40 && compression === 6)
+      tableSize += 16;
+  }
+  bmp = Buffer.alloc(14 + dib.length);
+  bmp.write('BM', 0, 'latin1');
+  bmp.writeUInt32LE(bmp.length, 2, true);
+  bmp.writeUInt32LE(14 + hdrSize + tableSize, 10, true);
+  dib.copy(bmp, 14);
+  return bmp;
+}
+
+/*
+  User-defined properties are named through the section's dictionary. Unless
+  the section says otherwise (PID_BEHAVIOR), names are case-insensitive, in
+  which case the first of several names differing only in case wins.
+*/
+function customProperties(section) {
+  var custom = new Object(), seen = new Object(), id, name, key;
+  if (!section || !section.dictionary)
+    return custom;
+  for (var k in section.items) {
+    id = +k;
+    // skip the reserved property ids (codepage, locale, behavior, etc.)
+    if (id === PID_DICTIONARY || id === PID_CODEPAGE || id >= 0x80000000)
+      continue;
+    name = section.dictionary[id];
+    if (typeof name !== 'string')
+      continue;
+    if (!section.caseSensitive) {
+      key = utils.upperName(name);
+      if (seen[key])
+        continue;
+      seen[key] = true;
+    } else if (Object.prototype.hasOwnProperty.call(custom, name))
+      continue;
+    custom[name] = section.items[k].value;
+  }
+  return custom;
+}
+
+function names(fields) {
+  var ret = new Object();
+  for (var i=0,len=fields.length; i<len; ++i)
+    ret[fields[i][1]] = fields[i][0];
+  return ret;
+}
+
+function findSection(props, fmtId) {
+  if (!props || !props.sections)
+    return;
+  for (var i=0,len=props.sections.length; i<len; ++i) {
+    if (sameId(props.sections[i].fmtId, fmtId))
+      return props.sections[i];
+  }
+}
+
+function sameId(a, b) {
+  for (var i=0; i<16; ++i) {
+    if (a[i] !== b[i])
+      return false;
+  }
+  return true;
+}
+
+function getValue(section, id) {
+  var item = section.items[id];
+  return (item ? item.value : undefined);
+}
+
+function copyFields(meta, section, fields) {
+  for (var i=0,len=fields.length,value; i<len; ++i) {
+    value = getValue(section, fields[i][1]);
+    if (value !== undefined && value !== null)
+      meta[fields[i][0]] = value;
+  }
+}
+
+function toDate(value) {
+  if (value instanceof Date && !isNaN(value.getTime()))
+    return value;
+}
@@ -0,0 +1,113 @@
+var Parser = require('./index'), utils = require('./utils');
+
+/*
+  Paths are made up of entry names separated by '/' and are relative to the
+  root entry, so '/' (or '') is the root itself and '/ObjectPool/_1234' is the
+  `_1234` storage inside the `ObjectPool` storage. A leading '/' is optional.
+  Names are matched case-insensitively, the same way compound files compare
+  names.
+
+  Every entry (except the root) has a non-enumerable `parent` property
+  pointing to the storage containing it.
+*/
+
+// Returns the entry at `path`, or undefined if there is no such entry
+Parser.prototype.resolve = function(path) {
+  var names = split(path), entry = this.dir;
+  for (var i=0,len=names.length; i<len && entry; ++i)
+    entry = findChild(entry, names[i]);
+  return entry;
+};
+
+// Returns the full path of an entry
+Parser.prototype.pathOf = function(entry) {
+  var names = [];
+  for (; entry && entry.parent; entry = entry.parent)
+    names.unshift(entry.name);
+  return '/' + names.join('/');
+};
+
+/*
+  Calls `cb(entry, path)` for every entry below the root, depth-first, with
+  siblings in name order. Returning false from `cb` skips the children of
+  that entry.
+*/
+Parser.prototype.walk = function(cb) {
+  (function walk(storage, path) {
+    var children = storage.children.slice().sort(function(a, b) {
+      return utils.compareNames(a.name, b.name);
+    });
+    for (var i=0,len=children.length,child,childPath; i<len; ++i) {
+      child = children[i];
+      childPath = path + '/' + child.name;
+      if (cb(child, childPath) !== false && Array.isArray(child.children))
+        walk(child, childPath);
+    }
+  })(this.dir, '');
+};
+
+/*
+  Returns all entries whose path matches `pattern`. Within a path segment,
+  '*' matches any number of characters and '?' matches a single character.
+  A '**' segment matches any number of path segments (including none).
+*/
+Parser.prototype.glob = function(pattern) {
+  var re = globToRegExp(pattern), ret = [];
+  this.walk(function(entry, path) {
+    if (re.test(utils.upperName(path.substring(1))))
+      ret.push(entry);
+  });
+  return ret;
+};
+
+// Sets the `parent` links for all entries below `storage`
+Parser.prototype._linkParents = function(storage) {
+  for (var i=0,len=storage.children.length,child; i<len; ++i) {
+    child = storage.children[i];
+    this._setParent(child, storage);
+    if (Array.isArray(child.children))
+      this._linkParents(child);
+  }
+};
+
+// The link is non-enumerable so that the tree can still be serialized
+Parser.prototype._setParent = function(entry, parent) {
+  Object.defineProperty(entry, 'parent', {
+    value: parent,
+    configurable: true,
+    writable: true,
+    enumerable: false
+  });
+};
+
+function split(path) {
+  return String(path).split('/').filter(function(name) {
+    return name.length > 0;
+  });
+}
+
+function findChild(storage, name) {
+  if (!Array.isArray(storage.children))
+    return;
+  for (var i=0,len=storage.children.length; i<len; ++i) {
+    if (utils.compareNames(storage.children[i].name, name) === 0)
+      return storage.children[i];
+  }
+}
+
+function globToRegExp(pattern) {
+  var segs = split(utils.upperName(pattern)), src = '';
+  for (var i=0,len=segs.length,last; i<len; ++i) {
+    last = (i === len - 1);
+    if (segs[i] === '**') {
+      src += (last ? '.*' : '(?:[^/]*/)*');
+      continue;
+    }
+    src += segs[i].replace(/[\\^$.+()|{}\[\]]/g, '\\$&')
+                  .replace(/\*/g, '[^/]*')
+                  .replace(/\?/g, '[^/]');
+    if (!last)
+      src += '/';
+  }
+  return new RegExp('^' + src + '$');
+}
@@ -0,0 +1,906 @@
+var consts = require('./constants'), utils = require('./utils'),
+    codepages = require('../codepage'), FormatError = require('../errors');
+
+var VT_EMPTY = consts.VT_EMPTY,
+    VT_NULL = consts.VT_NULL,
+    VT_I2 = consts.VT_I2,
+    VT_I4 = consts.VT_I4,
+    VT_R4 = consts.VT_R4,
+    VT_R8 = consts.VT_R8,
+    VT_DATE = consts.VT_DATE,
+    VT_BSTR = consts.VT_BSTR,
+    VT_ERROR = consts.VT_ERROR,
+    VT_BOOL = consts.VT_BOOL,
+    VT_I1 = consts.VT_I1,
+    VT_UI1 = consts.VT_UI1,
+    VT_UI2 = consts.VT_UI2,
+    VT_UI4 = consts.VT_UI4,
+    VT_INT = consts.VT_INT,
+    VT_UINT = consts.VT_UINT,
+    VT_LPSTR = consts.VT_LPSTR,
+    VT_LPWSTR = consts.VT_LPWSTR,
+    VT_FILETIME = consts.VT_FILETIME,
+    VT_BLOB = consts.VT_BLOB,
+    VT_CLSID = consts.VT_CLSID,
+    VT_I8 = consts.VT_I8,
+    VT_UI8 = consts.VT_UI8,
+    VT_CY = consts.VT_CY,
+    VT_DECIMAL = consts.VT_DECIMAL,
+    VT_HRESULT = consts.VT_HRESULT,
+    VT_CF = consts.VT_CF,
+    VT_VARIANT = consts.VT_VARIANT,
+    VT_VECTOR = consts.VT_VECTOR,
+    PID_DICTIONARY = consts.PID_DICTIONARY,
+    PID_CODEPAGE = consts.PID_CODEPAGE,
+    PID_LOCALE = consts.PID_LOCALE,
+    PID_BEHAVIOR = consts.PID_BEHAVIOR,
+    PID_EDITTIME = consts.PID_EDITTIME,
+    CP_UNICODE = consts.CP_UNICODE;
+
+var makeClsId = utils.makeClsId,
+    FixedPoint = utils.FixedPoint;
+
+// Days between 12/30/1899 (the VT_DATE epoch) and 1/1/1970
+var OLE_EPOCH_DAYS = 25569;
+
+// OS version written to new property sets (Win32, version 6.0)
+var DEFAULT_OS_VERSION = 0x00020006;
+
+// Sizes of the fixed-length property types
+var FIXED_SIZES = new Object();
+FIXED_SIZES[VT_I1] = FIXED_SIZES[VT_UI1] = 1;
+FIXED_SIZES[VT_I2] = FIXED_SIZES[VT_UI2] = FIXED_SIZES[VT_BOOL] = 2;
+FIXED_SIZES[VT_I4] = FIXED_SIZES[VT_UI4] = FIXED_SIZES[VT_INT] =
+  FIXED_SIZES[VT_UINT] = FIXED_SIZES[VT_R4] = FIXED_SIZES[VT_ERROR] =
+  FIXED_SIZES[VT_HRESULT] = 4;
+FIXED_SIZES[VT_R8] = FIXED_SIZES[VT_DATE] = FIXED_SIZES[VT_FILETIME] =
+  FIXED_SIZES[VT_I8] = FIXED_SIZES[VT_UI8] = FIXED_SIZES[VT_CY] = 8;
+FIXED_SIZES[VT_CLSID] = FIXED_SIZES[VT_DECIMAL] = 16;
+
+/*
+  First 28 bytes of a property set stream is a "Property Set Header" with the
+  structure of PROPERTYSETHEADER:
+
+    byte order      (2) - Always 0xFFFE (little endian)
+    format version  (2) - 0 or 1. Version 1 is equiv. to version 0 except:
+                            * property id 0 property names can be
+                              case-sensitive, depending on the value of the
+                              reserved Behavior property in property id
+                              0x80000003
+                            * property id 0 property names can have a count
+                              greater than 256 (bytes or chars depending on if
+                              the property set's codepage is set to Unicode or
+                              not)
+                            * more property types have been added
+    OS version      (4) - System version
+    class ID       (16) - Application CLSID
+    prop. set count (4) - Should be 1 or 2 (sections start with
+                          PROPERTYSECTIONHEADER)
+
+  Next is one FORMATIDOFFSET structure (20 bytes) per section:
+
+    format ID      (16) - Unique ID representing the property set
+    offset start    (4) - offset for start of the property set
+
+  Each section starts with a PROPERTYSECTIONHEADER (8 bytes):
+
+    total byte size (4) - total size of the entire set including this byte
+                          count
+    property count  (4) - total number of properties in this set
+
+  Next is an array of PROPERTYIDOFFSET structures:
+
+    property id     (4) - id unique to this particular set
+    property offset (4) - offset of property info relative to start of set
+
+  Next is an array of SERIALIZEDPROPERTYVALUE structures:
+
+    property type   (4) - VT_* constant
+    property data   (?) - size and contents of this field depends on the
+                          property type
+
+  The dictionary (property id 0) is the exception: it has no property type
+  and instead consists of:
+
+    entry count     (4)
+    entries         (?) - each entry is a property id (4), a name length (4)
+                          in characters (including the terminating null) and
+                          the name itself. Names in Unicode property sets are
+                          padded to a multiple of 4 bytes.
+
+  The returned object has the format:
+
+    fmtVer    - format version
+    osVersion - OS version
+    clsId     - application CLSID
+    sections  - array of sections, each with the format:
+                  fmtId         - format ID of the section
+                  codepage      - value of the codepage property (if set)
+                  locale        - value of the locale property (if set)
+                  caseSensitive - true if dictionary names are case-sensitive
+                  dictionary    - property names keyed on property id (if
+                                  set)
+                  items         - properties keyed on property id, each with
+                                  a `type` and a `value`
+    fmtId     - format ID of the first section
+    items     - properties of the first section
+
+  The bytes each property (and the dictionary) was read from are kept with
+  it, so that serialize() can write unchanged properties back as they were.
+*/
+exports.parse = function(buf) {
+  var props = {
+    fmtVer: buf.readUInt16LE(2, true),
+    osVersion: buf.readUInt32LE(4, true),
+    clsId: makeClsId(buf.slice(8, 24)),
+    sections: new Array(),
+    fmtId: undefined,
+    items: undefined
+  };
+  for (var i=0,len=buf.readUInt32LE(24, true),o; i<len; ++i) {
+    o = 28 + i * 20;
+    props.sections.push(parseSection(buf, buf.readUInt32LE(o+16, true),
+                                     makeClsId(buf.slice(o, o+16))));
+  }
+  if (props.sections.length) {
+    props.fmtId = props.sections[0].fmtId;
+    props.items = props.sections[0].items;
+  }
+  return props;
+};
+
+function parseSection(buf, start, fmtId) {
+  var numProps = buf.readUInt32LE(start+4, true), locs = new Object(),
+      end = Math.min(buf.length, start + buf.readUInt32LE(start, true)),
+      offsets = new Array(), order = new Array(),
+      section = {
+        fmtId: fmtId,
+        codepage: undefined,
+        locale: undefined,
+        caseSensitive: false,
+        dictionary: undefined,
+        items: new Object()
+      },
+      id, loc, type;
+
+  for (var i=0; i<numProps; ++i) {
+    id = buf.readUInt32LE(start+i*8+8, true);
+    locs[id] = start + buf.readUInt32LE(start+i*8+12, true);
+    offsets.push(locs[id]);
+    order.push(id);
+  }
+  // serialize() keeps the properties in this order
+  Object.defineProperty(section, '_order', { value: order });
+  offsets.sort(function(a, b) {
+    return a - b;
+  });
+
+  // strings (including the dictionary's names) are encoded using the
+  // section's codepage, so it has to be known before anything else is read
+  if (locs[PID_CODEPAGE] !== undefined
+      && buf.readUInt32LE(locs[PID_CODEPAGE], true) === VT_I2) {
+    section.codepage = buf.readUInt16LE(locs[PID_CODEPAGE]+4, true);
+  }
+
+  for (var key in locs) {
+    id = +key;
+    loc = locs[key];
+    if (id === PID_DICTIONARY) {
+      section.dictionary = parseDictionary(buf, loc, section.codepage);
+      keepRaw(section.dictionary, buf, loc, offsets, end, section.codepage);
+      continue;
+    }
+    type = buf.readUInt16LE(loc, true);
+    section.items[id] = {
+      type: type,
+      value: readValue(buf, { pos: loc+4, id: id, codepage: section.codepage },
+                       type)
+    };
+    keepRaw(section.items[id], buf, loc, offsets, end, section.codepage);
+  }
+
+  if (section.items[PID_LOCALE])
+    section.locale = section.items[PID_LOCALE].value;
+  if (section.items[PID_BEHAVIOR])
+    section.caseSensitive = (section.items[PID_BEHAVIOR].value === 1);
+
+  return section;
+}
+
+/*
+  Keeps the bytes from `loc` up to the next property (or the end of the
+  section) in a hidden `_raw` property of `obj`, along with the codepage they
+  were read with
+*/
+function keepRaw(obj, buf, loc, offsets, end, codepage) {
+  for (var i=0,len=offsets.length; i<len; ++i) {
+    if (offsets[i] > loc) {
+      end = Math.min(end, offsets[i]);
+      break;
+    }
+  }
+  Object.defineProperty(obj, '_raw', {
+    value: { data: buf.slice(loc, Math.max(loc, end)), codepage: codepage }
+  });
+}
+
+function parseDictionary(buf, loc, codepage) {
+  var dict = new Object(), unicode = (codepage === CP_UNICODE),
+      pos = loc + 4, id, len;
+  for (var i=0,n=buf.readUInt32LE(loc, true); i<n; ++i) {
+    id = buf.readUInt32LE(pos, true);
+    len = buf.readUInt32LE(pos+4, true) * (unicode ? 2 : 1);
+    pos += 8;
+    dict[id] = decodeString(buf, pos, pos+len, codepage);
+    pos += len;
+    if (unicode && (pos - loc) % 4)
+      pos += 4 - (pos - loc) % 4;
+  }
+  return dict;
+}
+
+/*
+  Decodes a string stored in a property set with the given codepage, dropping
+  any trailing null characters
+*/
+function decodeString(buf, start, end, codepage) {
+  return codepages.decode(buf, codepage, start, end).replace(/\u0000+$/, '');
+}
+
+/*
+  Reads a property value of the given type at `ctx.pos` and moves `ctx.pos`
+  past it. `ctx` also holds the property `id` and the section's `codepage`.
+  Vectors (VT_VECTOR | type) are returned as arrays.
+*/
+function readValue(buf, ctx, type) {
+  var value, c;
+  if (type & VT_VECTOR) {
+    // element count followed by the elements themselves. Elements smaller
+    // than 4 bytes are packed, strings are each padded to 4 bytes
+    c = buf.readUInt32LE(ctx.pos, true);
+    ctx.pos += 4;
+    if (c > buf.length - ctx.pos)
+      throw new Error('Invalid vector length');
+    value = new Array(c);
+    for (var i=0; i<c; ++i)
+      value[i] = readValue(buf, ctx, type & ~VT_VECTOR);
+    return value;
+  }
+
+  var loc = ctx.pos;
+  if (type === VT_VARIANT) {
+    // a type followed by a value of that type, padded to 4 bytes
+    ctx.pos += 4;
+    value = readValue(buf, ctx, buf.readUInt16LE(loc, true));
+    align(ctx, loc);
+    return value;
+  }
+
+  ctx.pos += (FIXED_SIZES[type] || 0);
+  if (type === VT_I1) {
+    // 8-bit signed int
+    value = buf.readInt8(loc, true);
+  } else if (type === VT_UI1) {
+    // 8-bit unsigned int
+    value = buf.readUInt8(loc, true);
+  } else if (type === VT_I2) {
+    // 16-bit signed int
+    value = buf.readInt16LE(loc, true);
+  } else if (type === VT_UI2) {
+    // 16-bit unsigned int
+    value = buf.readUInt16LE(loc, true);
+  } else if (type === VT_I4 || type === VT_ERROR || type === VT_INT) {
+    // 32-bit signed int
+    value = buf.readInt32LE(loc, true);
+  } else if (type === VT_UI4 || type === VT_UINT) {
+    // 32-bit unsigned int
+    value = buf.readUInt32LE(loc, true);
+  } else if (type === VT_R4) {
+    // 32-bit float
+    value = buf.readFloatLE(loc, true);
+  } else if (type === VT_R8) {
+    // 64-bit double
+    value = buf.readDoubleLE(loc, true);
+  } else if (type === VT_BSTR || type === VT_LPSTR) {
+    // string in the property set's codepage (UTF-16 in Unicode property
+    // sets). The count is in bytes and includes the terminating null
+    c = buf.readUInt32LE(loc, true);
+    value = decodeString(buf, loc+4, loc+4+c, ctx.codepage);
+    ctx.pos = loc + 4 + c;
+    align(ctx, loc);
+  } else if (type === VT_BLOB) {
+    // binary blob
+    c = buf.readUInt32LE(loc, true);
+    value = Buffer.alloc(c);
+    buf.copy(value, 0, loc+4, loc+4+c);
+    ctx.pos = loc + 4 + c;
+    align(ctx, loc);
+  } else if (type === VT_LPWSTR) {
+    // utf-16 string
+    c = buf.readUInt32LE(loc, true);
+    value = decodeString(buf, loc+4, loc+4+c*2, CP_UNICODE);
+    ctx.pos = loc + 4 + c * 2;
+    align(ctx, loc);
+  } else if (type === VT_CF) {
+    value = readClipboardData(buf, loc);
+    ctx.pos = loc + 4 + buf.readUInt32LE(loc, true);
+    align(ctx, loc);
+  } else if (type === VT_I8) {
+    // 64-bit signed int
+    value = buf.readBigInt64LE(loc);
+  } else if (type === VT_UI8) {
+    // 64-bit unsigned int
+    value = buf.readBigUInt64LE(loc);
+  } else if (type === VT_CY) {
+    // 64-bit signed int in units of 1/10000
+    value = new FixedPoint(buf.readBigInt64LE(loc), 4);
+  } else if (type === VT_DECIMAL) {
+    // reserved (2), scale (1), sign (1), high 32 bits (4), low 64 bits (8)
+    value = (BigInt(buf.readUInt32LE(loc+4, true)) << BigInt(64))
+            + buf.readBigUInt64LE(loc+8);
+    value = new FixedPoint((buf[loc+3] & 0x80 ? -value : value), buf[loc+2]);
+  } else if (type === VT_DATE) {
+    // 64-bit double of the number of days since 12/30/1899. The fractional
+    // part is the time of day, even for negative values
+    var days = buf.readDoubleLE(loc, true),
+        whole = Math.trunc(days);
+    value = new Date(Math.round((whole - OLE_EPOCH_DAYS) * 86400000
+                                + Math.abs(days - whole) * 86400000));
+  } else if (type === VT_BOOL) {
+    value = (buf[loc] === 0 ? false : true);
+  } else if (type === VT_FILETIME) {
+    // 64-bit FILETIME structure
+    // Represents the number of 100-nanosecond intervals since January 1, 1601
+    // (UTC). PID_EDITTIME is a duration instead, which is returned in
+    // milliseconds
+    if (ctx.id === PID_EDITTIME)
+      value = Number(buf.readBigUInt64LE(loc)) / 10000;
+    else
+      value = utils.readFileTime(buf, loc);
+  } else if (type === VT_HRESULT) {
+    value = buf.readUInt32LE(loc, true);
+  } else if (type === VT_CLSID) {
+    value = makeClsId(buf.slice(loc, loc+16));
+  } else if (type === VT_NULL)
+    value = null;
+  return value;
+}
+
+/*
+  Clipboard data (VT_CF) starts with the size of the rest of the structure,
+  followed by a clipboard format tag:
+
+    -1 - a 4 byte Windows clipboard format (CF_*) follows
+    -2 - a 4 byte Macintosh clipboard format follows
+    -3 - a 16 byte FMTID follows
+     0 - no format
+    >0 - the length of a clipboard format name (in the property set's
+         codepage) that follows
+
+  The rest is the data itself. The returned object has the format:
+
+    tag    - the clipboard format tag
+    format - the clipboard format (number, FMTID or name) or undefined
+    data   - Buffer containing the data
+*/
+function readClipboardData(buf, loc) {
+  var size = buf.readUInt32LE(loc, true),
+      tag = buf.readInt32LE(loc+4, true),
+      pos = loc + 8,
+      format;
+  if (tag === -1 || tag === -2) {
+    format = buf.readUInt32LE(pos, true);
+    pos += 4;
+  } else if (tag === -3) {
+    format = makeClsId(buf.slice(pos, pos+16));
+    pos += 16;
+  } else if (tag > 0) {
+    format = buf.toString('latin1', pos, pos+tag).replace(/\u0000+$/, '');
+    pos += tag;
+  }
+  return {
+    tag: tag,
+    format: format,
+    data: buf.slice(pos, Math.max(pos, loc+4+size))
+  };
+}
+
+// Moves `ctx.pos` to the next multiple of 4 bytes from `start`
+function align(ctx, start) {
+  var rem = (ctx.pos - start) % 4;
+  if (rem)
+    ctx.pos += 4 - rem;
+}
+
+/*
+  Returns the section of a parsed property set with the given format ID, or
+  undefined if there is none
+*/
+exports.findSection = function(props, fmtId) {
+  var sections = (props && props.sections) || [];
+  for (var i=0,len=sections.length; i<len; ++i) {
+    if (sameValue(sections[i].fmtId, fmtId))
+      return sections[i];
+  }
+};
+
+/*
+  Sets property `id` of a section to `value`, which must suit `type` (see
+  serialize()). If `name` is given, it is added to the section's dictionary
+  as the name of the property.
+*/
+exports.setProperty = function(section, id, type, value, name) {
+  section.items[id] = { type: type, value: value };
+  if (name !== undefined) {
+    if (!section.dictionary)
+      section.dictionary = new Object();
+    section.dictionary[id] = name;
+  }
+  updateSection(section);
+};
+
+/*
+  Removes property `id` (and its name in the dictionary) from a section.
+  Removing PID_DICTIONARY removes the whole dictionary. Returns the removed
+  property, if there was one.
+*/
+exports.removeProperty = function(section, id) {
+  var item = section.items[id];
+  if (id === PID_DICTIONARY) {
+    section.dictionary = undefined;
+    return;
+  }
+  delete section.items[id];
+  if (section.dictionary)
+    delete section.dictionary[id];
+  updateSection(section);
+  return item;
+};
+
+// Adds an empty section to a property set and returns it
+exports.addSection = function(props, fmtId) {
+  var section = {
+    fmtId: fmtId,
+    codepage: undefined,
+    locale: undefined,
+    caseSensitive: false,
+    dictionary: undefined,
+    items: new Object()
+  };
+  props.sections.push(section);
+  updateProps(props);
+  return section;
+};
+
+// Removes the section with the given format ID from a property set
+exports.removeSection = function(props, fmtId) {
+  var section = exports.findSection(props, fmtId);
+  if (section) {
+    props.sections.splice(props.sections.indexOf(section), 1);
+    updateProps(props);
+  }
+  return section;
+};
+
+// Keeps the shortcuts to the first section in sync with `sections`
+function updateProps(props) {
+  props.fmtId = (props.sections.length ? props.sections[0].fmtId : undefined);
+  props.items = (props.sections.length ? props.sections[0].items : undefined);
+}
+
+// Keeps the fields derived from special properties in sync with `items`
+function updateSection(section) {
+  var items = section.items;
+  section.codepage = codepageOf(items);
+  section.locale = (items[PID_LOCALE] ? items[PID_LOCALE].value : undefined);
+  section.caseSensitive = (!!items[PID_BEHAVIOR]
+                           && items[PID_BEHAVIOR].value === 1);
+}
+
+function codepageOf(items) {
+  var item = items[PID_CODEPAGE];
+  if (item && item.type === VT_I2 && typeof item.value === 'number')
+    return item.value & 0xFFFF;
+}
+
+/*
+  Turns a property set in the format returned by parse() back into a
+  property set stream. Only `sections` counts, `fmtId` and `items` are
+  ignored. Properties whose type and value are unchanged (and were read
+  with the same codepage) are written back byte for byte, so types this
+  module does not understand survive as long as they are left alone.
+
+  Strings are encoded using the section's codepage property (windows-1252
+  if there is none). The JavaScript values expected for each type are the
+  ones parse() returns:
+
+    VT_I1, VT_UI1, VT_I2, VT_UI2, VT_I4, VT_UI4, VT_INT, VT_UINT,
+    VT_ERROR, VT_HRESULT, VT_R4, VT_R8  - number
+    VT_I8, VT_UI8                       - BigInt (or integer number)
+    VT_CY, VT_DECIMAL                   - FixedPoint, BigInt or number
+    VT_BOOL                             - boolean
+    VT_DATE                             - Date
+    VT_FILETIME                         - Date or null (a number of
+                                          milliseconds for PID_EDITTIME)
+    VT_BSTR, VT_LPSTR, VT_LPWSTR        - string
+    VT_BLOB                             - Buffer
+    VT_CF                               - { tag, format, data }, `tag` can
+                                          be left out
+    VT_CLSID                            - array of 16 bytes
+    VT_EMPTY, VT_NULL                   - anything, nothing is written
+    VT_VECTOR | type                    - array of values of `type`
+
+  Elements of VT_VARIANT vectors can be given as `{ type, value }`. Other
+  values are written as VT_LPSTR (strings), VT_I4 or VT_R8 (numbers),
+  VT_BOOL, VT_I8 (BigInts), VT_FILETIME (Dates), VT_BLOB (Buffers), VT_CY
+  (FixedPoints with a scale of 4), VT_DECIMAL (other FixedPoints) or VT_NULL
+  (null).
+
+  Throws a FormatError with the code EUNSUPPORTED for types that can not be
+  written and for strings that can not be encoded in the section's codepage.
+*/
+exports.serialize = function(props) {
+  var sections = props.sections || [],
+      head = Buffer.alloc(28 + sections.length * 20),
+      bufs = [head], pos = head.length, buf;
+  head.writeUInt16LE(0xFFFE, 0);
+  head.writeUInt16LE(props.fmtVer || 0, 2);
+  head.writeUInt32LE((props.osVersion === undefined
+                      ? DEFAULT_OS_VERSION
+                      : props.osVersion), 4);
+  writeClsId(head, 8, props.clsId);
+  head.writeUInt32LE(sections.length, 24);
+  for (var i=0,len=sections.length; i<len; ++i) {
+    buf = serializeSection(sections[i]);
+    writeClsId(head, 28 + i * 20, sections[i].fmtId);
+    head.writeUInt32LE(pos, 28 + i * 20 + 16);
+    bufs.push(buf);
+    pos += buf.length;
+  }
+  return Buffer.concat(bufs);
+};
+
+function serializeSection(section) {
+  var items = section.items, codepage = codepageOf(items), ids = new Array(),
+      added = new Array(), parts = new Array(), head, pos;
+
+  // properties that were read keep their place, new ones follow in order
+  (section._order || []).forEach(function(id) {
+    if (ids.indexOf(id) === -1
+        && (id === PID_DICTIONARY
+            ? section.dictionary
+            : Object.prototype.hasOwnProperty.call(items, id)))
+      ids.push(id);
+  });
+  if (section.dictionary && ids.indexOf(PID_DICTIONARY) === -1)
+    added.push(PID_DICTIONARY);
+  for (var key in items) {
+    if (+key !== PID_DICTIONARY && ids.indexOf(+key) === -1)
+      added.push(+key);
+  }
+  ids = ids.concat(added.sort(function(a, b) {
+    return a - b;
+  }));
+
+  for (var i=0,len=ids.length; i<len; ++i) {
+    parts.push(ids[i] === PID_DICTIONARY
+               ? writeDictionary(section.dictionary, codepage)
+               : writeProperty(items[ids[i]], ids[i], codepage));
+  }
+
+  head = Buffer.alloc(8 + ids.length * 8);
+  pos = head.length;
+  for (i=0; i<len; ++i) {
+    head.writeUInt32LE(ids[i], 8 + i * 8);
+    head.writeUInt32LE(pos, 12 + i * 8);
+    pos += parts[i].length;
+  }
+  head.writeUInt32LE(pos, 0);
+  head.writeUInt32LE(ids.length, 4);
+  return Buffer.concat([head].concat(parts));
+}
+
+function writeDictionary(dict, codepage) {
+  var raw = dict._raw, unicode = (codepage === CP_UNICODE), ids, parts, buf,
+      name;
+  if (raw && raw.codepage === codepage) {
+    try {
+      if (sameValue(dict, parseDictionary(raw.data, 0, codepage)))
+        return pad(raw.data);
+    } catch (ex) {
+      // damaged, write it from scratch
+    }
+  }
+  ids = Object.keys(dict);
+  buf = Buffer.alloc(4);
+  buf.writeUInt32LE(ids.length, 0);
+  parts = [buf];
+  for (var i=0,len=ids.length; i<len; ++i) {
+    name = encodeString(dict[ids[i]], codepage);
+    buf = Buffer.alloc(8);
+    buf.writeUInt32LE(+ids[i], 0);
+    buf.writeUInt32LE(unicode ? name.length / 2 : name.length, 4);
+    parts.push(buf);
+    // only the names of Unicode dictionaries are padded
+    parts.push(unicode ? pad(name) : name);
+  }
+  return pad(Buffer.concat(parts));
+}
+
+function writeProperty(item, id, codepage) {
+  var raw = item._raw, head;
+  if (raw && raw.data.length >= 4
+      && raw.data.readUInt16LE(0, true) === item.type) {
+    if (raw.codepage === codepage && sameRaw(item, id, codepage))
+      return pad(raw.data);
+    // nothing better can be done with types that can not be written
+    if (item.value === undefined && !isKnownType(item.type))
+      return pad(raw.data);
+  }
+  head = Buffer.alloc(4);
+  head.writeUInt16LE(item.type, 0);
+  return pad(Buffer.concat([head, encodeValue(item.type, item.value,
+                                              { id: id,
+                                                codepage: codepage })]));
+}
+
+// Returns true if the value of `item` is the one its raw bytes hold
+function sameRaw(item, id, codepage) {
+  try {
+    return sameValue(item.value, readValue(item._raw.data,
+                                           { pos: 4, id: id,
+                                             codepage: codepage },
+                                           item.type));
+  } catch (ex) {
+    return false;
+  }
+}
+
+function isKnownType(type) {
+  type &= ~VT_VECTOR;
+  return (FIXED_SIZES[type] !== undefined || type === VT_EMPTY
+          || type === VT_NULL || type === VT_BSTR || type === VT_LPSTR
+          || type === VT_LPWSTR || type === VT_BLOB || type === VT_CF
+          || type === VT_VARIANT);
+}
+
+/*
+  Encodes a value of the given type, the inverse of readValue(). `ctx` holds
+  the property `id` and the section's `codepage`.
+*/
+function encodeValue(type, value, ctx) {
+  var buf, data;
+  if (type & VT_VECTOR) {
+    if (!Array.isArray(value))
+      throw invalidValue(type, ctx);
+    buf = Buffer.alloc(4);
+    buf.writeUInt32LE(value.length, 0);
+    return Buffer.concat([buf].concat(value.map(function(v) {
+      return encodeValue(type & ~VT_VECTOR, v, ctx);
+    })));
+  }
+
+  if (type === VT_VARIANT) {
+    if (!isTyped(value))
+      value = { type: guessType(value, ctx), value: value };
+    buf = Buffer.alloc(4);
+    buf.writeUInt16LE(value.type, 0);
+    return pad(Buffer.concat([buf, encodeValue(value.type, value.value,
+                                               ctx)]));
+  }
+
+  if (FIXED_SIZES[type]) {
+    buf = Buffer.alloc(FIXED_SIZES[type]);
+    writeFixed(buf, type, value, ctx);
+    return buf;
+  }
+
+  if (type === VT_EMPTY || type === VT_NULL)
+    return Buffer.alloc(0);
+  if (type === VT_BSTR || type === VT_LPSTR || type === VT_LPWSTR) {
+    if (typeof value !== 'string')
+      throw invalidValue(type, ctx);
+    // the count is in bytes, except for VT_LPWSTR
+    data = encodeString(value, (type === VT_LPWSTR ? CP_UNICODE
+                                                   : ctx.codepage));
+    return sized(data, (type === VT_LPWSTR ? data.length / 2 : data.length));
+  }
+  if (type === VT_BLOB) {
+    if (!Buffer.isBuffer(value))
+      throw invalidValue(type, ctx);
+    return sized(value, value.length);
+  }
+  if (type === VT_CF)
+    return writeClipboardData(value, ctx);
+  throw new FormatError('EUNSUPPORTED', 'Property ' + ctx.id + ' has type '
+                                        + type + ', which can not be written');
+}
+
+function writeFixed(buf, type, value, ctx) {
+  if (type === VT_I8 || type === VT_UI8) {
+    if (typeof value !== 'bigint' && !Number.isInteger(value))
+      throw invalidValue(type, ctx);
+    if (type === VT_I8)
+      buf.writeBigInt64LE(BigInt(value), 0);
+    else
+      buf.writeBigUInt64LE(BigInt(value), 0);
+  } else if (type === VT_CY) {
+    buf.writeBigInt64LE(scaled(toFixedPoint(value, type, ctx), 4), 0);
+  } else if (type === VT_DECIMAL) {
+    value = toFixedPoint(value, type, ctx);
+    var abs = (value.value < BigInt(0) ? -value.value : value.value);
+    buf[2] = value.scale;
+    buf[3] = (value.value < BigInt(0) ? 0x80 : 0);
+    buf.writeUInt32LE(Number(abs >> BigInt(64)), 4);
+    buf.writeBigUInt64LE(BigInt.asUintN(64, abs), 8);
+  } else if (type === VT_DATE) {
+    if (!(value instanceof Date))
+      throw invalidValue(type, ctx);
+    buf.writeDoubleLE(toOleDate(value), 0);
+  } else if (type === VT_FILETIME) {
+    if (ctx.id === PID_EDITTIME && typeof value === 'number')
+      buf.writeBigUInt64LE(BigInt(Math.round(value * 10000)), 0);
+    else if (value === null || value instanceof Date)
+      utils.writeFileTime(buf, 0, value);
+    else
+      throw invalidValue(type, ctx);
+  } else if (type === VT_CLSID) {
+    if (!Array.isArray(value) || value.length !== 16)
+      throw invalidValue(type, ctx);
+    writeClsId(buf, 0, value);
+  } else if (type === VT_BOOL) {
+    if (typeof value !== 'boolean')
+      throw invalidValue(type, ctx);
+    buf.writeUInt16LE(value ? 0xFFFF : 0, 0);
+  } else {
+    if (typeof value !== 'number')
+      throw invalidValue(type, ctx);
+    // integers are masked so both signed and unsigned values are accepted
+    if (type === VT_R4)
+      buf.writeFloatLE(value, 0);
+    else if (type === VT_R8)
+      buf.writeDoubleLE(value, 0);
+    else if (type === VT_I1 || type === VT_UI1)
+      buf.writeUInt8(value & 0xFF, 0);
+    else if (type === VT_I2 || type === VT_UI2)
+      buf.writeUInt16LE(value & 0xFFFF, 0);
+    else
+      buf.writeUInt32LE(value >>> 0, 0);
+  }
+}
+
+function writeClipboardData(value, ctx) {
+  var tag, format, head;
+  if (!value || !Buffer.isBuffer(value.data))
+    throw invalidValue(VT_CF, ctx);
+  tag = value.tag;
+  if (tag === undefined) {
+    tag = (typeof value.format === 'number' ? -1
+           : Array.isArray(value.format) ? -3
+           : typeof value.format === 'string' ? value.format.length + 1
+           : 0);
+  }
+  if (tag === -1 || tag === -2) {
+    format = Buffer.alloc(4);
+    format.writeUInt32LE(value.format >>> 0, 0);
+  } else if (tag === -3) {
+    format = Buffer.alloc(16);
+    writeClsId(format, 0, value.format);
+  } else if (tag > 0) {
+    format = Buffer.alloc(tag);
+    format.write(value.format || '', 0, tag, 'latin1');
+  } else
+    format = Buffer.alloc(0);
+  head = Buffer.alloc(8);
+  head.writeUInt32LE(4 + format.length + value.data.length, 0);
+  head.writeInt32LE(tag, 4);
+  return pad(Buffer.concat([head, format, value.data]));
+}
+
+// Encodes a string followed by a terminating null
+function encodeString(str, codepage) {
+  return codepages.encode(str + '\u0000', codepage);
+}
+
+// A count followed by `data`, padded to 4 bytes
+function sized(data, count) {
+  var head = Buffer.alloc(4);
+  head.writeUInt32LE(count, 0);
+  return pad(Buffer.concat([head, data]));
+}
+
+function pad(buf) {
+  var rem = buf.length % 4;
+  return (rem ? Buffer.concat([buf, Buffer.alloc(4 - rem)]) : buf);
+}
+
+function writeClsId(buf, pos, clsId) {
+  if (clsId)
+    Buffer.from(makeClsId(clsId)).copy(buf, pos);
+}
+
+// The inverse of the VT_DATE conversion in readValue()
+function toOleDate(date) {
+  var days = date.getTime() / 86400000 + OLE_EPOCH_DAYS,
+      whole = Math.floor(days);
+  return (whole >= 0 ? days : whole - (days - whole));
+}
+
+function toFixedPoint(value, type, ctx) {
+  var m;
+  if (value instanceof FixedPoint)
+    return value;
+  if (typeof value === 'bigint')
+    return new FixedPoint(value, 0);
+  if (typeof value === 'number'
+      && (m = /^(-?)(\d+)(?:\.(\d+))?$/.exec(String(value)))) {
+    return new FixedPoint(BigInt(m[1] + m[2] + (m[3] || '')),
+                          (m[3] || '').length);
+  }
+  throw invalidValue(type, ctx);
+}
+
+// The value of a FixedPoint in units of 10^-scale, truncating extra digits
+function scaled(fp, scale) {
+  var factor = BigInt('1' + '0'.repeat(Math.abs(scale - fp.scale)));
+  return (fp.scale <= scale ? fp.value * factor : fp.value / factor);
+}
+
+// Variant values given as { type, value }
+function isTyped(value) {
+  return (value !== null && typeof value === 'object'
+          && typeof value.type === 'number'
+          && Object.prototype.hasOwnProperty.call(value, 'value'));
+}
+
+function guessType(value, ctx) {
+  if (typeof value === 'string')
+    return VT_LPSTR;
+  if (typeof value === 'boolean')
+    return VT_BOOL;
+  if (typeof value === 'number')
+    return ((value | 0) === value ? VT_I4 : VT_R8);
+  if (typeof value === 'bigint')
+    return VT_I8;
+  if (value instanceof Date)
+    return VT_FILETIME;
+  if (Buffer.isBuffer(value))
+    return VT_BLOB;
+  if (value instanceof FixedPoint)
+    return (value.scale === 4 ? VT_CY : VT_DECIMAL);
+  if (value === null)
+    return VT_NULL;
+  throw invalidValue(VT_VARIANT, ctx);
+}
+
+function invalidValue(type, ctx) {
+  return new Error('Invalid value for property ' + ctx.id + ' of type '
+                   + type);
+}
+
+// Compares two property values (or dictionaries) by content
+function sameValue(a, b) {
+  var keys;
+  if (a === b || (a !== a && b !== b))
+    return true;
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object')
+    return false;
+  if (Buffer.isBuffer(a) || Buffer.isBuffer(b))
+    return (Buffer.isBuffer(a) && Buffer.isBuffer(b) && a.equals(b));
+  if (a instanceof Date || b instanceof Date) {
+    return (a instanceof Date && b instanceof Date
+            && sameValue(a.getTime(), b.getTime()));
+  }
+  if (Array.isArray(a) !== Array.isArray(b)
+      || Object.getPrototypeOf(a) !== Object.getPrototypeOf(b))
+    return false;
+  keys = Object.keys(a);
+  if (keys.length !== Object.keys(b).length)
+    return false;
+  for (var i=0,len=keys.length; i<len; ++i) {
+    if (!Object.prototype.hasOwnProperty.call(b, keys[i])
+        || !sameValue(a[keys[i]], b[keys[i]]))
+      return false;
+  }
+  return true;
+}
@@ -0,0 +1,139 @@
+var Parser = require('./index'), consts = require('./constants'),
+    propset = require('./propset'), utils = require('./utils');
+
+var FORMATID = consts.FORMATID,
+    PID_DICTIONARY = consts.PID_DICTIONARY,
+    PID_CODEPAGE = consts.PID_CODEPAGE;
+
+var SUMMARY = '\x05SummaryInformation',
+    DOCSUMMARY = '\x05DocumentSummaryInformation';
+
+// Fields that can be scrubbed, named as in getMetadata(), with the stream
+// and property holding them
+var FIELDS = {
+  title: [SUMMARY, consts.PID_TITLE],
+  subject: [SUMMARY, consts.PID_SUBJECT],
+  author: [SUMMARY, consts.PID_AUTHOR],
+  keywords: [SUMMARY, consts.PID_KEYWORDS],
+  comments: [SUMMARY, consts.PID_COMMENTS],
+  template: [SUMMARY, consts.PID_TEMPLATE],
+  lastAuthor: [SUMMARY, consts.PID_LASTAUTHOR],
+  thumbnail: [SUMMARY, consts.PID_THUMBNAIL],
+  category: [DOCSUMMARY, consts.PID_CATEGORY],
+  manager: [DOCSUMMARY, consts.PID_MANAGER],
+  company: [DOCSUMMARY, consts.PID_COMPANY],
+  linkBase: [DOCSUMMARY, consts.PID_LINKBASE],
+  // the whole user-defined section
+  custom: [DOCSUMMARY]
+};
+
+var DEFAULT_FIELDS = ['author', 'lastAuthor', 'company', 'manager',
+                      'comments', 'template', 'custom', 'thumbnail'];
+
+/*
+  Removes personal information from the document's SummaryInformation and
+  DocumentSummaryInformation property sets and saves the file. `options` is
+  optional and can contain:
+
+    fields - names of the fields to remove (default: author, lastAuthor,
+             company, manager, comments, template, custom and thumbnail).
+             title, subject, keywords, category and linkBase can be removed
+             as well
+    path   - where to save the scrubbed file (default: over the file itself,
+             which is left alone if there was nothing to remove)
+
+  Passes an array describing every property removed to `cb`, or returns a
+  Promise for it if `cb` is not given. Each element has the format:
+
+    field  - name of the field the property belongs to
+    stream - name of the property set stream
+    id     - property id
+    name   - name of the property (user-defined properties only)
+    value  - the value removed
+*/
+Parser.prototype.scrub = function(options, cb) {
+  var self = this;
+  if (typeof options === 'function') {
+    cb = options;
+    options = undefined;
+  }
+  options = options || {};
+  return utils.callbackOrPromise(cb, function(cb) {
+    var fields = options.fields || DEFAULT_FIELDS, removed = new Array(),
+        streams = [SUMMARY, DOCSUMMARY], i = 0;
+
+    for (var j=0,len=fields.length; j<len; ++j) {
+      if (!Object.prototype.hasOwnProperty.call(FIELDS, fields[j])) {
+        return process.nextTick(cb, new Error('Unknown metadata field: '
+                                              + fields[j]));
+      }
+    }
+
+    (function next(err) {
+      var entry;
+      if (err)
+        return cb(err);
+      if (i === streams.length) {
+        if (!removed.length && options.path === undefined)
+          return cb(undefined, removed);
+        return self.saveAs((options.path === undefined ? self.path
+                                                       : options.path),
+                           function(err) {
+          cb(err, removed);
+        });
+      }
+      entry = self.resolve(streams[i++]);
+      if (!entry || Array.isArray(entry.children))
+        return next();
+      self.getProperties(entry, function(err, props) {
+        var count = removed.length;
+        if (err || !props)
+          return next(err);
+        scrubProperties(entry.name, props, fields, removed);
+        if (removed.length > count) {
+          try {
+            self.setProperties(entry, props);
+          } catch (ex) {
+            return next(ex);
+          }
+        }
+        next();
+      });
+    })();
+  });
+};
+
+// Removes `fields` from a property set stored in stream `stream`, adding
+// what was removed to `removed`
+function scrubProperties(stream, props, fields, removed) {
+  var fmtId = (stream === SUMMARY ? FORMATID.SUMMARY : FORMATID.DOCSUMMARY),
+      section = propset.findSection(props, fmtId), custom, field, item;
+
+  for (var i=0,len=fields.length; i<len; ++i) {
+    field = FIELDS[fields[i]];
+    if (field[0] !== stream)
+      continue;
+    if (fields[i] === 'custom') {
+      if ((custom = propset.findSection(props, FORMATID.USERDEFPROPS))) {
+        listCustom(stream, custom, removed);
+        propset.removeSection(props, FORMATID.USERDEFPROPS);
+      }
+    } else if (section && (item = propset.removeProperty(section,
+                                                          field[1]))) {
+      removed.push({ field: fields[i], stream: stream, id: field[1],
+                     value: item.value });
+    }
+  }
+}
+
+function listCustom(stream, section, removed) {
+  var dict = section.dictionary || {}, id;
+  for (var key in section.items) {
+    id = +key;
+    // the reserved properties (codepage, locale, behavior) go unmentioned
+    if (id === PID_DICTIONARY || id === PID_CODEPAGE || id >= 0x80000000)
+      continue;
+    removed.push({ field: 'custom', stream: stream, id: id, name: dict[id],
+                   value: section.items[key].value });
+  }
+}
@@ -0,0 +1,87 @@
+var fs = require('fs');
+
+/*
+  A source is anything the parser can read from at random positions. Sources
+  have the following interface:
+
+    size                        - total size of the source in bytes
+    read(position, length, cb)  - reads up to `length` bytes starting at
+                                  `position` and calls `cb(err, buf)`. `buf`
+                                  is only shorter than `length` when the end
+                                  of the source was reached
+    close(cb)                   - releases any underlying resources
+
+  Custom sources (e.g. an HTTP range reader) only need to implement this
+  interface to be usable with the parser.
+*/
+
+var BufferSource = exports.BufferSource = function(buf) {
+  if (!Buffer.isBuffer(buf))
+    buf = Buffer.from(buf.buffer, buf.byteOffset, buf.byteLength);
+  this.buf = buf;
+  this.size = buf.length;
+};
+BufferSource.prototype.read = function(position, length, cb) {
+  var buf = this.buf;
+  process.nextTick(function() {
+    cb(undefined, buf.slice(position, position + length));
+  });
+};
+BufferSource.prototype.close = function(cb) {
+  this.buf = undefined;
+  if (cb)
+    process.nextTick(cb);
+};
+
+var FileSource = exports.FileSource = function(fd, size, path) {
+  this.fd = fd;
+  this.size = size;
+  this.path = path;
+};
+FileSource.prototype.read = function(position, length, cb) {
+  var buf = Buffer.alloc(length);
+  fs.read(this.fd, buf, 0, length, position, function(err, bytesRead) {
+    if (err)
+      return cb(err);
+    cb(undefined, (bytesRead < length ? buf.slice(0, bytesRead) : buf));
+  });
+};
+FileSource.prototype.close = function(cb) {
+  fs.close(this.fd, cb || function() {});
+};
+
+// Opens the file at `path` read-only
+FileSource.open = function(path, cb) {
+  fs.open(path, 'r', function(err, fd) {
+    if (err)
+      return cb(err);
+    fs.fstat(fd, function(err, stats) {
+      if (err) {
+        fs.close(fd, function() {});
+        return cb(err);
+      }
+      cb(undefined, new FileSource(fd, stats.size, path));
+    });
+  });
+};
+
+/*
+  Turns whatever was passed to the parser into a source: a file path, a
+  Buffer or Uint8Array, or an object already implementing the source
+  interface.
+*/
+exports.create = function(source, cb) {
+  if (typeof source === 'string')
+    return FileSource.open(source, cb);
+  if (source instanceof Uint8Array) {
+    return process.nextTick(function() {
+      cb(undefined, new BufferSource(source));
+    });
+  }
+  process.nextTick(function() {
+    if (!source || typeof source.read !== 'function')
+      cb(new Error('Unsupported source'));
+    else
+      cb(undefined, source);
+  });
+};
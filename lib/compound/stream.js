@@ -0,0 +1,52 @@
+var util = require('util'),
+    Readable = require('stream').Readable;
+
+var DEFAULT_CHUNK_SIZE = 64 * 1024;
+
+/*
+  A Readable for (part of) a stream inside a compound file. Data is only read
+  from the source when the consumer asks for more, and every chunk is a
+  separate Buffer.
+
+  Options:
+
+    start         - offset of the first byte to read (default: 0)
+    end           - offset of the last byte to read, inclusive (default: the
+                    last byte of the stream)
+    highWaterMark - maximum number of bytes to read at once (default: 64KB)
+*/
+var EntryStream = module.exports = function(parser, entry, options) {
+  options = options || {};
+  Readable.call(this, {
+    highWaterMark: options.highWaterMark || DEFAULT_CHUNK_SIZE
+  });
+  this.parser = parser;
+  this.entry = entry;
+  this.pos = options.start || 0;
+  this.end = Math.min((options.end === undefined ? Infinity : options.end + 1),
+                      entry.size);
+  this.chunkSize = options.highWaterMark || DEFAULT_CHUNK_SIZE;
+  this._sects = undefined;
+};
+util.inherits(EntryStream, Readable);
+
+EntryStream.prototype._read = function() {
+  var self = this, len = Math.min(this.chunkSize, this.end - this.pos);
+  if (len <= 0)
+    return this.push(null);
+  if (!this._sects) {
+    // walk the whole chain only once instead of once per chunk
+    try {
+      this._sects = this.parser._streamSects(this.entry);
+    } catch (err) {
+      return this.destroy(err);
+    }
+  }
+  this.parser._readRange(this.entry, this.pos, len, this._sects,
+                         function(err, buf) {
+    if (err)
+      return self.destroy(err);
+    self.pos += buf.length;
+    self.push(buf);
+  });
+};
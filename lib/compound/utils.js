@@ -0,0 +1,116 @@
+// Number of milliseconds between January 1, 1601 (FILETIME epoch) and
+// January 1, 1970 (UNIX epoch)
+var FILETIME_EPOCH_DIFF = 11644473600000;
+
+exports.lshift = function(num, bits) {
+  return num * Math.pow(2, bits);
+};
+
+// Converts between the on-disk GUID byte order and the "display" byte order
+// (the conversion is its own inverse, so it works in both directions)
+exports.makeClsId = function(buf) {
+  var clsid = new Array(16);
+  clsid[0] = buf[3];
+  clsid[1] = buf[2];
+  clsid[2] = buf[1];
+  clsid[3] = buf[0];
+
+  clsid[4] = buf[5];
+  clsid[5] = buf[4];
+
+  clsid[6] = buf[7];
+  clsid[7] = buf[6];
+
+  for (var i=8; i<16; ++i)
+    clsid[i] = buf[i];
+  return clsid;
+};
+
+// Upper-cases a name one character at a time, leaving characters without a
+// single-character upper case form alone
+exports.upperName = function(name) {
+  return name.replace(/[^\u0000-\u0060\u007B-\u007F]/g, function(c) {
+    var upper = c.toUpperCase();
+    return (upper.length === 1 ? upper : c);
+  });
+};
+
+/*
+  Compares two directory entry names the way compound files order siblings
+  in their red-black trees: shorter names always sort first and names of
+  equal length are compared character by character after upper-casing.
+*/
+exports.compareNames = function(a, b) {
+  if (a.length !== b.length)
+    return (a.length < b.length ? -1 : 1);
+  a = exports.upperName(a);
+  b = exports.upperName(b);
+  for (var i=0,len=a.length,ca,cb; i<len; ++i) {
+    ca = a.charCodeAt(i);
+    cb = b.charCodeAt(i);
+    if (ca !== cb)
+      return (ca < cb ? -1 : 1);
+  }
+  return 0;
+};
+
+// Reads a 64-bit FILETIME as a Date, or null if the timestamp is not set
+exports.readFileTime = function(buf, offset) {
+  var ticks = buf.readBigUInt64LE(offset);
+  if (ticks === BigInt(0))
+    return null;
+  return new Date(Number(ticks / BigInt(10000)) - FILETIME_EPOCH_DIFF);
+};
+
+// Writes a Date (or a millisecond UNIX timestamp) as a 64-bit FILETIME.
+// Missing timestamps are written as zero
+exports.writeFileTime = function(buf, offset, date) {
+  var ms = (date instanceof Date ? date.getTime() : date);
+  if (typeof ms !== 'number' || isNaN(ms) || ms < -FILETIME_EPOCH_DIFF) {
+    buf.fill(0, offset, offset + 8);
+    return;
+  }
+  buf.writeBigUInt64LE(BigInt(Math.round(ms) + FILETIME_EPOCH_DIFF)
+                       * BigInt(10000),
+                       offset);
+};
+
+/*
+  An exact fixed-point number equal to `value` / 10^`scale`, where `value` is
+  a BigInt. Used for currency (VT_CY) and decimal (VT_DECIMAL) values.
+*/
+var FixedPoint = exports.FixedPoint = function(value, scale) {
+  this.value = value;
+  this.scale = scale;
+};
+FixedPoint.prototype.toString = function() {
+  var neg = (this.value < BigInt(0)),
+      digits = (neg ? -this.value : this.value).toString(),
+      intPart, fracPart;
+  while (digits.length <= this.scale)
+    digits = '0' + digits;
+  intPart = digits.substring(0, digits.length - this.scale);
+  fracPart = digits.substring(digits.length - this.scale);
+  return (neg ? '-' : '') + intPart + (fracPart ? '.' + fracPart : '');
+};
+FixedPoint.prototype.valueOf = function() {
+  return Number(this.toString());
+};
+FixedPoint.prototype.toJSON = FixedPoint.prototype.toString;
+
+/*
+  Calls `fn(cb)` and returns undefined if `cb` is a function. Otherwise `fn`
+  is passed a callback settling a Promise, which is returned instead.
+*/
+exports.callbackOrPromise = function(cb, fn) {
+  if (typeof cb === 'function')
+    return fn(cb);
+  return new Promise(function(resolve, reject) {
+    fn(function(err, result) {
+      if (err)
+        reject(err);
+      else
+        resolve(result);
+    });
+  });
+};
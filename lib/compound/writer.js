@@ -0,0 +1,252 @@
+var fs = require('fs'),
+    consts = require('./constants'), directory = require('./directory');
+
+var DIFSECT = consts.DIFSECT,
+    FATSECT = consts.FATSECT,
+    ENDOFCHAIN = consts.ENDOFCHAIN,
+    FREESECT = consts.FREESECT,
+    STGTY_STREAM = consts.STGTY_STREAM;
+
+var HEADER_DIFAT_COUNT = 109,
+    MINI_SECTOR_SIZE = 64,
+    MAX_MINI_STREAM_SIZE = 4096;
+
+/*
+  Creates a new compound file out of a tree of storages and streams. The tree
+  has the same shape as the `dir` tree produced by the parser: every entry has
+  a `name`, storages have a `children` array (and optionally `classId`,
+  `userFlags`, `createTS` and `modifyTS`) and streams have their contents in
+  `data` (a Buffer). The root of the tree is always written as "Root Entry".
+
+  Options:
+
+    version - 3 (default) for 512 byte sectors or 4 for 4096 byte sectors
+*/
+var Writer = module.exports = function(root, options) {
+  options = options || {};
+  if (!root || !Array.isArray(root.children))
+    throw new Error('The root entry must be a storage');
+  if (options.version !== undefined && options.version !== 3
+      && options.version !== 4)
+    throw new Error('Unsupported compound file version: ' + options.version);
+  this.root = root;
+  this.version = options.version || 3;
+  this.sectorSize = (this.version === 4 ? 4096 : 512);
+};
+
+Writer.prototype.write = function(path, cb) {
+  var buf;
+  try {
+    buf = this.toBuffer();
+  } catch (err) {
+    return cb(err);
+  }
+  fs.writeFile(path, buf, cb);
+};
+
+/*
+  The file is laid out as:
+
+    header
+    FAT sectors
+    DIFAT sectors
+    mini FAT sectors
+    directory sectors
+    mini stream sectors
+    regular stream sectors (each stream is contiguous)
+*/
+Writer.prototype.toBuffer = function() {
+  var sectorSize = this.sectorSize, perSect = sectorSize / 4,
+      nodes = directory.build(this.root), streams = [],
+      nMini = 0, nStreamSects = 0, node, data, size, i, len;
+
+  for (i=0,len=nodes.length; i<len; ++i) {
+    node = nodes[i];
+    if (node.type !== STGTY_STREAM)
+      continue;
+    data = node.entry.data;
+    if (data === undefined || data === null)
+      data = node.entry.data = Buffer.alloc(0);
+    else if (!Buffer.isBuffer(data))
+      throw new Error('Stream data must be a Buffer: ' + node.entry.name);
+    size = node.size = data.length;
+    // MS-CFB caps version 3 streams at 2GB
+    if (this.version === 3 && size > 0x80000000)
+      throw new Error('Stream is too large for a version 3 compound file: '
+                      + node.entry.name);
+    if (size === 0)
+      continue;
+    if (size < MAX_MINI_STREAM_SIZE) {
+      node.sect = nMini;
+      nMini += Math.ceil(size / MINI_SECTOR_SIZE);
+    } else {
+      streams.push(node);
+      nStreamSects += Math.ceil(size / sectorSize);
+    }
+  }
+
+  var nMiniFAT = Math.ceil(nMini / perSect),
+      nMiniStream = Math.ceil(nMini * MINI_SECTOR_SIZE / sectorSize),
+      nDir = Math.ceil(nodes.length * directory.ENTRY_SIZE / sectorSize),
+      nData = nMiniFAT + nDir + nMiniStream + nStreamSects,
+      nFAT = 0, nDIF = 0, f, d;
+
+  // the FAT has to describe its own sectors and those of the DIFAT too
+  while (true) {
+    f = Math.ceil((nData + nFAT + nDIF) / perSect);
+    d = (f > HEADER_DIFAT_COUNT
+         ? Math.ceil((f - HEADER_DIFAT_COUNT) / (perSect - 1))
+         : 0);
+    if (f === nFAT && d === nDIF)
+      break;
+    nFAT = f;
+    nDIF = d;
+  }
+
+  var nSects = nFAT + nDIF + nData,
+      buf = Buffer.alloc(sectorSize * (nSects + 1)),
+      FAT = new Array(nFAT * perSect),
+      sectDIF = nFAT,
+      sectMiniFAT = sectDIF + nDIF,
+      sectDir = sectMiniFAT + nMiniFAT,
+      sectMiniStream = sectDir + nDir,
+      sect = sectMiniStream + nMiniStream;
+
+  function offset(sect) {
+    return (sect + 1) * sectorSize;
+  }
+
+  function chain(start, count) {
+    for (var i=0; i<count; ++i)
+      FAT[start + i] = (i === count - 1 ? ENDOFCHAIN : start + i + 1);
+  }
+
+  for (i=0,len=FAT.length; i<len; ++i)
+    FAT[i] = (i < nFAT ? FATSECT : (i < nFAT + nDIF ? DIFSECT : FREESECT));
+  chain(sectMiniFAT, nMiniFAT);
+  chain(sectDir, nDir);
+  chain(sectMiniStream, nMiniStream);
+
+  // regular streams
+  for (i=0,len=streams.length; i<len; ++i) {
+    node = streams[i];
+    node.sect = sect;
+    chain(sect, Math.ceil(node.size / sectorSize));
+    node.entry.data.copy(buf, offset(sect));
+    sect += Math.ceil(node.size / sectorSize);
+  }
+
+  // mini stream and mini FAT
+  var miniFAT = Buffer.alloc(nMiniFAT * sectorSize, 0xFF), n;
+  for (i=0,len=nodes.length; i<len; ++i) {
+    node = nodes[i];
+    if (node.type !== STGTY_STREAM || node.size === 0
+        || node.size >= MAX_MINI_STREAM_SIZE)
+      continue;
+    node.entry.data.copy(buf, offset(sectMiniStream)
+                              + node.sect * MINI_SECTOR_SIZE);
+    n = Math.ceil(node.size / MINI_SECTOR_SIZE);
+    for (var j=0; j<n; ++j) {
+      miniFAT.writeUInt32LE((j === n - 1 ? ENDOFCHAIN : node.sect + j + 1),
+                            (node.sect + j) * 4, true);
+    }
+  }
+  miniFAT.copy(buf, offset(sectMiniFAT));
+  nodes[0].sect = (nMiniStream ? sectMiniStream : ENDOFCHAIN);
+  nodes[0].size = nMini * MINI_SECTOR_SIZE;
+
+  // directory
+  for (i=0,len=nDir*sectorSize/directory.ENTRY_SIZE; i<len; ++i) {
+    directory.write(buf, offset(sectDir) + i * directory.ENTRY_SIZE,
+                    nodes[i]);
+  }
+
+  // FAT
+  for (i=0,len=FAT.length; i<len; ++i)
+    buf.writeUInt32LE(FAT[i], offset(0) + i * 4, true);
+
+  // DIFAT (the first 109 FAT sectors are listed in the header)
+  for (i=0; i<nDIF; ++i) {
+    var o = offset(sectDIF + i);
+    buf.fill(0xFF, o, o + sectorSize);
+    for (j=0; j<perSect-1; ++j) {
+      n = HEADER_DIFAT_COUNT + i * (perSect - 1) + j;
+      if (n >= nFAT)
+        break;
+      buf.writeUInt32LE(n, o + j * 4, true);
+    }
+    buf.writeUInt32LE((i === nDIF - 1 ? ENDOFCHAIN : sectDIF + i + 1),
+                      o + sectorSize - 4, true);
+  }
+
+  writeHeader(buf, {
+    version: this.version,
+    sectorSize: sectorSize,
+    nDir: nDir,
+    nFAT: nFAT,
+    sectDir: sectDir,
+    sectMiniFAT: (nMiniFAT ? sectMiniFAT : ENDOFCHAIN),
+    nMiniFAT: nMiniFAT,
+    sectDIF: (nDIF ? sectDIF : ENDOFCHAIN),
+    nDIF: nDIF,
+    FATsects: range(0, Math.min(nFAT, HEADER_DIFAT_COUNT))
+  });
+
+  return buf;
+};
+
+/*
+  Writes a compound file header into the beginning of `buf`. `info` has the
+  format:
+
+    version     - major version (3 or 4)
+    sectorSize  - sector size in bytes
+    nDir        - number of directory sectors (version 4 only)
+    nFAT        - number of FAT sectors
+    sectDir     - first SECT in the directory chain
+    sectMiniFAT - first SECT in the mini FAT chain
+    nMiniFAT    - number of mini FAT sectors
+    sectDIF     - first SECT in the DIFAT chain
+    nDIF        - number of DIFAT sectors
+    FATsects    - SECTs of (up to) the first 109 FAT sectors
+    classId     - (optional) header class id, as stored on disk
+    minor       - (optional) minor version
+*/
+function writeHeader(buf, info) {
+  var magic = [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1], i;
+  buf.fill(0, 0, 76);
+  for (i=0; i<8; ++i)
+    buf[i] = magic[i];
+  if (info.classId) {
+    for (i=0; i<16; ++i)
+      buf[8 + i] = info.classId[i];
+  }
+  buf.writeUInt16LE((info.minor === undefined ? 0x003E : info.minor), 24,
+                    true);
+  buf.writeUInt16LE(info.version, 26, true);
+  buf.writeUInt16LE(0xFFFE, 28, true);
+  buf.writeUInt16LE((info.sectorSize === 4096 ? 12 : 9), 30, true);
+  buf.writeUInt16LE(6, 32, true);
+  buf.writeUInt32LE((info.version === 4 ? info.nDir : 0), 40, true);
+  buf.writeUInt32LE(info.nFAT, 44, true);
+  buf.writeUInt32LE(info.sectDir, 48, true);
+  buf.writeUInt32LE(MAX_MINI_STREAM_SIZE, 56, true);
+  buf.writeUInt32LE(info.sectMiniFAT, 60, true);
+  buf.writeUInt32LE(info.nMiniFAT, 64, true);
+  buf.writeUInt32LE(info.sectDIF, 68, true);
+  buf.writeUInt32LE(info.nDIF, 72, true);
+  for (i=0; i<HEADER_DIFAT_COUNT; ++i) {
+    buf.writeUInt32LE((i < info.FATsects.length ? info.FATsects[i] : FREESECT),
+                      76 + i * 4, true);
+  }
+  // the rest of a 4096 byte header sector is zeroes
+  buf.fill(0, 512, info.sectorSize);
+}
+Writer.writeHeader = writeHeader;
+
+function range(start, end) {
+  var ret = [];
+  for (var i=start; i<end; ++i)
+    ret.push(i);
+  return ret;
+}
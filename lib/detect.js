@@ -0,0 +1,358 @@
+var Parser = require('./compound'), consts = require('./compound/constants'),
+    sources = require('./compound/source'), FormatError = require('./errors'),
+    encryption = require('./encryption'), excel = require('./excel'),
+    outlook = require('./outlook'), ooxml = require('./ooxml');
+
+var CLSID = consts.CLSID;
+
+var CFB_MAGIC = [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1],
+    ZIP_MAGIC = [0x50, 0x4B, 0x03, 0x04],
+    // an empty zip file is only an end of central directory record
+    ZIP_EMPTY_MAGIC = [0x50, 0x4B, 0x05, 0x06];
+
+// Other formats, only told apart by their first bytes
+var OTHER_MAGIC = [
+  ['rtf', [0x7B, 0x5C, 0x72, 0x74, 0x66]], // {\rtf
+  ['pdf', [0x25, 0x50, 0x44, 0x46, 0x2D]]  // %PDF-
+];
+
+// Root CLSID -> format and version
+var CLASSES = [
+  [CLSID.WORD[0], 'word', 'word97'],
+  [CLSID.WORD[1], 'word', 'word95'],
+  [CLSID.EXCEL[0], 'excel', 'excel97'],
+  [CLSID.EXCEL[1], 'excel', 'excel95'],
+  [CLSID.POWERPOINT[0], 'powerpoint', 'powerpoint97'],
+  [CLSID.ACCESS[0], 'access', 'access97'],
+  [CLSID.ACCESS[1], 'access', 'access2000']
+];
+
+/*
+  How sure detect() is about the format:
+
+    HIGH   - the characteristic streams and the root CLSID agree (or the
+             format is Office Open XML, which names its content types)
+    MEDIUM - the characteristic streams were found, but the root CLSID is
+             missing or names another format
+    LOW    - only the root CLSID or only document properties were found
+    NONE   - the format is unknown
+*/
+var HIGH = exports.HIGH = 1,
+    MEDIUM = exports.MEDIUM = 0.8,
+    LOW = exports.LOW = 0.4,
+    NONE = exports.NONE = 0;
+
+/*
+  Identifies a document from its contents rather than its name. `source` can
+  be anything accepted by the compound file Parser or an open Parser.
+  `options` is optional and is passed on to the Parser. `cb` is passed an
+  object with the format:
+
+    container  - 'cfb' (compound file), 'zip' or undefined for anything
+                 else
+    format     - 'word', 'excel', 'powerpoint', 'outlook', 'visio',
+                 'publisher', 'access', 'properties' (a compound file with
+                 nothing but document properties) or 'compound' (any other
+                 compound file) for compound files, 'word', 'excel',
+                 'powerpoint', 'visio' or 'zip' (any other zip file) for zip
+                 files, 'rtf', 'pdf' or undefined for anything else.
+                 Encrypted Office Open XML documents (which are compound
+                 files) have the format of the encrypted package, 'ooxml'
+    version    - e.g. 'word97', 'word95', 'excel97', 'excel95',
+                 'powerpoint97', 'msg' or 'ooxml', if known
+    confidence - how sure the format is, from 0 to 1 (one of the HIGH,
+                 MEDIUM, LOW and NONE constants)
+    encrypted  - true if the document is encrypted or obfuscated
+
+  Compound files that can not be parsed result in an error, anything that
+  is not a compound file or zip file is never an error.
+*/
+exports.detect = function(source, options, cb) {
+  if (typeof options === 'function') {
+    cb = options;
+    options = undefined;
+  }
+  if (source instanceof Parser)
+    return classify(source, cb);
+  sniff(source, options, function(err, type, parser, pkg) {
+    if (err)
+      return cb(err);
+    if (pkg) {
+      var info = packageInfo(pkg);
+      return pkg.close(function() {
+        cb(undefined, info);
+      });
+    }
+    if (!parser)
+      return cb(undefined, type);
+    classify(parser, function(err, info) {
+      parser.close(function() {
+        cb(err, info);
+      });
+    });
+  });
+};
+
+/*
+  Detects the format of a document (see detect()) and opens it with the
+  matching reader. `source` can be anything accepted by the compound file
+  Parser and `options` is optional and is passed on to the Parser. `cb` is
+  passed the reader along with what detect() found:
+
+    * an excel.Workbook for Excel 97-2003 workbooks
+    * an outlook.Msg for Outlook messages
+    * an ooxml.Package for Office Open XML documents
+    * a compound file Parser for all other compound files, which can be
+      passed on to word.extract(), powerpoint.extract(), vba.extract(), etc.
+
+  Either way the reader has a close() method, which must be called when done.
+  Encrypted documents result in a FormatError with the code EENCRYPTED (see
+  the encryption module for decrypting them) and anything that is neither a
+  compound file nor a zip file in one with the code EFORMAT.
+*/
+exports.open = function(source, options, cb) {
+  if (typeof options === 'function') {
+    cb = options;
+    options = undefined;
+  }
+  sniff(source, options, function(err, type, parser, pkg) {
+    if (err)
+      return cb(err);
+    if (pkg)
+      return cb(undefined, pkg, packageInfo(pkg));
+    if (!parser) {
+      return cb(new FormatError('EFORMAT', 'Unknown document format'
+                                           + (type.format
+                                              ? ': ' + type.format
+                                              : '')));
+    }
+    classify(parser, function(err, info) {
+      if (!err && info.encrypted)
+        err = new FormatError('EENCRYPTED', 'Document is encrypted');
+      if (err) {
+        return parser.close(function() {
+          cb(err);
+        });
+      }
+      if (info.format === 'excel' && info.version === 'excel97')
+        excel.open(parser, owned);
+      else if (info.format === 'outlook')
+        outlook.open(parser, owned);
+      else
+        cb(undefined, parser, info);
+
+      // the Parser was opened here, so closing the reader has to close it
+      function owned(err, reader) {
+        if (err) {
+          return parser.close(function() {
+            cb(err);
+          });
+        }
+        reader._owned = true;
+        cb(undefined, reader, info);
+      }
+    });
+  });
+};
+
+/*
+  Tells compound files and zip files apart from anything else by their first
+  bytes and opens them, passing either a Parser or an ooxml.Package to `cb`.
+  Zip files without content types are opened as plain zip files and are
+  closed again. For anything else the detect() result is passed instead.
+*/
+function sniff(source, options, cb) {
+  sources.create(source, function(err, src) {
+    if (err)
+      return cb(err);
+    src.read(0, 8, function(err, buf) {
+      var ret = { container: undefined, format: undefined, version: undefined,
+                  confidence: NONE, encrypted: false },
+          parser;
+      if (err) {
+        return close(src, function() {
+          cb(err);
+        });
+      }
+      if (startsWith(buf, CFB_MAGIC)) {
+        ret.container = 'cfb';
+        parser = new Parser(src, options, function(err) {
+          if (err) {
+            return parser.close(function() {
+              cb(err);
+            });
+          }
+          cb(undefined, ret, parser);
+        });
+      } else if (startsWith(buf, ZIP_MAGIC)
+                 || startsWith(buf, ZIP_EMPTY_MAGIC)) {
+        ret.container = 'zip';
+        ret.format = 'zip';
+        ret.confidence = HIGH;
+        ooxml.ZipFile.open(src, function(err, zip) {
+          if (err)
+            return cb(err);
+          ooxml.open(zip, function(err, pkg) {
+            if (!err)
+              return cb(undefined, ret, undefined, pkg);
+            // not a package (or a damaged one), but a zip file nonetheless
+            zip.close(function() {
+              cb(undefined, ret);
+            });
+          });
+        });
+      } else {
+        for (var i=0,len=OTHER_MAGIC.length; i<len; ++i) {
+          if (startsWith(buf, OTHER_MAGIC[i][1])) {
+            ret.format = OTHER_MAGIC[i][0];
+            ret.confidence = MEDIUM;
+            break;
+          }
+        }
+        close(src, function() {
+          cb(undefined, ret);
+        });
+      }
+    });
+  });
+}
+
+/*
+  Compound files are identified by their characteristic streams first, with
+  the root CLSID (which many writers leave empty) confirming them or, when
+  there are no such streams, standing in for them
+*/
+function classify(parser, cb) {
+  var ret = { container: 'cfb', format: undefined, version: undefined,
+              confidence: NONE, encrypted: false },
+      clsid = byClassId(parser.dir.classId), entry;
+
+  if (parser.resolve('EncryptionInfo') && parser.resolve('EncryptedPackage')) {
+    ret.format = 'ooxml';
+    ret.version = 'ooxml';
+    ret.confidence = HIGH;
+  } else if (entry = parser.resolve('WordDocument')) {
+    ret.format = 'word';
+  } else if (parser.resolve('Workbook')) {
+    ret.format = 'excel';
+    ret.version = 'excel97';
+  } else if (parser.resolve('Book')) {
+    ret.format = 'excel';
+    ret.version = 'excel95';
+  } else if (parser.resolve('PowerPoint Document')) {
+    ret.format = 'powerpoint';
+    if (parser.resolve('Current User'))
+      ret.version = 'powerpoint97';
+  } else if (parser.resolve('__properties_version1.0')
+             || hasChildWithPrefix(parser.dir, '__substg1.0_')) {
+    ret.format = 'outlook';
+    ret.version = 'msg';
+    ret.confidence = HIGH;
+  } else if (parser.resolve('VisioDocument')) {
+    ret.format = 'visio';
+    ret.confidence = HIGH;
+  } else if (parser.resolve('Contents') && parser.resolve('Quill')) {
+    ret.format = 'publisher';
+    ret.confidence = HIGH;
+  } else if (clsid) {
+    ret.format = clsid[1];
+    ret.version = clsid[2];
+    ret.confidence = LOW;
+  } else if (onlyProperties(parser.dir)) {
+    ret.format = 'properties';
+    ret.confidence = LOW;
+  } else {
+    ret.format = 'compound';
+    ret.confidence = LOW;
+  }
+
+  if (ret.confidence === NONE) {
+    if (clsid && clsid[1] === ret.format) {
+      ret.confidence = HIGH;
+      ret.version = ret.version || clsid[2];
+    } else
+      ret.confidence = MEDIUM;
+  }
+
+  encryption.getEncryptionInfo(parser, function(err, enc) {
+    if (err)
+      return cb(err);
+    ret.encrypted = !!enc;
+    if (ret.format !== 'word' || (clsid && clsid[2] === 'word95'))
+      return cb(undefined, ret);
+    // Word 6/95 documents have an nFib below 0xC0 (see the word module)
+    parser.readRange(entry, 0, Math.min(entry.size, 4), function(err, fib) {
+      if (err)
+        return cb(err);
+      if (fib.length === 4 && fib.readUInt16LE(0, true) === 0xA5EC)
+        ret.version = (fib.readUInt16LE(2, true) < 0xC0 ? 'word95' : 'word97');
+      cb(undefined, ret);
+    });
+  });
+}
+
+function packageInfo(pkg) {
+  return {
+    container: 'zip',
+    format: pkg.format || 'zip',
+    version: 'ooxml',
+    confidence: (pkg.format ? HIGH : MEDIUM),
+    encrypted: false
+  };
+}
+
+function byClassId(classId) {
+  if (!classId)
+    return;
+  for (var i=0,len=CLASSES.length; i<len; ++i) {
+    if (sameId(classId, CLASSES[i][0]))
+      return CLASSES[i];
+  }
+}
+
+// Whether the root storage holds property set streams and nothing else
+function onlyProperties(root) {
+  var children = root.children;
+  if (!children.length)
+    return false;
+  for (var i=0,len=children.length; i<len; ++i) {
+    if (Array.isArray(children[i].children)
+        || children[i].name.charAt(0) !== '\x05') {
+      return false;
+    }
+  }
+  return true;
+}
+
+function hasChildWithPrefix(storage, prefix) {
+  for (var i=0,len=storage.children.length; i<len; ++i) {
+    if (storage.children[i].name.indexOf(prefix) === 0)
+      return true;
+  }
+  return false;
+}
+
+function startsWith(buf, magic) {
+  if (buf.length < magic.length)
+    return false;
+  for (var i=0,len=magic.length; i<len; ++i) {
+    if (buf[i] !== magic[i])
+      return false;
+  }
+  return true;
+}
+
+function sameId(a, b) {
+  for (var i=0; i<16; ++i) {
+    if (a[i] !== b[i])
+      return false;
+  }
+  return true;
+}
+
+function close(source, cb) {
+  if (typeof source.close === 'function')
+    source.close(cb);
+  else
+    process.nextTick(cb);
+}
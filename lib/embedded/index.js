@@ -0,0 +1,520 @@
+var Scheduler = require('../scheduler'), Parser = require('../compound'),
+    CP_WINDOWS_1252 = require('../compound/constants').CP_WINDOWS_1252,
+    utils = require('../compound/utils'), codepages = require('../codepage'),
+    powerpoint = require('../powerpoint');
+
+var CFB_MAGIC = [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1];
+
+// Streams of an object storage holding the object's data, in order of
+// preference
+var PAYLOAD_STREAMS = ['\x01Ole10Native', 'Package', 'CONTENTS'];
+
+// CompObjStream
+var COMPOBJ_HEADER_SIZE = 28,
+    UNICODE_MARKER = 0x71B239F4;
+
+// OLEStream flags
+var OLE_LINKED = 0x00000001;
+
+/*
+  Finds the OLE objects embedded in a document and passes them to `cb`.
+  `source` can be anything accepted by the compound file Parser or an open
+  Parser. `options` is optional and is passed on to the Parser (including
+  the Parsers for nested compound files) and can also contain:
+
+    depth - how many levels of nested documents to search (default: 1, only
+            the document itself). Objects found in nested documents are
+            listed in the `embedded` of the object containing them
+
+  Objects are found in storages with the usual object streams (\x01CompObj,
+  \x01Ole or \x01Ole10Native) anywhere in the document, which covers Word's
+  ObjectPool/_NNNN storages, Excel's MBD* storages and Outlook's OLE object
+  attachments, and in the ExOleObjStg records of PowerPoint presentations.
+  Each object has the format:
+
+    path            - path of the object's storage, or of the PowerPoint
+                      Document stream for PowerPoint objects
+    offset          - position of the ExOleObjStg record in the PowerPoint
+                      Document stream (PowerPoint objects only)
+    classId         - CLSID of the object's storage
+    userType        - display name of the object's class (e.g. 'Microsoft
+                      Word Document')
+    clipboardFormat - name or number of the object's clipboard format
+    progId          - programmatic identifier of the object's class (e.g.
+                      'Word.Document.8')
+    linked          - true if the object is linked rather than embedded
+    fileName        - original name of the file (Ole10Native only)
+    sourcePath      - path the file was embedded from (Ole10Native only)
+    tempPath        - path of the temporary copy of the file (Ole10Native
+                      only)
+    data            - the object's contents in a Buffer, taken from the
+                      \x01Ole10Native (unwrapped), Package (usually an Office
+                      Open XML document) or CONTENTS stream. Undefined if the
+                      object storage is a document of its own
+    parser          - a Parser for the object if it is a compound file,
+                      either the object storage itself or `data`
+    error           - why `parser` is missing although `data` looks like a
+                      compound file, or why a PowerPoint object could not
+                      be decompressed (`data` is then the raw record)
+    embedded        - the objects found in `parser`, if `depth` allows
+
+  Nested Parsers read from memory, so they do not need to be closed. Objects
+  that can not be read as described are still listed, with whatever could
+  be read.
+*/
+exports.extract = function(source, options, cb) {
+  var depth;
+  if (typeof options === 'function') {
+    cb = options;
+    options = undefined;
+  }
+  depth = (options && options.depth) || 1;
+  Parser.using(source, options, function(parser, done) {
+    extract(parser, depth, options, done);
+  }, cb);
+};
+
+function extract(parser, depth, options, cb) {
+  var ret = new Array(), work;
+
+  work = new Scheduler(function(err) {
+    if (err)
+      return cb(err);
+    cb(undefined, ret);
+  });
+
+  function add(obj, done) {
+    ret.push(obj);
+    if (!obj.parser || depth <= 1)
+      return done();
+    extract(obj.parser, depth - 1, options, function(err, embedded) {
+      if (err)
+        return done(err);
+      obj.embedded = embedded;
+      done();
+    });
+  }
+
+  findObjects(parser).forEach(function(storage) {
+    work.push(function(done) {
+      describe(parser, storage, options, function(err, obj) {
+        if (err)
+          return done(err);
+        obj.path = parser.pathOf(storage);
+        add(obj, done);
+      });
+    });
+  });
+
+  work.push(function(done) {
+    powerpoint.oleStorages(parser, function(err, stgs) {
+      if (err)
+        return done(err);
+      stgs.forEach(function(stg) {
+        work.push(function(done) {
+          var obj;
+          if (stg.error) {
+            obj = newObject();
+            obj.data = stg.data;
+            obj.error = stg.error;
+            return finish(done, obj);
+          }
+          open(stg.data, options, function(err, nested) {
+            if (err) {
+              obj = newObject();
+              obj.data = stg.data;
+              obj.error = err;
+              return finish(done, obj);
+            }
+            describe(nested, nested.dir, options, function(err, obj_) {
+              if (err)
+                return done(err);
+              obj = obj_;
+              if (obj.parser === nested)
+                return finish(done, obj);
+              nested.close(function() {
+                finish(done, obj);
+              });
+            });
+          });
+          function finish(done, obj) {
+            obj.path = '/PowerPoint Document';
+            obj.offset = stg.offset;
+            add(obj, done);
+          }
+        });
+      });
+      done();
+    });
+  });
+
+  work.go();
+}
+
+/*
+  Returns the object storages of the document, without looking into the
+  objects themselves
+*/
+function findObjects(parser) {
+  var ret = new Array();
+  parser.walk(function(entry) {
+    if (!Array.isArray(entry.children))
+      return;
+    if (isObject(parser, entry)) {
+      ret.push(entry);
+      return false;
+    }
+  });
+  return ret;
+}
+
+function isObject(parser, storage) {
+  var parent = storage.parent;
+  if (parent === parser.dir && /^MBD[0-9A-F]{8}$/i.test(storage.name))
+    return true;
+  if (parent.parent === parser.dir
+      && utils.compareNames(parent.name, 'ObjectPool') === 0)
+    return true;
+  return !!(findChild(storage, '\x01CompObj') || findChild(storage, '\x01Ole')
+            || findChild(storage, '\x01Ole10Native'));
+}
+
+// Reads what there is to know about the object in `storage`
+function describe(parser, storage, options, cb) {
+  var ret = newObject(), work, payload;
+
+  ret.classId = storage.classId;
+
+  work = new Scheduler(function(err) {
+    if (err)
+      return cb(err);
+    cb(undefined, ret);
+  });
+
+  work.push(function(done) {
+    readOptional(parser, storage, '\x01CompObj', function(err, buf) {
+      var info;
+      if (err || !buf)
+        return done(err);
+      info = parseCompObj(buf);
+      ret.userType = info.userType;
+      ret.clipboardFormat = info.clipboardFormat;
+      ret.progId = info.progId;
+      done();
+    });
+  });
+
+  work.push(function(done) {
+    readOptional(parser, storage, '\x01Ole', function(err, buf) {
+      if (err || !buf)
+        return done(err);
+      // Version (4), Flags (4), ...
+      ret.linked = (buf.length >= 8
+                    && (buf.readUInt32LE(4, true) & OLE_LINKED) !== 0);
+      done();
+    });
+  });
+
+  for (var i=0,len=PAYLOAD_STREAMS.length; i<len && !payload; ++i) {
+    payload = findChild(storage, PAYLOAD_STREAMS[i]);
+    if (payload && Array.isArray(payload.children))
+      payload = undefined;
+  }
+
+  work.push(function(done) {
+    if (!payload) {
+      // the storage is the object's own compound file
+      if (storage === parser.dir) {
+        ret.parser = parser;
+        return done();
+      }
+      return copyStorage(parser, storage, function(err, buf) {
+        if (err)
+          return done(err);
+        open(buf, options, function(err, nested) {
+          if (err)
+            ret.error = err;
+          else
+            ret.parser = nested;
+          done();
+        });
+      });
+    }
+    parser.readStream(payload, function(err, data) {
+      var ole10;
+      if (err)
+        return done(err);
+      if (payload.name === '\x01Ole10Native') {
+        ole10 = parseOle10Native(data);
+        ret.fileName = ole10.fileName;
+        ret.sourcePath = ole10.sourcePath;
+        ret.tempPath = ole10.tempPath;
+        data = ole10.data;
+      }
+      ret.data = data;
+      if (!startsWith(data, CFB_MAGIC))
+        return done();
+      open(data, options, function(err, nested) {
+        if (err)
+          ret.error = err;
+        else
+          ret.parser = nested;
+        done();
+      });
+    });
+  });
+
+  work.go();
+}
+
+function newObject() {
+  return {
+    path: undefined,
+    offset: undefined,
+    classId: undefined,
+    userType: undefined,
+    clipboardFormat: undefined,
+    progId: undefined,
+    linked: false,
+    fileName: undefined,
+    sourcePath: undefined,
+    tempPath: undefined,
+    data: undefined,
+    parser: undefined,
+    error: undefined,
+    embedded: undefined
+  };
+}
+
+function open(buf, options, cb) {
+  var parser = new Parser(buf, options, function(err) {
+    if (err)
+      return cb(err);
+    cb(undefined, parser);
+  });
+}
+
+// Writes `storage` and everything below it as a compound file of its own
+function copyStorage(parser, storage, cb) {
+  var work, root;
+
+  work = new Scheduler(parser.options.concurrency, function(err) {
+    var buf;
+    if (err)
+      return cb(err);
+    try {
+      buf = new Parser.Writer(root, {
+        version: parser.header.version.major
+      }).toBuffer();
+    } catch (ex) {
+      return cb(ex);
+    }
+    cb(undefined, buf);
+  });
+
+  function copy(entry) {
+    var ret = { name: entry.name };
+    if (!Array.isArray(entry.children)) {
+      work.push(function(done) {
+        parser.readStream(entry, function(err, data) {
+          ret.data = data;
+          done(err);
+        });
+      });
+      return ret;
+    }
+    ret.classId = entry.classId;
+    ret.userFlags = entry.userFlags;
+    ret.createTS = entry.createTS;
+    ret.modifyTS = entry.modifyTS;
+    ret.children = entry.children.map(copy);
+    return ret;
+  }
+
+  root = copy(storage);
+  work.go();
+}
+
+/*
+  The \x01CompObj stream describes the object's class:
+
+    header              (28)
+    AnsiUserType         (v) - length-prefixed ANSI string
+    AnsiClipboardFormat  (v) - a length-prefixed ANSI string, or a marker
+                               (0xFFFFFFFF or 0xFFFFFFFE) followed by a
+                               standard clipboard format (4), or 0 if there
+                               is none
+    Reserved1            (v) - length-prefixed ANSI string, the ProgID
+    UnicodeMarker        (4) - 0x71B239F4 if Unicode versions of the three
+                               strings follow (optional)
+
+  Lengths (4) include the terminating null and are in bytes for ANSI strings
+  and in characters for Unicode strings. Damaged streams leave the rest of
+  the fields undefined.
+*/
+function parseCompObj(buf) {
+  var ret = { userType: undefined, clipboardFormat: undefined,
+              progId: undefined },
+      pos = COMPOBJ_HEADER_SIZE;
+
+  function string(unicode) {
+    var len, end, str;
+    if (pos + 4 > buf.length)
+      throw new RangeError();
+    len = buf.readUInt32LE(pos, true);
+    end = pos + 4 + (unicode ? len * 2 : len);
+    if (end > buf.length)
+      throw new RangeError();
+    str = (unicode
+           ? buf.toString('ucs2', pos + 4, end)
+           : codepages.decode(buf, CP_WINDOWS_1252, pos + 4, end));
+    pos = end;
+    str = str.replace(/\0[\s\S]*$/, '');
+    return (str.length ? str : undefined);
+  }
+
+  function clipboardFormat(unicode) {
+    var marker;
+    if (pos + 4 > buf.length)
+      throw new RangeError();
+    marker = buf.readUInt32LE(pos, true);
+    if (marker === 0) {
+      pos += 4;
+      return;
+    }
+    if (marker === 0xFFFFFFFF || marker === 0xFFFFFFFE) {
+      if (pos + 8 > buf.length)
+        throw new RangeError();
+      pos += 8;
+      return buf.readUInt32LE(pos - 4, true);
+    }
+    return string(unicode);
+  }
+
+  try {
+    ret.userType = string(false);
+    ret.clipboardFormat = clipboardFormat(false);
+    ret.progId = string(false);
+    if (pos + 4 <= buf.length
+        && buf.readUInt32LE(pos, true) === UNICODE_MARKER) {
+      pos += 4;
+      ret.userType = string(true) || ret.userType;
+      ret.clipboardFormat = clipboardFormat(true) || ret.clipboardFormat;
+      ret.progId = string(true) || ret.progId;
+    }
+  } catch (ex) {
+    if (!(ex instanceof RangeError))
+      throw ex;
+  }
+  return ret;
+}
+
+/*
+  The \x01Ole10Native stream wraps files embedded with Packager (the "Object
+  from file" kind of object). It has no official documentation, but is
+  known to be laid out as:
+
+    size          (4) - size of the rest of the stream
+    flags         (2)
+    label         (v) - null-terminated ANSI string, the original file name
+    sourcePath    (v) - null-terminated ANSI string
+    reserved      (4)
+    tempPathSize  (4)
+    tempPath      (v) - null-terminated ANSI string
+    dataSize      (4)
+    data          (v)
+
+  optionally followed by Unicode versions of the three paths (in the order
+  tempPath, label, sourcePath), each prefixed by its length in characters
+  (4). Streams that do not have this format are returned as data as-is.
+*/
+function parseOle10Native(buf) {
+  var ret = { fileName: undefined, sourcePath: undefined,
+              tempPath: undefined, data: buf },
+      pos = 6, end, fileName, sourcePath, tempPath, size;
+
+  function string() {
+    var zero = buf.indexOf(0, pos), str;
+    if (zero === -1 || zero >= end)
+      throw new RangeError();
+    str = codepages.decode(buf, CP_WINDOWS_1252, pos, zero);
+    pos = zero + 1;
+    return str;
+  }
+
+  function unicodeString() {
+    var len, str;
+    if (pos + 4 > end)
+      throw new RangeError();
+    len = buf.readUInt32LE(pos, true);
+    if (pos + 4 + len * 2 > end)
+      throw new RangeError();
+    str = buf.toString('ucs2', pos + 4, pos + 4 + len * 2);
+    pos += 4 + len * 2;
+    return str.replace(/\0[\s\S]*$/, '');
+  }
+
+  if (buf.length < 4)
+    return ret;
+  end = Math.min(buf.length, 4 + buf.readUInt32LE(0, true));
+  try {
+    fileName = string();
+    sourcePath = string();
+    pos += 8;
+    tempPath = string();
+    if (pos + 4 > end)
+      throw new RangeError();
+    size = buf.readUInt32LE(pos, true);
+    if (pos + 4 + size > end)
+      throw new RangeError();
+    ret.fileName = fileName;
+    ret.sourcePath = sourcePath;
+    ret.tempPath = tempPath;
+    ret.data = buf.slice(pos + 4, pos + 4 + size);
+    pos += 4 + size;
+  } catch (ex) {
+    if (!(ex instanceof RangeError))
+      throw ex;
+    return ret;
+  }
+
+  end = buf.length;
+  try {
+    tempPath = unicodeString();
+    fileName = unicodeString();
+    sourcePath = unicodeString();
+    ret.tempPath = tempPath || ret.tempPath;
+    ret.fileName = fileName || ret.fileName;
+    ret.sourcePath = sourcePath || ret.sourcePath;
+  } catch (ex) {
+    if (!(ex instanceof RangeError))
+      throw ex;
+  }
+  return ret;
+}
+
+function readOptional(parser, storage, name, cb) {
+  var entry = findChild(storage, name);
+  if (!entry || Array.isArray(entry.children))
+    return cb();
+  parser.readStream(entry, cb);
+}
+
+function findChild(storage, name) {
+  if (!storage || !Array.isArray(storage.children))
+    return;
+  for (var i=0,len=storage.children.length; i<len; ++i) {
+    if (utils.compareNames(storage.children[i].name, name) === 0)
+      return storage.children[i];
+  }
+}
+
+function startsWith(buf, magic) {
+  if (buf.length < magic.length)
+    return false;
+  for (var i=0,len=magic.length; i<len; ++i) {
+    if (buf[i] !== magic[i])
+      return false;
+  }
+  return true;
+}
@@ -0,0 +1,101 @@
+var FormatError = require('../errors'), records = require('../excel/records'),
+    info = require('./info'), keys = require('./keys');
+
+// Records that are never encrypted
+var PLAIN_RECORDS = [records.BOF, records.FILEPASS, 0x0194 /* UsrExcl */,
+                     0x0195 /* FileLock */, 0x00E1 /* InterfaceHdr */,
+                     0x0196 /* RRDInfo */, 0x0138 /* RRDHead */];
+
+var BLOCK_SIZE = 1024;
+
+// Only the workbook globals come before the FILEPASS record
+var MAX_FILEPASS_OFFSET = 4096;
+
+/*
+  Encrypted Excel 97-2003 workbooks have a FILEPASS record following the BOF
+  record of the workbook globals:
+
+    wEncryptionType (2) - 0 for XOR obfuscation, 1 for RC4
+    encryptionInfo  (?) - RC4 or RC4 CryptoAPI encryption information
+*/
+exports.detect = function(parser, cb) {
+  var entry = parser.resolve('Workbook');
+  if (!entry || Array.isArray(entry.children))
+    return cb();
+  parser.readRange(entry, 0, Math.min(entry.size, MAX_FILEPASS_OFFSET),
+                   function(err, buf) {
+    var rec, ret;
+    if (err)
+      return cb(err);
+    rec = findFilePass(buf);
+    if (!rec)
+      return cb();
+    ret = { format: 'excel', method: 'xor', params: undefined };
+    if (rec.size < 2)
+      return cb(new FormatError('EFORMAT', 'Invalid FILEPASS record'));
+    if (buf.readUInt16LE(rec.pos, true) === 0)
+      return cb(undefined, ret);
+    try {
+      info.legacy(buf.slice(rec.pos, rec.pos + rec.size), 2, ret);
+    } catch (ex) {
+      return cb(ex);
+    }
+    cb(undefined, ret);
+  });
+};
+
+/*
+  The data of all records following the FILEPASS record is encrypted in
+  1024 byte blocks, as if the Workbook stream were encrypted as a whole (so
+  record headers, which are not encrypted, still take up their part of the
+  key stream). A few records are not encrypted at all, and the stream
+  position of a BOUNDSHEET8 record (its first 4 bytes) is not encrypted
+  either.
+
+  Removing the FILEPASS record would move the records after it and break
+  the stream positions stored in the workbook, so it is turned into a record
+  of an unused type instead. Like the other streams decrypted, the Workbook
+  stream is decrypted in a copy. Passes an array of replaced streams to `cb`
+  (see word.js).
+*/
+exports.decrypt = function(parser, enc, blockKey, cb) {
+  var entry = parser.resolve('Workbook');
+  parser.readStream(entry, function(err, buf) {
+    var decrypted, rec, type, size, start;
+    if (err)
+      return cb(err);
+    decrypted = keys.decryptBlocks(Buffer.from(buf), blockKey, BLOCK_SIZE);
+    rec = findFilePass(buf);
+    if (!rec)
+      return cb(new FormatError('EFORMAT', 'Missing FILEPASS record'));
+    buf = Buffer.from(buf);
+    buf.fill(0, rec.pos - 4, rec.pos + rec.size);
+    buf.writeUInt16LE(rec.size, rec.pos - 2, true);
+
+    for (var pos=rec.pos + rec.size; pos + 4 <= buf.length; pos += size) {
+      type = buf.readUInt16LE(pos, true);
+      size = buf.readUInt16LE(pos + 2, true);
+      pos += 4;
+      if (PLAIN_RECORDS.indexOf(type) !== -1)
+        continue;
+      start = (type === records.BOUNDSHEET ? pos + 4 : pos);
+      decrypted.copy(buf, start, start, Math.min(pos + size, buf.length));
+    }
+    cb(undefined, [{ entry: entry, data: buf }]);
+  });
+};
+
+// Returns the position and size of the FILEPASS record's data
+function findFilePass(buf) {
+  var type, size;
+  for (var pos=0; pos + 4 <= buf.length; pos += size) {
+    type = buf.readUInt16LE(pos, true);
+    size = buf.readUInt16LE(pos + 2, true);
+    pos += 4;
+    if (type === records.FILEPASS)
+      return { pos: pos, size: Math.min(size, buf.length - pos) };
+    if (type === records.EOF || type === records.BOUNDSHEET
+        || (type === records.BOF && pos > 4))
+      return;
+  }
+}
@@ -0,0 +1,185 @@
+var Scheduler = require('../scheduler'), Parser = require('../compound'),
+    FormatError = require('../errors'), keys = require('./keys');
+
+// In the order they are checked
+var FORMATS = [require('./ooxml'), require('./word'), require('./excel'),
+               require('./powerpoint')];
+
+// Excel encrypts workbooks that are only protected against changes with this
+var EXCEL_DEFAULT_PASSWORD = 'VelvetSweatshop';
+
+// Encryption method -> key function (see keys.js)
+var KEYS = {
+  agile: keys.agile,
+  standard: keys.standard,
+  rc4: keys.rc4,
+  rc4CryptoAPI: keys.cryptoAPI
+};
+
+/*
+  Finds out whether and how a document is encrypted. `source` can be
+  anything accepted by the compound file Parser or an open Parser (encrypted
+  documents are always compound files, including encrypted Office Open XML
+  documents). `options` is optional and is passed on to the Parser. `cb` is
+  passed undefined if the document is not encrypted, otherwise an object
+  with the format:
+
+    format    - 'ooxml' (.docx, .xlsx, .pptx, etc.), 'word', 'excel' or
+                'powerpoint'
+    method    - 'agile', 'standard' or 'extensible' for Office Open XML
+                documents, 'rc4', 'rc4CryptoAPI' or 'xor' (obfuscation) for
+                97-2003 documents
+    version   - the version of the encryption information ('major.minor')
+    cipher    - e.g. 'AES' or 'RC4'
+    keyBits   - the key size in bits
+    hash      - e.g. 'SHA1' or 'SHA512'
+    supported - true if decrypt() can decrypt the document
+
+  `version`, `cipher`, `keyBits` and `hash` are undefined for XOR obfuscation
+  and Extensible encryption.
+*/
+exports.getEncryptionInfo = function(source, options, cb) {
+  if (typeof options === 'function') {
+    cb = options;
+    options = undefined;
+  }
+  Parser.using(source, options, function(parser, done) {
+    detect(parser, function(err, enc) {
+      if (err || !enc)
+        return done(err);
+      var params = enc.params || new Object();
+      done(undefined, {
+        format: enc.format,
+        method: enc.method,
+        version: params.version,
+        cipher: params.cipher,
+        keyBits: params.keyBits,
+        hash: params.hash,
+        supported: (KEYS[enc.method] !== undefined)
+      });
+    });
+  }, cb);
+};
+
+/*
+  Decrypts an encrypted document with `password`. `source` and `options` are
+  the same as for getEncryptionInfo(). `cb` is passed a Buffer with:
+
+    * the original zip package for Office Open XML documents
+    * a copy of the compound file with the encrypted streams decrypted for
+      97-2003 documents, which can be read like any other document
+
+  If `password` is undefined, Excel's default password (used for workbooks
+  that are only protected against changes) is tried. A wrong password
+  results in a FormatError with the code EPASSWORD, a document that is not
+  encrypted in one with the code EFORMAT and unsupported encryption in one
+  with the code EUNSUPPORTED.
+
+  Only the streams holding the document itself are decrypted: embedded
+  objects, pictures and document properties stored in encrypted form (in
+  the "EncryptedSummary" stream or with fDocProps cleared) are copied as is.
+*/
+exports.decrypt = function(source, password, options, cb) {
+  if (typeof options === 'function') {
+    cb = options;
+    options = undefined;
+  }
+  Parser.using(source, options, function(parser, done) {
+    detect(parser, function(err, enc, format) {
+      var keyFn = (enc ? KEYS[enc.method] : undefined), key;
+      if (err)
+        return done(err);
+      if (!enc)
+        return done(new FormatError('EFORMAT', 'Document is not encrypted'));
+      if (!keyFn) {
+        return done(new FormatError('EUNSUPPORTED',
+                                    'Unsupported encryption: ' + enc.method));
+      }
+      if (password === undefined)
+        password = (enc.format === 'excel' ? EXCEL_DEFAULT_PASSWORD : '');
+      try {
+        key = keyFn(enc.params, String(password));
+      } catch (ex) {
+        return done(ex);
+      }
+      if (!key)
+        return done(new FormatError('EPASSWORD', 'Wrong password'));
+
+      format.decrypt(parser, enc, key, function(err, result) {
+        if (err || Buffer.isBuffer(result))
+          return done(err, result);
+        rebuild(parser, result, done);
+      });
+    });
+  }, cb);
+};
+
+// Passes the encryption found and the format module that found it to `cb`
+function detect(parser, cb) {
+  var work, ret, retFormat;
+  work = new Scheduler(function(err) {
+    cb(err, ret, retFormat);
+  });
+  FORMATS.forEach(function(format) {
+    work.push(function(done) {
+      if (ret)
+        return done();
+      format.detect(parser, function(err, enc) {
+        ret = enc;
+        retFormat = format;
+        done(err);
+      });
+    });
+  });
+  work.go();
+}
+
+/*
+  Writes a copy of the compound file open in `parser` with the streams in
+  `replaced` (an array of objects with `entry` and `data`) replaced
+*/
+function rebuild(parser, replaced, cb) {
+  var work, root;
+
+  work = new Scheduler(parser.options.concurrency, function(err) {
+    var buf;
+    if (err)
+      return cb(err);
+    try {
+      buf = new Parser.Writer(root, {
+        version: parser.header.version.major
+      }).toBuffer();
+    } catch (ex) {
+      return cb(ex);
+    }
+    cb(undefined, buf);
+  });
+
+  function copy(entry) {
+    var ret = { name: entry.name };
+    if (!Array.isArray(entry.children)) {
+      work.push(function(done) {
+        for (var i=0,len=replaced.length; i<len; ++i) {
+          if (replaced[i].entry === entry) {
+            ret.data = replaced[i].data;
+            return done();
+          }
+        }
+        parser.readStream(entry, function(err, data) {
+          ret.data = data;
+          done(err);
+        });
+      });
+      return ret;
+    }
+    ret.classId = entry.classId;
+    ret.userFlags = entry.userFlags;
+    ret.createTS = entry.createTS;
+    ret.modifyTS = entry.modifyTS;
+    ret.children = entry.children.map(copy);
+    return ret;
+  }
+
+  root = copy(parser.dir);
+  work.go();
+}
@@ -0,0 +1,221 @@
+var FormatError = require('../errors');
+
+// EncryptionHeader flags
+var F_CRYPTOAPI = 0x04,
+    F_EXTERNAL = 0x10,
+    F_AES = 0x20;
+
+// Algorithm IDs
+var ALGID_RC4 = 0x6801,
+    ALGID_AES128 = 0x660E,
+    ALGID_AES192 = 0x660F,
+    ALGID_AES256 = 0x6610,
+    ALGID_SHA1 = 0x8004;
+
+var AES_BITS = new Object();
+AES_BITS[ALGID_AES128] = 128;
+AES_BITS[ALGID_AES192] = 192;
+AES_BITS[ALGID_AES256] = 256;
+
+// Returns the EncryptionVersionInfo at `pos` as 'major.minor'
+exports.version = function(buf, pos) {
+  if (pos + 4 > buf.length)
+    throw new FormatError('EFORMAT', 'Invalid encryption header');
+  return buf.readUInt16LE(pos, true) + '.' + buf.readUInt16LE(pos + 2, true);
+};
+
+/*
+  Reads the encryption information of Word, Excel and PowerPoint 97-2003
+  documents at `pos` in `buf`, which is either RC4 (version 1.1) or RC4
+  CryptoAPI encryption information, and sets the `method` and `params` of
+  `ret`
+*/
+exports.legacy = function(buf, pos, ret) {
+  var version = exports.version(buf, pos);
+  if (version === '1.1') {
+    ret.method = 'rc4';
+    ret.params = exports.rc4(buf, pos);
+  } else if (/^[234]\.2$/.test(version)) {
+    ret.method = 'rc4CryptoAPI';
+    ret.params = exports.binary(buf, pos);
+    if (ret.params.cipher !== 'RC4')
+      throw new FormatError('EFORMAT', 'Invalid encryption cipher');
+  } else {
+    throw new FormatError('EUNSUPPORTED',
+                          'Unsupported encryption version: ' + version);
+  }
+};
+
+/*
+  Parses the binary encryption information used by RC4 CryptoAPI and
+  Standard encryption, starting at `pos` in `buf`:
+
+    version    (4) - EncryptionVersionInfo (major and minor version)
+    flags      (4)
+    headerSize (4)
+    header     (?) - EncryptionHeader:
+                       flags        (4) - fCryptoAPI (0x04), fDocProps
+                                          (0x08), fExternal (0x10), fAES
+                                          (0x20)
+                       sizeExtra    (4)
+                       algID        (4) - cipher (0 = decided by the flags)
+                       algIDHash    (4) - hash (0 = SHA-1)
+                       keySize      (4) - key size in bits (0 = 40 for RC4)
+                       providerType (4)
+                       reserved     (8)
+                       CSPName      (?) - name of the crypto provider
+    verifier   (?) - EncryptionVerifier:
+                       saltSize              (4) - always 16
+                       salt                  (16)
+                       encryptedVerifier     (16)
+                       verifierHashSize      (4) - always 20
+                       encryptedVerifierHash (?) - 20 bytes for RC4, 32 for
+                                                   AES
+
+  Returns an object with the format:
+
+    version               - 'major.minor'
+    cipher                - 'RC4' or 'AES'
+    keyBits               - the key size in bits
+    hash                  - always 'SHA1'
+    salt                  - Buffer
+    encryptedVerifier     - Buffer
+    verifierHashSize      - size of the verifier hash
+    encryptedVerifierHash - Buffer
+*/
+exports.binary = function(buf, pos) {
+  var version = exports.version(buf, pos), headerSize, flags, algId, hashId,
+      keyBits, cipher, vpos, saltSize, hashSize;
+  if (pos + 12 > buf.length)
+    throw new FormatError('EFORMAT', 'Invalid encryption header');
+  headerSize = buf.readUInt32LE(pos + 8, true);
+  pos += 12;
+  vpos = pos + headerSize;
+  if (headerSize < 32 || vpos + 40 > buf.length)
+    throw new FormatError('EFORMAT', 'Invalid encryption header');
+
+  flags = buf.readUInt32LE(pos, true);
+  algId = buf.readUInt32LE(pos + 8, true);
+  hashId = buf.readUInt32LE(pos + 12, true);
+  keyBits = buf.readUInt32LE(pos + 16, true);
+  if (flags & F_EXTERNAL)
+    throw new FormatError('EUNSUPPORTED', 'Unsupported encryption');
+  if (hashId !== 0 && hashId !== ALGID_SHA1)
+    throw new FormatError('EUNSUPPORTED', 'Unsupported encryption hash');
+  if (algId === ALGID_RC4 || (algId === 0 && !(flags & F_AES)
+                              && (flags & F_CRYPTOAPI))) {
+    cipher = 'RC4';
+    if (keyBits === 0)
+      keyBits = 40;
+  } else if (AES_BITS[algId] || (algId === 0 && (flags & F_AES))) {
+    cipher = 'AES';
+    keyBits = AES_BITS[algId] || 128;
+  } else
+    throw new FormatError('EUNSUPPORTED', 'Unsupported encryption cipher');
+  if (keyBits % 8 || keyBits < 40 || keyBits > 256)
+    throw new FormatError('EFORMAT', 'Invalid encryption key size');
+
+  saltSize = buf.readUInt32LE(vpos, true);
+  hashSize = buf.readUInt32LE(vpos + 36, true);
+  if (saltSize !== 16 || hashSize > 32)
+    throw new FormatError('EFORMAT', 'Invalid encryption verifier');
+  return {
+    version: version,
+    cipher: cipher,
+    keyBits: keyBits,
+    hash: 'SHA1',
+    salt: buf.slice(vpos + 4, vpos + 20),
+    encryptedVerifier: buf.slice(vpos + 20, vpos + 36),
+    verifierHashSize: hashSize,
+    encryptedVerifierHash: buf.slice(vpos + 40,
+                                     vpos + 40 + (cipher === 'RC4' ? 20 : 32))
+  };
+};
+
+/*
+  Parses the encryption information used by (non-CryptoAPI) RC4 encryption
+  (version 1.1), starting at `pos` in `buf`:
+
+    version               (4) - EncryptionVersionInfo
+    salt                  (16)
+    encryptedVerifier     (16)
+    encryptedVerifierHash (16)
+
+  Returns an object in the same format as binary()
+*/
+exports.rc4 = function(buf, pos) {
+  var version = exports.version(buf, pos);
+  if (pos + 52 > buf.length)
+    throw new FormatError('EFORMAT', 'Invalid encryption header');
+  return {
+    version: version,
+    cipher: 'RC4',
+    keyBits: 128,
+    hash: 'MD5',
+    salt: buf.slice(pos + 4, pos + 20),
+    encryptedVerifier: buf.slice(pos + 20, pos + 36),
+    verifierHashSize: 16,
+    encryptedVerifierHash: buf.slice(pos + 36, pos + 52)
+  };
+};
+
+/*
+  Parses the XML encryption descriptor used by Agile encryption (following
+  the 8-byte version and reserved fields in the EncryptionInfo stream).
+  Only the password key encryptor is read. Returns an object with the
+  format:
+
+    version          - '4.4'
+    cipher           - the cipher of the package (e.g. 'AES')
+    keyBits          - the key size of the package in bits
+    hash             - the hash algorithm of the package (e.g. 'SHA512')
+    keyData          - the attributes of the keyData element, with
+                       `saltValue` as a Buffer and numbers as numbers
+    encryptedKey     - the attributes of the password key encryptor's
+                       encryptedKey element, converted the same way
+*/
+exports.agile = function(buf, pos) {
+  var xml = buf.toString('utf8', pos), keyData, encryptedKey, re, m, attrs;
+  keyData = /<(?:[\w.-]+:)?keyData\b([^>]*)>/.exec(xml);
+  re = /<(?:[\w.-]+:)?encryptedKey\b([^>]*)>/g;
+  while ((m = re.exec(xml)) !== null) {
+    attrs = attributes(m[1]);
+    if (attrs.encryptedVerifierHashInput !== undefined) {
+      encryptedKey = attrs;
+      break;
+    }
+  }
+  if (!keyData)
+    throw new FormatError('EFORMAT', 'Invalid encryption descriptor');
+  if (!encryptedKey) {
+    throw new FormatError('EUNSUPPORTED',
+                          'Document is not encrypted with a password');
+  }
+  keyData = attributes(keyData[1]);
+  return {
+    version: '4.4',
+    cipher: keyData.cipherAlgorithm,
+    keyBits: keyData.keyBits,
+    hash: keyData.hashAlgorithm,
+    keyData: keyData,
+    encryptedKey: encryptedKey
+  };
+};
+
+var BASE64_ATTRS = ['saltValue', 'encryptedVerifierHashInput',
+                    'encryptedVerifierHashValue', 'encryptedKeyValue'];
+var NUMBER_ATTRS = ['saltSize', 'blockSize', 'keyBits', 'hashSize',
+                    'spinCount'];
+
+function attributes(str) {
+  var ret = new Object(), re = /([\w.-]+)\s*=\s*"([^"]*)"/g, m;
+  while ((m = re.exec(str)) !== null) {
+    if (BASE64_ATTRS.indexOf(m[1]) !== -1)
+      ret[m[1]] = Buffer.from(m[2], 'base64');
+    else if (NUMBER_ATTRS.indexOf(m[1]) !== -1)
+      ret[m[1]] = parseInt(m[2], 10);
+    else
+      ret[m[1]] = m[2];
+  }
+  return ret;
+}
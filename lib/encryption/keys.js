@@ -0,0 +1,282 @@
+var crypto = require('crypto');
+
+var FormatError = require('../errors');
+
+// Agile encryption block keys
+var BLOCK_VERIFIER_INPUT = Buffer.from('fea7d2763b4b9e79', 'hex'),
+    BLOCK_VERIFIER_VALUE = Buffer.from('d7aa0f6d3061344e', 'hex'),
+    BLOCK_KEY_VALUE = Buffer.from('146e0be7abacd0d6', 'hex');
+
+var AGILE_SEGMENT_SIZE = 4096;
+
+/*
+  Key derivation and decryption for the encryption methods described in
+  MS-OFFCRYPTO. `params` are the parsed encryption headers (see info.js).
+  The key functions return undefined if the password is wrong.
+*/
+
+/*
+  RC4 stream cipher. Modern OpenSSL builds no longer provide it, so it is
+  implemented here.
+*/
+var RC4 = exports.RC4 = function(key) {
+  var s = this.s = new Array(256), j = 0, t;
+  for (var i=0; i<256; ++i)
+    s[i] = i;
+  for (i=0; i<256; ++i) {
+    j = (j + s[i] + key[i % key.length]) & 0xFF;
+    t = s[i];
+    s[i] = s[j];
+    s[j] = t;
+  }
+  this.i = this.j = 0;
+};
+
+// Encrypts or decrypts `buf` in place, from `start` up to `end`
+RC4.prototype.process = function(buf, start, end) {
+  var s = this.s, i = this.i, j = this.j, t;
+  if (start === undefined)
+    start = 0;
+  if (end === undefined)
+    end = buf.length;
+  for (var p=start; p<end; ++p) {
+    i = (i + 1) & 0xFF;
+    j = (j + s[i]) & 0xFF;
+    t = s[i];
+    s[i] = s[j];
+    s[j] = t;
+    buf[p] ^= s[(s[i] + s[j]) & 0xFF];
+  }
+  this.i = i;
+  this.j = j;
+  return buf;
+};
+
+/*
+  Returns a function that returns the RC4 key for a block number, for RC4
+  encryption (version 1.1):
+
+    H0     = MD5(password)
+    H1     = MD5(16 times (first 5 bytes of H0 + salt))
+    key(n) = MD5(first 5 bytes of H1 + n)
+*/
+exports.rc4 = function(params, password) {
+  var h0 = hash('md5', [utf16(password)]).slice(0, 5), parts = new Array(),
+      h1;
+  for (var i=0; i<16; ++i)
+    parts.push(h0, params.salt);
+  h1 = hash('md5', parts).slice(0, 5);
+  return verifyRC4(params, function(block) {
+    return hash('md5', [h1, uint32(block)]);
+  });
+};
+
+/*
+  Returns a function that returns the RC4 key for a block number, for RC4
+  CryptoAPI encryption:
+
+    H0     = SHA1(salt + password)
+    key(n) = SHA1(H0 + n), truncated to the key size
+
+  40-bit keys are padded with zeros to 128 bits.
+*/
+exports.cryptoAPI = function(params, password) {
+  var h0 = hash('sha1', [params.salt, utf16(password)]),
+      len = params.keyBits / 8;
+  return verifyRC4(params, function(block) {
+    var key = hash('sha1', [h0, uint32(block)]).slice(0, len);
+    if (len === 5)
+      key = Buffer.concat([key, Buffer.alloc(11)]);
+    return key;
+  });
+};
+
+function verifyRC4(params, blockKey) {
+  var rc4 = new RC4(blockKey(0)),
+      verifier = rc4.process(Buffer.from(params.encryptedVerifier)),
+      verifierHash = rc4.process(Buffer.from(params.encryptedVerifierHash));
+  if (!hash(params.hash, [verifier]).equals(verifierHash))
+    return;
+  return blockKey;
+}
+
+/*
+  Decrypts `buf` in place with RC4, switching to the key for the next block
+  every `blockSize` bytes. `offset` is the position of `buf` in the
+  encrypted data (default 0).
+*/
+exports.decryptBlocks = function(buf, blockKey, blockSize, offset) {
+  var block, rc4, end;
+  offset = offset || 0;
+  for (var pos=0,len=buf.length; pos<len; pos=end) {
+    block = Math.floor((offset + pos) / blockSize);
+    rc4 = new RC4(blockKey(block));
+    // skip to the position within the block
+    rc4.process(Buffer.alloc((offset + pos) % blockSize));
+    end = Math.min(len, (block + 1) * blockSize - offset);
+    rc4.process(buf, pos, end);
+  }
+  return buf;
+};
+
+/*
+  Returns the AES key for Standard encryption, or undefined if the password
+  is wrong:
+
+    H0    = SHA1(salt + password)
+    Hn    = SHA1(n-1 + Hn-1), for n up to 50000
+    H     = SHA1(H50000 + 0)
+    X1    = SHA1(64 bytes of 0x36 XOR H)
+    X2    = SHA1(64 bytes of 0x5C XOR H)
+    key   = X1 + X2, truncated to the key size
+*/
+exports.standard = function(params, password) {
+  var h = spin('sha1', hash('sha1', [params.salt, utf16(password)]), 50000),
+      x1 = Buffer.alloc(64, 0x36), x2 = Buffer.alloc(64, 0x5C), key,
+      verifier, verifierHash;
+  h = hash('sha1', [h, uint32(0)]);
+  for (var i=0; i<h.length; ++i) {
+    x1[i] ^= h[i];
+    x2[i] ^= h[i];
+  }
+  key = Buffer.concat([hash('sha1', [x1]), hash('sha1', [x2])])
+              .slice(0, params.keyBits / 8);
+  verifier = exports.aesECB(key, params.encryptedVerifier);
+  verifierHash = exports.aesECB(key, params.encryptedVerifierHash);
+  if (!hash('sha1', [verifier]).equals(
+         verifierHash.slice(0, params.verifierHashSize)))
+    return;
+  return key;
+};
+
+// Decrypts AES-ECB encrypted data (Standard encryption)
+exports.aesECB = function(key, buf) {
+  var decipher = crypto.createDecipheriv(aesName(key.length * 8, 'ecb'), key,
+                                         null);
+  decipher.setAutoPadding(false);
+  return Buffer.concat([decipher.update(blockAligned(buf)),
+                        decipher.final()]);
+};
+
+/*
+  Returns the package key for Agile encryption, or undefined if the password
+  is wrong. With H being the password key encryptor's hash algorithm:
+
+    H0     = H(salt + password)
+    Hn     = H(n-1 + Hn-1), for n up to spinCount
+    key(b) = H(HspinCount + b), truncated or padded with 0x36 to the key size
+
+  The verifier hash input, verifier hash value and the package key are
+  encrypted with the keys for their own block keys `b`, using the password
+  key encryptor's salt as the IV.
+*/
+exports.agile = function(params, password) {
+  var enc = params.encryptedKey, hashName = hashAlgorithm(enc.hashAlgorithm),
+      keyLen = enc.keyBits / 8, h, input, value, key;
+
+  checkCipher(enc);
+  checkCipher(params.keyData);
+  h = spin(hashName, hash(hashName, [enc.saltValue, utf16(password)]),
+           enc.spinCount);
+
+  function decrypt(blockKey, data) {
+    var key = fit(hash(hashName, [h, blockKey]), keyLen, 0x36);
+    return cbc(key, fit(enc.saltValue, enc.blockSize, 0x36), data);
+  }
+
+  input = decrypt(BLOCK_VERIFIER_INPUT, enc.encryptedVerifierHashInput)
+            .slice(0, enc.saltSize);
+  value = decrypt(BLOCK_VERIFIER_VALUE, enc.encryptedVerifierHashValue)
+            .slice(0, enc.hashSize);
+  if (!hash(hashName, [input]).equals(value))
+    return;
+  key = decrypt(BLOCK_KEY_VALUE, enc.encryptedKeyValue);
+  return key.slice(0, params.keyData.keyBits / 8);
+};
+
+/*
+  Decrypts an Agile encrypted package (without the leading size). The
+  package is encrypted in 4096 byte segments, each with its own IV:
+
+    IV(n) = H(keyData salt + n), truncated or padded with 0x36 to the block
+            size
+*/
+exports.agilePackage = function(params, key, buf) {
+  var keyData = params.keyData, hashName = hashAlgorithm(keyData.hashAlgorithm),
+      parts = new Array(), iv;
+  for (var pos=0,n=0,len=buf.length; pos<len; pos+=AGILE_SEGMENT_SIZE,++n) {
+    iv = fit(hash(hashName, [keyData.saltValue, uint32(n)]),
+             keyData.blockSize, 0x36);
+    parts.push(cbc(key, iv, buf.slice(pos, pos + AGILE_SEGMENT_SIZE)));
+  }
+  return Buffer.concat(parts);
+};
+
+function checkCipher(attrs) {
+  if (attrs.cipherAlgorithm !== 'AES'
+      || attrs.cipherChaining !== 'ChainingModeCBC'
+      || [128, 192, 256].indexOf(attrs.keyBits) === -1) {
+    throw new FormatError('EUNSUPPORTED', 'Unsupported encryption cipher: '
+                                          + attrs.cipherAlgorithm);
+  }
+}
+
+function cbc(key, iv, buf) {
+  var decipher = crypto.createDecipheriv(aesName(key.length * 8, 'cbc'), key,
+                                         iv);
+  decipher.setAutoPadding(false);
+  return Buffer.concat([decipher.update(blockAligned(buf)),
+                        decipher.final()]);
+}
+
+function aesName(bits, mode) {
+  return 'aes-' + bits + '-' + mode;
+}
+
+// Damaged files can have data that is not a multiple of the AES block size
+function blockAligned(buf) {
+  var extra = buf.length % 16;
+  return (extra ? buf.slice(0, buf.length - extra) : buf);
+}
+
+function hashAlgorithm(name) {
+  var ret = String(name).replace(/-/g, '').toLowerCase();
+  if (crypto.getHashes().indexOf(ret) === -1) {
+    throw new FormatError('EUNSUPPORTED', 'Unsupported encryption hash: '
+                                          + name);
+  }
+  return ret;
+}
+
+function hash(name, parts) {
+  var h = crypto.createHash(name.toLowerCase());
+  for (var i=0,len=parts.length; i<len; ++i)
+    h.update(parts[i]);
+  return h.digest();
+}
+
+function spin(name, h, count) {
+  var iterator = Buffer.alloc(4);
+  for (var i=0; i<count; ++i) {
+    iterator.writeUInt32LE(i, 0, true);
+    h = hash(name, [iterator, h]);
+  }
+  return h;
+}
+
+// Truncates `buf` or pads it with `pad` to `len` bytes
+function fit(buf, len, pad) {
+  if (buf.length >= len)
+    return buf.slice(0, len);
+  return Buffer.concat([buf, Buffer.alloc(len - buf.length, pad)]);
+}
+
+function utf16(str) {
+  return Buffer.from(str, 'utf16le');
+}
+
+function uint32(n) {
+  var buf = Buffer.alloc(4);
+  buf.writeUInt32LE(n, 0, true);
+  return buf;
+}
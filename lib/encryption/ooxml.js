@@ -0,0 +1,71 @@
+var FormatError = require('../errors'), info = require('./info'),
+    keys = require('./keys');
+
+/*
+  Encrypted Office Open XML documents (.docx, .xlsx, etc.) are compound files
+  with the encryption information in an EncryptionInfo stream and the
+  encrypted package (the original zip file) in an EncryptedPackage stream.
+  The EncryptionInfo version tells the encryption method apart:
+
+    4.4       - Agile (an XML descriptor follows the version)
+    2.2 - 4.2 - Standard (AES-ECB)
+    3.3, 4.3  - Extensible (custom encryption)
+*/
+exports.detect = function(parser, cb) {
+  var infoEntry = parser.resolve('EncryptionInfo'),
+      packageEntry = parser.resolve('EncryptedPackage');
+  if (!infoEntry || !packageEntry || Array.isArray(infoEntry.children))
+    return cb();
+  parser.readStream(infoEntry, function(err, buf) {
+    var ret = { format: 'ooxml', method: undefined, params: undefined },
+        version;
+    if (err)
+      return cb(err);
+    try {
+      version = info.version(buf, 0);
+      if (version === '4.4') {
+        ret.method = 'agile';
+        ret.params = info.agile(buf, 8);
+      } else if (/^[234]\.2$/.test(version)) {
+        ret.method = 'standard';
+        ret.params = info.binary(buf, 0);
+      } else if (/^[34]\.3$/.test(version))
+        ret.method = 'extensible';
+      else {
+        throw new FormatError('EUNSUPPORTED',
+                              'Unsupported encryption version: ' + version);
+      }
+    } catch (ex) {
+      return cb(ex);
+    }
+    cb(undefined, ret);
+  });
+};
+
+/*
+  Decrypts the EncryptedPackage stream, which starts with the size of the
+  original package (8 bytes) followed by the encrypted package padded to the
+  cipher's block size. Passes the package to `cb` as a Buffer.
+*/
+exports.decrypt = function(parser, enc, key, cb) {
+  parser.readStream(parser.resolve('EncryptedPackage'), function(err, buf) {
+    var size, data;
+    if (err)
+      return cb(err);
+    if (buf.length < 8)
+      return cb(new FormatError('EFORMAT', 'Invalid encrypted package'));
+    size = buf.readUInt32LE(0, true)
+           + buf.readUInt32LE(4, true) * 0x100000000;
+    try {
+      if (enc.method === 'agile')
+        data = keys.agilePackage(enc.params, key, buf.slice(8));
+      else
+        data = keys.aesECB(key, buf.slice(8));
+    } catch (ex) {
+      return cb(ex);
+    }
+    if (size > data.length)
+      return cb(new FormatError('EFORMAT', 'Encrypted package is truncated'));
+    cb(undefined, data.slice(0, size));
+  });
+};
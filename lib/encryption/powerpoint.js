@@ -0,0 +1,153 @@
+var FormatError = require('../errors'), info = require('./info'),
+    keys = require('./keys');
+
+var RT_USER_EDIT_ATOM = 0x0FF5,
+    RT_CURRENT_USER_ATOM = 0x0FF6,
+    RT_PERSIST_DIRECTORY_ATOM = 0x1772,
+    RT_CRYPT_SESSION_10 = 0x2F14;
+
+var TOKEN_PLAIN = 0xE391C05F,
+    TOKEN_ENCRYPTED = 0xF3D1C4DF;
+
+/*
+  Encrypted PowerPoint 97-2003 presentations have a special header token in
+  the CurrentUserAtom. The newest UserEditAtom then has an additional field
+  (encryptSessionPersistIdRef, at offset 28) with the persist ID of a
+  CryptSession10Container holding the RC4 CryptoAPI encryption information.
+*/
+exports.detect = function(parser, cb) {
+  var userEntry = parser.resolve('Current User'),
+      docEntry = parser.resolve('PowerPoint Document');
+  if (!userEntry || !docEntry || Array.isArray(userEntry.children))
+    return cb();
+  parser.readStream(userEntry, function(err, user) {
+    if (err)
+      return cb(err);
+    if (user.length < 20
+        || user.readUInt16LE(2, true) !== RT_CURRENT_USER_ATOM
+        || user.readUInt32LE(12, true) !== TOKEN_ENCRYPTED) {
+      return cb();
+    }
+    parser.readStream(docEntry, function(err, doc) {
+      var ret = { format: 'powerpoint', method: undefined, params: undefined },
+          edits, rh;
+      if (err)
+        return cb(err);
+      try {
+        edits = readEdits(doc, user.readUInt32LE(16, true));
+        rh = readHeader(doc, edits.offsets[edits.sessionRef]);
+        if (rh.type !== RT_CRYPT_SESSION_10) {
+          throw new FormatError('EFORMAT',
+                                'Invalid CryptSession10Container');
+        }
+        info.legacy(doc.slice(rh.pos, rh.pos + rh.len), 0, ret);
+      } catch (ex) {
+        return cb(ex);
+      }
+      cb(undefined, ret);
+    });
+  });
+};
+
+/*
+  Every persist object (except the CryptSession10Container) is encrypted on
+  its own, using its persist ID as the block number: first the record header
+  and then the rest of the record, with one key stream. The UserEditAtoms and
+  PersistDirectoryAtoms are not encrypted. The decrypted presentation has the
+  regular header token. Passes an array of replaced streams, decrypted in
+  copies, to `cb` (see word.js).
+*/
+exports.decrypt = function(parser, enc, blockKey, cb) {
+  var userEntry = parser.resolve('Current User'),
+      docEntry = parser.resolve('PowerPoint Document');
+  parser.readStream(userEntry, function(err, user) {
+    if (err)
+      return cb(err);
+    parser.readStream(docEntry, function(err, doc) {
+      var edits, done = new Object(), obj, rc4, len;
+      if (err)
+        return cb(err);
+      try {
+        edits = readEdits(doc, user.readUInt32LE(16, true));
+      } catch (ex) {
+        return cb(ex);
+      }
+      user = Buffer.from(user);
+      doc = Buffer.from(doc);
+      for (var i=0,n=edits.objects.length; i<n; ++i) {
+        obj = edits.objects[i];
+        if (obj.id === edits.sessionRef || done[obj.offset]
+            || obj.offset + 8 > doc.length) {
+          continue;
+        }
+        done[obj.offset] = true;
+        rc4 = new keys.RC4(blockKey(obj.id));
+        rc4.process(doc, obj.offset, obj.offset + 8);
+        len = doc.readUInt32LE(obj.offset + 4, true);
+        rc4.process(doc, obj.offset + 8,
+                    Math.min(obj.offset + 8 + len, doc.length));
+      }
+      user.writeUInt32LE(TOKEN_PLAIN, 12, true);
+      cb(undefined, [{ entry: userEntry, data: user },
+                     { entry: docEntry, data: doc }]);
+    });
+  });
+};
+
+/*
+  Follows the chain of UserEditAtoms (see the powerpoint module) and returns
+  an object with the format:
+
+    offsets    - persist ID -> stream offset, newest saves taking precedence
+    objects    - array of all persist objects of all saves, each with `id`
+                 and `offset`
+    sessionRef - persist ID of the CryptSession10Container
+*/
+function readEdits(doc, offset) {
+  var ret = { offsets: new Object(), objects: new Array(),
+              sessionRef: undefined },
+      seen = new Object(), rh, dir, val, id, n;
+  while (true) {
+    if (seen[offset])
+      throw new FormatError('EFORMAT', 'Invalid edit chain');
+    seen[offset] = true;
+    rh = readHeader(doc, offset);
+    if (rh.type !== RT_USER_EDIT_ATOM || rh.len < 0x1C)
+      throw new FormatError('EFORMAT', 'Invalid UserEditAtom');
+    if (ret.sessionRef === undefined && rh.len >= 0x20)
+      ret.sessionRef = doc.readUInt32LE(rh.pos + 28, true);
+
+    dir = readHeader(doc, doc.readUInt32LE(rh.pos + 12, true));
+    if (dir.type !== RT_PERSIST_DIRECTORY_ATOM)
+      throw new FormatError('EFORMAT', 'Invalid PersistDirectoryAtom');
+    for (var pos=dir.pos,end=dir.pos + dir.len; pos + 4 <= end;) {
+      val = doc.readUInt32LE(pos, true);
+      id = val & 0xFFFFF;
+      n = val >>> 20;
+      pos += 4;
+      for (var i=0; i<n && pos + 4 <= end; ++i, ++id, pos += 4) {
+        offset = doc.readUInt32LE(pos, true);
+        ret.objects.push({ id: id, offset: offset });
+        if (ret.offsets[id] === undefined)
+          ret.offsets[id] = offset;
+      }
+    }
+
+    offset = doc.readUInt32LE(rh.pos + 8, true);
+    if (offset === 0)
+      break;
+  }
+  if (ret.sessionRef === undefined)
+    throw new FormatError('EFORMAT', 'Missing encryption session');
+  return ret;
+}
+
+function readHeader(doc, pos) {
+  if (pos === undefined || pos + 8 > doc.length)
+    throw new FormatError('EFORMAT', 'Invalid record offset');
+  return {
+    type: doc.readUInt16LE(pos + 2, true),
+    len: doc.readUInt32LE(pos + 4, true),
+    pos: pos + 8
+  };
+}
@@ -0,0 +1,106 @@
+var FormatError = require('../errors'), info = require('./info'),
+    keys = require('./keys');
+
+// FibBase flags
+var F_ENCRYPTED = 0x0100,
+    F_WHICH_TBL_STM = 0x0200,
+    F_OBFUSCATED = 0x8000;
+
+// The FibBase is never encrypted
+var FIB_BASE_SIZE = 68;
+
+var BLOCK_SIZE = 512;
+
+/*
+  Encrypted Word 97-2003 documents have fEncrypted set in the FIB, with the
+  size of the encryption header at the start of the table stream in lKey.
+  Documents with fObfuscated also set (and Word 6/95 documents) use XOR
+  obfuscation instead.
+*/
+exports.detect = function(parser, cb) {
+  var entry = parser.resolve('WordDocument');
+  if (!entry || Array.isArray(entry.children))
+    return cb();
+  parser.readRange(entry, 0, Math.min(entry.size, FIB_BASE_SIZE),
+                   function(err, fib) {
+    var flags, ret, table;
+    if (err)
+      return cb(err);
+    if (fib.length < FIB_BASE_SIZE || fib.readUInt16LE(0, true) !== 0xA5EC)
+      return cb();
+    flags = fib.readUInt16LE(10, true);
+    if (!(flags & F_ENCRYPTED))
+      return cb();
+    ret = { format: 'word', method: 'xor', params: undefined };
+    if ((flags & F_OBFUSCATED) || fib.readUInt16LE(2, true) < 0xC0)
+      return cb(undefined, ret);
+
+    table = parser.resolve(flags & F_WHICH_TBL_STM ? '1Table' : '0Table');
+    if (!table || Array.isArray(table.children))
+      return cb(new FormatError('EFORMAT', 'Missing table stream'));
+    parser.readRange(table, 0, Math.min(table.size,
+                                        fib.readUInt32LE(14, true)),
+                     function(err, header) {
+      if (err)
+        return cb(err);
+      try {
+        info.legacy(header, 0, ret);
+      } catch (ex) {
+        return cb(ex);
+      }
+      cb(undefined, ret);
+    });
+  });
+};
+
+/*
+  The WordDocument stream, the table stream and the Data stream are
+  encrypted in 512 byte blocks, as if each were encrypted as a whole (so the
+  unencrypted FibBase and encryption header still take up their part of the
+  key stream). The decrypted document has fEncrypted cleared. Streams are
+  decrypted in copies, as what readStream() passes on can share memory with
+  the source or the sector cache. Passes an array of replaced streams to
+  `cb`, each with the format:
+
+    entry - the stream entry
+    data  - the decrypted stream
+*/
+exports.decrypt = function(parser, enc, blockKey, cb) {
+  var doc = parser.resolve('WordDocument'), ret = new Array();
+  parser.readStream(doc, function(err, buf) {
+    var flags, table, data, lKey, fib;
+    if (err)
+      return cb(err);
+    flags = buf.readUInt16LE(10, true);
+    lKey = buf.readUInt32LE(14, true);
+    table = parser.resolve(flags & F_WHICH_TBL_STM ? '1Table' : '0Table');
+    data = parser.resolve('Data');
+
+    fib = buf.slice(0, FIB_BASE_SIZE);
+    buf = keys.decryptBlocks(Buffer.from(buf), blockKey, BLOCK_SIZE);
+    fib.copy(buf);
+    buf.writeUInt16LE(flags & ~F_ENCRYPTED, 10, true);
+    buf.writeUInt32LE(0, 14, true);
+    ret.push({ entry: doc, data: buf });
+
+    parser.readStream(table, function(err, buf) {
+      var header;
+      if (err)
+        return cb(err);
+      header = buf.slice(0, lKey);
+      buf = keys.decryptBlocks(Buffer.from(buf), blockKey, BLOCK_SIZE);
+      header.copy(buf);
+      ret.push({ entry: table, data: buf });
+
+      if (!data || Array.isArray(data.children))
+        return cb(undefined, ret);
+      parser.readStream(data, function(err, buf) {
+        if (err)
+          return cb(err);
+        buf = keys.decryptBlocks(Buffer.from(buf), blockKey, BLOCK_SIZE);
+        ret.push({ entry: data, data: buf });
+        cb(undefined, ret);
+      });
+    });
+  });
+};
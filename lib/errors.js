@@ -0,0 +1,20 @@
+var util = require('util');
+
+/*
+  Error for documents the format parsers (Word, Excel, etc.) can not read.
+  `code` is one of:
+
+    EFORMAT      - the document is damaged or is not of the expected format
+    EUNSUPPORTED - the document uses a version or feature that is not
+                   supported
+    EENCRYPTED   - the document is encrypted or obfuscated
+    EPASSWORD    - the password for an encrypted document is wrong
+*/
+var FormatError = module.exports = function(code, message) {
+  Error.call(this);
+  Error.captureStackTrace(this, FormatError);
+  this.message = message;
+  this.code = code;
+};
+util.inherits(FormatError, Error);
+FormatError.prototype.name = 'FormatError';
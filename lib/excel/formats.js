@@ -0,0 +1,81 @@
+/*
+  Built-in number formats. These are not stored in the file unless they were
+  changed. Formats 5-8, 23-36 and 41-44 depend on the locale and are left
+  out, except for the date and time formats which are recognized by their ID
+  instead (see isDate()).
+*/
+exports.BUILTIN = {
+  0: 'General',
+  1: '0',
+  2: '0.00',
+  3: '#,##0',
+  4: '#,##0.00',
+  9: '0%',
+  10: '0.00%',
+  11: '0.00E+00',
+  12: '# ?/?',
+  13: '# ??/??',
+  14: 'm/d/yy',
+  15: 'd-mmm-yy',
+  16: 'd-mmm',
+  17: 'mmm-yy',
+  18: 'h:mm AM/PM',
+  19: 'h:mm:ss AM/PM',
+  20: 'h:mm',
+  21: 'h:mm:ss',
+  22: 'm/d/yy h:mm',
+  37: '#,##0 ;(#,##0)',
+  38: '#,##0 ;[Red](#,##0)',
+  39: '#,##0.00;(#,##0.00)',
+  40: '#,##0.00;[Red](#,##0.00)',
+  45: 'mm:ss',
+  46: '[h]:mm:ss',
+  47: 'mmss.0',
+  48: '##0.0E+0',
+  49: '@'
+};
+
+// IDs of the built-in date and time formats, including the East Asian ones
+var DATE_IDS = [14, 15, 16, 17, 18, 19, 20, 21, 22, 27, 28, 29, 30, 31, 32,
+                33, 34, 35, 36, 45, 46, 47, 50, 51, 52, 53, 54, 55, 56, 57,
+                58];
+
+/*
+  Returns whether the number format with the given ID and format string
+  displays numbers as dates or times. Custom formats are dates if the part
+  used for positive numbers contains any date or time codes outside of
+  literal text.
+*/
+exports.isDate = function(id, format) {
+  if (DATE_IDS.indexOf(id) !== -1)
+    return true;
+  if (typeof format !== 'string')
+    return false;
+  format = format.split(';')[0]
+                 .replace(/"[^"]*"/g, '')   // literal text
+                 .replace(/[\\_*]./g, '');  // escaped characters and padding
+  // elapsed time ([h], [mm], [ss])
+  if (/\[(h+|m+|s+)\]/i.test(format))
+    return true;
+  // colors, conditions and locales
+  format = format.replace(/\[[^\]]*\]/g, '');
+  return /[dmyhs]/i.test(format);
+};
+
+/*
+  Converts a date serial number to a Date. Serial numbers count days since
+  1900-01-00 (with 1900 wrongly treated as a leap year) or, for workbooks
+  using the 1904 date system, since 1904-01-01. The fraction is the time of
+  day. Dates are returned as UTC since workbooks do not store a time zone.
+*/
+exports.toDate = function(serial, date1904) {
+  var days;
+  if (date1904)
+    days = serial + 1462;
+  else if (serial < 60)
+    days = serial + 1;
+  else
+    days = serial;
+  // 25569 is 1970-01-01
+  return new Date(Math.round((days - 25569) * 86400000));
+};
@@ -0,0 +1,653 @@
+var Readable = require('stream').Readable;
+
+var Parser = require('../compound'), FormatError = require('../errors'),
+    records = require('./records'), formats = require('./formats');
+
+var Cursor = records.Cursor;
+
+var SHEET_STATES = ['visible', 'hidden', 'veryHidden'],
+    SHEET_TYPES = { 0x00: 'worksheet', 0x01: 'macro', 0x02: 'chart',
+                    0x06: 'vba' };
+
+var ERRORS = {
+  0x00: '#NULL!',
+  0x07: '#DIV/0!',
+  0x0F: '#VALUE!',
+  0x17: '#REF!',
+  0x1D: '#NAME?',
+  0x24: '#NUM!',
+  0x2A: '#N/A'
+};
+
+// Built-in names are stored as a single character
+var BUILTIN_NAMES = ['Consolidate_Area', 'Auto_Open', 'Auto_Close', 'Extract',
+                     'Database', 'Criteria', 'Print_Area', 'Print_Titles',
+                     'Recorder', 'Data_Form', 'Auto_Activate',
+                     'Auto_Deactivate', 'Sheet_Title', '_FilterDatabase'];
+
+// SUPBOOK record type and the value marking a reference to the workbook itself
+var SUPBOOK = 0x01AE,
+    SUPBOOK_SELF = 0x0401;
+
+var rkBuf = Buffer.alloc(8);
+
+/*
+  Opens an Excel 97-2003 (BIFF8) workbook and passes a Workbook to `cb`.
+  `source` can be anything accepted by the compound file Parser or an open
+  Parser. `options` is optional and is passed on to the Parser. Only the
+  workbook globals (sheet list, shared strings, formats and defined names)
+  are read up front, sheets are read when they are asked for.
+*/
+exports.open = function(source, options, cb) {
+  if (typeof options === 'function') {
+    cb = options;
+    options = undefined;
+  }
+  if (source instanceof Parser)
+    return load(source, false, cb);
+  var parser = new Parser(source, options, function(err) {
+    if (err) {
+      if (parser.source)
+        parser.close();
+      return cb(err);
+    }
+    load(parser, true, function(err, workbook) {
+      if (err) {
+        return parser.close(function() {
+          cb(err);
+        });
+      }
+      cb(undefined, workbook);
+    });
+  });
+};
+
+function load(parser, owned, cb) {
+  var entry = parser.resolve('Workbook'), workbook;
+  if (!entry) {
+    if (parser.resolve('Book')) {
+      return cb(new FormatError('EUNSUPPORTED',
+                                'Excel 5.0/95 workbooks are not supported'));
+    }
+    return cb(new FormatError('EFORMAT', 'Not an Excel workbook'));
+  }
+  workbook = new Workbook(parser, entry, owned);
+  workbook._parseGlobals(function(err) {
+    if (err)
+      return cb(err);
+    cb(undefined, workbook);
+  });
+}
+
+/*
+  A cell containing an error. `code` is the error's numeric code and `text`
+  is how Excel displays it (e.g. '#DIV/0!').
+*/
+var CellError = exports.CellError = function(code) {
+  this.code = code;
+  this.text = ERRORS[code] || '#ERROR!';
+};
+CellError.prototype.toString = function() {
+  return this.text;
+};
+
+/*
+  Properties:
+
+    sheets   - the sheets in workbook order, each with the format:
+                 name   - the sheet name
+                 state  - 'visible', 'hidden' or 'veryHidden' (can only be
+                          made visible again with a macro)
+                 type   - 'worksheet', 'chart', 'macro' or 'vba'
+                 offset - position of the sheet's records in the Workbook
+                          stream
+    names    - the defined names, each with the format:
+                 name    - the name. Built-in names (see `builtin`) get
+                           their English name, e.g. 'Print_Area'
+                 sheet   - index of the sheet the name is local to or
+                           undefined for names visible in the whole workbook
+                 hidden  - whether the name is hidden
+                 builtin - whether this is a name with a special meaning to
+                           Excel
+                 formula - the referenced range (e.g. "Sheet1!$A$1:$B$2") or
+                           undefined if the name refers to something other
+                           than a single range
+    strings  - the shared string table
+    formats  - number format strings by format ID
+    date1904 - whether the workbook uses the 1904 date system
+*/
+var Workbook = exports.Workbook = function(parser, entry, owned) {
+  this.parser = parser;
+  this.entry = entry;
+  this.sheets = new Array();
+  this.names = new Array();
+  this.strings = new Array();
+  this.formats = new Object();
+  this.date1904 = false;
+  this._owned = owned;
+  this._xfs = new Array();
+  this._dateFormats = new Object();
+  this._supbooks = new Array();
+  this._externSheets = new Array();
+  for (var id in formats.BUILTIN)
+    this.formats[id] = formats.BUILTIN[id];
+};
+
+// Closes the underlying Parser, unless an open Parser was passed to open()
+Workbook.prototype.close = function(cb) {
+  if (this._owned)
+    this.parser.close(cb);
+  else if (cb)
+    process.nextTick(cb);
+};
+
+// Accepts a sheet index, a sheet name or a sheet and returns the sheet
+Workbook.prototype.getSheet = function(sheet) {
+  if (typeof sheet === 'number')
+    return this.sheets[sheet];
+  if (typeof sheet === 'string') {
+    sheet = sheet.toUpperCase();
+    for (var i=0,len=this.sheets.length; i<len; ++i) {
+      if (this.sheets[i].name.toUpperCase() === sheet)
+        return this.sheets[i];
+    }
+    return;
+  }
+  if (this.sheets.indexOf(sheet) !== -1)
+    return sheet;
+};
+
+/*
+  Calls `onRow(values, index)` for each row containing cells in `sheet` (see
+  getSheet()), in the order they are stored in, which is top to bottom for
+  files written by Excel. `values` is an array of cell values indexed by
+  column, with undefined for empty cells. Values are numbers, strings,
+  booleans, Dates (for numbers formatted as dates) or CellErrors. Formula
+  cells have the value from the last time the workbook was calculated.
+
+  Returning false from `onRow` stops reading the sheet. `cb(err, info)` is
+  called at the end, where `info` has the format:
+
+    merged     - the merged ranges found, each with `firstRow`, `lastRow`,
+                 `firstCol` and `lastCol`. Only complete if the whole sheet
+                 was read
+    dimensions - the range of used cells (same format as merged ranges) or
+                 undefined if the sheet is empty
+*/
+Workbook.prototype.eachRow = function(sheet, onRow, cb) {
+  this._readRows(sheet, onRow, cb);
+};
+
+/*
+  Reads all rows of `sheet` (see getSheet()) and passes an object to `cb`
+  with the format:
+
+    name       - the sheet name
+    rows       - array of rows, each an array of cell values (see eachRow())
+    merged     - the merged ranges (see eachRow())
+    dimensions - the range of used cells (see eachRow())
+*/
+Workbook.prototype.readSheet = function(sheet, cb) {
+  var rows = new Array(), self = this;
+  this._readRows(sheet, function(values, index) {
+    while (rows.length < index)
+      rows.push(new Array());
+    rows[index] = values;
+  }, function(err, info) {
+    if (err)
+      return cb(err);
+    cb(undefined, {
+      name: self.getSheet(sheet).name,
+      rows: rows,
+      merged: info.merged,
+      dimensions: info.dimensions
+    });
+  });
+};
+
+/*
+  Returns a Readable producing `sheet` (see getSheet()) as CSV. Rows are read
+  as the output is consumed, so the sheet is never held in memory as a whole.
+  Empty rows above and between the used rows are kept as empty lines. Dates
+  are written as ISO 8601 dates or date-times.
+
+  Options:
+
+    delimiter - field delimiter (default: ',')
+    eol       - line ending (default: '\r\n')
+*/
+Workbook.prototype.createCSVStream = function(sheet, options) {
+  var delimiter = (options && options.delimiter) || ',',
+      eol = (options && options.eol) || '\r\n',
+      next = 0, source, out;
+
+  out = new Readable({
+    read: function() {
+      if (source && source.isPaused())
+        source.resume();
+    }
+  });
+
+  source = this._readRows(sheet, function(values, index) {
+    var line = '';
+    for (; next < index; ++next)
+      line += eol;
+    for (var i=0,len=values.length; i<len; ++i) {
+      if (i > 0)
+        line += delimiter;
+      line += csvField(values[i], delimiter);
+    }
+    next = index + 1;
+    if (!out.push(line + eol))
+      source.pause();
+  }, function(err) {
+    if (err)
+      return out.destroy(err);
+    out.push(null);
+  });
+
+  return out;
+};
+
+/*
+  Reads the records of `sheet`, passing complete rows to `onRow`. Returns the
+  Readable the records are read from.
+*/
+Workbook.prototype._readRows = function(sheet, onRow, cb) {
+  var self = this, info, depth = 0, row = -1, values, pending, stopped = false,
+      stream, s = this.getSheet(sheet);
+
+  if (!s) {
+    process.nextTick(cb, new Error('There is no sheet with that name or '
+                                   + 'index'));
+    return;
+  }
+
+  info = {
+    merged: new Array(),
+    dimensions: undefined
+  };
+
+  function flush() {
+    if (values && onRow(values, row) === false)
+      stopped = true;
+    values = undefined;
+  }
+
+  function setCell(r, c, value) {
+    if (r !== row) {
+      flush();
+      row = r;
+    }
+    if (!values)
+      values = new Array();
+    values[c] = value;
+  }
+
+  stream = this.parser.createReadStream(this.entry, { start: s.offset });
+  return records.read(stream, function(rec) {
+    var data = rec.data, type = rec.type, r, c, n;
+
+    if (type === records.BOF) {
+      if (++depth === 1) {
+        n = (data.length >= 4 ? data.readUInt16LE(2, true) : 0);
+        // charts have no cells
+        if (n !== records.BOF_WORKSHEET && n !== records.BOF_MACRO)
+          return false;
+      }
+      return;
+    } else if (depth === 0) {
+      throw new FormatError('EFORMAT', 'Invalid sheet offset for '
+                                       + s.name);
+    } else if (type === records.EOF) {
+      if (--depth === 0) {
+        flush();
+        return false;
+      }
+      return;
+    } else if (depth > 1) {
+      // embedded chart
+      return;
+    }
+
+    switch (type) {
+      case records.LABELSST:
+        if (data.length < 10)
+          break;
+        setCell(data.readUInt16LE(0, true), data.readUInt16LE(2, true),
+                self.strings[data.readUInt32LE(6, true)]);
+        break;
+      case records.LABEL:
+        r = new Cursor(rec);
+        r.skip(6);
+        setCell(data.readUInt16LE(0, true), data.readUInt16LE(2, true),
+                r.string(2));
+        break;
+      case records.NUMBER:
+        if (data.length < 14)
+          break;
+        setCell(data.readUInt16LE(0, true), data.readUInt16LE(2, true),
+                self._number(data.readUInt16LE(4, true),
+                             data.readDoubleLE(6, true)));
+        break;
+      case records.RK:
+        if (data.length < 10)
+          break;
+        setCell(data.readUInt16LE(0, true), data.readUInt16LE(2, true),
+                self._number(data.readUInt16LE(4, true),
+                             rkValue(data.readInt32LE(6, true))));
+        break;
+      case records.MULRK:
+        // row, first column, then an XF index and RK value per column
+        r = data.readUInt16LE(0, true);
+        c = data.readUInt16LE(2, true);
+        for (var pos=4; pos + 6 <= data.length - 2; pos += 6, ++c) {
+          setCell(r, c, self._number(data.readUInt16LE(pos, true),
+                                     rkValue(data.readInt32LE(pos + 2, true))));
+        }
+        break;
+      case records.BOOLERR:
+        if (data.length < 8)
+          break;
+        setCell(data.readUInt16LE(0, true), data.readUInt16LE(2, true),
+                (data[7] ? new CellError(data[6]) : data[6] !== 0));
+        break;
+      case records.FORMULA:
+        /*
+          The cached result is stored at byte 6. If the last two bytes are
+          0xFFFF it is not a number and the first byte gives its type: 0 for
+          a string (stored in the STRING record following the FORMULA
+          record), 1 for a boolean or 2 for an error (both stored in the
+          third byte) or 3 for an empty string.
+        */
+        if (data.length < 14)
+          break;
+        r = data.readUInt16LE(0, true);
+        c = data.readUInt16LE(2, true);
+        if (data.readUInt16LE(12, true) !== 0xFFFF) {
+          setCell(r, c, self._number(data.readUInt16LE(4, true),
+                                     data.readDoubleLE(6, true)));
+        } else if (data[6] === 0x00)
+          pending = { row: r, col: c };
+        else if (data[6] === 0x01)
+          setCell(r, c, data[8] !== 0);
+        else if (data[6] === 0x02)
+          setCell(r, c, new CellError(data[8]));
+        else if (data[6] === 0x03)
+          setCell(r, c, '');
+        break;
+      case records.STRING:
+        if (pending) {
+          setCell(pending.row, pending.col, new Cursor(rec).string(2));
+          pending = undefined;
+        }
+        break;
+      case records.MERGEDCELLS:
+        n = data.readUInt16LE(0, true);
+        for (var i=0; i<n && 2 + i * 8 + 8 <= data.length; ++i)
+          info.merged.push(readRef8(data, 2 + i * 8));
+        break;
+      case records.DIMENSIONS:
+        // rwMic (4), rwMac (4), colMic (2), colMac (2), "Mac" values are
+        // one past the last used row/column
+        if (data.length >= 12 && data.readUInt32LE(4, true) > 0) {
+          info.dimensions = {
+            firstRow: data.readUInt32LE(0, true),
+            lastRow: data.readUInt32LE(4, true) - 1,
+            firstCol: data.readUInt16LE(8, true),
+            lastCol: data.readUInt16LE(10, true) - 1
+          };
+        }
+        break;
+    }
+    if (stopped)
+      return false;
+  }, function(err) {
+    if (!err && !stopped)
+      flush();
+    cb(err, info);
+  });
+};
+
+// Returns the value of a number cell with the XF record index `ixfe`
+Workbook.prototype._number = function(ixfe, num) {
+  var ifmt = this._xfs[ixfe], isDate = this._dateFormats[ifmt];
+  if (isDate === undefined) {
+    isDate = this._dateFormats[ifmt] = formats.isDate(ifmt,
+                                                      this.formats[ifmt]);
+  }
+  return (isDate ? formats.toDate(num, this.date1904) : num);
+};
+
+/*
+  Reads the workbook globals substream at the start of the Workbook stream,
+  which contains everything besides the sheets themselves.
+*/
+Workbook.prototype._parseGlobals = function(cb) {
+  var self = this, first = true, names = new Array(), stream;
+  stream = this.parser.createReadStream(this.entry);
+  records.read(stream, function(rec) {
+    var data = rec.data, c;
+    if (first) {
+      first = false;
+      // BOF: vers (2) - 0x0600 for BIFF8, dt (2) - substream type
+      if (rec.type !== records.BOF || data.length < 4)
+        throw new FormatError('EFORMAT', 'Invalid Workbook stream');
+      if (data.readUInt16LE(0, true) !== 0x0600) {
+        throw new FormatError('EUNSUPPORTED',
+                              'Only BIFF8 workbooks are supported');
+      }
+      return;
+    }
+    switch (rec.type) {
+      case records.EOF:
+        return false;
+      case records.FILEPASS:
+        throw new FormatError('EENCRYPTED', 'Workbook is encrypted');
+      case records.DATEMODE:
+        self.date1904 = (data.readUInt16LE(0, true) === 1);
+        break;
+      case records.BOUNDSHEET:
+        /*
+          lbPlyPos (4) - offset of the sheet's BOF record
+          hsState  (1) - visibility in the lower 2 bits
+          dt       (1) - sheet type
+          stName   (?) - ShortXLUnicodeString
+        */
+        c = new Cursor(rec);
+        c.skip(6);
+        self.sheets.push({
+          name: c.string(1),
+          state: SHEET_STATES[data[4] & 0x03] || 'visible',
+          type: SHEET_TYPES[data[5]] || 'worksheet',
+          offset: data.readUInt32LE(0, true)
+        });
+        break;
+      case records.SST:
+        // cstTotal (4), cstUnique (4), then the strings
+        c = new Cursor(rec);
+        c.skip(4);
+        for (var i=0,n=c.uint32(); i<n && !c.eof(); ++i)
+          self.strings.push(c.string(2));
+        break;
+      case records.FORMAT:
+        // ifmt (2), stFormat (XLUnicodeString)
+        c = new Cursor(rec);
+        c.skip(2);
+        self.formats[data.readUInt16LE(0, true)] = c.string(2);
+        break;
+      case records.XF:
+        // the number format ID is at byte 2
+        self._xfs.push(data.readUInt16LE(2, true));
+        break;
+      case SUPBOOK:
+        self._supbooks.push(data.length >= 4
+                            && data.readUInt16LE(2, true) === SUPBOOK_SELF);
+        break;
+      case records.EXTERNSHEET:
+        // cXTI (2), then iSupBook (2), itabFirst (2), itabLast (2) per XTI
+        c = new Cursor(rec);
+        for (var i=0,n=c.uint16(); i<n; ++i) {
+          self._externSheets.push({
+            supbook: c.uint16(),
+            first: c.uint16(),
+            last: c.uint16()
+          });
+        }
+        break;
+      case records.NAME:
+        names.push(readName(rec));
+        break;
+    }
+  }, function(err) {
+    if (err)
+      return cb(err);
+    for (var i=0,len=names.length; i<len; ++i) {
+      self.names.push({
+        name: names[i].name,
+        sheet: names[i].sheet,
+        hidden: names[i].hidden,
+        builtin: names[i].builtin,
+        formula: self._refText(names[i].rgce)
+      });
+    }
+    cb();
+  });
+};
+
+/*
+  Returns a defined name's formula as text if it consists of a single 3D
+  reference (PtgRef3d) or 3D area (PtgArea3d) to a sheet in this workbook:
+
+    ptg   (1) - 0x3A/0x5A/0x7A (reference) or 0x3B/0x5B/0x7B (area)
+    ixti  (2) - index into the EXTERNSHEET record
+    row   (2) - (first and last row for areas)
+    col   (2) - column in the lower 14 bits, bit 14 is set for a relative
+                column and bit 15 for a relative row (first and last column
+                for areas)
+*/
+Workbook.prototype._refText = function(rgce) {
+  var ptg, xti, first, last, text;
+  if (!rgce || !rgce.length)
+    return;
+  ptg = rgce[0] & 0x1F;
+  if ((rgce[0] & 0x80)
+      || !((ptg === 0x1A && rgce.length === 7)
+           || (ptg === 0x1B && rgce.length === 11))) {
+    return;
+  }
+  xti = this._externSheets[rgce.readUInt16LE(1, true)];
+  if (!xti || !this._supbooks[xti.supbook])
+    return;
+  first = this.sheets[xti.first];
+  last = this.sheets[xti.last];
+  if (!first || !last)
+    return;
+  text = (first === last
+          ? sheetRef(first.name)
+          : sheetRef(first.name + ':' + last.name)) + '!';
+  if (ptg === 0x1A)
+    return text + cellRef(rgce, 3, 5);
+  return text + cellRef(rgce, 3, 7) + ':' + cellRef(rgce, 5, 9);
+};
+
+/*
+  NAME records start with the following fields:
+
+    flags    (2) - fHidden (0x0001), fFunc, fOB, fProc, fCalcExp,
+                   fBuiltin (0x0020), ...
+    chKey    (1) - keyboard shortcut
+    cch      (1) - length of the name
+    cce      (2) - size of the formula
+    reserved (2)
+    itab     (2) - 1-based index of the sheet the name is local to, 0 for
+                   names visible in the whole workbook
+    reserved (4)
+    name     (?) - option byte and `cch` characters
+    rgce     (?) - formula
+*/
+function readName(rec) {
+  var c = new Cursor(rec), flags = c.uint16(), cch, cce, itab, name;
+  c.skip(1);
+  cch = c.uint8();
+  cce = c.uint16();
+  c.skip(2);
+  itab = c.uint16();
+  c.skip(4);
+  name = c.chars(cch, c.uint8() & 0x01);
+  if ((flags & 0x0020) && name.length === 1)
+    name = BUILTIN_NAMES[name.charCodeAt(0)] || name;
+  return {
+    name: name,
+    sheet: (itab ? itab - 1 : undefined),
+    hidden: (flags & 0x0001) !== 0,
+    builtin: (flags & 0x0020) !== 0,
+    rgce: (cce ? c.bytes(cce) : undefined)
+  };
+}
+
+// Reads a range stored as first row, last row, first column and last column
+function readRef8(buf, pos) {
+  return {
+    firstRow: buf.readUInt16LE(pos, true),
+    lastRow: buf.readUInt16LE(pos + 2, true),
+    firstCol: buf.readUInt16LE(pos + 4, true),
+    lastCol: buf.readUInt16LE(pos + 6, true)
+  };
+}
+
+/*
+  RK values are compressed numbers. Bit 0 is set if the number has to be
+  divided by 100 and bit 1 is set if the upper 30 bits are a signed integer.
+  Otherwise they are the upper 30 bits of a double.
+*/
+function rkValue(rk) {
+  var num;
+  if (rk & 0x02)
+    num = rk >> 2;
+  else {
+    rkBuf.writeInt32LE(0, 0, true);
+    rkBuf.writeInt32LE(rk & ~0x03, 4, true);
+    num = rkBuf.readDoubleLE(0, true);
+  }
+  return (rk & 0x01 ? num / 100 : num);
+}
+
+function cellRef(buf, rowPos, colPos) {
+  var row = buf.readUInt16LE(rowPos, true),
+      col = buf.readUInt16LE(colPos, true);
+  return (col & 0x4000 ? '' : '$') + columnName(col & 0x3FFF)
+         + (col & 0x8000 ? '' : '$') + (row + 1);
+}
+
+function columnName(col) {
+  var name = '';
+  for (++col; col > 0; col = Math.floor((col - 1) / 26))
+    name = String.fromCharCode(65 + (col - 1) % 26) + name;
+  return name;
+}
+
+function sheetRef(name) {
+  if (/^[A-Za-z_][A-Za-z0-9_.:]*$/.test(name))
+    return name;
+  return "'" + name.replace(/'/g, "''") + "'";
+}
+
+function csvField(value, delimiter) {
+  var str;
+  if (value === undefined)
+    return '';
+  if (value instanceof Date) {
+    str = value.toISOString();
+    if (str.slice(10) === 'T00:00:00.000Z')
+      str = str.slice(0, 10);
+    else
+      str = str.slice(0, (str.slice(19, 23) === '.000' ? 19 : 23));
+  } else if (typeof value === 'boolean')
+    str = (value ? 'TRUE' : 'FALSE');
+  else
+    str = String(value);
+  if (str.indexOf(delimiter) !== -1 || /["\r\n]/.test(str))
+    str = '"' + str.replace(/"/g, '""') + '"';
+  return str;
+}
@@ -0,0 +1,216 @@
+var FormatError = require('../errors');
+
+// Record types
+exports.FORMULA     = 0x0006;
+exports.EOF         = 0x000A;
+exports.EXTERNSHEET = 0x0017;
+exports.NAME        = 0x0018;
+exports.DATEMODE    = 0x0022;
+exports.FILEPASS    = 0x002F;
+exports.CONTINUE    = 0x003C;
+exports.CODEPAGE    = 0x0042;
+exports.BOUNDSHEET  = 0x0085;
+exports.MULRK       = 0x00BD;
+exports.MULBLANK    = 0x00BE;
+exports.XF          = 0x00E0;
+exports.MERGEDCELLS = 0x00E5;
+exports.SST         = 0x00FC;
+exports.LABELSST    = 0x00FD;
+exports.DIMENSIONS  = 0x0200;
+exports.BLANK       = 0x0201;
+exports.NUMBER      = 0x0203;
+exports.LABEL       = 0x0204;
+exports.BOOLERR     = 0x0205;
+exports.STRING      = 0x0207;
+exports.ROW         = 0x0208;
+exports.RK          = 0x027E;
+exports.FORMAT      = 0x041E;
+exports.BOF         = 0x0809;
+
+// BOF substream types
+exports.BOF_GLOBALS   = 0x0005;
+exports.BOF_WORKSHEET = 0x0010;
+exports.BOF_CHART     = 0x0020;
+exports.BOF_MACRO     = 0x0040;
+
+/*
+  Reads the BIFF records in `stream` (a Readable) and calls `onRecord(record)`
+  for each of them. Records are made up of a 16-bit type, a 16-bit size and
+  that many bytes of data. Records with more than 8224 bytes of data are
+  split up, with the rest of the data in CONTINUE records following them.
+  `record` has the format:
+
+    type      - the record type
+    offset    - position of the record within the stream
+    data      - Buffer containing the record's data
+    continues - array of Buffers containing the data of any CONTINUE records
+                following the record
+
+  Returning false from `onRecord` stops reading. `cb(err)` is called once
+  there are no more records. Returns `stream`, which can be paused and
+  resumed to throttle the calls to `onRecord`.
+*/
+exports.read = function(stream, onRecord, cb) {
+  var buf, offset = 0, record, finished = false;
+
+  function finish(err) {
+    if (finished)
+      return;
+    finished = true;
+    stream.removeListener('data', onData);
+    stream.destroy();
+    cb(err);
+  }
+
+  function emit(rec) {
+    var ret;
+    try {
+      ret = onRecord(rec);
+    } catch (ex) {
+      finish(ex);
+      return false;
+    }
+    if (ret === false) {
+      finish();
+      return false;
+    }
+    return true;
+  }
+
+  function onData(chunk) {
+    var pos = 0, type, len, data;
+    buf = (buf && buf.length ? Buffer.concat([buf, chunk]) : chunk);
+    while (pos + 4 <= buf.length) {
+      type = buf.readUInt16LE(pos, true);
+      len = buf.readUInt16LE(pos+2, true);
+      if (pos + 4 + len > buf.length)
+        break;
+      data = buf.slice(pos + 4, pos + 4 + len);
+      if (type === exports.CONTINUE && record)
+        record.continues.push(data);
+      else {
+        // a record is only complete once the next record is not a CONTINUE
+        if (record && !emit(record))
+          return;
+        record = {
+          type: type,
+          offset: offset + pos,
+          data: data,
+          continues: new Array()
+        };
+      }
+      pos += 4 + len;
+    }
+    buf = buf.slice(pos);
+    offset += pos;
+  }
+
+  stream.on('data', onData);
+  stream.on('error', finish);
+  stream.on('end', function() {
+    if (record && !emit(record))
+      return;
+    finish();
+  });
+  return stream;
+};
+
+/*
+  Reads values from a record's data and its CONTINUE records as if they were
+  a single buffer. The exception is strings: when the characters of a string
+  continue in a CONTINUE record, that record starts with a new option byte
+  saying whether the rest of the characters are 8 or 16 bits wide.
+*/
+var Cursor = exports.Cursor = function(record) {
+  this.parts = [record.data].concat(record.continues);
+  this.part = 0;
+  this.buf = this.parts[0];
+  this.pos = 0;
+};
+
+Cursor.prototype.eof = function() {
+  return (this.pos >= this.buf.length && this.part >= this.parts.length - 1);
+};
+
+Cursor.prototype.bytes = function(n) {
+  var ret = new Array(), len;
+  while (n > 0) {
+    if (this.pos >= this.buf.length)
+      this._nextPart();
+    len = Math.min(n, this.buf.length - this.pos);
+    ret.push(this.buf.slice(this.pos, this.pos + len));
+    this.pos += len;
+    n -= len;
+  }
+  return (ret.length === 1 ? ret[0] : Buffer.concat(ret));
+};
+
+Cursor.prototype.skip = function(n) {
+  this.bytes(n);
+};
+
+Cursor.prototype.uint8 = function() {
+  return this.bytes(1)[0];
+};
+
+Cursor.prototype.uint16 = function() {
+  return this.bytes(2).readUInt16LE(0, true);
+};
+
+Cursor.prototype.uint32 = function() {
+  return this.bytes(4).readUInt32LE(0, true);
+};
+
+/*
+  Reads an XLUnicodeString (`cchSize` = 2), ShortXLUnicodeString
+  (`cchSize` = 1) or XLUnicodeRichExtendedString (`cchSize` = 2 as well):
+
+    cch     (1 or 2) - number of characters
+    flags   (1)      - fHighByte (0x01) is set for 16-bit characters,
+                       otherwise the characters are the low bytes of UTF-16
+                       characters. fExtSt (0x04) and fRichSt (0x08) are only
+                       used by rich extended strings
+    cRun    (2)      - number of formatting runs (only if fRichSt)
+    cbExtRst (4)     - size of the phonetic data (only if fExtSt)
+    chars   (?)
+    rgRun   (?)      - formatting runs, 4 bytes each (only if fRichSt)
+    ExtRst  (?)      - phonetic data (only if fExtSt)
+*/
+Cursor.prototype.string = function(cchSize) {
+  var cch = (cchSize === 1 ? this.uint8() : this.uint16()),
+      flags = this.uint8(), runs = 0, ext = 0, str;
+  if (flags & 0x08)
+    runs = this.uint16();
+  if (flags & 0x04)
+    ext = this.uint32();
+  str = this.chars(cch, flags & 0x01);
+  this.skip(runs * 4 + ext);
+  return str;
+};
+
+// Reads `cch` characters, 16 bits wide if `high` is set
+Cursor.prototype.chars = function(cch, high) {
+  var str = '', size, n;
+  while (cch > 0) {
+    if (this.pos >= this.buf.length) {
+      this._nextPart();
+      high = this.buf[this.pos++] & 0x01;
+    }
+    size = (high ? 2 : 1);
+    n = Math.min(cch, Math.floor((this.buf.length - this.pos) / size));
+    if (n === 0)
+      throw new FormatError('EFORMAT', 'Invalid string');
+    str += this.buf.toString((high ? 'ucs2' : 'latin1'), this.pos,
+                             this.pos + n * size);
+    this.pos += n * size;
+    cch -= n;
+  }
+  return str;
+};
+
+Cursor.prototype._nextPart = function() {
+  if (this.part >= this.parts.length - 1)
+    throw new FormatError('EFORMAT', 'Unexpected end of record');
+  this.buf = this.parts[++this.part];
+  this.pos = 0;
+};
@@ -0,0 +1,393 @@
+var Scheduler = require('../scheduler'), FormatError = require('../errors'),
+    ZipFile = require('./zip'), xml = require('./xml'),
+    metadata = require('./metadata');
+
+var CONTENT_TYPES_PART = '/[Content_Types].xml';
+
+// Package relationship types
+var REL_OFFICE_DOCUMENT =
+      'http://schemas.openxmlformats.org/officeDocument/2006/relationships/'
+      + 'officeDocument',
+    REL_CORE_PROPERTIES =
+      'http://schemas.openxmlformats.org/package/2006/relationships/'
+      + 'metadata/core-properties',
+    REL_EXTENDED_PROPERTIES =
+      'http://schemas.openxmlformats.org/officeDocument/2006/relationships/'
+      + 'extended-properties',
+    REL_CUSTOM_PROPERTIES =
+      'http://schemas.openxmlformats.org/officeDocument/2006/relationships/'
+      + 'custom-properties';
+
+// Where Office puts the properties parts, for packages lacking relationships
+var CORE_PART = '/docProps/core.xml',
+    APP_PART = '/docProps/app.xml',
+    CUSTOM_PART = '/docProps/custom.xml';
+
+// Main document content type prefix -> format
+var FORMATS = [
+  ['application/vnd.openxmlformats-officedocument.wordprocessingml.', 'word'],
+  ['application/vnd.ms-word.', 'word'],
+  ['application/vnd.openxmlformats-officedocument.spreadsheetml.', 'excel'],
+  ['application/vnd.ms-excel.', 'excel'],
+  ['application/vnd.openxmlformats-officedocument.presentationml.',
+   'powerpoint'],
+  ['application/vnd.ms-powerpoint.', 'powerpoint'],
+  ['application/vnd.ms-visio.', 'visio']
+];
+
+exports.ZipFile = ZipFile;
+exports.xml = xml;
+
+/*
+  Opens an Office Open XML package (.docx, .xlsx, .pptx, etc.) and passes a
+  Package to `cb`. `source` can be a file path, a Buffer or a custom source
+  (see ../compound/source.js). The content types and the package
+  relationships are read up front, everything else when asked for.
+
+  `source` can also be an open ZipFile, which is left open if it is not a
+  package and is closed along with the Package otherwise.
+
+  Encrypted packages are compound files and need to be decrypted first (see
+  the encryption module), after which the decrypted Buffer can be opened.
+*/
+exports.open = function(source, cb) {
+  if (source instanceof ZipFile)
+    return load(source, cb);
+  ZipFile.open(source, function(err, zip) {
+    if (err)
+      return cb(err);
+    load(zip, function(err, pkg) {
+      if (err) {
+        return zip.close(function() {
+          cb(err);
+        });
+      }
+      cb(undefined, pkg);
+    });
+  });
+};
+
+function load(zip, cb) {
+  var pkg = new Package(zip);
+  pkg._load(function(err) {
+    if (err)
+      return cb(err);
+    cb(undefined, pkg);
+  });
+}
+
+/*
+  An Office Open XML package. Parts are named by absolute, case-insensitive
+  part names such as '/word/document.xml'. Has the following properties:
+
+    zip          - the underlying ZipFile
+    parts        - array of parts, each with the format:
+                     name           - the part name
+                     contentType    - the part's content type, if declared
+                     size           - the uncompressed size
+                     compressedSize - the size in the zip file
+                     modified       - the modification time from the zip
+                                      file (a Date)
+    contentTypes - object with `defaults` (extension -> content type, with
+                   lower case extensions) and `overrides` (upper case part
+                   name -> content type)
+    mainPart     - the main document part (the target of the package's
+                   officeDocument relationship), if any
+    format       - 'word', 'excel', 'powerpoint' or 'visio' according to the
+                   content type of the main document part, or undefined
+*/
+var Package = exports.Package = function(zip) {
+  this.zip = zip;
+  this.parts = new Array();
+  this.contentTypes = { defaults: new Object(), overrides: new Object() };
+  this.mainPart = undefined;
+  this.format = undefined;
+  this._parts = new Object();
+  this._rels = new Object();
+};
+
+Package.prototype.close = function(cb) {
+  this.zip.close(cb);
+};
+
+// Returns the part with the given name, or undefined if there is none
+Package.prototype.getPart = function(name) {
+  if (name && typeof name === 'object')
+    return (this._parts[name.name.toUpperCase()] === name ? name : undefined);
+  if (typeof name !== 'string')
+    return;
+  if (name.charAt(0) !== '/')
+    name = '/' + name;
+  return this._parts[name.toUpperCase()];
+};
+
+/*
+  Returns the content type of a part (or part name): the override for the
+  part if there is one, otherwise the default for its extension
+*/
+Package.prototype.getContentType = function(part) {
+  var name = (typeof part === 'object' ? part.name : part), ext, type;
+  if (name.charAt(0) !== '/')
+    name = '/' + name;
+  type = this.contentTypes.overrides[name.toUpperCase()];
+  if (type !== undefined)
+    return type;
+  ext = /\.([^.\/]*)$/.exec(name);
+  if (ext)
+    return this.contentTypes.defaults[ext[1].toLowerCase()];
+};
+
+/*
+  Reads the relationships of a part (or part name), or of the package itself
+  if `part` is '/', and passes them to `cb` as an array of objects with the
+  format:
+
+    id         - the relationship ID
+    type       - the relationship type (a URI)
+    target     - the target part name for internal relationships, the target
+                 URI as written for external ones
+    targetMode - 'Internal' or 'External'
+
+  Parts without relationships have none (an empty array). Relationships are
+  cached once read.
+*/
+Package.prototype.getRelationships = function(part, cb) {
+  var self = this, name = (typeof part === 'object' ? part.name : part),
+      key, relsPart;
+  if (name.charAt(0) !== '/')
+    name = '/' + name;
+  key = name.toUpperCase();
+  if (this._rels[key])
+    return process.nextTick(cb, undefined, this._rels[key]);
+
+  relsPart = this.getPart(relsName(name));
+  if (!relsPart) {
+    this._rels[key] = new Array();
+    return process.nextTick(cb, undefined, this._rels[key]);
+  }
+  this.readPart(relsPart, function(err, buf) {
+    var rels;
+    if (err)
+      return cb(err);
+    try {
+      rels = parseRelationships(xml.parse(buf), name);
+    } catch (ex) {
+      return cb(ex);
+    }
+    self._rels[key] = rels;
+    cb(undefined, rels);
+  });
+};
+
+/*
+  Passes the parts that `part` (or the package, if `part` is '/') has a
+  relationship of type `type` to to `cb`, as an array of parts. Targets
+  missing from the package are skipped.
+*/
+Package.prototype.getRelatedParts = function(part, type, cb) {
+  var self = this;
+  this.getRelationships(part, function(err, rels) {
+    var ret = new Array(), target;
+    if (err)
+      return cb(err);
+    for (var i=0,len=rels.length; i<len; ++i) {
+      if (rels[i].type !== type || rels[i].targetMode !== 'Internal')
+        continue;
+      if ((target = self.getPart(rels[i].target)) && ret.indexOf(target) === -1)
+        ret.push(target);
+    }
+    cb(undefined, ret);
+  });
+};
+
+// Returns a Readable for the contents of a part (or part name)
+Package.prototype.createReadStream = function(part) {
+  var found = this.getPart(part);
+  if (!found)
+    throw new Error('There is no part with that name');
+  return this.zip.createReadStream(found._entry);
+};
+
+// Reads the contents of a part (or part name) into a single Buffer
+Package.prototype.readPart = function(part, cb) {
+  var found = this.getPart(part);
+  if (!found)
+    return process.nextTick(cb, new Error('There is no part with that name'));
+  this.zip.read(found._entry, cb);
+};
+
+// Reads and parses an XML part (or part name) and passes its root to `cb`
+Package.prototype.readXml = function(part, cb) {
+  this.readPart(part, function(err, buf) {
+    var root;
+    if (err)
+      return cb(err);
+    try {
+      root = xml.parse(buf);
+    } catch (ex) {
+      return cb(ex);
+    }
+    cb(undefined, root);
+  });
+};
+
+/*
+  Reads the core, extended and custom properties and passes them to `cb` in
+  the same format as Parser.getMetadata() does for compound files (see
+  ../compound/metadata.js). The properties parts are found through the
+  package relationships, falling back to their usual location in docProps/.
+  Damaged properties parts are ignored, like damaged property sets in
+  compound files.
+*/
+Package.prototype.getMetadata = function(cb) {
+  var self = this, roots = new Object(), work;
+  work = new Scheduler(function(err) {
+    if (err)
+      return cb(err);
+    cb(undefined, metadata.build(roots.core, roots.app, roots.custom));
+  });
+  [['core', REL_CORE_PROPERTIES, CORE_PART],
+   ['app', REL_EXTENDED_PROPERTIES, APP_PART],
+   ['custom', REL_CUSTOM_PROPERTIES, CUSTOM_PART]].forEach(function(props) {
+    work.push(function(done) {
+      self.getRelatedParts('/', props[1], function(err, parts) {
+        var part;
+        if (err)
+          return done(err);
+        part = parts[0] || self.getPart(props[2]);
+        if (!part)
+          return done();
+        self.readXml(part, function(err, root) {
+          if (!err)
+            roots[props[0]] = root;
+          done();
+        });
+      });
+    });
+  });
+  work.go();
+};
+
+/*
+  Builds the list of parts from the zip entries (skipping folders, which
+  zip files may list as entries of their own), then reads the content types
+  and finds the main document part
+*/
+Package.prototype._load = function(cb) {
+  var self = this, entries = this.zip.entries, entry, part, key;
+  for (var i=0,len=entries.length; i<len; ++i) {
+    entry = entries[i];
+    if (/\/$/.test(entry.name))
+      continue;
+    part = {
+      name: '/' + entry.name.replace(/^\/+/, ''),
+      contentType: undefined,
+      size: entry.size,
+      compressedSize: entry.compressedSize,
+      modified: entry.modified
+    };
+    Object.defineProperty(part, '_entry', { value: entry });
+    key = part.name.toUpperCase();
+    if (this._parts[key])
+      return cb(new FormatError('EFORMAT', 'Duplicate part: ' + part.name));
+    this._parts[key] = part;
+    this.parts.push(part);
+  }
+
+  if (!this._parts[CONTENT_TYPES_PART.toUpperCase()]) {
+    return process.nextTick(cb, new FormatError('EFORMAT',
+                                                'Not an Office Open XML '
+                                                + 'package'));
+  }
+  this.readXml(CONTENT_TYPES_PART, function(err, root) {
+    if (err)
+      return cb(err);
+    self._readContentTypes(root);
+    self.getRelatedParts('/', REL_OFFICE_DOCUMENT, function(err, parts) {
+      if (err)
+        return cb(err);
+      if (parts.length) {
+        self.mainPart = parts[0];
+        self.format = formatOf(parts[0].contentType);
+      }
+      cb();
+    });
+  });
+};
+
+// [Content_Types].xml has Default (by extension) and Override elements
+Package.prototype._readContentTypes = function(root) {
+  var types = this.contentTypes, els, ext, name;
+  els = xml.children(root, 'Default');
+  for (var i=0,len=els.length; i<len; ++i) {
+    ext = xml.attr(els[i], 'Extension');
+    if (ext !== undefined)
+      types.defaults[ext.toLowerCase()] = xml.attr(els[i], 'ContentType');
+  }
+  els = xml.children(root, 'Override');
+  for (var j=0; j<els.length; ++j) {
+    name = xml.attr(els[j], 'PartName');
+    if (name !== undefined) {
+      types.overrides[name.toUpperCase()] =
+        xml.attr(els[j], 'ContentType');
+    }
+  }
+  for (var k=0; k<this.parts.length; ++k)
+    this.parts[k].contentType = this.getContentType(this.parts[k]);
+};
+
+// The relationships of /dir/name.ext are in /dir/_rels/name.ext.rels
+function relsName(name) {
+  var i = name.lastIndexOf('/');
+  return name.slice(0, i + 1) + '_rels/' + name.slice(i + 1) + '.rels';
+}
+
+function parseRelationships(root, source) {
+  var ret = new Array(), els = xml.children(root, 'Relationship'), mode,
+      target;
+  for (var i=0,len=els.length; i<len; ++i) {
+    mode = (xml.attr(els[i], 'TargetMode') === 'External' ? 'External'
+                                                          : 'Internal');
+    target = xml.attr(els[i], 'Target') || '';
+    ret.push({
+      id: xml.attr(els[i], 'Id'),
+      type: xml.attr(els[i], 'Type'),
+      target: (mode === 'Internal' ? resolveTarget(source, target) : target),
+      targetMode: mode
+    });
+  }
+  return ret;
+}
+
+/*
+  Internal targets are URIs relative to the source part (or to the package
+  root for package relationships)
+*/
+function resolveTarget(source, target) {
+  var segments, ret = new Array();
+  target = target.replace(/[?#].*$/, '');
+  try {
+    target = decodeURIComponent(target);
+  } catch (ex) {}
+  if (target.charAt(0) === '/')
+    segments = target.split('/');
+  else
+    segments = source.slice(0, source.lastIndexOf('/')).split('/')
+                     .concat(target.split('/'));
+  for (var i=0,len=segments.length; i<len; ++i) {
+    if (segments[i] === '..')
+      ret.pop();
+    else if (segments[i] !== '.' && segments[i] !== '')
+      ret.push(segments[i]);
+  }
+  return '/' + ret.join('/');
+}
+
+function formatOf(contentType) {
+  if (!contentType)
+    return;
+  for (var i=0,len=FORMATS.length; i<len; ++i) {
+    if (contentType.indexOf(FORMATS[i][0]) === 0)
+      return FORMATS[i][1];
+  }
+}
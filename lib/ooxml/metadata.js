@@ -0,0 +1,218 @@
+var xml = require('./xml'), utils = require('../compound/utils');
+
+// Core properties (docProps/core.xml) by local name
+var CORE_FIELDS = [
+  ['title', 'title'],
+  ['subject', 'subject'],
+  ['author', 'creator'],
+  ['keywords', 'keywords'],
+  ['comments', 'description'],
+  ['lastAuthor', 'lastModifiedBy'],
+  ['revision', 'revision'],
+  ['category', 'category'],
+  ['contentType', 'contentType'],
+  ['contentStatus', 'contentStatus'],
+  ['language', 'language'],
+  ['docVersion', 'version']
+];
+var CORE_DATES = [
+  ['created', 'created'],
+  ['modified', 'modified'],
+  ['printed', 'lastPrinted']
+];
+
+// Extended properties (docProps/app.xml)
+var APP_STRINGS = [
+  ['template', 'Template'],
+  ['appName', 'Application'],
+  ['presentationFormat', 'PresentationFormat'],
+  ['manager', 'Manager'],
+  ['company', 'Company'],
+  ['linkBase', 'HyperlinkBase']
+];
+var APP_NUMBERS = [
+  ['pageCount', 'Pages'],
+  ['wordCount', 'Words'],
+  ['charCount', 'Characters'],
+  ['lineCount', 'Lines'],
+  ['paragraphCount', 'Paragraphs'],
+  ['slideCount', 'Slides'],
+  ['noteCount', 'Notes'],
+  ['hiddenCount', 'HiddenSlides'],
+  ['multimediaClipCount', 'MMClips'],
+  ['charCountWithSpaces', 'CharactersWithSpaces']
+];
+
+/*
+  Builds a metadata object from the parsed core, extended and custom
+  properties parts (any of which may be undefined), in the same format as
+  for compound files (see ../compound/metadata.js), so that callers can treat
+  97-2003 and Office Open XML documents alike. Extended properties that
+  compound files do not have (e.g. the application version) are left out, as
+  is byteCount, which Office Open XML documents do not record.
+*/
+exports.build = function(core, app, custom) {
+  var meta = new Object(), el, value;
+
+  if (core) {
+    for (var i=0,len=CORE_FIELDS.length; i<len; ++i) {
+      if (el = xml.child(core, CORE_FIELDS[i][1]))
+        meta[CORE_FIELDS[i][0]] = xml.text(el);
+    }
+    for (var j=0; j<CORE_DATES.length; ++j) {
+      el = xml.child(core, CORE_DATES[j][1]);
+      if (el && (value = toDate(xml.text(el))))
+        meta[CORE_DATES[j][0]] = value;
+    }
+  }
+
+  if (app) {
+    for (var k=0; k<APP_STRINGS.length; ++k) {
+      if (el = xml.child(app, APP_STRINGS[k][1]))
+        meta[APP_STRINGS[k][0]] = xml.text(el);
+    }
+    for (var n=0; n<APP_NUMBERS.length; ++n) {
+      el = xml.child(app, APP_NUMBERS[n][1]);
+      if (el && !isNaN(value = toInt(xml.text(el))))
+        meta[APP_NUMBERS[n][0]] = value;
+    }
+    // total editing time in minutes
+    el = xml.child(app, 'TotalTime');
+    if (el && !isNaN(value = toInt(xml.text(el))))
+      meta.editTime = value * 60000;
+    el = xml.child(app, 'DocSecurity');
+    if (el && !isNaN(value = toInt(xml.text(el)))) {
+      meta.security = {
+        passwordProtected: (value & 1) !== 0,
+        readOnlyRecommended: (value & 2) !== 0,
+        readOnlyEnforced: (value & 4) !== 0,
+        lockedForAnnotations: (value & 8) !== 0
+      };
+    }
+    value = variant(xml.child(xml.child(app, 'HeadingPairs'), 'vector'));
+    if (Array.isArray(value)) {
+      meta.headingPairs = new Array();
+      for (var p=0; p+1<value.length; p+=2)
+        meta.headingPairs.push({ heading: value[p], count: value[p+1] });
+    }
+    value = variant(xml.child(xml.child(app, 'TitlesOfParts'), 'vector'));
+    if (Array.isArray(value))
+      meta.titles = value;
+  }
+
+  meta.custom = customProperties(custom);
+
+  return meta;
+};
+
+/*
+  Each custom property is a `property` element with the name in its `name`
+  attribute and the value in a single child element of a variant type.
+  Names are case-insensitive, as in compound files, and the first of
+  several names differing only in case wins.
+*/
+function customProperties(custom) {
+  var ret = new Object(), seen = new Object(), props, name, key, value;
+  props = xml.children(custom, 'property');
+  for (var i=0,len=props.length; i<len; ++i) {
+    name = xml.attr(props[i], 'name');
+    if (typeof name !== 'string')
+      continue;
+    key = utils.upperName(name);
+    if (seen[key])
+      continue;
+    value = variant(xml.children(props[i])[0]);
+    if (value === undefined)
+      continue;
+    seen[key] = true;
+    ret[name] = value;
+  }
+  return ret;
+}
+
+/*
+  Converts a value of one of the variant types (vt:lpwstr, vt:i4, vt:vector,
+  etc.) to the JavaScript type the compound file property parser uses for
+  the same type (see ../compound/propset.js). Returns undefined for unknown
+  types.
+*/
+function variant(el) {
+  var type, str, ret;
+  if (!el)
+    return;
+  type = xml.local(el.name);
+  str = xml.text(el);
+  switch (type) {
+    case 'lpstr':
+    case 'lpwstr':
+    case 'bstr':
+      return str;
+    case 'i1':
+    case 'i2':
+    case 'i4':
+    case 'int':
+    case 'ui1':
+    case 'ui2':
+    case 'ui4':
+    case 'uint':
+    case 'error':
+      return toInt(str);
+    case 'i8':
+    case 'ui8':
+      try {
+        return BigInt(str.trim());
+      } catch (ex) {
+        return;
+      }
+    case 'r4':
+    case 'r8':
+      return parseFloat(str);
+    case 'cy':
+    case 'decimal':
+      return toFixedPoint(str);
+    case 'bool':
+      str = str.trim();
+      return (str === 'true' || str === '1');
+    case 'date':
+    case 'filetime':
+      return toDate(str);
+    case 'clsid':
+      return str.trim();
+    case 'blob':
+    case 'oblob':
+      return Buffer.from(str, 'base64');
+    case 'empty':
+      return;
+    case 'null':
+      return null;
+    case 'variant':
+      return variant(xml.children(el)[0]);
+    case 'vector':
+    case 'array':
+      ret = new Array();
+      xml.children(el).forEach(function(child) {
+        ret.push(variant(child));
+      });
+      return ret;
+  }
+}
+
+function toInt(str) {
+  return (/^\s*[-+]?\d+\s*$/.test(str) ? parseInt(str, 10) : NaN);
+}
+
+// W3CDTF dates, a subset of ISO 8601 (e.g. 2024-05-01T12:00:00Z)
+function toDate(str) {
+  var date = new Date(str.trim());
+  if (!isNaN(date.getTime()))
+    return date;
+}
+
+function toFixedPoint(str) {
+  var m = /^\s*([-+]?)(\d*)(?:\.(\d*))?\s*$/.exec(str), value;
+  if (!m || !(m[2] || m[3]))
+    return;
+  value = BigInt((m[2] || '0') + (m[3] || ''));
+  return new utils.FixedPoint((m[1] === '-' ? -value : value),
+                              (m[3] || '').length);
+}
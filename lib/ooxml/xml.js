@@ -0,0 +1,219 @@
+var FormatError = require('../errors');
+
+var ENTITIES = {
+  lt: '<',
+  gt: '>',
+  amp: '&',
+  quot: '"',
+  apos: '\''
+};
+
+var NAME_RE = /^[^\s\/>=]+/,
+    ATTR_RE = /\s*([^\s\/>=]+)\s*=\s*("[^"]*"|'[^']*')/g,
+    ENTITY_RE = /&(#x[0-9A-Fa-f]+|#[0-9]+|[A-Za-z]+);/g;
+
+/*
+  A minimal non-validating XML parser, enough for the parts of an Office Open
+  XML package. Parses `data` (a Buffer in UTF-8 or UTF-16 with a byte order
+  mark, or a string) and returns the document element. Elements have the
+  format:
+
+    name       - the qualified name, as written (e.g. 'dc:title')
+    attributes - qualified name -> value
+    children   - child elements and text (as strings), in document order
+
+  Namespaces are not resolved: callers match on local names (see local()),
+  which is how Office itself treats the well-known prefixes in practice.
+  Comments and processing instructions are skipped. Document type
+  declarations are not allowed in packages and are rejected along with any
+  other malformed XML with a FormatError.
+*/
+exports.parse = function(data) {
+  var str = (Buffer.isBuffer(data) ? decode(data) : data),
+      root = { name: undefined, attributes: new Object(),
+               children: new Array() },
+      stack = [root], pos = 0, len = str.length, lt, end, top, name;
+
+  while (pos < len) {
+    top = stack[stack.length - 1];
+    lt = str.indexOf('<', pos);
+    if (lt === -1)
+      lt = len;
+    if (lt > pos && top !== root)
+      addText(top, decodeEntities(str.slice(pos, lt)));
+    if (lt === len)
+      break;
+
+    if (str.substr(lt, 4) === '<!--') {
+      pos = skipTo(str, '-->', lt + 4);
+    } else if (str.substr(lt, 9) === '<![CDATA[') {
+      end = str.indexOf(']]>', lt + 9);
+      if (end === -1)
+        throw new FormatError('EFORMAT', 'Unterminated CDATA section');
+      if (top !== root)
+        addText(top, str.slice(lt + 9, end));
+      pos = end + 3;
+    } else if (str.charAt(lt + 1) === '?') {
+      pos = skipTo(str, '?>', lt + 2);
+    } else if (str.charAt(lt + 1) === '!') {
+      throw new FormatError('EFORMAT', 'Document type declarations are not '
+                                       + 'allowed');
+    } else if (str.charAt(lt + 1) === '/') {
+      end = str.indexOf('>', lt);
+      if (end === -1)
+        throw new FormatError('EFORMAT', 'Unterminated end tag');
+      name = str.slice(lt + 2, end).trim();
+      if (top === root || name !== top.name)
+        throw new FormatError('EFORMAT', 'Mismatched end tag: ' + name);
+      stack.pop();
+      pos = end + 1;
+    } else {
+      pos = readStartTag(str, lt, stack);
+    }
+  }
+
+  if (stack.length !== 1)
+    throw new FormatError('EFORMAT', 'Unclosed element: '
+                                     + stack[stack.length - 1].name);
+  for (var i=0; i<root.children.length; ++i) {
+    if (typeof root.children[i] === 'object')
+      return root.children[i];
+  }
+  throw new FormatError('EFORMAT', 'Missing document element');
+};
+
+// Returns the part of a qualified name after the prefix
+var local = exports.local = function(name) {
+  var i = name.indexOf(':');
+  return (i === -1 ? name : name.slice(i + 1));
+};
+
+// Returns the first child element of `el` with the local name `name`
+exports.child = function(el, name) {
+  var children = (el ? el.children : new Array());
+  for (var i=0,len=children.length; i<len; ++i) {
+    if (typeof children[i] === 'object' && local(children[i].name) === name)
+      return children[i];
+  }
+};
+
+/*
+  Returns the child elements of `el` with the local name `name`, or all child
+  elements if `name` is undefined
+*/
+exports.children = function(el, name) {
+  var ret = new Array(), children = (el ? el.children : new Array());
+  for (var i=0,len=children.length; i<len; ++i) {
+    if (typeof children[i] === 'object'
+        && (name === undefined || local(children[i].name) === name)) {
+      ret.push(children[i]);
+    }
+  }
+  return ret;
+};
+
+// Returns the value of the attribute with the local name `name`
+exports.attr = function(el, name) {
+  for (var k in el.attributes) {
+    if (local(k) === name)
+      return el.attributes[k];
+  }
+};
+
+// Returns the text content of `el` and all of its descendants
+var text = exports.text = function(el) {
+  var ret = '', child;
+  for (var i=0,len=el.children.length; i<len; ++i) {
+    child = el.children[i];
+    ret += (typeof child === 'string' ? child : text(child));
+  }
+  return ret;
+};
+
+/*
+  Reads the start tag at `pos` (with its attributes) and pushes the new
+  element onto `stack`, unless it is an empty-element tag. Returns the
+  position following the tag.
+*/
+function readStartTag(str, pos, stack) {
+  var parent = stack[stack.length - 1], el, m, end;
+  m = NAME_RE.exec(str.slice(pos + 1, pos + 1 + 256));
+  if (!m)
+    throw new FormatError('EFORMAT', 'Invalid start tag');
+  el = { name: m[0], attributes: new Object(), children: new Array() };
+  pos += 1 + m[0].length;
+
+  ATTR_RE.lastIndex = pos;
+  while ((m = ATTR_RE.exec(str)) && m.index === pos) {
+    el.attributes[m[1]] = decodeEntities(m[2].slice(1, -1));
+    pos = ATTR_RE.lastIndex;
+  }
+  while (pos < str.length && /\s/.test(str.charAt(pos)))
+    ++pos;
+
+  if (str.substr(pos, 2) === '/>')
+    end = pos + 2;
+  else if (str.charAt(pos) === '>')
+    end = pos + 1;
+  else
+    throw new FormatError('EFORMAT', 'Invalid start tag: ' + el.name);
+
+  if (parent.name === undefined && exports.children(parent).length)
+    throw new FormatError('EFORMAT', 'More than one document element');
+  parent.children.push(el);
+  if (end === pos + 1)
+    stack.push(el);
+  return end;
+}
+
+function addText(el, str) {
+  var last = el.children.length - 1;
+  if (last >= 0 && typeof el.children[last] === 'string')
+    el.children[last] += str;
+  else
+    el.children.push(str);
+}
+
+function skipTo(str, token, pos) {
+  var end = str.indexOf(token, pos);
+  if (end === -1)
+    throw new FormatError('EFORMAT', 'Unterminated markup');
+  return end + token.length;
+}
+
+function decodeEntities(str) {
+  if (str.indexOf('&') === -1)
+    return str;
+  return str.replace(ENTITY_RE, function(all, name) {
+    var code;
+    if (name.charAt(0) !== '#') {
+      if (!Object.prototype.hasOwnProperty.call(ENTITIES, name))
+        throw new FormatError('EFORMAT', 'Unknown entity: ' + all);
+      return ENTITIES[name];
+    }
+    code = (name.charAt(1) === 'x' ? parseInt(name.slice(2), 16)
+                                   : parseInt(name.slice(1), 10));
+    if (!(code <= 0x10FFFF))
+      throw new FormatError('EFORMAT', 'Invalid character reference: ' + all);
+    if (code < 0x10000)
+      return String.fromCharCode(code);
+    code -= 0x10000;
+    return String.fromCharCode(0xD800 + (code >>> 10),
+                               0xDC00 + (code & 0x3FF));
+  });
+}
+
+// Decodes a part according to its byte order mark (UTF-8 if it has none)
+function decode(buf) {
+  var swapped;
+  if (buf.length >= 2 && buf[0] === 0xFF && buf[1] === 0xFE)
+    return buf.toString('utf16le', 2);
+  if (buf.length >= 2 && buf[0] === 0xFE && buf[1] === 0xFF) {
+    swapped = Buffer.from(buf.slice(2, buf.length - (buf.length & 1)));
+    swapped.swap16();
+    return swapped.toString('utf16le');
+  }
+  if (buf.length >= 3 && buf[0] === 0xEF && buf[1] === 0xBB && buf[2] === 0xBF)
+    return buf.toString('utf8', 3);
+  return buf.toString('utf8');
+}
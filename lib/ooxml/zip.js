@@ -0,0 +1,390 @@
+var util = require('util'), zlib = require('zlib'),
+    Readable = require('stream').Readable,
+    Transform = require('stream').Transform,
+    sources = require('../compound/source'), FormatError = require('../errors');
+
+var SIG_LOCAL = 0x04034B50,
+    SIG_CENTRAL = 0x02014B50,
+    SIG_END = 0x06054B50,
+    SIG_END64 = 0x06064B50,
+    SIG_LOCATOR64 = 0x07064B50;
+
+var END_SIZE = 22,
+    LOCATOR64_SIZE = 20,
+    END64_SIZE = 56,
+    CENTRAL_SIZE = 46,
+    LOCAL_SIZE = 30,
+    MAX_COMMENT = 0xFFFF;
+
+var METHOD_STORE = 0,
+    METHOD_DEFLATE = 8;
+
+// General purpose bit flags
+var F_ENCRYPTED = 0x0001,
+    F_UTF8 = 0x0800;
+
+var ZIP64_EXTRA = 0x0001;
+
+var DEFAULT_CHUNK_SIZE = 64 * 1024;
+
+var CRC_TABLE = (function() {
+  var table = new Array(256), c;
+  for (var n=0; n<256; ++n) {
+    c = n;
+    for (var k=0; k<8; ++k)
+      c = (c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1);
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/*
+  A zip file, read through its central directory. `entries` holds the files
+  in the order of the central directory, each with the format:
+
+    name           - the file name (with forward slashes)
+    method         - the compression method (0 - stored, 8 - deflated)
+    flags          - the general purpose bit flags
+    crc            - the CRC-32 of the uncompressed data
+    compressedSize - the size of the compressed data
+    size           - the size of the uncompressed data
+    modified       - the modification time as a Date (in local time, as zip
+                     files do not record a time zone)
+    offset         - the file position of the local file header
+
+  Zip64 sizes and offsets are supported, multi-disk archives are not. `source`
+  is anything accepted by the compound file Parser (a path, a Buffer or a
+  custom source, see ../compound/source.js).
+*/
+var ZipFile = module.exports = function(source) {
+  this.source = source;
+  this.entries = new Array();
+  this.comment = undefined;
+  this._dataOffsets = new Object();
+};
+
+// Opens a zip file and reads its central directory
+ZipFile.open = function(source, cb) {
+  sources.create(source, function(err, src) {
+    if (err)
+      return cb(err);
+    var zip = new ZipFile(src);
+    zip._readDirectory(function(err) {
+      if (err) {
+        return zip.close(function() {
+          cb(err);
+        });
+      }
+      cb(undefined, zip);
+    });
+  });
+};
+
+ZipFile.prototype.close = function(cb) {
+  if (typeof this.source.close === 'function')
+    this.source.close(cb);
+  else if (cb)
+    process.nextTick(cb);
+};
+
+/*
+  Returns a Readable for the uncompressed data of an entry. The stream emits
+  an error if the data does not match the size or CRC-32 in the central
+  directory, so a damaged (or maliciously crafted) entry can never produce
+  more data than it claims to have.
+*/
+ZipFile.prototype.createReadStream = function(entry) {
+  var check = new CheckStream(entry), raw, inflate;
+  if (entry.flags & F_ENCRYPTED) {
+    process.nextTick(function() {
+      check.destroy(new FormatError('EUNSUPPORTED',
+                                    'Encrypted zip entries are not supported'));
+    });
+    return check;
+  }
+  if (entry.method !== METHOD_STORE && entry.method !== METHOD_DEFLATE) {
+    process.nextTick(function() {
+      check.destroy(new FormatError('EUNSUPPORTED',
+                                    'Unsupported compression method: '
+                                    + entry.method));
+    });
+    return check;
+  }
+  raw = new RawStream(this, entry);
+  raw.on('error', function(err) {
+    check.destroy(err);
+  });
+  if (entry.method === METHOD_STORE)
+    return raw.pipe(check);
+  inflate = zlib.createInflateRaw();
+  inflate.on('error', function(err) {
+    check.destroy(new FormatError('EFORMAT', 'Invalid deflate data in '
+                                  + entry.name + ': ' + err.message));
+  });
+  return raw.pipe(inflate).pipe(check);
+};
+
+// Reads the uncompressed data of an entry into a single Buffer
+ZipFile.prototype.read = function(entry, cb) {
+  var chunks = new Array(), done = false, stream;
+  function finish(err) {
+    if (done)
+      return;
+    done = true;
+    if (err)
+      return cb(err);
+    cb(undefined, Buffer.concat(chunks));
+  }
+  stream = this.createReadStream(entry);
+  stream.on('data', function(chunk) {
+    chunks.push(chunk);
+  });
+  stream.on('error', finish);
+  stream.on('end', function() {
+    finish();
+  });
+};
+
+/*
+  The central directory is found through the end of central directory record
+  at the end of the file, which can be followed by a comment of up to 64KB.
+  Zip64 archives have a zip64 end of central directory locator right before
+  it, pointing to a zip64 end of central directory record with the 64-bit
+  counts, size and offset.
+*/
+ZipFile.prototype._readDirectory = function(cb) {
+  var self = this, size = this.source.size,
+      tailSize = Math.min(size, END_SIZE + MAX_COMMENT + LOCATOR64_SIZE);
+  this.source.read(size - tailSize, tailSize, function(err, tail) {
+    var pos, count, dirSize, dirOffset, commentLen;
+    if (err)
+      return cb(err);
+    for (pos=tail.length - END_SIZE; pos >= 0; --pos) {
+      if (tail.readUInt32LE(pos, true) === SIG_END) {
+        commentLen = tail.readUInt16LE(pos + 20, true);
+        if (pos + END_SIZE + commentLen === tail.length)
+          break;
+      }
+    }
+    if (pos < 0)
+      return cb(new FormatError('EFORMAT', 'Not a zip file'));
+    if (tail.readUInt16LE(pos + 4, true) !== tail.readUInt16LE(pos + 6, true))
+      return cb(new FormatError('EUNSUPPORTED', 'Multi-disk zip file'));
+    count = tail.readUInt16LE(pos + 10, true);
+    dirSize = tail.readUInt32LE(pos + 12, true);
+    dirOffset = tail.readUInt32LE(pos + 16, true);
+    self.comment = tail.toString('latin1', pos + END_SIZE,
+                                 pos + END_SIZE + commentLen);
+
+    if (pos >= LOCATOR64_SIZE
+        && tail.readUInt32LE(pos - LOCATOR64_SIZE, true) === SIG_LOCATOR64) {
+      return self._readEnd64(readUInt64(tail, pos - LOCATOR64_SIZE + 8),
+                             function(err, end) {
+        if (err)
+          return cb(err);
+        self._readEntries(end.offset, end.size, end.count, cb);
+      });
+    }
+    self._readEntries(dirOffset, dirSize, count, cb);
+  });
+};
+
+ZipFile.prototype._readEnd64 = function(offset, cb) {
+  this.source.read(offset, END64_SIZE, function(err, buf) {
+    if (err)
+      return cb(err);
+    if (buf.length < END64_SIZE || buf.readUInt32LE(0, true) !== SIG_END64) {
+      return cb(new FormatError('EFORMAT',
+                                'Invalid zip64 end of central directory'));
+    }
+    cb(undefined, {
+      count: readUInt64(buf, 32),
+      size: readUInt64(buf, 40),
+      offset: readUInt64(buf, 48)
+    });
+  });
+};
+
+/*
+  Each central directory header has a fixed part of 46 bytes followed by the
+  file name, the extra fields and the file comment. Sizes and offsets that
+  do not fit 32 bits are 0xFFFFFFFF and stored in a zip64 extra field
+  instead.
+*/
+ZipFile.prototype._readEntries = function(offset, size, count, cb) {
+  var self = this;
+  if (offset + size > this.source.size) {
+    return process.nextTick(cb, new FormatError('EFORMAT',
+                                                'Invalid central directory'));
+  }
+  this.source.read(offset, size, function(err, buf) {
+    var pos = 0, entry, flags, nameLen, extraLen, commentLen;
+    if (err)
+      return cb(err);
+    for (var i=0; i<count; ++i) {
+      if (pos + CENTRAL_SIZE > buf.length
+          || buf.readUInt32LE(pos, true) !== SIG_CENTRAL) {
+        return cb(new FormatError('EFORMAT', 'Invalid central directory'));
+      }
+      flags = buf.readUInt16LE(pos + 8, true);
+      nameLen = buf.readUInt16LE(pos + 28, true);
+      extraLen = buf.readUInt16LE(pos + 30, true);
+      commentLen = buf.readUInt16LE(pos + 32, true);
+      if (pos + CENTRAL_SIZE + nameLen + extraLen + commentLen > buf.length)
+        return cb(new FormatError('EFORMAT', 'Invalid central directory'));
+      entry = {
+        name: buf.toString((flags & F_UTF8 ? 'utf8' : 'latin1'),
+                           pos + CENTRAL_SIZE, pos + CENTRAL_SIZE + nameLen),
+        method: buf.readUInt16LE(pos + 10, true),
+        flags: flags,
+        crc: buf.readUInt32LE(pos + 16, true),
+        compressedSize: buf.readUInt32LE(pos + 20, true),
+        size: buf.readUInt32LE(pos + 24, true),
+        modified: dosDate(buf.readUInt16LE(pos + 14, true),
+                          buf.readUInt16LE(pos + 12, true)),
+        offset: buf.readUInt32LE(pos + 42, true)
+      };
+      readZip64(entry, buf, pos + CENTRAL_SIZE + nameLen,
+                pos + CENTRAL_SIZE + nameLen + extraLen);
+      if (entry.offset + LOCAL_SIZE > self.source.size)
+        return cb(new FormatError('EFORMAT', 'Invalid local header offset'));
+      self.entries.push(entry);
+      pos += CENTRAL_SIZE + nameLen + extraLen + commentLen;
+    }
+    cb();
+  });
+};
+
+/*
+  Finds the start of an entry's data, which follows the local file header.
+  Its name and extra field can differ in length from the central directory.
+*/
+ZipFile.prototype._dataOffset = function(entry, cb) {
+  var source = this.source, offsets = this._dataOffsets;
+  if (offsets[entry.offset] !== undefined)
+    return process.nextTick(cb, undefined, offsets[entry.offset]);
+  source.read(entry.offset, LOCAL_SIZE, function(err, buf) {
+    var offset;
+    if (err)
+      return cb(err);
+    if (buf.length < LOCAL_SIZE || buf.readUInt32LE(0, true) !== SIG_LOCAL)
+      return cb(new FormatError('EFORMAT', 'Invalid local file header'));
+    offset = entry.offset + LOCAL_SIZE + buf.readUInt16LE(26, true)
+             + buf.readUInt16LE(28, true);
+    if (offset + entry.compressedSize > source.size)
+      return cb(new FormatError('EFORMAT', 'Zip entry data is truncated'));
+    offsets[entry.offset] = offset;
+    cb(undefined, offset);
+  });
+};
+
+// A Readable for the (compressed) data of an entry as stored in the file
+var RawStream = function(zip, entry) {
+  Readable.call(this, { highWaterMark: DEFAULT_CHUNK_SIZE });
+  this.zip = zip;
+  this.entry = entry;
+  this.pos = undefined;
+  this.end = undefined;
+};
+util.inherits(RawStream, Readable);
+
+RawStream.prototype._read = function() {
+  var self = this, len;
+  if (this.pos === undefined) {
+    return this.zip._dataOffset(this.entry, function(err, offset) {
+      if (err)
+        return self.destroy(err);
+      self.pos = offset;
+      self.end = offset + self.entry.compressedSize;
+      self._read();
+    });
+  }
+  len = Math.min(DEFAULT_CHUNK_SIZE, this.end - this.pos);
+  if (len <= 0)
+    return this.push(null);
+  this.zip.source.read(this.pos, len, function(err, buf) {
+    if (err)
+      return self.destroy(err);
+    if (buf.length === 0) {
+      return self.destroy(new FormatError('EFORMAT',
+                                          'Zip entry data is truncated'));
+    }
+    self.pos += buf.length;
+    self.push(buf);
+  });
+};
+
+// Passes data through, checking it against an entry's size and CRC-32
+var CheckStream = function(entry) {
+  Transform.call(this);
+  this.entry = entry;
+  this.size = 0;
+  this.crc = 0xFFFFFFFF;
+};
+util.inherits(CheckStream, Transform);
+
+CheckStream.prototype._transform = function(chunk, encoding, cb) {
+  var crc = this.crc;
+  this.size += chunk.length;
+  if (this.size > this.entry.size) {
+    return cb(new FormatError('EFORMAT', 'Zip entry is larger than its size: '
+                              + this.entry.name));
+  }
+  for (var i=0,len=chunk.length; i<len; ++i)
+    crc = CRC_TABLE[(crc ^ chunk[i]) & 0xFF] ^ (crc >>> 8);
+  this.crc = crc;
+  cb(undefined, chunk);
+};
+
+CheckStream.prototype._flush = function(cb) {
+  if (this.size !== this.entry.size) {
+    return cb(new FormatError('EFORMAT', 'Zip entry is smaller than its size: '
+                              + this.entry.name));
+  }
+  if (((this.crc ^ 0xFFFFFFFF) >>> 0) !== this.entry.crc) {
+    return cb(new FormatError('EFORMAT', 'CRC-32 mismatch: '
+                              + this.entry.name));
+  }
+  cb();
+};
+
+// The zip64 extra field only contains the values that overflowed, in order
+function readZip64(entry, buf, pos, end) {
+  var id, len, field;
+  while (pos + 4 <= end) {
+    id = buf.readUInt16LE(pos, true);
+    len = buf.readUInt16LE(pos + 2, true);
+    pos += 4;
+    if (id === ZIP64_EXTRA) {
+      field = pos;
+      if (entry.size === 0xFFFFFFFF && field + 8 <= pos + len) {
+        entry.size = readUInt64(buf, field);
+        field += 8;
+      }
+      if (entry.compressedSize === 0xFFFFFFFF && field + 8 <= pos + len) {
+        entry.compressedSize = readUInt64(buf, field);
+        field += 8;
+      }
+      if (entry.offset === 0xFFFFFFFF && field + 8 <= pos + len)
+        entry.offset = readUInt64(buf, field);
+      return;
+    }
+    pos += len;
+  }
+}
+
+// Reads a 64-bit unsigned int (exact up to 2^53)
+function readUInt64(buf, pos) {
+  return buf.readUInt32LE(pos, true)
+         + buf.readUInt32LE(pos + 4, true) * 0x100000000;
+}
+
+/*
+  MS-DOS dates are 7 bits of years since 1980, 4 bits of month and 5 bits of
+  day, MS-DOS times 5 bits of hours, 6 bits of minutes and 5 bits of
+  seconds / 2
+*/
+function dosDate(date, time) {
+  return new Date(1980 + (date >>> 9), ((date >>> 5) & 0x0F) - 1, date & 0x1F,
+                  time >>> 11, (time >>> 5) & 0x3F, (time & 0x1F) * 2);
+}
@@ -0,0 +1,74 @@
+// Property types
+exports.PT_SHORT      = 0x0002;
+exports.PT_LONG       = 0x0003;
+exports.PT_FLOAT      = 0x0004;
+exports.PT_DOUBLE     = 0x0005;
+exports.PT_CURRENCY   = 0x0006;
+exports.PT_APPTIME    = 0x0007;
+exports.PT_ERROR      = 0x000A;
+exports.PT_BOOLEAN    = 0x000B;
+exports.PT_OBJECT     = 0x000D;
+exports.PT_LONGLONG   = 0x0014;
+exports.PT_STRING8    = 0x001E;
+exports.PT_UNICODE    = 0x001F;
+exports.PT_SYSTIME    = 0x0040;
+exports.PT_CLSID      = 0x0048;
+exports.PT_BINARY     = 0x0102;
+exports.MV_FLAG       = 0x1000; // multiple values of the type in the lower
+                                // 12 bits
+
+// Well-known property ids
+exports.PR_ADDRTYPE                    = 0x3002; // recipient
+exports.PR_ATTACH_CONTENT_ID           = 0x3712;
+exports.PR_ATTACH_DATA                 = 0x3701; // PT_BINARY, or PT_OBJECT
+                                                 // for embedded messages
+                                                 // and OLE objects
+exports.PR_ATTACH_FILENAME             = 0x3704;
+exports.PR_ATTACH_LONG_FILENAME        = 0x3707;
+exports.PR_ATTACH_METHOD               = 0x3705;
+exports.PR_ATTACH_MIME_TAG             = 0x370E;
+exports.PR_ATTACHMENT_HIDDEN           = 0x7FFE;
+exports.PR_BODY                        = 0x1000;
+exports.PR_CLIENT_SUBMIT_TIME          = 0x0039;
+exports.PR_CREATION_TIME               = 0x3007;
+exports.PR_DISPLAY_NAME                = 0x3001;
+exports.PR_EMAIL_ADDRESS               = 0x3003; // recipient
+exports.PR_HTML                        = 0x1013;
+exports.PR_IN_REPLY_TO_ID              = 0x1042;
+exports.PR_INTERNET_CPID               = 0x3FDE;
+exports.PR_INTERNET_MESSAGE_ID         = 0x1035;
+exports.PR_INTERNET_REFERENCES         = 0x1039;
+exports.PR_LAST_MODIFICATION_TIME      = 0x3008;
+exports.PR_MESSAGE_CLASS               = 0x001A;
+exports.PR_MESSAGE_CODEPAGE            = 0x3FFD;
+exports.PR_MESSAGE_DELIVERY_TIME       = 0x0E06;
+exports.PR_RECIPIENT_TYPE              = 0x0C15;
+exports.PR_RTF_COMPRESSED              = 0x1009;
+exports.PR_SENDER_ADDRTYPE             = 0x0C1E;
+exports.PR_SENDER_EMAIL_ADDRESS        = 0x0C1F;
+exports.PR_SENDER_NAME                 = 0x0C1A;
+exports.PR_SENDER_SMTP_ADDRESS         = 0x5D01;
+exports.PR_SENT_REPRESENTING_ADDRTYPE  = 0x0064;
+exports.PR_SENT_REPRESENTING_EMAIL     = 0x0065;
+exports.PR_SENT_REPRESENTING_NAME      = 0x0042;
+exports.PR_SENT_REPRESENTING_SMTP      = 0x5D02;
+exports.PR_SMTP_ADDRESS                = 0x39FE; // recipient
+exports.PR_SUBJECT                     = 0x0037;
+exports.PR_TRANSPORT_MESSAGE_HEADERS   = 0x007D;
+
+// Attachment methods (PR_ATTACH_METHOD)
+exports.ATTACH_BY_VALUE     = 1;
+exports.ATTACH_EMBEDDED_MSG = 5;
+exports.ATTACH_OLE          = 6;
+
+// Recipient types (PR_RECIPIENT_TYPE)
+exports.MAPI_TO  = 1;
+exports.MAPI_CC  = 2;
+exports.MAPI_BCC = 3;
+
+// Property sets of named properties with a GUID index instead of a GUID
+exports.PS_MAPI           = '00020328-0000-0000-C000-000000000046';
+exports.PS_PUBLIC_STRINGS = '00020329-0000-0000-C000-000000000046';
+
+// First property id used for named properties
+exports.NAMED_PROPERTY_BASE = 0x8000;
@@ -0,0 +1,302 @@
+var crypto = require('crypto');
+
+var Scheduler = require('../scheduler');
+
+// type/subtype, each an RFC 2045 token
+var MIME_TYPE = /^[!#$%&'*+\-.0-9^_`a-z{|}~]+\/[!#$%&'*+\-.0-9^_`a-z{|}~]+$/;
+
+/*
+  Builds an RFC 5322 message from a Msg (see index.js) and passes it to `cb`
+  as a Buffer. The MIME structure is:
+
+    multipart/mixed               - if there are attachments
+      multipart/related           - if the HTML body refers to attachments
+        multipart/alternative     - if there is a plain text and HTML body
+          text/plain
+          text/html
+        attachments referred to by the HTML body
+      other attachments, with attached messages as message/rfc822
+
+  Multipart parts with only one part are left out. Everything is encoded
+  as 7-bit text: bodies use quoted-printable, attachments base64 and
+  non-ASCII header text RFC 2047 encoded words. OLE object attachments
+  have no MIME equivalent and are left out.
+*/
+exports.build = function(msg, cb) {
+  var attachments = new Array(), work;
+
+  work = new Scheduler(function(err) {
+    if (err)
+      return cb(err);
+    cb(undefined, Buffer.from(render(messageHeaders(msg),
+                                     messagePart(msg, attachments)),
+                              'ascii'));
+  });
+
+  msg.attachments.forEach(function(att) {
+    work.push(function(done) {
+      if (att.message) {
+        return att.message.toEml(function(err, data) {
+          if (err)
+            return done(err);
+          attachments.push({ attachment: att, data: data });
+          done();
+        });
+      }
+      // OLE objects and attachments by reference
+      if (!att._data)
+        return done();
+      att.read(function(err, data) {
+        if (err)
+          return done(err);
+        attachments.push({ attachment: att, data: data });
+        done();
+      });
+    });
+  });
+
+  work.go();
+};
+
+function messageHeaders(msg) {
+  var headers = new Array(), date = msg.sent || msg.received || msg.created,
+      id, refs;
+  if (date)
+    headers.push('Date: ' + date.toUTCString().replace(/GMT$/, '+0000'));
+  if (msg.from)
+    headers.push(addressHeader('From', [msg.from]));
+  if (msg.sender && msg.from && msg.sender.email !== msg.from.email)
+    headers.push(addressHeader('Sender', [msg.sender]));
+  if (msg.to.length)
+    headers.push(addressHeader('To', msg.to));
+  if (msg.cc.length)
+    headers.push(addressHeader('Cc', msg.cc));
+  if (msg.bcc.length)
+    headers.push(addressHeader('Bcc', msg.bcc));
+  if (msg.subject !== undefined)
+    headers.push(textHeader('Subject', msg.subject));
+  if (msg.messageId && (id = messageId(msg.messageId)))
+    headers.push('Message-ID: ' + id);
+  if (msg.inReplyTo && (id = messageId(msg.inReplyTo)))
+    headers.push('In-Reply-To: ' + id);
+  if (msg.references
+      && (refs = msg.references.map(messageId).filter(Boolean)).length)
+    headers.push('References: ' + refs.join('\r\n '));
+  headers.push('MIME-Version: 1.0');
+  return headers;
+}
+
+// Returns the part tree for the message body and attachments
+function messagePart(msg, attachments) {
+  var body, inline = new Array(), other = new Array();
+
+  if (msg.html !== undefined && msg.body !== undefined) {
+    body = multipart('alternative', [textPart('plain', msg.body),
+                                     textPart('html', msg.html)]);
+  } else if (msg.html !== undefined)
+    body = textPart('html', msg.html);
+  else
+    body = textPart('plain', msg.body || '');
+
+  attachments.forEach(function(item) {
+    var att = item.attachment;
+    if (att.contentId && msg.html
+        && msg.html.indexOf(att.contentId) !== -1)
+      inline.push(attachmentPart(att, item.data, true));
+    else
+      other.push(attachmentPart(att, item.data, false));
+  });
+
+  if (inline.length)
+    body = multipart('related', [body].concat(inline));
+  if (other.length)
+    body = multipart('mixed', [body].concat(other));
+  return body;
+}
+
+function textPart(subtype, text) {
+  return {
+    headers: ['Content-Type: text/' + subtype + '; charset=utf-8',
+              'Content-Transfer-Encoding: quoted-printable'],
+    body: quotedPrintable(text)
+  };
+}
+
+function attachmentPart(att, data, inline) {
+  var headers = new Array(), type, name = att.filename, id;
+  if (att.message) {
+    type = 'message/rfc822';
+    if (!name && att.message.subject)
+      name = att.message.subject + '.eml';
+  } else {
+    type = (att.mimeType || '').toLowerCase();
+    if (!MIME_TYPE.test(type))
+      type = 'application/octet-stream';
+  }
+
+  if (name)
+    name = noControls(name);
+  headers.push('Content-Type: ' + type + (name ? '; name=' + param(name) : ''));
+  headers.push('Content-Disposition: ' + (inline ? 'inline' : 'attachment')
+               + (name ? '; ' + extParam('filename', name) : ''));
+  if (att.contentId && (id = messageId(att.contentId)))
+    headers.push('Content-ID: ' + id);
+  if (att.message) {
+    headers.push('Content-Transfer-Encoding: 7bit');
+    return { headers: headers, body: data.toString('ascii') };
+  }
+  headers.push('Content-Transfer-Encoding: base64');
+  return {
+    headers: headers,
+    body: data.toString('base64').replace(/.{76}(?=.)/g, '$&\r\n')
+  };
+}
+
+function multipart(subtype, parts) {
+  var boundary = '----=_Part_' + crypto.randomBytes(12).toString('hex');
+  return {
+    headers: ['Content-Type: multipart/' + subtype + ';\r\n boundary="'
+              + boundary + '"'],
+    boundary: boundary,
+    parts: parts
+  };
+}
+
+function render(headers, part) {
+  var str = headers.concat(part.headers).join('\r\n') + '\r\n\r\n';
+  if (!part.parts)
+    return str + part.body + '\r\n';
+  for (var i=0,len=part.parts.length; i<len; ++i)
+    str += '--' + part.boundary + '\r\n' + render([], part.parts[i]);
+  return str + '--' + part.boundary + '--\r\n';
+}
+
+// Address list header, one address per line
+function addressHeader(name, addrs) {
+  return name + ': ' + addrs.map(function(addr) {
+    var email = token(addr.email || '').replace(/[<>]/g, ''),
+        display = (addr.name && addr.name !== addr.email
+                   ? phrase(addr.name)
+                   : '');
+    if (email.indexOf('@') === -1) {
+      // not an Internet address (e.g. an Exchange address), keep the name
+      // as an empty group
+      return (display || '""') + ':;';
+    }
+    return (display ? display + ' ' : '') + '<' + email + '>';
+  }).join(',\r\n ');
+}
+
+// Unstructured header (e.g. Subject), folded at spaces
+function textHeader(name, text) {
+  var line = name + ':', words;
+  text = noControls(text);
+  if (!/^[\x20-\x7E]*$/.test(text))
+    return line + ' ' + encodedWords(text).join('\r\n ');
+  words = text.split(' ');
+  for (var i=0,len=words.length,last=line; i<len; ++i) {
+    if (last.length + 1 + words[i].length > 78 && last.length > 0) {
+      line += '\r\n';
+      last = '';
+    }
+    line += ' ' + words[i];
+    last += ' ' + words[i];
+  }
+  return line;
+}
+
+// Display name: quoted if needed, encoded if not ASCII
+function phrase(str) {
+  str = noControls(str);
+  if (!/^[\x20-\x7E]*$/.test(str))
+    return encodedWords(str).join(' ');
+  if (/^[A-Za-z0-9!#$%&'*+\-\/=?\^_`{|}~ ]+$/.test(str))
+    return str;
+  return '"' + str.replace(/["\\]/g, '\\$&') + '"';
+}
+
+/*
+  Splits text into RFC 2047 encoded words of at most 75 characters without
+  splitting up characters
+*/
+function encodedWords(str) {
+  var words = new Array(), chunk = '', bytes = 0, len, c;
+  for (var i=0; i<str.length; ++i) {
+    c = str[i];
+    if (/[\uD800-\uDBFF]/.test(c) && i + 1 < str.length)
+      c += str[++i];
+    len = Buffer.byteLength(c);
+    if (bytes + len > 45) {
+      words.push(chunk);
+      chunk = '';
+      bytes = 0;
+    }
+    chunk += c;
+    bytes += len;
+  }
+  words.push(chunk);
+  return words.map(function(word) {
+    return '=?UTF-8?B?' + Buffer.from(word).toString('base64') + '?=';
+  });
+}
+
+// Parameter value, quoted or as an encoded word if not ASCII
+function param(value) {
+  if (!/^[\x20-\x7E]*$/.test(value))
+    return '"' + encodedWords(value).join(' ') + '"';
+  return '"' + value.replace(/["\\]/g, '\\$&') + '"';
+}
+
+// RFC 2231 parameter for non-ASCII values (e.g. file names)
+function extParam(name, value) {
+  if (/^[\x20-\x7E]*$/.test(value))
+    return name + '=' + param(value);
+  return name + "*=UTF-8''" + encodeURIComponent(value).replace(/['()*]/g,
+    function(c) {
+      return '%' + c.charCodeAt(0).toString(16).toUpperCase();
+    });
+}
+
+// Returns '' for IDs with nothing left in them
+function messageId(id) {
+  id = token(id).replace(/[<>]/g, '');
+  return (id ? '<' + id + '>' : '');
+}
+
+/*
+  Message data put in headers must not contain line breaks, which would end
+  the header and start another one of the message's choosing. IDs and
+  addresses lose every character outside printable ASCII (spaces included),
+  text loses control characters.
+*/
+function token(str) {
+  return String(str).replace(/[^\x21-\x7E]+/g, '');
+}
+
+function noControls(str) {
+  return String(str).replace(/[\x00-\x1F\x7F]+/g, ' ');
+}
+
+// Quoted-printable encodes UTF-8 text with CRLF line endings
+function quotedPrintable(text) {
+  var lines = text.replace(/\r\n|\r|\n/g, '\n').split('\n'), out = new Array();
+  for (var i=0,len=lines.length; i<len; ++i) {
+    var buf = Buffer.from(lines[i], 'utf8'), line = '', tok, c;
+    for (var j=0,n=buf.length; j<n; ++j) {
+      c = buf[j];
+      if ((c >= 33 && c <= 126 && c !== 61)
+          || ((c === 32 || c === 9) && j < n - 1)) {
+        tok = String.fromCharCode(c);
+      } else
+        tok = '=' + (c < 16 ? '0' : '') + c.toString(16).toUpperCase();
+      if (line.length + tok.length > 75) {
+        // soft line break
+        out.push(line + '=');
+        line = '';
+      }
+      line += tok;
+    }
+    out.push(line);
+  }
+  return out.join('\r\n');
+}
@@ -0,0 +1,591 @@
+var Scheduler = require('../scheduler'), Parser = require('../compound'),
+    compound = require('../compound/constants'),
+    utils = require('../compound/utils'), codepages = require('../codepage'),
+    FormatError = require('../errors'), consts = require('./constants'),
+    rtf = require('../rtf'), eml = require('./eml');
+
+var CP_WINDOWS_1252 = compound.CP_WINDOWS_1252;
+
+var PROPS_STREAM = '__properties_version1.0',
+    NAMEID_STORAGE = '__nameid_version1.0',
+    RECIP_PREFIX = '__recip_version1.0_#',
+    ATTACH_PREFIX = '__attach_version1.0_#',
+    EMBEDDED_STORAGE = '__substg1.0_3701000D',
+    // property id, property type and, for the values of multi-valued
+    // properties, the value index
+    SUBSTG_RE = /^__substg1\.0_([0-9A-F]{4})([0-9A-F]{4})(?:-([0-9A-F]{8}))?$/i;
+
+/*
+  The properties stream of each storage starts with a header whose size
+  depends on what the storage is: 32 bytes for the top-level message (next
+  recipient and attachment IDs and recipient and attachment counts), 24 bytes
+  for embedded messages and 8 bytes for recipients and attachments.
+*/
+var HEADER_MESSAGE = 32,
+    HEADER_EMBEDDED = 24,
+    HEADER_OTHER = 8;
+
+var FIXED_SIZES = new Object();
+FIXED_SIZES[consts.PT_SHORT] = 2;
+FIXED_SIZES[consts.PT_LONG] = 4;
+FIXED_SIZES[consts.PT_FLOAT] = 4;
+FIXED_SIZES[consts.PT_DOUBLE] = 8;
+FIXED_SIZES[consts.PT_CURRENCY] = 8;
+FIXED_SIZES[consts.PT_APPTIME] = 8;
+FIXED_SIZES[consts.PT_ERROR] = 4;
+FIXED_SIZES[consts.PT_BOOLEAN] = 2;
+FIXED_SIZES[consts.PT_LONGLONG] = 8;
+FIXED_SIZES[consts.PT_SYSTIME] = 8;
+FIXED_SIZES[consts.PT_CLSID] = 16;
+
+var RECIPIENT_TYPES = new Object();
+RECIPIENT_TYPES[consts.MAPI_TO] = 'to';
+RECIPIENT_TYPES[consts.MAPI_CC] = 'cc';
+RECIPIENT_TYPES[consts.MAPI_BCC] = 'bcc';
+
+/*
+  Opens an Outlook message (.msg) and passes a Msg to `cb`. `source` can be
+  anything accepted by the compound file Parser or an open Parser. `options`
+  is optional and is passed on to the Parser. All properties are read up
+  front except for attachment data, which is read when asked for.
+*/
+exports.open = function(source, options, cb) {
+  if (typeof options === 'function') {
+    cb = options;
+    options = undefined;
+  }
+  if (source instanceof Parser)
+    return load(source, false, cb);
+  var parser = new Parser(source, options, function(err) {
+    if (err) {
+      if (parser.source)
+        parser.close();
+      return cb(err);
+    }
+    load(parser, true, function(err, msg) {
+      if (err) {
+        return parser.close(function() {
+          cb(err);
+        });
+      }
+      cb(undefined, msg);
+    });
+  });
+};
+
+function load(parser, owned, cb) {
+  if (!findChild(parser.dir, PROPS_STREAM))
+    return cb(new FormatError('EFORMAT', 'Not an Outlook message'));
+  readNames(parser, function(err, names) {
+    var msg;
+    if (err)
+      return cb(err);
+    msg = new Msg(parser, parser.dir, names, owned);
+    msg._load(HEADER_MESSAGE, CP_WINDOWS_1252, function(err) {
+      if (err)
+        return cb(err);
+      cb(undefined, msg);
+    });
+  });
+}
+
+/*
+  A message, either a .msg file itself or a message attached to another one.
+  Properties:
+
+    properties      - all properties by property id. Strings are decoded,
+                      times are Dates, 64-bit integers are BigInts and
+                      binary values are Buffers
+    namedProperties - the named properties (ids 0x8000 and up), each with
+                      `guid` (the property set), `name` (a string or a
+                      numeric id) and `value`
+    messageClass    - e.g. 'IPM.Note'
+    subject
+    from            - the author (`name`, `email` and `addressType`)
+    sender          - who actually sent the message, if not the author
+                      (same format as `from`)
+    recipients      - all recipients in order, each with `name`, `email`,
+                      `addressType`, `type` ('to', 'cc' or 'bcc') and
+                      `properties`
+    to, cc, bcc     - the recipients of each type
+    sent            - when the message was sent
+    received        - when the message was delivered
+    created         - when the message was created
+    modified        - when the message was last modified
+    messageId       - the Internet Message-ID
+    inReplyTo       - the Message-ID of the message this one replies to
+    references      - the Message-IDs this message refers to
+    headers         - the Internet headers the message was received with
+    body            - the plain text body
+    html            - the HTML body
+    rtf             - the RTF body (decompressed, as a Buffer). Messages
+                      without a plain text or HTML body get them from the
+                      RTF body if it was generated from HTML or plain text
+    attachments     - array of Attachments
+
+  Missing values are undefined.
+*/
+var Msg = exports.Msg = function(parser, storage, names, owned) {
+  this.parser = parser;
+  this.storage = storage;
+  this.properties = new Object();
+  this.namedProperties = new Array();
+  this.recipients = new Array();
+  this.attachments = new Array();
+  this._names = names;
+  this._owned = owned;
+};
+
+// Closes the underlying Parser, unless an open Parser was passed to open()
+Msg.prototype.close = function(cb) {
+  if (this._owned)
+    this.parser.close(cb);
+  else if (cb)
+    process.nextTick(cb);
+};
+
+/*
+  Converts the message to an RFC 5322 (MIME) message and passes it to `cb`
+  as a Buffer (see eml.js)
+*/
+Msg.prototype.toEml = function(cb) {
+  eml.build(this, cb);
+};
+
+Msg.prototype._load = function(headerSize, codepage, cb) {
+  var self = this, storage = this.storage, recips = new Array(),
+      attachs = new Array(), work;
+
+  work = new Scheduler(function(err) {
+    if (err)
+      return cb(err);
+    self._build();
+    cb();
+  });
+
+  work.push(function(done) {
+    readProperties(self.parser, storage, headerSize, codepage,
+                   function(err, props) {
+      if (err)
+        return done(err);
+      self.properties = props;
+      codepage = messageCodepage(props, codepage);
+      done();
+    });
+  });
+
+  childrenWithPrefix(storage, RECIP_PREFIX).forEach(function(child) {
+    work.push(function(done) {
+      readProperties(self.parser, child, HEADER_OTHER, codepage,
+                     function(err, props) {
+        if (err)
+          return done(err);
+        recips.push(props);
+        done();
+      });
+    });
+  });
+
+  childrenWithPrefix(storage, ATTACH_PREFIX).forEach(function(child) {
+    work.push(function(done) {
+      readProperties(self.parser, child, HEADER_OTHER, codepage,
+                     function(err, props) {
+        var attachment, embedded;
+        if (err)
+          return done(err);
+        attachment = new Attachment(self.parser, child, props);
+        attachs.push(attachment);
+        embedded = findChild(child, EMBEDDED_STORAGE);
+        if (!embedded || !Array.isArray(embedded.children)
+            || attachment.method !== consts.ATTACH_EMBEDDED_MSG) {
+          attachment.storage = embedded;
+          return done();
+        }
+        attachment.message = new Msg(self.parser, embedded, self._names,
+                                     false);
+        attachment.message._load(HEADER_EMBEDDED, codepage, done);
+      });
+    });
+  });
+
+  work.push(function(done) {
+    self.recipients = recips.map(recipient);
+    self.attachments = attachs;
+    done();
+  });
+
+  work.go();
+};
+
+// Sets the friendlier properties
+Msg.prototype._build = function() {
+  var p = this.properties, names = this._names, html = p[consts.PR_HTML],
+      refs = p[consts.PR_INTERNET_REFERENCES], name, orig;
+
+  this.messageClass = p[consts.PR_MESSAGE_CLASS];
+  this.subject = p[consts.PR_SUBJECT];
+  this.from = address(p[consts.PR_SENT_REPRESENTING_NAME],
+                      p[consts.PR_SENT_REPRESENTING_ADDRTYPE],
+                      p[consts.PR_SENT_REPRESENTING_EMAIL],
+                      p[consts.PR_SENT_REPRESENTING_SMTP]);
+  this.sender = address(p[consts.PR_SENDER_NAME],
+                        p[consts.PR_SENDER_ADDRTYPE],
+                        p[consts.PR_SENDER_EMAIL_ADDRESS],
+                        p[consts.PR_SENDER_SMTP_ADDRESS]);
+  if (!this.from)
+    this.from = this.sender;
+  this.to = this.recipients.filter(function(r) { return r.type === 'to'; });
+  this.cc = this.recipients.filter(function(r) { return r.type === 'cc'; });
+  this.bcc = this.recipients.filter(function(r) { return r.type === 'bcc'; });
+  this.sent = p[consts.PR_CLIENT_SUBMIT_TIME];
+  this.received = p[consts.PR_MESSAGE_DELIVERY_TIME];
+  this.created = p[consts.PR_CREATION_TIME];
+  this.modified = p[consts.PR_LAST_MODIFICATION_TIME];
+  this.messageId = p[consts.PR_INTERNET_MESSAGE_ID];
+  this.inReplyTo = p[consts.PR_IN_REPLY_TO_ID];
+  this.references = (refs ? refs.split(/[\s,]+/).filter(Boolean) : undefined);
+  this.headers = p[consts.PR_TRANSPORT_MESSAGE_HEADERS];
+  this.body = p[consts.PR_BODY];
+  if (Buffer.isBuffer(html)) {
+    html = codepages.decode(html, p[consts.PR_INTERNET_CPID]
+                                  || messageCodepage(p, CP_WINDOWS_1252));
+  }
+  this.html = html;
+  this.rtf = undefined;
+  if (Buffer.isBuffer(p[consts.PR_RTF_COMPRESSED])) {
+    try {
+      this.rtf = rtf.decompress(p[consts.PR_RTF_COMPRESSED]);
+    } catch (ex) {
+      // a damaged RTF body is no reason to give up on the rest
+    }
+  }
+  if (this.rtf && (this.html === undefined || this.body === undefined)) {
+    orig = rtf.deencapsulate(this.rtf);
+    if (orig && orig.type === 'html' && this.html === undefined)
+      this.html = orig.content;
+    else if (orig && orig.type === 'text' && this.body === undefined)
+      this.body = orig.content;
+  }
+
+  this.namedProperties = new Array();
+  for (var id in p) {
+    id = +id;
+    if (id < consts.NAMED_PROPERTY_BASE || !(name = names[id]))
+      continue;
+    this.namedProperties.push({
+      guid: name.guid,
+      name: name.name,
+      value: p[id]
+    });
+  }
+};
+
+/*
+  An attachment. Properties:
+
+    properties - all properties by property id (see Msg)
+    filename   - the file name
+    mimeType   - the MIME type, if known
+    contentId  - the Content-ID the message body refers to the attachment by
+    method     - how the attachment is stored (see ATTACH_* in
+                 constants.js)
+    hidden     - whether the attachment is not meant to be shown as an
+                 attachment (e.g. images in the body)
+    size       - size of the attachment data
+    message    - the attached message (a Msg), for attached messages
+    storage    - the storage entry containing an attached OLE object
+*/
+var Attachment = exports.Attachment = function(parser, storage, props) {
+  var data = findChild(storage, '__substg1.0_37010102');
+  this.parser = parser;
+  this.properties = props;
+  this.filename = props[consts.PR_ATTACH_LONG_FILENAME]
+                  || props[consts.PR_ATTACH_FILENAME]
+                  || props[consts.PR_DISPLAY_NAME];
+  this.mimeType = props[consts.PR_ATTACH_MIME_TAG];
+  this.contentId = props[consts.PR_ATTACH_CONTENT_ID];
+  this.method = props[consts.PR_ATTACH_METHOD];
+  this.hidden = !!props[consts.PR_ATTACHMENT_HIDDEN];
+  this.size = (data ? data.size : 0);
+  this.message = undefined;
+  this.storage = undefined;
+  this._data = data;
+};
+
+// Returns a Readable for the attachment data
+Attachment.prototype.createReadStream = function() {
+  if (!this._data)
+    throw new Error('Attachment has no data stream');
+  return this.parser.createReadStream(this._data);
+};
+
+// Reads the attachment data into a single Buffer
+Attachment.prototype.read = function(cb) {
+  if (!this._data)
+    return process.nextTick(cb, new Error('Attachment has no data stream'));
+  this.parser.readStream(this._data, cb);
+};
+
+/*
+  Reads the properties of a message, recipient or attachment storage. Fixed
+  size values are stored in the properties stream, in 16-byte entries after
+  the header:
+
+    type  (2)
+    id    (2)
+    flags (4)
+    value (8) - the value itself or, for variable size values, their size
+
+  Each variable size value is stored in its own `__substg1.0_IIIITTTT`
+  stream, where IIII is the property id and TTTT the type (in hex). For
+  multi-valued properties of variable size types that stream contains the
+  value sizes and the values themselves are stored in streams with the
+  value index appended (`-NNNNNNNN`). Attachment data is left out.
+*/
+function readProperties(parser, storage, headerSize, codepage, cb) {
+  var props = new Object(), multi = new Object(), entry, work;
+
+  work = new Scheduler(function(err) {
+    if (err)
+      return cb(err);
+    cb(undefined, props);
+  });
+
+  entry = findChild(storage, PROPS_STREAM);
+  if (entry) {
+    work.push(function(done) {
+      parser.readStream(entry, function(err, buf) {
+        if (err)
+          return done(err);
+        for (var pos=headerSize,type,val; pos + 16 <= buf.length; pos += 16) {
+          type = buf.readUInt16LE(pos, true);
+          if (FIXED_SIZES[type] === undefined || type === consts.PT_CLSID)
+            continue;
+          val = readValue(buf.slice(pos + 8, pos + 16), type);
+          props[buf.readUInt16LE(pos + 2, true)] = val;
+        }
+        codepage = messageCodepage(props, codepage);
+        done();
+      });
+    });
+  }
+
+  (storage.children || new Array()).forEach(function(child) {
+    var m = SUBSTG_RE.exec(child.name), id, type, key;
+    if (!m || Array.isArray(child.children))
+      return;
+    id = parseInt(m[1], 16);
+    type = parseInt(m[2], 16);
+    if (id === consts.PR_ATTACH_DATA && type === consts.PT_BINARY)
+      return;
+    if (m[3] !== undefined) {
+      key = m[1] + m[2];
+      if (!multi[key])
+        multi[key] = { id: id, type: type, entries: new Array() };
+      multi[key].entries[parseInt(m[3], 16)] = child;
+      return;
+    }
+    if ((type & consts.MV_FLAG) && !FIXED_SIZES[type & ~consts.MV_FLAG]) {
+      // the values are in separate streams
+      return;
+    }
+    work.push(function(done) {
+      parser.readStream(child, function(err, buf) {
+        if (err)
+          return done(err);
+        props[id] = readValue(buf, type, codepage);
+        done();
+      });
+    });
+  });
+
+  Object.keys(multi).forEach(function(key) {
+    var prop = multi[key], values = new Array();
+    prop.entries.forEach(function(child, i) {
+      work.push(function(done) {
+        parser.readStream(child, function(err, buf) {
+          if (err)
+            return done(err);
+          values[i] = readValue(buf, prop.type & ~consts.MV_FLAG, codepage);
+          props[prop.id] = values;
+          done();
+        });
+      });
+    });
+  });
+
+  work.go();
+}
+
+function readValue(buf, type, codepage) {
+  var base = type & ~consts.MV_FLAG, size, ret;
+  if (type & consts.MV_FLAG) {
+    size = FIXED_SIZES[base];
+    ret = new Array();
+    for (var pos=0; size && pos + size <= buf.length; pos += size)
+      ret.push(readValue(buf.slice(pos, pos + size), base, codepage));
+    return ret;
+  }
+  switch (type) {
+    case consts.PT_SHORT:
+      return buf.readInt16LE(0, true);
+    case consts.PT_LONG:
+      return buf.readInt32LE(0, true);
+    case consts.PT_FLOAT:
+      return buf.readFloatLE(0, true);
+    case consts.PT_DOUBLE:
+      return buf.readDoubleLE(0, true);
+    case consts.PT_CURRENCY:
+      return new utils.FixedPoint(buf.readBigInt64LE(0), 4);
+    case consts.PT_APPTIME:
+      // days since December 30, 1899
+      return new Date(Math.round((buf.readDoubleLE(0, true) - 25569)
+                                 * 86400000));
+    case consts.PT_ERROR:
+      return buf.readUInt32LE(0, true);
+    case consts.PT_BOOLEAN:
+      return buf.readUInt16LE(0, true) !== 0;
+    case consts.PT_LONGLONG:
+      return buf.readBigInt64LE(0);
+    case consts.PT_SYSTIME:
+      return utils.readFileTime(buf, 0);
+    case consts.PT_CLSID:
+      return guidString(buf, 0);
+    case consts.PT_UNICODE:
+      return stripNul(buf.toString('ucs2', 0, buf.length - buf.length % 2));
+    case consts.PT_STRING8:
+      return stripNul(codepages.decode(buf, codepage));
+  }
+  return buf;
+}
+
+/*
+  Named properties map property ids 0x8000 and up to a property set GUID and
+  a name or numeric id. The `__nameid_version1.0` storage contains three
+  streams:
+
+    GUID stream   (00020102) - the GUIDs of the property sets, 16 bytes each
+    entry stream  (00030102) - 8 bytes per named property: the numeric id or
+                               the offset of the name in the string stream
+                               (4), then the property index (upper 16 bits,
+                               the id is 0x8000 plus the index), the GUID
+                               index (next 15 bits, 1 is PS_MAPI, 2 is
+                               PS_PUBLIC_STRINGS, 3 and up are GUID stream
+                               entries) and whether the property has a name
+                               (lowest bit)
+    string stream (00040102) - names as a 4-byte length followed by the
+                               UTF-16 name, padded to 4 bytes
+*/
+function readNames(parser, cb) {
+  var storage = findChild(parser.dir, NAMEID_STORAGE), names = new Object(),
+      streams = new Object(), ids = ['00020102', '00030102', '00040102'], work;
+  if (!storage)
+    return cb(undefined, names);
+
+  work = new Scheduler(parser.options.concurrency, function(err) {
+    var guids = streams['00020102'], entries = streams['00030102'],
+        strings = streams['00040102'], val, idx, guid, name, len;
+    if (err)
+      return cb(err);
+    if (!entries)
+      return cb(undefined, names);
+    for (var pos=0; pos + 8 <= entries.length; pos += 8) {
+      val = entries.readUInt32LE(pos + 4, true);
+      idx = (val >>> 1) & 0x7FFF;
+      if (idx === 1)
+        guid = consts.PS_MAPI;
+      else if (idx === 2)
+        guid = consts.PS_PUBLIC_STRINGS;
+      else if (guids && idx >= 3 && (idx - 3) * 16 + 16 <= guids.length)
+        guid = guidString(guids, (idx - 3) * 16);
+      else
+        continue;
+      name = entries.readUInt32LE(pos, true);
+      if (val & 0x01) {
+        if (!strings || name + 4 > strings.length)
+          continue;
+        len = strings.readUInt32LE(name, true);
+        name = strings.toString('ucs2', name + 4,
+                                Math.min(strings.length, name + 4 + len));
+      }
+      names[consts.NAMED_PROPERTY_BASE + (val >>> 16)] = {
+        guid: guid,
+        name: name
+      };
+    }
+    cb(undefined, names);
+  });
+
+  ids.forEach(function(id) {
+    var entry = findChild(storage, '__substg1.0_' + id);
+    if (!entry)
+      return;
+    work.push(function(done) {
+      parser.readStream(entry, function(err, buf) {
+        if (err)
+          return done(err);
+        streams[id] = buf;
+        done();
+      });
+    });
+  });
+  work.go();
+}
+
+function recipient(props) {
+  var addr = address(props[consts.PR_DISPLAY_NAME], props[consts.PR_ADDRTYPE],
+                     props[consts.PR_EMAIL_ADDRESS],
+                     props[consts.PR_SMTP_ADDRESS]) || new Object();
+  addr.type = RECIPIENT_TYPES[props[consts.PR_RECIPIENT_TYPE]] || 'to';
+  addr.properties = props;
+  return addr;
+}
+
+/*
+  Exchange addresses (address type 'EX') are not e-mail addresses, the SMTP
+  address is stored separately for those
+*/
+function address(name, type, email, smtp) {
+  if (name === undefined && email === undefined && smtp === undefined)
+    return;
+  return {
+    name: name,
+    email: smtp || email,
+    addressType: (smtp ? 'SMTP' : type)
+  };
+}
+
+function messageCodepage(props, codepage) {
+  return props[consts.PR_MESSAGE_CODEPAGE] || props[consts.PR_INTERNET_CPID]
+         || codepage;
+}
+
+// Returns the children whose names start with `prefix` in name order
+function childrenWithPrefix(storage, prefix) {
+  return (storage.children || new Array()).filter(function(child) {
+    return (Array.isArray(child.children)
+            && child.name.substring(0, prefix.length) === prefix);
+  }).sort(function(a, b) {
+    return utils.compareNames(a.name, b.name);
+  });
+}
+
+function findChild(storage, name) {
+  var children = storage.children || new Array();
+  for (var i=0,len=children.length; i<len; ++i) {
+    if (utils.compareNames(children[i].name, name) === 0)
+      return children[i];
+  }
+}
+
+// Formats a GUID stored in the on-disk byte order
+function guidString(buf, pos) {
+  var hex = Buffer.from(utils.makeClsId(buf.slice(pos, pos + 16)))
+                  .toString('hex').toUpperCase();
+  return hex.substr(0, 8) + '-' + hex.substr(8, 4) + '-' + hex.substr(12, 4)
+         + '-' + hex.substr(16, 4) + '-' + hex.substr(20);
+}
+
+function stripNul(str) {
+  return str.replace(/\u0000+$/, '');
+}
@@ -0,0 +1,468 @@
+var buffer = require('buffer'), zlib = require('zlib');
+
+var Parser = require('../compound'), FormatError = require('../errors');
+
+// Record types
+var RT_DOCUMENT = 0x03E8,
+    RT_SLIDE = 0x03EE,
+    RT_SLIDE_ATOM = 0x03EF,
+    RT_NOTES = 0x03F0,
+    RT_SLIDE_PERSIST_ATOM = 0x03F3,
+    RT_MAIN_MASTER = 0x03F8,
+    RT_OUTLINE_TEXT_REF_ATOM = 0x0F9E,
+    RT_TEXT_HEADER_ATOM = 0x0F9F,
+    RT_TEXT_CHARS_ATOM = 0x0FA0,
+    RT_TEXT_BYTES_ATOM = 0x0FA8,
+    RT_SLIDE_LIST_WITH_TEXT = 0x0FF0,
+    RT_USER_EDIT_ATOM = 0x0FF5,
+    RT_CURRENT_USER_ATOM = 0x0FF6,
+    RT_EXTERNAL_OLE_OBJECT_STG = 0x1011,
+    RT_PERSIST_DIRECTORY_ATOM = 0x1772;
+
+// CurrentUserAtom header tokens
+var TOKEN_PLAIN = 0xE391C05F,
+    TOKEN_ENCRYPTED = 0xF3D1C4DF;
+
+// Text types (TextHeaderAtom)
+var TX_TITLE = 0,
+    TX_OTHER = 4,
+    TX_CENTER_TITLE = 6;
+
+// SlideListWithText instances
+var LIST_SLIDES = 0,
+    LIST_MASTERS = 1,
+    LIST_NOTES = 2;
+
+// Containers nested deeper than this are considered damaged
+var MAX_DEPTH = 32;
+
+/*
+  Extracts the text of a PowerPoint 97-2003 presentation. `source` can be
+  anything accepted by the compound file Parser or an open Parser. `options`
+  is optional and is passed on to the Parser. `cb` is passed an object with
+  the format:
+
+    slides  - the slides in presentation order, each with the format:
+                id     - the slide ID
+                title  - the title text or undefined if there is none
+                body   - array of the slide's other text blocks
+                notes  - the speaker notes or undefined if there are none
+                master - index into `masters` of the slide's master
+    masters - the slide masters and title masters, each with the format:
+                id    - the master ID
+                type  - 'master' or 'titleMaster'
+                title - the title placeholder text
+                body  - array of the master's other text blocks
+
+  Paragraph and line breaks become '\n'.
+*/
+exports.extract = function(source, options, cb) {
+  if (typeof options === 'function') {
+    cb = options;
+    options = undefined;
+  }
+  Parser.using(source, options, extract, cb);
+};
+
+/*
+  Reads the embedded OLE objects of the presentation open in `parser`, which
+  PowerPoint keeps in ExOleObjStg records in the PowerPoint Document stream
+  rather than in storages of their own. `cb` is passed an array of objects
+  with the format:
+
+    offset - position of the record in the PowerPoint Document stream
+    data   - the object's storage, as a compound file in a Buffer, or the
+             record's own data if it could not be decompressed
+    error  - why the record could not be decompressed. Records are never
+             decompressed to more than the size they declare, nor to more
+             than the parser's `maxTotalBytes`
+
+  Records that can not be found (e.g. in encrypted presentations) end the
+  search instead of failing it.
+*/
+exports.oleStorages = function(parser, cb) {
+  var entry = parser.resolve('PowerPoint Document');
+  if (!entry)
+    return process.nextTick(function() { cb(undefined, new Array()); });
+  parser.readStream(entry, function(err, doc) {
+    var ret = new Array(), i = 0, records = new Array(), rh;
+    if (err)
+      return cb(err);
+    // objects are top-level records, referred to by their persist IDs
+    for (var pos=0; pos + 8 <= doc.length; pos = rh.pos + rh.len) {
+      try {
+        rh = readHeader(doc, pos);
+      } catch (ex) {
+        break;
+      }
+      if (rh.type === RT_EXTERNAL_OLE_OBJECT_STG)
+        records.push(rh);
+    }
+    (function next() {
+      var rh = records[i++], data;
+      if (!rh)
+        return cb(undefined, ret);
+      data = doc.slice(rh.pos, rh.pos + rh.len);
+      if (rh.instance !== 1) {
+        ret.push({ offset: rh.pos - 8, data: data });
+        return next();
+      }
+      // compressed: the uncompressed size (4) followed by zlib data, which
+      // must not inflate to more than that
+      if (data.length < 4) {
+        ret.push({ offset: rh.pos - 8, data: data,
+                   error: new FormatError('EFORMAT',
+                                          'Truncated ExOleObjStg record') });
+        return next();
+      }
+      zlib.inflate(data.slice(4), {
+        maxOutputLength: Math.max(1, Math.min(data.readUInt32LE(0, true),
+                                              parser.options.maxTotalBytes,
+                                              buffer.constants.MAX_LENGTH))
+      }, function(err, buf) {
+        if (err)
+          ret.push({ offset: rh.pos - 8, data: data, error: err });
+        else
+          ret.push({ offset: rh.pos - 8, data: buf });
+        next();
+      });
+    })();
+  });
+};
+
+function extract(parser, cb) {
+  var entry = parser.resolve('PowerPoint Document'),
+      userEntry = parser.resolve('Current User');
+  if (!entry || !userEntry)
+    return cb(new FormatError('EFORMAT', 'Not a PowerPoint presentation'));
+  parser.readStream(userEntry, function(err, user) {
+    var offset;
+    if (err)
+      return cb(err);
+    try {
+      offset = parseCurrentUser(user);
+    } catch (ex) {
+      return cb(ex);
+    }
+    parser.readStream(entry, function(err, doc) {
+      var ret;
+      if (err)
+        return cb(err);
+      try {
+        ret = parseDocument(doc, offset);
+      } catch (ex) {
+        return cb(ex);
+      }
+      cb(undefined, ret);
+    });
+  });
+}
+
+/*
+  The Current User stream contains a CurrentUserAtom:
+
+    rh                  (8) - record header
+    size                (4) - always 0x14
+    headerToken         (4) - 0xE391C05F, or 0xF3D1C4DF if encrypted
+    offsetToCurrentEdit (4) - offset of the newest UserEditAtom in the
+                              PowerPoint Document stream
+    lenUserName         (2)
+    docFileVersion      (2) - always 0x03F4
+    majorVersion        (1) - always 0x03
+    minorVersion        (1) - always 0x00
+    ...
+*/
+function parseCurrentUser(buf) {
+  var token;
+  if (buf.length < 26 || buf.readUInt16LE(2, true) !== RT_CURRENT_USER_ATOM)
+    throw new FormatError('EFORMAT', 'Invalid Current User stream');
+  token = buf.readUInt32LE(12, true);
+  if (token === TOKEN_ENCRYPTED)
+    throw new FormatError('EENCRYPTED', 'Presentation is encrypted');
+  if (token !== TOKEN_PLAIN)
+    throw new FormatError('EFORMAT', 'Invalid Current User stream');
+  if (buf.readUInt16LE(22, true) !== 0x03F4 || buf[24] !== 0x03)
+    throw new FormatError('EUNSUPPORTED', 'Unsupported PowerPoint version');
+  return buf.readUInt32LE(16, true);
+}
+
+function parseDocument(doc, offset) {
+  var persist = readPersistDirectory(doc, offset), rh, lists, masters, ret,
+      masterIds = new Object(), notes = new Object();
+
+  rh = readHeader(doc, persist.offsets[persist.docRef]);
+  if (rh.type !== RT_DOCUMENT)
+    throw new FormatError('EFORMAT', 'Invalid document container');
+  lists = readSlideLists(doc, rh);
+
+  function container(item, types) {
+    var pos = persist.offsets[item.persistId], header;
+    if (pos === undefined)
+      return;
+    header = readHeader(doc, pos);
+    if (types.indexOf(header.type) === -1)
+      return;
+    return readContainer(doc, header, item.blocks);
+  }
+
+  masters = new Array();
+  lists[LIST_MASTERS].forEach(function(item) {
+    var c = container(item, [RT_MAIN_MASTER, RT_SLIDE]);
+    if (!c)
+      return;
+    masterIds[item.id] = masters.length;
+    masters.push({
+      id: item.id,
+      type: (c.type === RT_MAIN_MASTER ? 'master' : 'titleMaster'),
+      title: c.title,
+      body: c.body
+    });
+  });
+
+  lists[LIST_NOTES].forEach(function(item) {
+    var c = container(item, [RT_NOTES]);
+    if (c)
+      notes[item.id] = c;
+  });
+
+  ret = new Array();
+  lists[LIST_SLIDES].forEach(function(item) {
+    var c = container(item, [RT_SLIDE]), n;
+    if (!c)
+      return;
+    n = (c.atom && c.atom.notesId ? notes[c.atom.notesId] : undefined);
+    ret.push({
+      id: item.id,
+      title: c.title,
+      body: c.body,
+      notes: (n ? allText(n).join('\n') || undefined : undefined),
+      master: (c.atom ? masterIds[c.atom.masterId] : undefined)
+    });
+  });
+
+  return {
+    slides: ret,
+    masters: masters
+  };
+}
+
+/*
+  Every save appends a UserEditAtom and a PersistDirectoryAtom to the
+  stream. The UserEditAtom points to the previous one and to its
+  PersistDirectoryAtom, which maps persist object IDs to the stream offsets
+  of the objects written by that save:
+
+    rh                     (8) - record header
+    lastSlideIdRef         (4)
+    version                (2)
+    minorVersion           (1)
+    majorVersion           (1)
+    offsetLastEdit         (4) - offset of the previous UserEditAtom or 0
+    offsetPersistDirectory (4)
+    docPersistIdRef        (4) - persist ID of the DocumentContainer
+    ...
+
+  PersistDirectoryAtoms contain entries made up of a 20-bit starting persist
+  ID and a 12-bit count followed by that many offsets. Newer saves take
+  precedence over older ones.
+*/
+function readPersistDirectory(doc, offset) {
+  var offsets = new Object(), seen = new Object(), docRef, rh, dir, val, id,
+      n;
+  while (true) {
+    if (seen[offset])
+      throw new FormatError('EFORMAT', 'Invalid edit chain');
+    seen[offset] = true;
+    rh = readHeader(doc, offset);
+    if (rh.type !== RT_USER_EDIT_ATOM || rh.len < 0x1C)
+      throw new FormatError('EFORMAT', 'Invalid UserEditAtom');
+    if (docRef === undefined)
+      docRef = doc.readUInt32LE(rh.pos + 16, true);
+
+    dir = readHeader(doc, doc.readUInt32LE(rh.pos + 12, true));
+    if (dir.type !== RT_PERSIST_DIRECTORY_ATOM)
+      throw new FormatError('EFORMAT', 'Invalid PersistDirectoryAtom');
+    for (var pos=dir.pos,end=dir.pos + dir.len; pos + 4 <= end;) {
+      val = doc.readUInt32LE(pos, true);
+      id = val & 0xFFFFF;
+      n = val >>> 20;
+      pos += 4;
+      for (var i=0; i<n && pos + 4 <= end; ++i, ++id, pos += 4) {
+        if (offsets[id] === undefined)
+          offsets[id] = doc.readUInt32LE(pos, true);
+      }
+    }
+
+    offset = doc.readUInt32LE(rh.pos + 8, true);
+    if (offset === 0)
+      break;
+  }
+  if (offsets[docRef] === undefined)
+    throw new FormatError('EFORMAT', 'Missing document container');
+  return {
+    offsets: offsets,
+    docRef: docRef
+  };
+}
+
+/*
+  The DocumentContainer holds up to three SlideListWithTextContainers, told
+  apart by their record instance: one for the slides, one for the masters
+  and one for the notes. They contain a SlidePersistAtom per item in
+  presentation order:
+
+    rh           (8) - record header
+    persistIdRef (4) - persist ID of the item's container
+    flags        (4)
+    cTexts       (4)
+    slideId      (4) - the slide, master or notes ID
+    reserved     (4)
+
+  Each SlidePersistAtom is followed by the item's placeholder text (as
+  TextHeaderAtoms followed by TextCharsAtoms or TextBytesAtoms), which the
+  item's drawing refers to by index using OutlineTextRefAtoms.
+*/
+function readSlideLists(doc, docHeader) {
+  var lists = [new Array(), new Array(), new Array()];
+  eachRecord(doc, docHeader.pos, docHeader.pos + docHeader.len, 0,
+             function(rh) {
+    var list, item;
+    if (rh.type !== RT_SLIDE_LIST_WITH_TEXT)
+      return;
+    list = lists[rh.instance];
+    if (!list)
+      return false;
+    eachRecord(doc, rh.pos, rh.pos + rh.len, 1, function(rh) {
+      if (rh.type === RT_SLIDE_PERSIST_ATOM && rh.len >= 16) {
+        item = {
+          persistId: doc.readUInt32LE(rh.pos, true),
+          id: doc.readUInt32LE(rh.pos + 12, true),
+          blocks: new Array()
+        };
+        list.push(item);
+      } else if (item)
+        addText(doc, rh, item.blocks);
+    });
+    return false;
+  });
+  return lists;
+}
+
+/*
+  Reads the text of a slide, master or notes container. `outline` is the
+  placeholder text from the SlideListWithTextContainer.
+*/
+function readContainer(doc, header, outline) {
+  var blocks = new Array(), used = new Array(), atom, ret;
+  eachRecord(doc, header.pos, header.pos + header.len, 0, function(rh) {
+    var idx;
+    if (rh.type === RT_SLIDE_ATOM && rh.len >= 20) {
+      // geom (4), rgPlaceholderTypes (8), masterIdRef (4), notesIdRef (4)
+      atom = {
+        masterId: doc.readUInt32LE(rh.pos + 12, true),
+        notesId: doc.readUInt32LE(rh.pos + 16, true)
+      };
+    } else if (rh.type === RT_OUTLINE_TEXT_REF_ATOM && rh.len >= 4) {
+      idx = doc.readUInt32LE(rh.pos, true);
+      if (outline[idx]) {
+        blocks.push(outline[idx]);
+        used[idx] = true;
+      }
+    } else
+      addText(doc, rh, blocks);
+  });
+  // keep placeholder text even if nothing refers to it
+  for (var i=0,len=outline.length; i<len; ++i) {
+    if (!used[i])
+      blocks.push(outline[i]);
+  }
+
+  ret = {
+    type: header.type,
+    atom: atom,
+    blocks: blocks,
+    title: undefined,
+    body: new Array()
+  };
+  for (var i=0,len=blocks.length; i<len; ++i) {
+    if (!blocks[i].text)
+      continue;
+    if (ret.title === undefined
+        && (blocks[i].type === TX_TITLE || blocks[i].type === TX_CENTER_TITLE))
+      ret.title = blocks[i].text;
+    else
+      ret.body.push(blocks[i].text);
+  }
+  return ret;
+}
+
+// Handles text atoms, adding the text to `blocks`
+function addText(doc, rh, blocks) {
+  var text;
+  if (rh.type === RT_TEXT_HEADER_ATOM && rh.len >= 4) {
+    blocks.push({ type: doc.readUInt32LE(rh.pos, true), text: '' });
+    return;
+  } else if (rh.type === RT_TEXT_CHARS_ATOM)
+    text = doc.toString('ucs2', rh.pos, rh.pos + rh.len - rh.len % 2);
+  else if (rh.type === RT_TEXT_BYTES_ATOM) {
+    // the high bytes of UTF-16 characters that are left out are all 0
+    text = doc.toString('latin1', rh.pos, rh.pos + rh.len);
+  } else
+    return;
+  if (!blocks.length)
+    blocks.push({ type: TX_OTHER, text: '' });
+  blocks[blocks.length - 1].text += text.replace(/[\r\x0B]/g, '\n');
+}
+
+function allText(container) {
+  var ret = new Array();
+  if (container.title !== undefined)
+    ret.push(container.title);
+  return ret.concat(container.body);
+}
+
+/*
+  Records start with an 8 byte header:
+
+    recVerAndInstance (2) - version in the lower 4 bits (0xF for
+                            containers), instance in the upper 12 bits
+    recType           (2)
+    recLen            (4) - size of the record data
+*/
+function readHeader(buf, pos) {
+  var val, len;
+  if (pos === undefined || pos + 8 > buf.length)
+    throw new FormatError('EFORMAT', 'Invalid record offset');
+  val = buf.readUInt16LE(pos, true);
+  len = buf.readUInt32LE(pos + 4, true);
+  if (pos + 8 + len > buf.length)
+    throw new FormatError('EFORMAT', 'Invalid record length');
+  return {
+    version: val & 0x0F,
+    instance: val >>> 4,
+    type: buf.readUInt16LE(pos + 2, true),
+    pos: pos + 8,
+    len: len
+  };
+}
+
+/*
+  Calls `fn(header)` for each atom between `start` and `end`, descending
+  into containers. Returning false from `fn` for a container skips its
+  contents.
+*/
+function eachRecord(buf, start, end, depth, fn) {
+  var rh;
+  if (depth > MAX_DEPTH)
+    throw new FormatError('EFORMAT', 'Records nested too deeply');
+  for (var pos=start; pos + 8 <= end; pos = rh.pos + rh.len) {
+    rh = readHeader(buf, pos);
+    if (rh.pos + rh.len > end)
+      throw new FormatError('EFORMAT', 'Invalid record length');
+    if (rh.version === 0x0F) {
+      if (fn(rh) !== false)
+        eachRecord(buf, rh.pos, rh.pos + rh.len, depth + 1, fn);
+    } else
+      fn(rh);
+  }
+}
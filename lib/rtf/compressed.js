@@ -0,0 +1,111 @@
+var FormatError = require('../errors');
+
+var COMPTYPE_COMPRESSED = 0x75465A4C, // 'LZFu'
+    COMPTYPE_UNCOMPRESSED = 0x414C454D; // 'MELA'
+
+// The dictionary starts out containing this text, which is common in RTF
+var PREBUF = '{\\rtf1\\ansi\\mac\\deff0\\deftab720{\\fonttbl;}{\\f0\\fnil '
+             + '\\froman \\fswiss \\fmodern \\fscript \\fdecor MS Sans Serif'
+             + 'SymbolArialTimes New RomanCourier{\\colortbl\\red0\\green0'
+             + '\\blue0\r\n\\par \\pard\\plain\\f0\\fs20\\b\\i\\u\\tab\\tx';
+
+var DICT_SIZE = 4096;
+
+var CRC_TABLE = (function() {
+  var table = new Array(256), c;
+  for (var n=0; n<256; ++n) {
+    c = n;
+    for (var k=0; k<8; ++k)
+      c = (c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1);
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/*
+  Decompresses compressed RTF (e.g. the PR_RTF_COMPRESSED property of
+  Outlook items) and returns the RTF as a Buffer. The data starts with a
+  16-byte header:
+
+    compSize (4) - size of the data following this field
+    rawSize  (4) - size of the decompressed RTF
+    compType (4) - 'LZFu' for compressed data or 'MELA' for uncompressed data
+    crc      (4) - CRC32 of the compressed data (0 for uncompressed data)
+
+  Compressed data is made up of runs of a control byte followed by eight
+  items, one per control bit (starting with the lowest bit). A clear bit
+  stands for a literal byte, a set bit for a 16-bit big endian reference to
+  the 4096 byte dictionary: a 12-bit offset and a 4-bit length (minus 2).
+  Everything written to the output is also written to the dictionary at the
+  current write position. A reference to the write position itself marks
+  the end of the data.
+*/
+exports.decompress = function(buf) {
+  var compSize, rawSize, compType, end, dict, wpos, out, opos = 0, pos,
+      control, ref, offset, len;
+
+  if (buf.length < 16)
+    throw new FormatError('EFORMAT', 'Invalid compressed RTF header');
+  compSize = buf.readUInt32LE(0, true);
+  rawSize = buf.readUInt32LE(4, true);
+  compType = buf.readUInt32LE(8, true);
+  if (compSize < 12 || 4 + compSize > buf.length)
+    throw new FormatError('EFORMAT', 'Compressed RTF is truncated');
+  end = 4 + compSize;
+
+  if (compType === COMPTYPE_UNCOMPRESSED)
+    return buf.slice(16, Math.min(end, 16 + rawSize));
+  if (compType !== COMPTYPE_COMPRESSED)
+    throw new FormatError('EFORMAT', 'Unknown RTF compression type');
+  if (crc32(buf, 16, end) !== buf.readUInt32LE(12, true))
+    throw new FormatError('EFORMAT', 'Compressed RTF CRC mismatch');
+
+  dict = Buffer.alloc(DICT_SIZE);
+  wpos = dict.write(PREBUF, 0, 'latin1');
+  // references expand 2 bytes to at most 17 bytes
+  out = Buffer.alloc(Math.min(rawSize, (end - 16) * 9));
+
+  function put(c) {
+    if (opos === out.length) {
+      var grown = Buffer.alloc(Math.max(out.length * 2, 1024));
+      out.copy(grown);
+      out = grown;
+    }
+    out[opos++] = c;
+    dict[wpos] = c;
+    wpos = (wpos + 1) % DICT_SIZE;
+  }
+
+  pos = 16;
+  while (pos < end) {
+    control = buf[pos++];
+    for (var bit=0; bit<8 && pos < end; ++bit) {
+      if (!(control & (1 << bit))) {
+        put(buf[pos++]);
+        continue;
+      }
+      if (pos + 2 > end)
+        throw new FormatError('EFORMAT', 'Compressed RTF is truncated');
+      ref = buf.readUInt16BE(pos, true);
+      pos += 2;
+      offset = ref >>> 4;
+      len = (ref & 0x0F) + 2;
+      if (offset === wpos)
+        return out.slice(0, opos);
+      for (var i=0; i<len; ++i)
+        put(dict[(offset + i) % DICT_SIZE]);
+    }
+  }
+  return out.slice(0, opos);
+};
+
+/*
+  Compressed RTF uses the regular CRC32 polynomial but starts out with 0 and
+  does not invert the result
+*/
+function crc32(buf, start, end) {
+  var crc = 0;
+  for (var i=start; i<end; ++i)
+    crc = CRC_TABLE[(crc ^ buf[i]) & 0xFF] ^ (crc >>> 8);
+  return crc >>> 0;
+}
@@ -0,0 +1,254 @@
+var codepages = require('../codepage'),
+    CP_WINDOWS_1252 = require('../compound/constants').CP_WINDOWS_1252;
+
+// Destinations that never contain document text
+var SKIP_DESTINATIONS = ['colortbl', 'stylesheet', 'info', 'pict', 'object',
+                         'fldinst', 'listtable', 'listoverridetable',
+                         'rsidtbl', 'generator', 'xmlnstbl', 'themedata',
+                         'colorschememapping', 'latentstyles', 'datastore',
+                         'filetbl', 'revtbl', 'header', 'footer', 'headerl',
+                         'headerr', 'headerf', 'footerl', 'footerr',
+                         'footerf', 'footnote', 'annotation'];
+
+// Control words standing for a character
+var SPECIAL_CHARS = {
+  par: '\r\n',
+  line: '\r\n',
+  tab: '\t',
+  lquote: '\u2018',
+  rquote: '\u2019',
+  ldblquote: '\u201C',
+  rdblquote: '\u201D',
+  bullet: '\u2022',
+  endash: '\u2013',
+  emdash: '\u2014',
+  enspace: '\u2002',
+  emspace: '\u2003',
+  qmspace: '\u2005'
+};
+
+// Font character set (\fcharset) -> codepage
+var CHARSET_CODEPAGES = {
+  0: CP_WINDOWS_1252,
+  77: 10000,
+  128: 932,
+  129: 949,
+  130: 1361,
+  134: 936,
+  136: 950,
+  161: 1253,
+  162: 1254,
+  163: 1258,
+  177: 1255,
+  178: 1256,
+  186: 1257,
+  204: 1251,
+  222: 874,
+  238: 1250
+};
+
+/*
+  Recovers the original HTML or plain text from RTF that was generated from
+  it (MS-OXRTFEX), as Outlook does when it stores HTML or plain text bodies
+  as RTF. Such RTF has a \fromhtml1 or \fromtext control word in its header.
+  `rtf` is a Buffer or string. Returns an object with the format:
+
+    type    - 'html' or 'text'
+    content - the HTML or text
+
+  or undefined if the RTF does not contain encapsulated HTML or text.
+
+  The original HTML tags are stored in {\*\htmltagN ...} groups, while text
+  between \htmlrtf and \htmlrtf0 exists only for the benefit of RTF readers
+  and is left out. Everything else outside of RTF-only destinations is
+  original content. {\*\mhtmltagN ...} groups, holding copies of tags with
+  rewritten URLs, are ignored in favor of the original tags.
+*/
+module.exports = function(rtf) {
+  var str = (Buffer.isBuffer(rtf) ? rtf.toString('latin1') : String(rtf)),
+      out = '', bytes = new Array(), stack = new Array(), fonts = new Object(),
+      defaultCodepage = CP_WINDOWS_1252, type, skip = 0, state, fontId, c, m,
+      word, param;
+
+  state = {
+    skip: false,
+    htmltag: false,
+    htmlrtf: false,
+    fonttbl: false,
+    first: false,
+    star: false,
+    uc: 1,
+    codepage: undefined
+  };
+
+  function output() {
+    return !state.skip && !state.fonttbl
+           && (state.htmltag || !state.htmlrtf);
+  }
+
+  function flush() {
+    if (bytes.length) {
+      out += codepages.decode(Buffer.from(bytes),
+                              state.codepage || defaultCodepage);
+      bytes = new Array();
+    }
+  }
+
+  function emit(text) {
+    flush();
+    if (output())
+      out += text;
+  }
+
+  function emitByte(byte) {
+    if (skip > 0) {
+      --skip;
+      return;
+    }
+    if (output())
+      bytes.push(byte);
+  }
+
+  function controlWord(word, param) {
+    var first = state.first, star = state.star;
+    state.first = state.star = false;
+    if (first) {
+      if (word === 'htmltag' && star) {
+        state.htmltag = true;
+        return;
+      } else if (word === 'fonttbl') {
+        state.fonttbl = true;
+        return;
+      } else if (star || SKIP_DESTINATIONS.indexOf(word) !== -1) {
+        state.skip = true;
+        return;
+      }
+    }
+    switch (word) {
+      case 'fromhtml':
+        if (type === undefined && param === 1)
+          type = 'html';
+        break;
+      case 'fromtext':
+        if (type === undefined)
+          type = 'text';
+        break;
+      case 'htmlrtf':
+        flush();
+        state.htmlrtf = (param !== 0);
+        break;
+      case 'ansicpg':
+        defaultCodepage = param;
+        break;
+      case 'f':
+        if (state.fonttbl)
+          fontId = param;
+        else {
+          flush();
+          state.codepage = fonts[param];
+        }
+        break;
+      case 'fcharset':
+        if (state.fonttbl && fontId !== undefined)
+          fonts[fontId] = CHARSET_CODEPAGES[param];
+        break;
+      case 'uc':
+        state.uc = param;
+        break;
+      case 'u':
+        emit(String.fromCharCode(param < 0 ? param + 65536 : param));
+        skip = state.uc;
+        break;
+      default:
+        if (SPECIAL_CHARS[word] !== undefined)
+          emit(SPECIAL_CHARS[word]);
+    }
+  }
+
+  for (var i=0,len=str.length; i<len;) {
+    c = str[i];
+    if (c === '{') {
+      flush();
+      stack.push(state);
+      state = copyState(state);
+      state.first = true;
+      skip = 0;
+      ++i;
+    } else if (c === '}') {
+      flush();
+      if (!stack.length)
+        break;
+      state = stack.pop();
+      skip = 0;
+      ++i;
+    } else if (c === '\\') {
+      c = str[i + 1];
+      if (/[a-zA-Z]/.test(c)) {
+        m = /^([a-zA-Z]{1,32})(-?\d{1,10})? ?/.exec(str.substr(i + 1, 45));
+        word = m[1];
+        param = (m[2] === undefined ? undefined : parseInt(m[2], 10));
+        i += 1 + m[0].length;
+        if (word === 'bin' && param > 0) {
+          // binary data
+          i += param;
+          continue;
+        }
+        if (skip > 0 && word !== 'u') {
+          --skip;
+          continue;
+        }
+        controlWord(word, param);
+      } else if (c === "'") {
+        state.first = false;
+        emitByte(parseInt(str.substr(i + 2, 2), 16) || 0);
+        i += 4;
+      } else if (c === '*') {
+        state.star = true;
+        i += 2;
+      } else {
+        state.first = false;
+        i += 2;
+        if (skip > 0) {
+          --skip;
+          continue;
+        }
+        if (c === '\\' || c === '{' || c === '}')
+          emit(c);
+        else if (c === '~')
+          emit('\u00A0'); // non-breaking space
+        else if (c === '_')
+          emit('\u2011'); // non-breaking hyphen
+        else if (c === '\r' || c === '\n')
+          emit('\r\n');
+      }
+    } else if (c === '\r' || c === '\n') {
+      // line breaks in RTF have no meaning
+      ++i;
+    } else {
+      state.first = false;
+      if (state.fonttbl) {
+        // font names end with ';'
+        if (c === ';')
+          fontId = undefined;
+      } else
+        emitByte(str.charCodeAt(i));
+      ++i;
+    }
+  }
+  flush();
+
+  if (type === undefined)
+    return;
+  return {
+    type: type,
+    content: out
+  };
+};
+
+function copyState(state) {
+  var ret = new Object();
+  for (var key in state)
+    ret[key] = state[key];
+  ret.star = false;
+  return ret;
+}
@@ -0,0 +1,32 @@
+var compressed = require('./compressed');
+
+exports.decompress = compressed.decompress;
+exports.deencapsulate = require('./deencapsulate');
+
+/*
+  Reads compressed RTF from a Readable (e.g. one returned by the compound
+  file Parser's getStream()) and passes the decompressed RTF to `cb` as a
+  Buffer
+*/
+exports.decompressStream = function(stream, cb) {
+  var chunks = new Array(), called = false;
+  function done(err, buf) {
+    if (called)
+      return;
+    called = true;
+    cb(err, buf);
+  }
+  stream.on('data', function(chunk) {
+    chunks.push(chunk);
+  });
+  stream.on('error', done);
+  stream.on('end', function() {
+    var rtf;
+    try {
+      rtf = compressed.decompress(Buffer.concat(chunks));
+    } catch (ex) {
+      return done(ex);
+    }
+    done(undefined, rtf);
+  });
+};
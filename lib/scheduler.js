@@ -0,0 +1,85 @@
+/*
+  Runs asynchronous tasks, at most `concurrency` (default: 1) at a time, in
+  the order they were pushed. Each task is called with a `done(err)` callback
+  and can push more tasks while it runs.
+
+  `cb` is called exactly once and always asynchronously: with no arguments
+  once every task is done, or with the first error a task passed to `done`
+  or threw. After a failure no more tasks are started and whatever the tasks
+  still running pass to `done` is ignored.
+*/
+var Scheduler = module.exports = function(concurrency, cb) {
+  if (typeof concurrency === 'function') {
+    cb = concurrency;
+    concurrency = undefined;
+  }
+  this.concurrency = Math.max(1, concurrency || 1);
+  this._queue = new Array();
+  this._running = 0;
+  this._started = false;
+  this._finished = false;
+  this._cb = cb;
+};
+
+Scheduler.prototype.push = function(fn) {
+  this._queue.push(fn);
+  if (this._started)
+    this._run();
+};
+
+Scheduler.prototype.go = function() {
+  var self = this;
+  if (this._started)
+    return;
+  this._started = true;
+  process.nextTick(function() {
+    self._run();
+  });
+};
+
+Scheduler.prototype._run = function() {
+  while (!this._finished && this._running < this.concurrency
+         && this._queue.length) {
+    ++this._running;
+    this._start(this._queue.shift());
+  }
+  if (!this._finished && this._running === 0 && !this._queue.length)
+    this._finish();
+};
+
+Scheduler.prototype._start = function(fn) {
+  var self = this, called = false;
+  function done(err) {
+    if (called)
+      return self._finish(new Error('Task completed more than once'));
+    called = true;
+    --self._running;
+    if (err)
+      return self._finish(err);
+    // tasks that complete synchronously must not grow the stack
+    process.nextTick(function() {
+      self._run();
+    });
+  }
+  try {
+    fn(done);
+  } catch (ex) {
+    if (called)
+      return this._finish(ex);
+    done(ex);
+  }
+};
+
+Scheduler.prototype._finish = function(err) {
+  var cb = this._cb;
+  if (this._finished)
+    return;
+  this._finished = true;
+  this._queue = new Array();
+  process.nextTick(function() {
+    if (err)
+      cb(err);
+    else
+      cb();
+  });
+};
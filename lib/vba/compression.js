@@ -0,0 +1,72 @@
+var FormatError = require('../errors');
+
+var CHUNK_SIZE = 4096;
+
+/*
+  Decompresses a MS-OVBA compressed container starting at `start` (default
+  0) in `buf` and returns the data as a Buffer. The container is a signature
+  byte (1) followed by chunks, each with a 16-bit header:
+
+    size      (12 bits) - size of the chunk (including the header) minus 3
+    signature (3 bits)  - always 3
+    flag      (1 bit)   - set if the chunk is compressed
+
+  Uncompressed chunks hold 4096 bytes of data. Compressed chunks are made up
+  of runs of a flag byte followed by eight tokens, one per flag bit (starting
+  with the lowest bit). A clear bit stands for a literal byte, a set bit for a
+  16-bit copy token referring back into the chunk's decompressed data. The
+  number of bits used for the copy token's offset grows with the amount of
+  data decompressed so far (4 to 12 bits), the remaining bits hold the length
+  (minus 3).
+*/
+exports.decompress = function(buf, start) {
+  var chunks = new Array(), pos = (start || 0), header, chunkEnd, out, opos,
+      flags, token, bitCount, lengthMask, offset, len;
+
+  if (buf[pos] !== 1)
+    throw new FormatError('EFORMAT', 'Invalid compressed container signature');
+  ++pos;
+
+  while (pos + 2 <= buf.length) {
+    header = buf.readUInt16LE(pos, true);
+    if (((header >>> 12) & 0x07) !== 3)
+      throw new FormatError('EFORMAT', 'Invalid compressed chunk signature');
+    chunkEnd = Math.min(pos + (header & 0x0FFF) + 3, buf.length);
+    pos += 2;
+
+    if (!(header & 0x8000)) {
+      chunks.push(buf.slice(pos, Math.min(pos + CHUNK_SIZE, buf.length)));
+      pos += CHUNK_SIZE;
+      continue;
+    }
+
+    out = Buffer.alloc(CHUNK_SIZE);
+    opos = 0;
+    while (pos < chunkEnd && opos < CHUNK_SIZE) {
+      flags = buf[pos++];
+      for (var bit=0; bit<8 && pos < chunkEnd && opos < CHUNK_SIZE; ++bit) {
+        if (!(flags & (1 << bit))) {
+          out[opos++] = buf[pos++];
+          continue;
+        }
+        if (pos + 2 > chunkEnd)
+          throw new FormatError('EFORMAT', 'Compressed chunk is truncated');
+        token = buf.readUInt16LE(pos, true);
+        pos += 2;
+        for (bitCount=4; (1 << bitCount) < opos; ++bitCount);
+        lengthMask = 0xFFFF >>> bitCount;
+        len = (token & lengthMask) + 3;
+        offset = (token >>> (16 - bitCount)) + 1;
+        if (offset > opos)
+          throw new FormatError('EFORMAT', 'Invalid copy token');
+        // the source and destination can overlap, so copy byte by byte
+        for (var i=0; i<len && opos < CHUNK_SIZE; ++i, ++opos)
+          out[opos] = out[opos - offset];
+      }
+    }
+    chunks.push(out.slice(0, opos));
+    pos = chunkEnd;
+  }
+
+  return Buffer.concat(chunks);
+};
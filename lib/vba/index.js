@@ -0,0 +1,436 @@
+var Scheduler = require('../scheduler'), Parser = require('../compound'),
+    CP_WINDOWS_1252 = require('../compound/constants').CP_WINDOWS_1252,
+    utils = require('../compound/utils'), codepages = require('../codepage'),
+    FormatError = require('../errors'), compression = require('./compression');
+
+// Where applications keep their VBA project
+var PROJECT_PATHS = ['/Macros', // Word
+                     '/_VBA_PROJECT_CUR', // Excel
+                     '/']; // vbaProject.bin, VbaProject.OTM
+
+// dir stream record IDs
+var ID_SYSKIND = 0x0001,
+    ID_CODEPAGE = 0x0003,
+    ID_NAME = 0x0004,
+    ID_DOCSTRING = 0x0005,
+    ID_HELPFILEPATH = 0x0006,
+    ID_VERSION = 0x0009,
+    ID_CONSTANTS = 0x000C,
+    ID_REFERENCE_REGISTERED = 0x000D,
+    ID_REFERENCE_PROJECT = 0x000E,
+    ID_MODULES = 0x000F,
+    ID_TERMINATOR = 0x0010,
+    ID_REFERENCE_NAME = 0x0016,
+    ID_MODULE_NAME = 0x0019,
+    ID_MODULE_STREAM_NAME = 0x001A,
+    ID_MODULE_DOCSTRING = 0x001C,
+    ID_MODULE_PROCEDURAL = 0x0021,
+    ID_MODULE_DOCUMENT = 0x0022,
+    ID_MODULE_READONLY = 0x0025,
+    ID_MODULE_PRIVATE = 0x0028,
+    ID_MODULE_TERMINATOR = 0x002B,
+    ID_REFERENCE_CONTROL = 0x002F,
+    ID_REFERENCE_EXTENDED = 0x0030,
+    ID_MODULE_OFFSET = 0x0031,
+    ID_MODULE_STREAM_NAME_UNICODE = 0x0032,
+    ID_REFERENCE_ORIGINAL = 0x0033,
+    ID_CONSTANTS_UNICODE = 0x003C,
+    ID_REFERENCE_NAME_UNICODE = 0x003E,
+    ID_DOCSTRING_UNICODE = 0x0040,
+    ID_MODULE_NAME_UNICODE = 0x0047,
+    ID_MODULE_DOCSTRING_UNICODE = 0x0048;
+
+var SYSKINDS = ['win16', 'win32', 'mac', 'win64'];
+
+// Procedures run automatically when a document is opened, closed, etc.
+var AUTO_EXEC = ['AutoExec', 'AutoOpen', 'AutoNew', 'AutoClose', 'AutoExit',
+                 'Auto_Open', 'Auto_Close', 'Document_Open', 'Document_New',
+                 'Document_Close', 'Document_BeforeClose', 'DocumentOpen',
+                 'DocumentBeforeClose', 'Workbook_Open', 'Workbook_Activate',
+                 'Workbook_BeforeClose', 'Workbook_Deactivate'];
+
+var RE_PROCEDURE = new RegExp('^[ \\t]*(?:(?:Public|Private|Friend)[ \\t]+)?'
+                              + '(?:Static[ \\t]+)?(?:Sub|Function)[ \\t]+'
+                              + '([A-Za-z_][A-Za-z0-9_]*)', 'gim');
+
+/*
+  Returns the storage holding the VBA project of the document open in
+  `parser` (a storage with a `VBA` storage containing a `dir` stream), or
+  undefined if there is none. The usual locations are checked before
+  searching the whole document.
+*/
+var findProject = exports.findProject = function(parser) {
+  var entry, found;
+  for (var i=0,len=PROJECT_PATHS.length; i<len; ++i) {
+    entry = parser.resolve(PROJECT_PATHS[i]);
+    if (entry && isProject(entry))
+      return entry;
+  }
+  found = parser.glob('**/VBA/dir');
+  for (var j=0; j<found.length; ++j) {
+    entry = found[j].parent.parent;
+    if (isProject(entry))
+      return entry;
+  }
+};
+
+/*
+  Checks whether a document contains a VBA project without reading it.
+  `source` can be anything accepted by the compound file Parser or an open
+  Parser. `options` is optional and is passed on to the Parser. `cb` is
+  passed true or false.
+*/
+exports.hasMacros = function(source, options, cb) {
+  if (typeof options === 'function') {
+    cb = options;
+    options = undefined;
+  }
+  Parser.using(source, options, function(parser, done) {
+    done(undefined, findProject(parser) !== undefined);
+  }, cb);
+};
+
+/*
+  Reads the VBA project of a document (e.g. a macro-enabled Word or Excel
+  97-2003 document). `source` can be anything accepted by the compound file
+  Parser or an open Parser. `options` is optional and is passed on to the
+  Parser. `cb` is passed undefined if the document contains no VBA project,
+  otherwise an object with the format:
+
+    path       - path of the storage holding the project
+    name       - the project name
+    docString  - the project description
+    helpFile   - path of the project's help file
+    constants  - conditional compilation constants (e.g. 'DEBUG = 1')
+    codepage   - the codepage of the project's text
+    sysKind    - platform the project was created on: 'win16', 'win32',
+                 'mac' or 'win64'
+    version    - object with `major` and `minor` project version numbers
+    references - array of references to other projects and type libraries,
+                 each with the format:
+                   name          - the reference name
+                   type          - 'registered' (an Automation type
+                                   library), 'project' (another VBA project)
+                                   or 'control' (an ActiveX control's type
+                                   library)
+                   libid         - identifies the type library or project
+                   relativeLibid - relative path to the project ('project'
+                                   only)
+    modules    - array of modules, each with the format:
+                   name       - the module name
+                   streamName - name of the module's stream in the VBA
+                                storage
+                   type       - 'procedural' (a standard module) or
+                                'document' (a document, class or designer
+                                module)
+                   docString  - the module description
+                   offset     - offset of the source in the module stream
+                   readOnly   - true if the module is read-only
+                   private    - true if the module is private
+                   source     - the module's source code or undefined if the
+                                module stream is missing
+    autoExec   - array of procedures run automatically when the document is
+                 opened, closed, etc., each with the format:
+                   module    - the name of the module containing it
+                   procedure - the procedure name (e.g. 'AutoOpen')
+
+  The compiled form of the source (P-code) and the project's performance
+  cache are not read, so projects whose source was removed (leaving only
+  P-code) have modules with empty sources.
+*/
+exports.extract = function(source, options, cb) {
+  if (typeof options === 'function') {
+    cb = options;
+    options = undefined;
+  }
+  Parser.using(source, options, extract, cb);
+};
+
+exports.decompress = compression.decompress;
+
+function extract(parser, cb) {
+  var storage = findProject(parser), vba, work, project;
+  if (!storage)
+    return cb();
+  vba = findChild(storage, 'VBA');
+  parser.readStream(findChild(vba, 'dir'), function(err, dir) {
+    if (err)
+      return cb(err);
+    try {
+      project = parseDir(compression.decompress(dir));
+    } catch (ex) {
+      return cb(ex);
+    }
+    project.path = parser.pathOf(storage);
+
+    work = new Scheduler(parser.options.concurrency, function(err) {
+      if (err)
+        return cb(err);
+      project.autoExec = autoExec(project.modules);
+      cb(undefined, project);
+    });
+
+    project.modules.forEach(function(mod) {
+      work.push(function(done) {
+        var entry = findChild(vba, mod.streamName);
+        if (!entry || Array.isArray(entry.children))
+          return done();
+        parser.readStream(entry, function(err, data) {
+          if (err)
+            return done(err);
+          if (mod.offset >= data.length) {
+            mod.source = '';
+            return done();
+          }
+          try {
+            mod.source = codepages.decode(
+              compression.decompress(data, mod.offset),
+              project.codepage
+            );
+          } catch (ex) {
+            return done(ex);
+          }
+          done();
+        });
+      });
+    });
+
+    work.go();
+  });
+}
+
+/*
+  Parses the (decompressed) dir stream. Records are made up of a 16-bit ID,
+  a 32-bit size and that many bytes of data. The only exception is the
+  version record, whose size field is always 4 while 6 bytes follow.
+  Strings come in pairs of records, one in the project codepage and one in
+  UTF-16. The UTF-16 ones are preferred, but not every record has one and
+  older versions of VBA do not write them at all.
+*/
+function parseDir(buf) {
+  var project = {
+        path: undefined,
+        name: undefined,
+        docString: undefined,
+        helpFile: undefined,
+        constants: undefined,
+        codepage: CP_WINDOWS_1252,
+        sysKind: undefined,
+        version: undefined,
+        references: new Array(),
+        modules: new Array(),
+        autoExec: new Array()
+      },
+      pos = 0, id, size, data, ref, refName, mod, inModules = false,
+      inControl = false, original = false;
+
+  function text(data) {
+    return codepages.decode(data, project.codepage);
+  }
+
+  function newReference(type) {
+    ref = {
+      name: refName,
+      type: type,
+      libid: undefined
+    };
+    refName = undefined;
+    project.references.push(ref);
+    return ref;
+  }
+
+  while (pos + 6 <= buf.length) {
+    id = buf.readUInt16LE(pos, true);
+    size = buf.readUInt32LE(pos + 2, true);
+    pos += 6;
+    if (id === ID_VERSION)
+      size = 6;
+    if (pos + size > buf.length)
+      throw new FormatError('EFORMAT', 'VBA dir record is truncated');
+    data = buf.slice(pos, pos + size);
+    pos += size;
+
+    switch (id) {
+      case ID_SYSKIND:
+        project.sysKind = SYSKINDS[data.readUInt32LE(0, true)];
+        break;
+      case ID_CODEPAGE:
+        project.codepage = data.readUInt16LE(0, true);
+        break;
+      case ID_NAME:
+        project.name = text(data);
+        break;
+      case ID_DOCSTRING:
+        project.docString = text(data);
+        break;
+      case ID_DOCSTRING_UNICODE:
+        project.docString = data.toString('utf16le');
+        break;
+      case ID_HELPFILEPATH:
+        // the record that follows (0x003D) is not UTF-16 but a copy of this
+        // one in the same codepage, so it is left alone
+        project.helpFile = text(data);
+        break;
+      case ID_VERSION:
+        project.version = {
+          major: data.readUInt32LE(0, true),
+          minor: data.readUInt16LE(4, true)
+        };
+        break;
+      case ID_CONSTANTS:
+        project.constants = text(data);
+        break;
+      case ID_CONSTANTS_UNICODE:
+        project.constants = data.toString('utf16le');
+        break;
+
+      // References
+      case ID_REFERENCE_NAME:
+        // control references repeat their name in the middle of the record
+        if (!inControl)
+          refName = text(data);
+        break;
+      case ID_REFERENCE_NAME_UNICODE:
+        if (!inControl)
+          refName = data.toString('utf16le');
+        break;
+      case ID_REFERENCE_REGISTERED:
+        newReference('registered').libid = lengthPrefixed(data, 0, text);
+        break;
+      case ID_REFERENCE_PROJECT:
+        newReference('project');
+        ref.libid = lengthPrefixed(data, 0, text);
+        ref.relativeLibid = lengthPrefixed(data, 4 + data.readUInt32LE(0, true),
+                                           text);
+        break;
+      case ID_REFERENCE_ORIGINAL:
+        // always followed by the control reference it belongs to
+        newReference('control');
+        original = true;
+        break;
+      case ID_REFERENCE_CONTROL:
+        if (!original)
+          newReference('control');
+        original = false;
+        ref.libid = lengthPrefixed(data, 0, text);
+        inControl = true;
+        break;
+      case ID_REFERENCE_EXTENDED:
+        if (ref)
+          ref.libid = lengthPrefixed(data, 0, text);
+        inControl = false, original = false;
+        break;
+
+      // Modules
+      case ID_MODULES:
+        inModules = true;
+        break;
+      case ID_MODULE_NAME:
+        mod = {
+          name: text(data),
+          streamName: undefined,
+          type: undefined,
+          docString: undefined,
+          offset: 0,
+          readOnly: false,
+          private: false,
+          source: undefined
+        };
+        project.modules.push(mod);
+        break;
+      case ID_MODULE_NAME_UNICODE:
+        if (mod)
+          mod.name = data.toString('utf16le');
+        break;
+      case ID_MODULE_STREAM_NAME:
+        if (mod)
+          mod.streamName = text(data);
+        break;
+      case ID_MODULE_STREAM_NAME_UNICODE:
+        if (mod)
+          mod.streamName = data.toString('utf16le');
+        break;
+      case ID_MODULE_DOCSTRING:
+        if (mod)
+          mod.docString = text(data);
+        break;
+      case ID_MODULE_DOCSTRING_UNICODE:
+        if (mod)
+          mod.docString = data.toString('utf16le');
+        break;
+      case ID_MODULE_OFFSET:
+        if (mod)
+          mod.offset = data.readUInt32LE(0, true);
+        break;
+      case ID_MODULE_PROCEDURAL:
+        if (mod)
+          mod.type = 'procedural';
+        break;
+      case ID_MODULE_DOCUMENT:
+        if (mod)
+          mod.type = 'document';
+        break;
+      case ID_MODULE_READONLY:
+        if (mod)
+          mod.readOnly = true;
+        break;
+      case ID_MODULE_PRIVATE:
+        if (mod)
+          mod.private = true;
+        break;
+      case ID_MODULE_TERMINATOR:
+        if (mod && mod.streamName === undefined)
+          mod.streamName = mod.name;
+        mod = undefined;
+        break;
+      case ID_TERMINATOR:
+        return project;
+    }
+  }
+
+  if (!inModules)
+    throw new FormatError('EFORMAT', 'VBA dir stream has no modules record');
+  return project;
+}
+
+// Finds the auto-exec procedures declared in the modules' sources
+function autoExec(modules) {
+  var ret = new Array(), m;
+  modules.forEach(function(mod) {
+    if (!mod.source)
+      return;
+    RE_PROCEDURE.lastIndex = 0;
+    while ((m = RE_PROCEDURE.exec(mod.source)) !== null) {
+      for (var i=0,len=AUTO_EXEC.length; i<len; ++i) {
+        if (AUTO_EXEC[i].toLowerCase() === m[1].toLowerCase()) {
+          ret.push({ module: mod.name, procedure: m[1] });
+          break;
+        }
+      }
+    }
+  });
+  return ret;
+}
+
+// Reads a string prefixed with its 32-bit length
+function lengthPrefixed(data, pos, decode) {
+  var len;
+  if (pos + 4 > data.length)
+    return;
+  len = data.readUInt32LE(pos, true);
+  return decode(data.slice(pos + 4, Math.min(pos + 4 + len, data.length)));
+}
+
+function isProject(storage) {
+  var vba = findChild(storage, 'VBA'), dir = findChild(vba, 'dir');
+  return (dir !== undefined && !Array.isArray(dir.children));
+}
+
+function findChild(storage, name) {
+  if (!storage || !Array.isArray(storage.children))
+    return;
+  for (var i=0,len=storage.children.length; i<len; ++i) {
+    if (utils.compareNames(storage.children[i].name, name) === 0)
+      return storage.children[i];
+  }
+}
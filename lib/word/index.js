@@ -0,0 +1,309 @@
+var Parser = require('../compound'), consts = require('../compound/constants'),
+    codepages = require('../codepage'), FormatError = require('../errors');
+
+var CLSID = consts.CLSID,
+    CP_WINDOWS_1252 = consts.CP_WINDOWS_1252;
+
+// Lengths of the parts ("stories") of a document are stored in this order and
+// so are the parts themselves, one after the other. Macro text is unused
+var PARTS = ['body', 'footnotes', 'headers', undefined, 'comments',
+             'endnotes', 'textboxes', 'headerTextboxes'];
+
+/*
+  Extracts the text of a Word 97-2003 (or Word 6/95) document. `source` can be
+  anything accepted by the compound file Parser or an open Parser. `options`
+  is optional and is passed on to the Parser. `cb` is passed an object with
+  the format:
+
+    version - 'word97' or 'word95'
+    text    - the main document text (same as `parts.body`)
+    parts   - the text of each part of the document: `body`, `footnotes`,
+              `headers` (headers and footers), `comments`, `endnotes`,
+              `textboxes` and `headerTextboxes`
+
+  Paragraph marks and line, page and section breaks become '\n' and table
+  cell marks become '\t'. Only the results of fields are kept, not their
+  codes.
+*/
+exports.extract = function(source, options, cb) {
+  if (typeof options === 'function') {
+    cb = options;
+    options = undefined;
+  }
+  Parser.using(source, options, extract, cb);
+};
+
+function extract(parser, cb) {
+  var entry = parser.resolve('WordDocument'),
+      summary = parser.resolve('\x05SummaryInformation');
+  if (!entry)
+    return cb(new FormatError('EFORMAT', 'Not a Word document'));
+  if (!summary || Array.isArray(summary.children))
+    return extractText(parser, entry, cb);
+  // Word 6/95 text is decoded using the codepage of the SummaryInformation
+  parser.getProperties(summary, function(err) {
+    if (err)
+      return cb(err);
+    extractText(parser, entry, cb);
+  });
+}
+
+function extractText(parser, entry, cb) {
+  parser.readStream(entry, function(err, doc) {
+    var fib;
+    if (err)
+      return cb(err);
+    try {
+      fib = parseFib(doc, parser);
+    } catch (ex) {
+      return cb(ex);
+    }
+    if (fib.encrypted) {
+      return cb(new FormatError('EENCRYPTED',
+                                (fib.obfuscated
+                                 ? 'Document is obfuscated'
+                                 : 'Document is encrypted')));
+    }
+    if (fib.version === 'word95')
+      return done(doc);
+    entry = parser.resolve(fib.tableStream);
+    if (!entry) {
+      return cb(new FormatError('EFORMAT', 'Missing table stream: '
+                                           + fib.tableStream));
+    }
+    parser.readStream(entry, function(err, table) {
+      if (err)
+        return cb(err);
+      done(table);
+    });
+
+    // `table` is the stream containing the piece table
+    function done(table) {
+      var pieces, parts = new Object(), cp = 0;
+      try {
+        if (fib.version === 'word95' && !fib.complex) {
+          // the text is stored as-is
+          pieces = [{
+            cpStart: 0,
+            cpEnd: fib.fcMac - fib.fcMin,
+            fc: fib.fcMin,
+            compressed: true
+          }];
+        } else {
+          pieces = parsePieces(table.slice(fib.fcClx, fib.fcClx + fib.lcbClx),
+                               fib.version === 'word97');
+        }
+      } catch (ex) {
+        return cb(ex);
+      }
+      for (var i=0; i<PARTS.length; ++i) {
+        if (PARTS[i]) {
+          parts[PARTS[i]] = cleanText(readText(doc, pieces, cp,
+                                               cp + fib.ccp[i],
+                                               fib.codepage));
+        }
+        cp += fib.ccp[i];
+      }
+      cb(undefined, {
+        version: fib.version,
+        text: parts.body,
+        parts: parts
+      });
+    }
+  });
+}
+
+/*
+  The File Information Block (FIB) at the start of the WordDocument stream
+  starts with the following fields (FibBase):
+
+    wIdent        (2) - always 0xA5EC
+    nFib          (2) - file format version
+    unused        (2)
+    lid           (2) - install language of the application that created
+                        the document
+    pnNext        (2)
+    flags         (2) - fDot, fGlsy, fComplex (0x0004), fHasPic, cQuickSaves
+                        (4 bits), fEncrypted (0x0100), fWhichTblStm (0x0200),
+                        fReadOnlyRecommended, fWriteReservation, fExtChar,
+                        fLoadOverride, fFarEast, fObfuscated (0x8000)
+    ...
+
+  Word 97 and later follow this with variable sized arrays of 16-bit values
+  (fibRgW), 32-bit values (fibRgLw, containing the part lengths) and offset
+  and size pairs (fibRgFcLcb, containing the location of the piece table in
+  the table stream), each preceded by its element count. Word 6/95 use fixed
+  offsets instead and have no table stream.
+*/
+function parseFib(buf, parser) {
+  var fib, flags, pos, old, root = parser.dir;
+  if (buf.length < 32 || buf.readUInt16LE(0, true) !== 0xA5EC)
+    throw new FormatError('EFORMAT', 'Invalid WordDocument stream');
+  flags = buf.readUInt16LE(10, true);
+  fib = {
+    nFib: buf.readUInt16LE(2, true),
+    version: 'word97',
+    complex: (flags & 0x0004) !== 0,
+    encrypted: (flags & 0x0100) !== 0,
+    obfuscated: (flags & 0x8000) !== 0,
+    tableStream: (flags & 0x0200 ? '1Table' : '0Table'),
+    codepage: CP_WINDOWS_1252,
+    ccp: new Array(PARTS.length),
+    fcMin: 0,
+    fcMac: 0,
+    fcClx: 0,
+    lcbClx: 0
+  };
+
+  old = (root.classId && sameId(root.classId, CLSID.WORD[1]));
+  if (fib.nFib < 101)
+    throw new FormatError('EUNSUPPORTED', 'Unsupported Word version');
+  else if (fib.nFib < 0xC0 || old) {
+    // Word 6/95
+    fib.version = 'word95';
+    if (buf.length < 0x168)
+      throw new FormatError('EFORMAT', 'Invalid WordDocument stream');
+    fib.codepage = documentCodepage(parser);
+    fib.fcMin = buf.readUInt32LE(0x18, true);
+    fib.fcMac = buf.readUInt32LE(0x1C, true);
+    for (var i=0; i<PARTS.length; ++i)
+      fib.ccp[i] = buf.readUInt32LE(0x34 + i * 4, true);
+    fib.fcClx = buf.readUInt32LE(0x160, true);
+    fib.lcbClx = buf.readUInt32LE(0x164, true);
+    return fib;
+  }
+
+  // skip fibRgW
+  pos = 34 + buf.readUInt16LE(32, true) * 2;
+  // fibRgLw, the part lengths start at the fourth value
+  if (pos + 2 + 11 * 4 > buf.length)
+    throw new FormatError('EFORMAT', 'Invalid WordDocument stream');
+  for (var i=0; i<PARTS.length; ++i)
+    fib.ccp[i] = buf.readUInt32LE(pos + 2 + (3 + i) * 4, true);
+  pos += 2 + buf.readUInt16LE(pos, true) * 4;
+  // fibRgFcLcb, fcClx and lcbClx are the 34th pair
+  if (pos + 2 + 34 * 8 > buf.length || buf.readUInt16LE(pos, true) < 34)
+    throw new FormatError('EFORMAT', 'Invalid WordDocument stream');
+  fib.fcClx = buf.readUInt32LE(pos + 2 + 33 * 8, true);
+  fib.lcbClx = buf.readUInt32LE(pos + 2 + 33 * 8 + 4, true);
+  return fib;
+}
+
+/*
+  The piece table (part of the CLX structure) maps character positions (CPs)
+  to where the text is stored in the WordDocument stream. The CLX starts with
+  any number of Prc structures (0x01, a 16-bit size and that many bytes),
+  followed by the Pcdt:
+
+    clxt    (1) - always 0x02
+    lcb     (4) - size of the PlcPcd
+    PlcPcd  (?) - n+1 CPs (4 bytes each) followed by n piece descriptors (8
+                  bytes each)
+
+  Each piece descriptor contains the location of the piece's text at byte 2.
+  For Word 97 and later bit 30 of the location is set for 8-bit (cp1252)
+  text, in which case the location has to be divided by 2. Otherwise the
+  text is UTF-16. Word 6/95 text is always 8-bit.
+*/
+function parsePieces(clx, word97) {
+  var pos = 0, pieces = new Array(), lcb, n, fc, pcd;
+  while (pos + 3 <= clx.length && clx[pos] === 0x01)
+    pos += 3 + clx.readUInt16LE(pos+1, true);
+  if (pos + 5 > clx.length || clx[pos] !== 0x02)
+    throw new FormatError('EFORMAT', 'Invalid piece table');
+  lcb = clx.readUInt32LE(pos+1, true);
+  pos += 5;
+  n = (lcb - 4) / 12;
+  if (n < 0 || n % 1 !== 0 || pos + lcb > clx.length)
+    throw new FormatError('EFORMAT', 'Invalid piece table');
+  pcd = pos + (n + 1) * 4;
+  for (var i=0; i<n; ++i) {
+    fc = clx.readUInt32LE(pcd + i * 8 + 2, true);
+    pieces.push({
+      cpStart: clx.readUInt32LE(pos + i * 4, true),
+      cpEnd: clx.readUInt32LE(pos + i * 4 + 4, true),
+      fc: (word97 && (fc & 0x40000000) ? (fc & 0x3FFFFFFF) / 2 : fc),
+      compressed: !word97 || (fc & 0x40000000) !== 0
+    });
+  }
+  return pieces;
+}
+
+// Returns the raw text between two CPs
+function readText(doc, pieces, cpStart, cpEnd, codepage) {
+  var text = '', piece, start, end, fc;
+  for (var i=0,len=pieces.length; i<len; ++i) {
+    piece = pieces[i];
+    start = Math.max(cpStart, piece.cpStart);
+    end = Math.min(cpEnd, piece.cpEnd);
+    if (start >= end)
+      continue;
+    if (piece.compressed) {
+      fc = piece.fc + (start - piece.cpStart);
+      text += codepages.decode(doc, codepage, fc,
+                               Math.min(doc.length, fc + end - start));
+    } else {
+      fc = piece.fc + (start - piece.cpStart) * 2;
+      text += doc.toString('ucs2', fc,
+                           Math.min(doc.length, fc + (end - start) * 2));
+    }
+  }
+  return text;
+}
+
+/*
+  Turns Word's special characters into plain text and removes field codes.
+  Fields are made up of a field begin character (0x13), the field code, an
+  optional separator (0x14) followed by the field result, and a field end
+  character (0x15). Fields can be nested.
+*/
+function cleanText(text) {
+  var out = '', fields = new Array(), c;
+  for (var i=0,len=text.length; i<len; ++i) {
+    c = text.charCodeAt(i);
+    if (c === 0x13) {
+      // `true` while in the field code
+      fields.push(true);
+      continue;
+    } else if (c === 0x14) {
+      if (fields.length)
+        fields[fields.length - 1] = false;
+      continue;
+    } else if (c === 0x15) {
+      fields.pop();
+      continue;
+    }
+    if (fields.indexOf(true) !== -1)
+      continue;
+    if (c === 0x0D || c === 0x0B || c === 0x0C)
+      out += '\n'; // paragraph mark, line break, page or section break
+    else if (c === 0x07)
+      out += '\t'; // table cell or row mark
+    else if (c === 0x1E)
+      out += '-'; // non-breaking hyphen
+    else if (c === 0xA0)
+      out += ' '; // non-breaking space
+    else if (c >= 0x20 || c === 0x09)
+      out += text[i];
+    // everything else (optional hyphens, pictures, footnote references,
+    // etc.) has no textual representation
+  }
+  return out;
+}
+
+// Word 6/95 text is stored using the document's codepage
+function documentCodepage(parser) {
+  var entry = parser.resolve('\x05SummaryInformation'),
+      props = (entry && entry.properties);
+  if (props && props.sections.length && props.sections[0].codepage)
+    return props.sections[0].codepage;
+  return CP_WINDOWS_1252;
+}
+
+function sameId(a, b) {
+  for (var i=0; i<16; ++i) {
+    if (a[i] !== b[i])
+      return false;
+  }
+  return true;
+}
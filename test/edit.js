@@ -0,0 +1,108 @@
+/*
+  Checks that property sets read before a stream is replaced, truncated or
+  removed are not returned afterwards.
+
+  Usage: node test/edit.js
+*/
+var assert = require('node:assert');
+
+var Parser = require('../lib/compound'),
+    propset = require('../lib/compound/propset'),
+    consts = require('../lib/compound/constants');
+
+var SUMMARY = '\x05SummaryInformation';
+
+function summary(author) {
+  var items = new Object();
+  items[consts.PID_CODEPAGE] = { type: consts.VT_I2, value: 65001 };
+  items[consts.PID_AUTHOR] = { type: consts.VT_LPSTR, value: author };
+  return propset.serialize({
+    sections: [{ fmtId: consts.FORMATID.SUMMARY, items: items }]
+  });
+}
+
+function open(cb) {
+  var buf = new Parser.Writer({ name: 'Root Entry', children: [
+    { name: SUMMARY, data: summary('Автор') }
+  ] }).toBuffer();
+  var parser = new Parser(buf, function(err) {
+    if (err)
+      throw err;
+    parser.getMetadata(function(err, meta) {
+      if (err)
+        throw err;
+      assert.strictEqual(meta.author, 'Автор');
+      cb(parser);
+    });
+  });
+}
+
+var tests = new Array();
+
+function test(name, fn) {
+  tests.push({ name: name, fn: fn });
+}
+
+test('replaceStream', function(done) {
+  open(function(parser) {
+    parser.replaceStream(SUMMARY, summary('Someone else'));
+    parser.getMetadata(function(err, meta) {
+      if (err)
+        throw err;
+      assert.strictEqual(meta.author, 'Someone else');
+      done();
+    });
+  });
+});
+
+test('truncateStream', function(done) {
+  open(function(parser) {
+    parser.truncateStream(SUMMARY, 0, function(err) {
+      if (err)
+        throw err;
+      parser.getProperties(SUMMARY, function(err, props) {
+        if (err)
+          throw err;
+        assert.strictEqual(props, null);
+        done();
+      });
+    });
+  });
+});
+
+test('remove', function(done) {
+  open(function(parser) {
+    var entry = parser.resolve(SUMMARY);
+    parser.remove(entry);
+    assert.strictEqual(entry.properties, undefined);
+    parser.getMetadata(function(err, meta) {
+      if (err)
+        throw err;
+      assert.strictEqual(meta.author, undefined);
+      done();
+    });
+  });
+});
+
+test('setProperties', function(done) {
+  open(function(parser) {
+    var props = propset.parse(summary('Set'));
+    parser.setProperties(SUMMARY, props);
+    parser.getMetadata(function(err, meta) {
+      if (err)
+        throw err;
+      assert.strictEqual(meta.author, 'Set');
+      done();
+    });
+  });
+});
+
+(function next() {
+  var t = tests.shift();
+  if (!t)
+    return;
+  t.fn(function() {
+    console.log('ok - ' + t.name);
+    next();
+  });
+})();
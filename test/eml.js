@@ -0,0 +1,98 @@
+/*
+  Converts an Outlook message with line breaks and control characters in
+  every value that ends up in a header, and checks that none of them can
+  start a header of its own.
+
+  Usage: node test/eml.js
+*/
+var assert = require('node:assert');
+
+var Parser = require('../lib/compound'), outlook = require('../lib/outlook');
+
+var INJECTED = '\r\nBcc: evil@x';
+
+function unicode(str) {
+  return Buffer.from(str + '\0', 'utf16le');
+}
+
+// Property stream with PT_LONG properties (`props` maps IDs to values)
+function properties(headerSize, props) {
+  var ids = Object.keys(props), buf = Buffer.alloc(headerSize
+                                                   + ids.length * 16);
+  ids.forEach(function(id, i) {
+    var pos = headerSize + i * 16;
+    buf.writeUInt16LE(0x0003, pos);
+    buf.writeUInt16LE(+id, pos + 2);
+    buf.writeUInt32LE(6, pos + 4);
+    buf.writeInt32LE(props[id], pos + 8);
+  });
+  return buf;
+}
+
+// Stream holding a PT_UNICODE property
+function string(id, str) {
+  return { name: '__substg1.0_' + ('000' + id.toString(16).toUpperCase())
+                                  .slice(-4) + '001F',
+           data: unicode(str) };
+}
+
+function message() {
+  var root = { name: 'Root Entry', children: [
+    { name: '__properties_version1.0', data: properties(32, {}) },
+    string(0x001A, 'IPM.Note'),
+    string(0x0037, 'Subject' + INJECTED),
+    string(0x1000, 'Body'),
+    string(0x0042, 'Sender' + INJECTED),
+    string(0x5D02, 'sender@x' + INJECTED),
+    string(0x1035, '<id1@x>' + INJECTED),
+    string(0x1042, 'id2@x\r\nX-Evil: 1'),
+    string(0x1039, '<id3@x>\r\n<id4@x>\rX-Evil: 2'),
+    { name: '__recip_version1.0_#00000000', children: [
+      { name: '__properties_version1.0',
+        data: properties(8, { 0x0C15: 1 }) },
+      string(0x3001, 'Recipient "R"' + INJECTED),
+      string(0x39FE, 'recipient@x>' + INJECTED)
+    ] },
+    { name: '__attach_version1.0_#00000000', children: [
+      { name: '__properties_version1.0',
+        data: properties(8, { 0x3705: 1 }) },
+      { name: '__substg1.0_37010102', data: Buffer.from('data') },
+      string(0x3707, 'file.txt' + INJECTED),
+      string(0x370E, 'text/plain' + INJECTED),
+      string(0x3712, 'cid@x' + INJECTED)
+    ] }
+  ] };
+  return new Parser.Writer(root).toBuffer();
+}
+
+outlook.open(message(), function(err, msg) {
+  if (err)
+    throw err;
+  msg.toEml(function(err, data) {
+    var str, lines, headers = new Array();
+    if (err)
+      throw err;
+    str = data.toString('ascii');
+    // nothing but CRLF line endings
+    assert.strictEqual(str.replace(/\r\n/g, '').search(/[\r\n]/), -1);
+    lines = str.split('\r\n');
+    lines.forEach(function(line) {
+      if (/^[\w-]+:/.test(line))
+        headers.push(line.slice(0, line.indexOf(':')).toLowerCase());
+    });
+    assert.strictEqual(headers.indexOf('bcc'), -1);
+    assert.strictEqual(headers.indexOf('x-evil'), -1);
+
+    assert.ok(lines.indexOf('Message-ID: <id1@xBcc:evil@x>') !== -1);
+    assert.ok(lines.indexOf('In-Reply-To: <id2@xX-Evil:1>') !== -1);
+    assert.ok(lines.indexOf('Content-ID: <cid@xBcc:evil@x>') !== -1);
+    assert.ok(lines.indexOf('Content-Type: application/octet-stream;'
+                            + ' name="file.txt Bcc: evil@x"') !== -1);
+    assert.ok(lines.indexOf('From: "Sender Bcc: evil@x"'
+                            + ' <sender@xBcc:evil@x>') !== -1);
+    assert.ok(lines.indexOf('To: "Recipient \\"R\\" Bcc: evil@x"'
+                            + ' <recipient@xBcc:evil@x>') !== -1);
+    assert.ok(lines.indexOf('Subject: Subject Bcc: evil@x') !== -1);
+    console.log('ok - header values can not inject headers');
+  });
+});
@@ -0,0 +1,556 @@
+/*
+  Decrypts RC4 and RC4 CryptoAPI encrypted Word, Excel and PowerPoint
+  97-2003 documents and Standard and Agile encrypted Office Open XML
+  packages, and checks the decrypted streams or package. The documents are
+  generated here with known passwords and salts, by an encryptor written
+  from MS-OFFCRYPTO that shares no code with lib/encryption.
+
+  Usage: node test/encryption.js
+*/
+var assert = require('node:assert'), crypto = require('crypto');
+
+var Parser = require('../lib/compound'),
+    encryption = require('../lib/encryption'),
+    keys = require('../lib/encryption/keys');
+
+var PASSWORD = 'Secret123',
+    SALT = Buffer.from('000102030405060708090a0b0c0d0e0f', 'hex'),
+    VERIFIER = Buffer.from('f0e1d2c3b4a5968778695a4b3c2d1e0f', 'hex');
+
+// Returns `n` bytes of RC4 key stream for `key`
+function rc4Stream(key, n) {
+  var s = new Array(256), out = Buffer.alloc(n), i, j = 0, t;
+  for (i=0; i<256; ++i)
+    s[i] = i;
+  for (i=0; i<256; ++i) {
+    j = (j + s[i] + key[i % key.length]) & 0xFF;
+    t = s[i];
+    s[i] = s[j];
+    s[j] = t;
+  }
+  i = j = 0;
+  for (var p=0; p<n; ++p) {
+    i = (i + 1) & 0xFF;
+    j = (j + s[i]) & 0xFF;
+    t = s[i];
+    s[i] = s[j];
+    s[j] = t;
+    out[p] = s[(s[i] + s[j]) & 0xFF];
+  }
+  return out;
+}
+
+function hash(name) {
+  var h = crypto.createHash(name);
+  for (var i=1; i<arguments.length; ++i)
+    h.update(arguments[i]);
+  return h.digest();
+}
+
+function uint32(n) {
+  var buf = Buffer.alloc(4);
+  buf.writeUInt32LE(n >>> 0, 0);
+  return buf;
+}
+
+function uint16(n) {
+  var buf = Buffer.alloc(2);
+  buf.writeUInt16LE(n, 0);
+  return buf;
+}
+
+function xor(buf, ks, start, end) {
+  for (var i=start; i<end; ++i)
+    buf[i] ^= ks[i];
+}
+
+// Returns `size` bytes of varied data
+function filled(size, seed) {
+  var buf = Buffer.alloc(size);
+  for (var i=0; i<size; ++i)
+    buf[i] = (i * 31 + seed) & 0xFF;
+  return buf;
+}
+
+/*
+  Returns an encryption method with `keyFn(block)` giving the RC4 key of a
+  block and `info` holding its encryption information: RC4 (version 1.1)
+  or, if `keyBits` is given, RC4 CryptoAPI
+*/
+function rc4Method(password, keyBits) {
+  var pw = Buffer.from(password, 'utf16le'), ret = new Object(), h0, h1,
+      parts = new Array(), verifier, header;
+  if (!keyBits) {
+    h0 = hash('md5', pw).slice(0, 5);
+    for (var i=0; i<16; ++i)
+      parts.push(h0, SALT);
+    h1 = hash('md5', Buffer.concat(parts)).slice(0, 5);
+    ret.keyFn = function(block) {
+      return hash('md5', h1, uint32(block));
+    };
+    verifier = encryptVerifier(ret.keyFn, hash('md5', VERIFIER));
+    ret.info = Buffer.concat([uint16(1), uint16(1), SALT, verifier]);
+    return ret;
+  }
+  h0 = hash('sha1', SALT, pw);
+  ret.keyFn = function(block) {
+    var key = hash('sha1', h0, uint32(block)).slice(0, keyBits / 8);
+    return (keyBits === 40 ? Buffer.concat([key, Buffer.alloc(11)]) : key);
+  };
+  verifier = encryptVerifier(ret.keyFn, hash('sha1', VERIFIER));
+  header = Buffer.concat([
+    uint32(0x04), uint32(0), uint32(0x6801), uint32(0x8004),
+    uint32(keyBits), uint32(1), Buffer.alloc(8),
+    Buffer.from('Test Provider\0', 'utf16le')
+  ]);
+  ret.info = Buffer.concat([
+    uint16(4), uint16(2), uint32(0x04), uint32(header.length), header,
+    uint32(16), SALT, verifier.slice(0, 16), uint32(20), verifier.slice(16)
+  ]);
+  return ret;
+}
+
+// Encrypts the verifier and its hash with one key stream
+function encryptVerifier(keyFn, verifierHash) {
+  var buf = Buffer.concat([VERIFIER, verifierHash]);
+  xor(buf, rc4Stream(keyFn(0), buf.length), 0, buf.length);
+  return buf;
+}
+
+// Returns the key stream of data encrypted in blocks of `blockSize` bytes
+function blockStream(keyFn, size, blockSize) {
+  var parts = new Array();
+  for (var pos=0,n=0; pos<size; pos+=blockSize,++n)
+    parts.push(rc4Stream(keyFn(n), Math.min(blockSize, size - pos)));
+  return Buffer.concat(parts);
+}
+
+function compoundFile(streams) {
+  var root = { name: 'Root Entry', children: new Array() };
+  for (var name in streams)
+    root.children.push({ name: name, data: streams[name] });
+  return new Parser.Writer(root).toBuffer();
+}
+
+// Decrypts `file` and passes its streams to `cb`, by name
+function decryptStreams(file, password, cb) {
+  encryption.decrypt(file, password, function(err, buf) {
+    if (err)
+      return cb(err);
+    var parser = new Parser(buf, function(err) {
+      var ret = new Object(), entries = parser.dir.children, i = 0;
+      if (err)
+        return cb(err);
+      (function next(err, data) {
+        if (err)
+          return cb(err);
+        if (i)
+          ret[entries[i - 1].name] = data;
+        if (i === entries.length)
+          return cb(undefined, ret);
+        parser.readStream(entries[i++], next);
+      })();
+    });
+  });
+}
+
+/*
+  Word: the WordDocument, table and Data streams are encrypted in 512 byte
+  blocks, except for the FibBase and the encryption header at the start of
+  the table stream
+*/
+function wordDocument(method) {
+  var doc = filled(1500, 1), table = Buffer.concat([method.info,
+                                                    filled(900, 2)]),
+      data = filled(700, 3), ret = new Object(), ks;
+  doc.writeUInt16LE(0xA5EC, 0);
+  doc.writeUInt16LE(0xC1, 2);
+  doc.writeUInt16LE(0x0200, 10);
+  doc.writeUInt32LE(0, 14);
+  ret.plain = { WordDocument: doc, '1Table': table, Data: data };
+
+  doc = Buffer.from(doc);
+  doc.writeUInt16LE(0x0300, 10);
+  doc.writeUInt32LE(method.info.length, 14);
+  xor(doc, blockStream(method.keyFn, doc.length, 512), 68, doc.length);
+  table = Buffer.from(table);
+  ks = blockStream(method.keyFn, table.length, 512);
+  xor(table, ks, method.info.length, table.length);
+  data = Buffer.from(data);
+  xor(data, blockStream(method.keyFn, data.length, 512), 0, data.length);
+  ret.file = compoundFile({ WordDocument: doc, '1Table': table, Data: data });
+  return ret;
+}
+
+function record(type, data) {
+  return Buffer.concat([uint16(type), uint16(data.length), data]);
+}
+
+/*
+  Excel: the data of the records following FILEPASS is encrypted in 1024
+  byte blocks of the Workbook stream, except for a few records and the
+  stream position of BOUNDSHEET8 records
+*/
+function excelWorkbook(method) {
+  var filePass = Buffer.concat([uint16(1), method.info]),
+      boundSheet = Buffer.concat([uint32(0), uint16(0),
+                                  Buffer.from('\x06\x00Sheet1', 'latin1')]),
+      bof = record(0x0809, filled(16, 4)), plain, encrypted, records, ks,
+      pos, type, size;
+  records = [
+    bof,
+    record(0x002F, filePass),
+    record(0x00E1, uint16(0x04B0)),
+    record(0x0042, uint16(1252)),
+    record(0x0085, boundSheet),
+    record(0x00FC, filled(1500, 5)),
+    record(0x000A, Buffer.alloc(0)),
+    record(0x0809, filled(16, 6)),
+    record(0x0200, filled(14, 7)),
+    record(0x000A, Buffer.alloc(0))
+  ];
+  // the BOUNDSHEET8 points at the worksheet's BOF
+  boundSheet.writeUInt32LE(Buffer.concat(records.slice(0, 7)).length, 0);
+  records[4] = record(0x0085, boundSheet);
+  encrypted = Buffer.concat(records);
+  plain = Buffer.from(encrypted);
+  // the decrypted FILEPASS is a record of type 0 with nothing in it
+  plain.fill(0, bof.length, bof.length + 4 + filePass.length);
+  plain.writeUInt16LE(filePass.length, bof.length + 2);
+
+  ks = blockStream(method.keyFn, encrypted.length, 1024);
+  pos = bof.length + 4 + filePass.length;
+  for (; pos<encrypted.length; pos+=size) {
+    type = encrypted.readUInt16LE(pos);
+    size = encrypted.readUInt16LE(pos + 2);
+    pos += 4;
+    if (type === 0x00E1 || type === 0x0809)
+      continue;
+    xor(encrypted, ks, (type === 0x0085 ? pos + 4 : pos), pos + size);
+  }
+  return { plain: { Workbook: plain },
+           file: compoundFile({ Workbook: encrypted }) };
+}
+
+function pptRecord(verInst, type, data) {
+  return Buffer.concat([uint16(verInst), uint16(type), uint32(data.length),
+                        data]);
+}
+
+function currentUser(token, editOffset) {
+  var atom = Buffer.concat([uint32(20), uint32(token), uint32(editOffset),
+                            uint16(4), uint16(0x03F4), Buffer.from([3, 0]),
+                            uint16(0), Buffer.from('test', 'latin1'),
+                            uint32(8)]);
+  return pptRecord(0, 0x0FF6, atom);
+}
+
+/*
+  PowerPoint: every persist object but the CryptSession10Container is
+  encrypted on its own, header and all, with the key of its persist ID.
+  The UserEditAtom and PersistDirectoryAtom are not encrypted.
+*/
+function presentation(method) {
+  var objects = [
+    pptRecord(0x0F, 0x03E8, filled(40, 8)),
+    pptRecord(0x0F, 0x03EE, filled(1200, 9)),
+    pptRecord(0x0F, 0x2F14, method.info),
+    pptRecord(0x0F, 0x03F0, filled(300, 10))
+  ], offsets = new Array(), pos = 0, dir, edit, plain, encrypted, ks;
+  objects.forEach(function(obj) {
+    offsets.push(pos);
+    pos += obj.length;
+  });
+  dir = pptRecord(0, 0x1772, Buffer.concat([
+    uint32(1 | (objects.length << 20))
+  ].concat(offsets.map(uint32))));
+  edit = pptRecord(0, 0x0FF5, Buffer.concat([
+    uint32(0), uint16(0), Buffer.from([0, 3]), uint32(0), uint32(pos),
+    uint32(1), uint32(objects.length + 1), uint16(1), uint16(0),
+    uint32(3)
+  ]));
+  plain = Buffer.concat(objects.concat([dir, edit]));
+  encrypted = Buffer.from(plain);
+  objects.forEach(function(obj, i) {
+    if (i === 2)
+      return;
+    ks = rc4Stream(method.keyFn(i + 1), obj.length);
+    for (var j=0; j<obj.length; ++j)
+      encrypted[offsets[i] + j] ^= ks[j];
+  });
+  pos += dir.length;
+  return {
+    plain: { 'Current User': currentUser(0xE391C05F, pos),
+             'PowerPoint Document': plain },
+    file: compoundFile({ 'Current User': currentUser(0xF3D1C4DF, pos),
+                         'PowerPoint Document': encrypted })
+  };
+}
+
+// `fixture.plain` is either the decrypted package or the decrypted streams
+function checkDecrypted(fixture, password, expected, done) {
+  var original = Buffer.from(fixture.file),
+      isPackage = Buffer.isBuffer(fixture.plain);
+  (isPackage ? encryption.decrypt
+             : decryptStreams)(fixture.file, password, function(err, result) {
+    if (err)
+      return done(err);
+    try {
+      assert.ok(fixture.file.equals(original), 'the source was modified');
+      if (isPackage)
+        assert.ok(result.equals(fixture.plain), 'package');
+      else {
+        assert.deepStrictEqual(Object.keys(result).sort(),
+                               Object.keys(fixture.plain).sort());
+        for (var name in fixture.plain)
+          assert.ok(result[name].equals(fixture.plain[name]), name);
+      }
+    } catch (ex) {
+      return done(ex);
+    }
+    encryption.getEncryptionInfo(fixture.file, function(err, info) {
+      if (err)
+        return done(err);
+      try {
+        assert.strictEqual(info.format, expected.format);
+        assert.strictEqual(info.method, expected.method);
+        assert.strictEqual(info.keyBits, expected.keyBits);
+        assert.strictEqual(info.supported, true);
+      } catch (ex) {
+        return done(ex);
+      }
+      done();
+    });
+  });
+}
+
+// Encrypts with AES without padding (`data` is a multiple of 16 bytes)
+function aes(mode, key, iv, data) {
+  var cipher = crypto.createCipheriv('aes-' + key.length * 8 + '-' + mode,
+                                     key, iv);
+  cipher.setAutoPadding(false);
+  return Buffer.concat([cipher.update(data), cipher.final()]);
+}
+
+// Pads `buf` with `pad` to a multiple of `size` bytes
+function padded(buf, size, pad) {
+  var extra = (size - buf.length % size) % size;
+  return Buffer.concat([buf, Buffer.alloc(extra, pad || 0)]);
+}
+
+function spin(name, h, count) {
+  for (var i=0; i<count; ++i)
+    h = hash(name, uint32(i), h);
+  return h;
+}
+
+// A zip package, as far as anyone looking at its first bytes can tell
+function zipPackage() {
+  return Buffer.concat([Buffer.from('PK\x03\x04', 'latin1'),
+                        filled(10003, 11)]);
+}
+
+// The EncryptedPackage stream starts with the size of the package
+function ooxmlFile(info, encrypted, size) {
+  return compoundFile({ EncryptionInfo: info,
+                        EncryptedPackage: Buffer.concat([uint32(size),
+                                                         uint32(0),
+                                                         encrypted]) });
+}
+
+/*
+  Standard encryption: the package is encrypted with AES-ECB as a whole,
+  with a key derived from the password with 50000 rounds of SHA-1
+*/
+function standardPackage(password) {
+  var pkg = zipPackage(), h, x1, x2, key, header, verifier;
+  h = spin('sha1', hash('sha1', SALT, Buffer.from(password, 'utf16le')),
+           50000);
+  h = hash('sha1', h, uint32(0));
+  x1 = Buffer.alloc(64, 0x36);
+  x2 = Buffer.alloc(64, 0x5C);
+  for (var i=0; i<20; ++i) {
+    x1[i] ^= h[i];
+    x2[i] ^= h[i];
+  }
+  key = hash('sha1', x1).slice(0, 16);
+  verifier = Buffer.concat([
+    aes('ecb', key, null, VERIFIER),
+    aes('ecb', key, null, padded(hash('sha1', VERIFIER), 16))
+  ]);
+  header = Buffer.concat([
+    uint32(0x24), uint32(0), uint32(0x660E), uint32(0x8004), uint32(128),
+    uint32(0x18), Buffer.alloc(8), Buffer.from('Test Provider\0', 'utf16le')
+  ]);
+  return {
+    plain: pkg,
+    file: ooxmlFile(Buffer.concat([
+      uint16(4), uint16(2), uint32(0x24), uint32(header.length), header,
+      uint32(16), SALT, verifier.slice(0, 16), uint32(20),
+      verifier.slice(16)
+    ]), aes('ecb', key, null, padded(pkg, 16)), pkg.length)
+  };
+}
+
+/*
+  Agile encryption: the package is encrypted with a random key, in 4096
+  byte segments with an IV of their own. That key is encrypted with keys
+  derived from the password, described by an XML descriptor.
+*/
+function agilePackage(password) {
+  var pkg = zipPackage(), keySalt = filled(16, 12), dataSalt = filled(16, 13),
+      secret = filled(32, 14), spinCount = 100000, h, parts = new Array(),
+      xml;
+
+  h = spin('sha512', hash('sha512', keySalt,
+                          Buffer.from(password, 'utf16le')), spinCount);
+  function encryptKey(block, data) {
+    var key = hash('sha512', h, Buffer.from(block, 'hex')).slice(0, 32);
+    return aes('cbc', key, keySalt, padded(data, 16)).toString('base64');
+  }
+  for (var pos=0,n=0; pos<pkg.length; pos+=4096,++n) {
+    parts.push(aes('cbc', secret, hash('sha512', dataSalt, uint32(n))
+                                  .slice(0, 16),
+                   padded(pkg.slice(pos, pos + 4096), 16)));
+  }
+
+  xml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\r\n'
+    + '<encryption xmlns="http://schemas.microsoft.com/office/2006/'
+    + 'encryption" xmlns:p="http://schemas.microsoft.com/office/2006/'
+    + 'keyEncryptor/password">'
+    + '<keyData saltSize="16" blockSize="16" keyBits="256" hashSize="64"'
+    + ' cipherAlgorithm="AES" cipherChaining="ChainingModeCBC"'
+    + ' hashAlgorithm="SHA512" saltValue="' + dataSalt.toString('base64')
+    + '"/>'
+    + '<keyEncryptors><keyEncryptor uri="http://schemas.microsoft.com/'
+    + 'office/2006/keyEncryptor/password">'
+    + '<p:encryptedKey spinCount="' + spinCount + '" saltSize="16"'
+    + ' blockSize="16" keyBits="256" hashSize="64" cipherAlgorithm="AES"'
+    + ' cipherChaining="ChainingModeCBC" hashAlgorithm="SHA512"'
+    + ' saltValue="' + keySalt.toString('base64') + '"'
+    + ' encryptedVerifierHashInput="'
+    + encryptKey('fea7d2763b4b9e79', VERIFIER) + '"'
+    + ' encryptedVerifierHashValue="'
+    + encryptKey('d7aa0f6d3061344e', hash('sha512', VERIFIER)) + '"'
+    + ' encryptedKeyValue="' + encryptKey('146e0be7abacd0d6', secret)
+    + '"/></keyEncryptor></keyEncryptors></encryption>';
+
+  return {
+    plain: pkg,
+    file: ooxmlFile(Buffer.concat([uint16(4), uint16(4), uint32(0x40),
+                                   Buffer.from(xml, 'utf8')]),
+                    Buffer.concat(parts), pkg.length)
+  };
+}
+
+function checkWrongPassword(fixture, done) {
+  encryption.decrypt(fixture.file, 'wrong', function(err) {
+    try {
+      assert.strictEqual(err && err.code, 'EPASSWORD');
+    } catch (ex) {
+      return done(ex);
+    }
+    done();
+  });
+}
+
+var tests = new Array();
+
+function test(name, fn) {
+  tests.push({ name: name, fn: fn });
+}
+
+test('RC4 key stream', function(done) {
+  var rc4 = new keys.RC4(Buffer.from('Key'));
+  assert.strictEqual(rc4.process(Buffer.from('Plaintext')).toString('hex'),
+                     'bbf316e8d940af0ad3');
+  assert.strictEqual(rc4Stream(Buffer.from('Key'), 9)
+                     .toString('hex'),
+                     'eb9f7781b734ca72a7');
+  done();
+});
+
+test('Word, RC4', function(done) {
+  var fixture = wordDocument(rc4Method(PASSWORD));
+  checkDecrypted(fixture, PASSWORD, { format: 'word', method: 'rc4',
+                                      keyBits: 128 }, function(err) {
+    if (err)
+      return done(err);
+    checkWrongPassword(fixture, done);
+  });
+});
+
+test('Word, RC4 CryptoAPI with a 40-bit key', function(done) {
+  var fixture = wordDocument(rc4Method(PASSWORD, 40));
+  checkDecrypted(fixture, PASSWORD, { format: 'word',
+                                      method: 'rc4CryptoAPI',
+                                      keyBits: 40 }, function(err) {
+    if (err)
+      return done(err);
+    checkWrongPassword(fixture, done);
+  });
+});
+
+test('Excel, RC4 CryptoAPI', function(done) {
+  var fixture = excelWorkbook(rc4Method(PASSWORD, 128));
+  checkDecrypted(fixture, PASSWORD, { format: 'excel',
+                                      method: 'rc4CryptoAPI',
+                                      keyBits: 128 }, function(err) {
+    if (err)
+      return done(err);
+    checkWrongPassword(fixture, done);
+  });
+});
+
+test('Excel, RC4 with the default password', function(done) {
+  var fixture = excelWorkbook(rc4Method('VelvetSweatshop'));
+  checkDecrypted(fixture, undefined, { format: 'excel', method: 'rc4',
+                                       keyBits: 128 }, function(err) {
+    if (err)
+      return done(err);
+    checkWrongPassword(fixture, done);
+  });
+});
+
+test('PowerPoint, RC4 CryptoAPI', function(done) {
+  var fixture = presentation(rc4Method(PASSWORD, 128));
+  checkDecrypted(fixture, PASSWORD, { format: 'powerpoint',
+                                      method: 'rc4CryptoAPI',
+                                      keyBits: 128 }, function(err) {
+    if (err)
+      return done(err);
+    checkWrongPassword(fixture, done);
+  });
+});
+
+test('Office Open XML, Standard', function(done) {
+  var fixture = standardPackage(PASSWORD);
+  checkDecrypted(fixture, PASSWORD, { format: 'ooxml', method: 'standard',
+                                      keyBits: 128 }, function(err) {
+    if (err)
+      return done(err);
+    checkWrongPassword(fixture, done);
+  });
+});
+
+test('Office Open XML, Agile', function(done) {
+  var fixture = agilePackage(PASSWORD);
+  checkDecrypted(fixture, PASSWORD, { format: 'ooxml', method: 'agile',
+                                      keyBits: 256 }, function(err) {
+    if (err)
+      return done(err);
+    checkWrongPassword(fixture, done);
+  });
+});
+
+(function next() {
+  var t = tests.shift();
+  if (!t)
+    return;
+  t.fn(function(err) {
+    if (err)
+      throw err;
+    console.log('ok - ' + t.name);
+    next();
+  });
+})();
@@ -0,0 +1,117 @@
+/*
+  Round trips property values of the types with exact representations
+  through propset.serialize() and propset.parse().
+
+  Usage: node test/propset.js
+*/
+var assert = require('node:assert');
+
+var propset = require('../lib/compound/propset'),
+    consts = require('../lib/compound/constants'),
+    utils = require('../lib/compound/utils');
+
+var FixedPoint = utils.FixedPoint;
+
+var INT64_MIN = -(BigInt(1) << BigInt(63)),
+    INT64_MAX = (BigInt(1) << BigInt(63)) - BigInt(1),
+    UINT64_MAX = (BigInt(1) << BigInt(64)) - BigInt(1),
+    UINT96_MAX = (BigInt(1) << BigInt(96)) - BigInt(1);
+
+// Serializes a single property in a section of its own and parses it back
+function roundTrip(id, type, value) {
+  var props = {
+    fmtVer: 0,
+    clsId: new Array(16).fill(0),
+    sections: [{
+      fmtId: consts.FORMATID.SUMMARY,
+      items: new Object()
+    }]
+  }, buf, item;
+  props.sections[0].items[id] = { type: type, value: value };
+  buf = propset.serialize(props);
+  item = propset.parse(buf).items[id];
+  assert.strictEqual(item.type, type);
+  return item.value;
+}
+
+function test(name, fn) {
+  fn();
+  console.log('ok - ' + name);
+}
+
+test('VT_I8 at its limits', function() {
+  [INT64_MIN, BigInt(-1), BigInt(0), INT64_MAX].forEach(function(value) {
+    assert.strictEqual(roundTrip(2, consts.VT_I8, value), value);
+  });
+});
+
+test('VT_UI8 at its limits', function() {
+  [BigInt(0), INT64_MAX + BigInt(1), UINT64_MAX].forEach(function(value) {
+    assert.strictEqual(roundTrip(2, consts.VT_UI8, value), value);
+  });
+});
+
+test('VT_CY as FixedPoint', function() {
+  [new FixedPoint(INT64_MIN, 4), new FixedPoint(INT64_MAX, 4),
+   new FixedPoint(BigInt(-12345), 4)].forEach(function(value) {
+    assert.deepStrictEqual(roundTrip(2, consts.VT_CY, value), value);
+  });
+  // other scales are converted to units of 1/10000
+  assert.deepStrictEqual(roundTrip(2, consts.VT_CY,
+                                   new FixedPoint(BigInt(125), 2)),
+                         new FixedPoint(BigInt(12500), 4));
+  assert.strictEqual(roundTrip(2, consts.VT_CY, 1.5).toString(), '1.5000');
+});
+
+test('VT_DECIMAL as FixedPoint', function() {
+  [new FixedPoint(UINT96_MAX, 0), new FixedPoint(-UINT96_MAX, 28),
+   new FixedPoint(BigInt(-125), 2), new FixedPoint(BigInt(0), 0)]
+  .forEach(function(value) {
+    assert.deepStrictEqual(roundTrip(2, consts.VT_DECIMAL, value), value);
+  });
+  assert.deepStrictEqual(roundTrip(2, consts.VT_DECIMAL, -1.25),
+                         new FixedPoint(BigInt(-125), 2));
+});
+
+test('VT_DATE before and after 12/30/1899', function() {
+  [new Date(Date.UTC(1899, 11, 30)),
+   new Date(Date.UTC(1899, 11, 30, 6)),
+   new Date(Date.UTC(1899, 11, 29, 23, 59, 59)),
+   new Date(Date.UTC(1899, 11, 28, 18)),
+   new Date(Date.UTC(1800, 0, 1, 12, 30)),
+   new Date(Date.UTC(2020, 4, 17, 13, 45, 30))].forEach(function(value) {
+    assert.strictEqual(roundTrip(2, consts.VT_DATE, value).getTime(),
+                       value.getTime());
+  });
+});
+
+test('VT_DATE days before 12/30/1899 keep a positive time of day',
+     function() {
+  var props = {
+    sections: [{ fmtId: consts.FORMATID.SUMMARY, items: {
+      2: { type: consts.VT_DATE, value: new Date(Date.UTC(1899, 11, 28,
+                                                          18)) }
+    } }]
+  }, buf = propset.serialize(props);
+  // 2 days before the epoch, 0.75 of a day into it
+  assert.strictEqual(buf.readDoubleLE(buf.length - 8), -2.75);
+});
+
+test('VT_FILETIME as a Date', function() {
+  var value = new Date(Date.UTC(2021, 2, 4, 5, 6, 7, 890));
+  assert.strictEqual(roundTrip(consts.PID_CREATE_DTM, consts.VT_FILETIME,
+                               value).getTime(),
+                     value.getTime());
+  assert.strictEqual(roundTrip(consts.PID_CREATE_DTM, consts.VT_FILETIME,
+                               null),
+                     null);
+});
+
+test('VT_FILETIME as a duration', function() {
+  // PID_EDITTIME is a number of milliseconds
+  [0, 1, 3723000, 1000 * 3600 * 24 * 365].forEach(function(value) {
+    assert.strictEqual(roundTrip(consts.PID_EDITTIME, consts.VT_FILETIME,
+                                 value),
+                       value);
+  });
+});